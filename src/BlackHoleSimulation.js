@@ -3,14 +3,54 @@ import { SceneManager } from './engine/SceneManager.js';
 import { RendererManager } from './engine/RendererManager.js';
 import { CameraController } from './engine/CameraController.js';
 import { ConfigurationManager } from './engine/ConfigurationManager.js';
+import { SimulationClock } from './engine/SimulationClock.js';
 import { BlackHoleCore } from './components/BlackHoleCore.js';
 import { AccretionDisk } from './components/AccretionDisk.js';
-import { ParticleSystem } from './components/ParticleSystem.js';
+import { ParticleSystem, REVERSIBLE_INTEGRATORS } from './components/ParticleSystem.js';
+import { GPUParticleSystem } from './components/GPUParticleSystem.js';
+import { ParticleWorker } from './components/ParticleWorker.js';
+import { ParticleTrails } from './components/ParticleTrails.js';
+import { ParticleSelection } from './components/ParticleSelection.js';
+import { RelativisticJets } from './components/RelativisticJets.js';
+import { TidalDisruptionEvent } from './components/TidalDisruptionEvent.js';
+import { TidalProbe } from './components/TidalProbe.js';
+import { BinaryBlackHole } from './components/BinaryBlackHole.js';
+import { GravitationalWaves } from './components/GravitationalWaves.js';
 import { GravitationalLensing } from './components/GravitationalLensing.js';
-import { Starfield } from './components/Starfield.js';
+import { Starfield, STARFIELD_LAYER } from './components/Starfield.js';
+import { SkyBackground } from './components/SkyBackground.js';
 import { LightingSystem } from './components/LightingSystem.js';
 import { PerformanceMonitor } from './utils/PerformanceMonitor.js';
 import { PerformanceProfiler } from './utils/PerformanceProfiler.js';
+import { TimeDilationClocks } from './utils/TimeDilationClocks.js';
+import { deriveBlackHoleProperties } from './utils/BlackHolePhysics.js';
+import { Random } from './utils/Random.js';
+import {
+  SNAPSHOT_FORMAT,
+  SNAPSHOT_VERSION,
+  encodeFloat32Array,
+  captureParticles,
+  configChanges,
+  restoreParticles,
+  decodeSnapshot
+} from './utils/Snapshot.js';
+
+// Scene layout in units of the Schwarzschild radius, so that the whole scene
+// scales with the black hole mass
+const DISK_OUTER_RADIUS_RS = 6.0;
+const PARTICLE_SPAWN_RADIUS_RS = 8.0;
+const CAMERA_MIN_DISTANCE_RS = 5.0;
+const GW_INNER_RADIUS_RS = 2.0;
+const GW_OUTER_RADIUS_RS = 30.0;
+
+// The starfield sphere bounds how far the camera may zoom out; both stay
+// well outside the wave grid and the longest jets (50 rs). At the largest
+// mass the far side of the sphere is still inside the camera's far plane
+const CAMERA_MAX_DISTANCE_RS = 100.0;
+const STARFIELD_RADIUS_RS = 100.0;
+
+// A press and release closer than this many pixels is a click, not a camera drag
+const CLICK_MAX_MOVEMENT = 5;
 
 /**
  * BlackHoleSimulation is the main class that integrates all components
@@ -19,6 +59,21 @@ import { PerformanceProfiler } from './utils/PerformanceProfiler.js';
  * Implements Requirements:
  * - 1.1: Render spherical event horizon
  * - 1.2: Display rotating accretion disk
+ * - Kerr spin: horizon, ISCO, shadow shape and frame dragging follow the spin config
+ * - Mass: every radius and the camera constraints are derived from the mass config
+ * - Relativistic jets along the spin axis for active galactic nucleus scenes
+ * - Tidal disruption scenario: a star torn apart on a parabolic orbit
+ * - Spaghettification probe: a rod stretched by the tidal field as it falls in
+ * - Time dilation clocks: a distant observer's clock against a static or falling probe clock
+ * - Binary mode: two black holes inspiral by gravitational-wave emission and merge
+ * - Gravitational-wave strain grid and chirp series driven by the binary
+ * - Particle picking: click a particle to inspect it and let the camera follow it
+ * - GPU particles: 100k–1M particles integrated in fragment shaders, with the CPU path as fallback
+ * - Worker particles: the CPU particle physics runs in a Web Worker, off the main thread
+ * - Infalling observer: the camera falls through the horizon on a radial or spiralling geodesic
+ * - Sky background: an HDR panorama or cubemap seen through the lensing, under an optional starfield
+ * - Simulation clock: fixed physics steps with time scale, pause, single-step and reverse, apart from rendering
+ * - Snapshots: save the configuration, camera, time and particles as versioned JSON and restore them exactly
  * - 1.5: Initialize Three.js renderer
  * - 8.1, 8.2: Responsive resize handling
  * - 8.4: Performance optimizations for small viewports
@@ -36,25 +91,51 @@ export class BlackHoleSimulation {
     this.blackHoleCore = null;
     this.accretionDisk = null;
     this.particleSystem = null;
+    this.gpuParticleSystem = null;
+    this.particleWorker = null;
+    this.particleTrails = null;
+    this.particleSelection = null;
+    this.relativisticJets = null;
+    this.tidalDisruption = null;
+    this.tidalProbe = null;
+    this.timeDilationClocks = null;
+    this.binaryBlackHole = null;
+    this.gravitationalWaves = null;
     this.gravitationalLensing = null;
     this.starfield = null;
+    this.skyBackground = null;
     this.lightingSystem = null;
 
+    // Seeded random numbers; each component draws from its own named stream
+    this.random = null;
+
     // Performance monitoring
     this.performanceMonitor = null;
     this.performanceProfiler = null;
     this.performanceNotificationCallback = null;
 
-    // Animation state
+    // Animation state; the render loop runs while isRunning, the physics
+    // whenever the simulation clock pays out steps
     this.animationFrameId = null;
     this.isRunning = false;
+    this.simulationClock = null;
+    this.pauseChangeCallback = null;
 
     // Black hole parameters
     this.blackHolePosition = new THREE.Vector3(0, 0, 0);
     this.eventHorizonRadius = 1.0;
+    this.blackHoleProperties = null;
+
+    // Particle picking state: where the pointer went down and whether the
+    // camera follows the selected particle
+    this.canvas = null;
+    this.pointerDown = null;
+    this.followSelectedParticle = false;
 
-    // Resize handler binding
+    // Resize and pointer handler bindings
     this.handleResize = this.handleResize.bind(this);
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
   }
 
   /**
@@ -79,6 +160,9 @@ export class BlackHoleSimulation {
       this.sceneManager = new SceneManager();
       this.sceneManager.initialize();
 
+      this.simulationClock = new SimulationClock();
+      this.simulationClock.setTimeScale(this.configManager.getConfig().timeScale);
+
       this.rendererManager = new RendererManager();
       this.rendererManager.initialize(canvas);
 
@@ -90,31 +174,142 @@ export class BlackHoleSimulation {
         far: 1000
       });
 
+      // 3. Initialize simulation components
+      // All radii derive from the configured mass and spin; the disk's inner
+      // edge sits at the prograde ISCO
+      const currentConfig = this.configManager.getConfig();
+      const blackHole = deriveBlackHoleProperties(currentConfig.mass, currentConfig.spin);
+      const rs = blackHole.schwarzschildRadius;
+      this.blackHoleProperties = blackHole;
+      this.eventHorizonRadius = blackHole.horizonRadius;
+      this.random = new Random(currentConfig.seed);
+
       // Set camera constraints to prevent clipping through event horizon
-      this.cameraController.setConstraints(5, 100);
+      this.cameraController.setConstraints(CAMERA_MIN_DISTANCE_RS * rs, CAMERA_MAX_DISTANCE_RS * rs);
 
-      // 3. Initialize simulation components
       this.blackHoleCore = new BlackHoleCore();
-      this.blackHoleCore.initialize(this.eventHorizonRadius);
+      this.blackHoleCore.initialize(blackHole.horizonRadius);
       this.sceneManager.addObject(this.blackHoleCore.mesh);
 
       this.accretionDisk = new AccretionDisk();
-      this.accretionDisk.initialize(1.5, 4.0);
+      this.accretionDisk.initialize(blackHole.iscoRadius, DISK_OUTER_RADIUS_RS * rs);
+      this.accretionDisk.setMass(blackHole.mass);
+      this.accretionDisk.setDopplerBeaming(currentConfig.dopplerBeaming);
+      this.accretionDisk.setGravitationalRedshift(currentConfig.gravitationalRedshift);
+      this.accretionDisk.setPeakTemperature(currentConfig.diskPeakTemperature);
+      this.accretionDisk.setHorizonRadius(blackHole.horizonRadius);
+      this.accretionDisk.setScaleHeight(currentConfig.diskScaleHeight);
+      this.accretionDisk.setDensity(currentConfig.diskDensity);
+      this.accretionDisk.setEmission(currentConfig.diskEmission);
+      this.accretionDisk.setQuality(currentConfig.diskQuality);
       this.sceneManager.addObject(this.accretionDisk.mesh);
 
-      const currentConfig = this.configManager.getConfig();
       this.particleSystem = new ParticleSystem();
+      this.particleSystem.setRandom(this.random.stream('particles'));
       this.particleSystem.initialize(
         currentConfig.particleCount,
-        8.0,
-        this.eventHorizonRadius
+        PARTICLE_SPAWN_RADIUS_RS * rs,
+        blackHole.horizonRadius
       );
+      this.particleSystem.setMass(blackHole.mass);
+      this.particleSystem.setSpin(blackHole.spin);
+      this.particleSystem.setDiskRadii(blackHole.iscoRadius, DISK_OUTER_RADIUS_RS * rs);
+      this.particleSystem.setPeakTemperature(currentConfig.diskPeakTemperature);
+      this.particleSystem.setIntegrator(currentConfig.particleIntegrator);
+      this.particleSystem.setMaxSubsteps(currentConfig.maxSubsteps);
+      this.particleSystem.setDiagnosticsEnabled(currentConfig.physicsDiagnostics);
+      this.particleSystem.setGravityModel(currentConfig.gravityModel);
       this.sceneManager.addObject(this.particleSystem.particles);
 
+      this.particleTrails = new ParticleTrails();
+      this.particleTrails.initialize(
+        this.particleSystem,
+        currentConfig.trailLength,
+        currentConfig.trailSampleInterval
+      );
+      this.particleTrails.setEnabled(currentConfig.particleTrails);
+      this.sceneManager.addObject(this.particleTrails.lines);
+
+      // Clicking a particle selects it; the camera stops following when the
+      // selection ends
+      this.particleSelection = new ParticleSelection();
+      this.particleSelection.initialize(this.particleSystem);
+      this.particleSelection.onSelectionChange((index) => {
+        if (index < 0) {
+          this.setFollowSelectedParticle(false);
+        }
+      });
+      this.sceneManager.addObject(this.particleSelection.marker);
+
+      // The GPU path takes the particles over when it is selected and supported
+      this.setParticleCompute(currentConfig.particleCompute);
+
+      // Jets are launched from the horizon; their length is set in units of rs
+      this.relativisticJets = new RelativisticJets();
+      this.relativisticJets.setRandom(this.random.stream('jets'));
+      this.relativisticJets.initialize(blackHole.horizonRadius, currentConfig.jetLength * rs);
+      this.relativisticJets.setOpeningAngle(currentConfig.jetOpeningAngle);
+      this.relativisticJets.setLorentzFactor(currentConfig.jetLorentzFactor);
+      this.relativisticJets.setPrecession(
+        currentConfig.jetPrecessionAngle,
+        currentConfig.jetPrecessionPeriod
+      );
+      this.relativisticJets.setEnabled(currentConfig.jetsEnabled);
+      this.sceneManager.addObject(this.relativisticJets.points);
+
+      // The tidal disruption star stays hidden until the scenario is started
+      this.tidalDisruption = new TidalDisruptionEvent();
+      this.tidalDisruption.setRandom(this.random.stream('tidalDisruption'));
+      this.tidalDisruption.setMass(blackHole.mass);
+      this.tidalDisruption.initialize(currentConfig.tdePericentre * rs);
+      this.tidalDisruption.setSpin(blackHole.spin);
+      this.tidalDisruption.setDiskRadii(blackHole.iscoRadius, DISK_OUTER_RADIUS_RS * rs);
+      this.tidalDisruption.setPeakTemperature(currentConfig.diskPeakTemperature);
+      this.tidalDisruption.setStellarMass(currentConfig.tdeStellarMass / 100);
+      this.tidalDisruption.setIntegrator(currentConfig.particleIntegrator);
+      this.tidalDisruption.setGravityModel(currentConfig.gravityModel);
+      this.sceneManager.addObject(this.tidalDisruption.points);
+
+      // The probe stays hidden until it is dropped
+      this.tidalProbe = new TidalProbe();
+      this.tidalProbe.setMass(blackHole.mass);
+      this.tidalProbe.initialize(currentConfig.probeLength * rs, currentConfig.probeDropRadius * rs);
+      this.tidalProbe.setSpin(blackHole.spin);
+      this.tidalProbe.setIntegrator(currentConfig.particleIntegrator);
+      this.tidalProbe.setGravityModel(currentConfig.gravityModel);
+      this.sceneManager.addObject(this.tidalProbe.mesh);
+
+      // The distant observer's clock is the simulation clock that drives the physics
+      this.timeDilationClocks = new TimeDilationClocks();
+      this.timeDilationClocks.setMass(blackHole.mass);
+      this.timeDilationClocks.setRadius(currentConfig.clockRadius * rs);
+      this.timeDilationClocks.setMode(currentConfig.clockMode);
+      this.timeDilationClocks.initialize(this.simulationClock);
+
+      // The binary stays hidden until binary mode starts an inspiral; its
+      // masses and separation are taken from the configuration at each start
+      this.binaryBlackHole = new BinaryBlackHole();
+      this.binaryBlackHole.initialize(currentConfig.binarySeparation * rs);
+      this.binaryBlackHole.setInspiralSpeed(currentConfig.binaryInspiralSpeed);
+      this.binaryBlackHole.onMerger((remnant) => this.handleBinaryMerger(remnant));
+      this.sceneManager.addObject(this.binaryBlackHole.group);
+
+      // The strain grid lies in the orbital plane around the binary
+      this.gravitationalWaves = new GravitationalWaves();
+      this.gravitationalWaves.initialize(GW_INNER_RADIUS_RS * rs, GW_OUTER_RADIUS_RS * rs);
+      this.gravitationalWaves.setSource(this.binaryBlackHole);
+      this.gravitationalWaves.setPolarization(currentConfig.gwPolarization);
+      this.gravitationalWaves.setEnabled(currentConfig.gravitationalWaves);
+      this.gravitationalWaves.grid.position.copy(this.blackHolePosition);
+      this.sceneManager.addObject(this.gravitationalWaves.grid);
+
       // 4. Initialize visual effects
       this.starfield = new Starfield();
-      this.starfield.initialize(2000, 100);
+      this.starfield.setRandom(this.random.stream('starfield'));
+      this.starfield.initialize(2000, STARFIELD_RADIUS_RS * rs, currentConfig.starfieldSource);
+      this.starfield.setVisible(currentConfig.starfieldOverlay);
       this.sceneManager.addObject(this.starfield.points);
+      this.cameraController.camera.layers.enable(STARFIELD_LAYER);
 
       this.lightingSystem = new LightingSystem();
       this.lightingSystem.initialize({
@@ -133,8 +328,29 @@ export class BlackHoleSimulation {
       this.gravitationalLensing = new GravitationalLensing();
       this.gravitationalLensing.initialize(
         this.sceneManager.scene,
-        this.eventHorizonRadius
+        this.eventHorizonRadius,
+        { environmentSize: currentConfig.environmentSize }
       );
+      this.gravitationalLensing.setMass(blackHole.mass);
+      this.gravitationalLensing.setSpin(blackHole.spin);
+      this.gravitationalLensing.setIntensity(currentConfig.lensingIntensity);
+      this.gravitationalLensing.resize(canvas.clientWidth, canvas.clientHeight);
+      this.setLensingMode(currentConfig.lensingMode);
+
+      // The sky background loads in the background; until it arrives the
+      // starfield is shown on its own
+      this.skyBackground = new SkyBackground();
+      this.skyBackground.onLoad((texture) => {
+        this.gravitationalLensing.setBackground(texture);
+        this.updateSkyDisplay();
+      });
+      this.skyBackground.load(currentConfig.background);
+
+      // A fall is rendered by the geodesic tracer; the configured mode
+      // returns with orbit mode
+      this.cameraController.onFallComplete(() => {
+        this.setLensingMode(this.configManager.getConfig().lensingMode);
+      });
 
       // 6. Set up post-processing pipeline
       this.rendererManager.enablePostProcessing(
@@ -142,6 +358,12 @@ export class BlackHoleSimulation {
         this.cameraController.camera
       );
 
+      // Lensing distorts the rendered scene before bloom is applied
+      const lensingPass = this.gravitationalLensing.getPass();
+      if (lensingPass) {
+        this.rendererManager.enableLensing(lensingPass);
+      }
+
       // Enable bloom effect
       this.rendererManager.enableBloom(
         currentConfig.bloomStrength,
@@ -164,8 +386,16 @@ export class BlackHoleSimulation {
       // 9. Wire up configuration system
       this.wireConfigurationSystem();
 
+      // 9a. Replace the black hole with a binary if requested
+      if (currentConfig.binaryMode) {
+        this.startBinaryInspiral();
+      }
+
       // 10. Set up resize handling
       window.addEventListener('resize', this.handleResize);
+      this.canvas = canvas;
+      canvas.addEventListener('pointerdown', this.handlePointerDown);
+      canvas.addEventListener('pointerup', this.handlePointerUp);
 
       // Apply initial performance optimizations based on viewport
       this.configManager.applyPerformanceOptimizations(canvas.clientWidth);
@@ -227,6 +457,11 @@ export class BlackHoleSimulation {
     // Register degradation callback
     this.performanceMonitor.onDegradation((stats) => {
       console.warn('Performance degradation detected:', stats);
+
+      // Trails are shortened first and restored once performance recovers
+      if (this.particleTrails) {
+        this.particleTrails.setDegraded(true);
+      }
       
       const recommendation = stats.recommendation;
       
@@ -259,6 +494,10 @@ export class BlackHoleSimulation {
     // Register recovery callback
     this.performanceMonitor.onRecovery((stats) => {
       console.log('Performance recovered:', stats);
+
+      if (this.particleTrails) {
+        this.particleTrails.setDegraded(false);
+      }
       
       // Optionally notify user of recovery
       if (this.performanceNotificationCallback) {
@@ -349,6 +588,69 @@ export class BlackHoleSimulation {
       // Handle particle count changes
       if (updates.particleCount !== undefined && this.particleSystem) {
         this.particleSystem.setParticleCount(updates.particleCount);
+        if (this.particleWorker) {
+          this.particleWorker.setParticleCount(updates.particleCount);
+        }
+      }
+
+      // Handle particle integration changes; the debris and the probe follow
+      // the same integrator and gravity model
+      if (this.particleSystem) {
+        const integrationConfig = this.configManager.getConfig();
+        if (updates.particleIntegrator !== undefined) {
+          this.particleSystem.setIntegrator(integrationConfig.particleIntegrator);
+          if (this.tidalDisruption) {
+            this.tidalDisruption.setIntegrator(integrationConfig.particleIntegrator);
+          }
+          if (this.tidalProbe) {
+            this.tidalProbe.setIntegrator(integrationConfig.particleIntegrator);
+          }
+          if (!this.canReverse()) {
+            this.setReversed(false);
+          }
+        }
+        if (updates.maxSubsteps !== undefined) {
+          this.particleSystem.setMaxSubsteps(integrationConfig.maxSubsteps);
+        }
+        if (updates.physicsDiagnostics !== undefined) {
+          this.particleSystem.setDiagnosticsEnabled(integrationConfig.physicsDiagnostics);
+        }
+        if (updates.gravityModel !== undefined) {
+          this.particleSystem.setGravityModel(integrationConfig.gravityModel);
+          if (this.tidalDisruption) {
+            this.tidalDisruption.setGravityModel(integrationConfig.gravityModel);
+          }
+          if (this.tidalProbe) {
+            this.tidalProbe.setGravityModel(integrationConfig.gravityModel);
+          }
+        }
+      }
+
+      // Handle particle compute path changes; a new GPU particle count
+      // respawns the GPU particles
+      if (updates.particleCompute !== undefined) {
+        this.setParticleCompute(updates.particleCompute);
+      }
+      if (updates.gpuParticleCount !== undefined && this.gpuParticleSystem) {
+        this.gpuParticleSystem.setParticleCount(this.configManager.getConfig().gpuParticleCount);
+      }
+
+      // Handle particle trail changes; GPU particles have no trails
+      if (this.particleTrails) {
+        const trailConfig = this.configManager.getConfig();
+        if (updates.particleTrails !== undefined && !this.gpuParticleSystem && !this.isReversed()) {
+          this.particleTrails.setEnabled(trailConfig.particleTrails);
+        }
+        if (updates.trailLength !== undefined) {
+          this.particleTrails.setTrailLength(trailConfig.trailLength);
+        }
+        if (updates.trailSampleInterval !== undefined) {
+          this.particleTrails.setSampleInterval(trailConfig.trailSampleInterval);
+        }
+      }
+
+      if (updates.timeScale !== undefined && this.simulationClock) {
+        this.simulationClock.setTimeScale(this.configManager.getConfig().timeScale);
       }
 
       // Handle disk rotation speed changes
@@ -356,11 +658,187 @@ export class BlackHoleSimulation {
         this.accretionDisk.setRotationSpeed(updates.diskRotationSpeed);
       }
 
+      // Handle disk temperature changes
+      if (updates.diskPeakTemperature !== undefined) {
+        const { diskPeakTemperature } = this.configManager.getConfig();
+        if (this.accretionDisk) {
+          this.accretionDisk.setPeakTemperature(diskPeakTemperature);
+        }
+        if (this.particleSystem) {
+          this.particleSystem.setPeakTemperature(diskPeakTemperature);
+        }
+        if (this.tidalDisruption) {
+          this.tidalDisruption.setPeakTemperature(diskPeakTemperature);
+        }
+      }
+
+      // Handle tidal disruption changes (applied when the next star is launched)
+      if (this.tidalDisruption) {
+        const { tdeStellarMass, tdePericentre } = this.configManager.getConfig();
+        if (updates.tdeStellarMass !== undefined) {
+          this.tidalDisruption.setStellarMass(tdeStellarMass / 100);
+        }
+        if (updates.tdePericentre !== undefined) {
+          this.tidalDisruption.setPericentre(
+            tdePericentre * this.blackHoleProperties.schwarzschildRadius
+          );
+        }
+      }
+
+      // Handle probe changes; the drop radius applies to the next drop
+      if (this.tidalProbe) {
+        const { probeLength, probeDropRadius } = this.configManager.getConfig();
+        const rs = this.blackHoleProperties.schwarzschildRadius;
+        if (updates.probeLength !== undefined) {
+          this.tidalProbe.setLength(probeLength * rs);
+        }
+        if (updates.probeDropRadius !== undefined) {
+          this.tidalProbe.setDropRadius(probeDropRadius * rs);
+        }
+      }
+
+      // Handle time dilation clock changes
+      if (this.timeDilationClocks) {
+        const { clockMode, clockRadius } = this.configManager.getConfig();
+        if (updates.clockMode !== undefined) {
+          this.timeDilationClocks.setMode(clockMode);
+        }
+        if (updates.clockRadius !== undefined) {
+          this.timeDilationClocks.setRadius(clockRadius * this.blackHoleProperties.schwarzschildRadius);
+        }
+      }
+
+      // Handle volumetric disk changes
+      if (this.accretionDisk) {
+        const diskConfig = this.configManager.getConfig();
+        if (updates.diskScaleHeight !== undefined) {
+          this.accretionDisk.setScaleHeight(diskConfig.diskScaleHeight);
+        }
+        if (updates.diskDensity !== undefined) {
+          this.accretionDisk.setDensity(diskConfig.diskDensity);
+        }
+        if (updates.diskEmission !== undefined) {
+          this.accretionDisk.setEmission(diskConfig.diskEmission);
+        }
+        if (updates.diskQuality !== undefined) {
+          this.accretionDisk.setQuality(diskConfig.diskQuality);
+        }
+      }
+
+      // Handle relativistic jet changes
+      if (this.relativisticJets) {
+        const jetConfig = this.configManager.getConfig();
+        if (updates.jetsEnabled !== undefined) {
+          this.relativisticJets.setEnabled(jetConfig.jetsEnabled && !this.isBinaryInspiralling());
+        }
+        if (updates.jetLength !== undefined) {
+          this.relativisticJets.setRadii(
+            this.eventHorizonRadius,
+            jetConfig.jetLength * this.blackHoleProperties.schwarzschildRadius
+          );
+        }
+        if (updates.jetOpeningAngle !== undefined) {
+          this.relativisticJets.setOpeningAngle(jetConfig.jetOpeningAngle);
+        }
+        if (updates.jetLorentzFactor !== undefined) {
+          this.relativisticJets.setLorentzFactor(jetConfig.jetLorentzFactor);
+        }
+        if (updates.jetPrecessionAngle !== undefined || updates.jetPrecessionPeriod !== undefined) {
+          this.relativisticJets.setPrecession(
+            jetConfig.jetPrecessionAngle,
+            jetConfig.jetPrecessionPeriod
+          );
+        }
+      }
+
+      // Handle relativistic effect toggles
+      if (updates.dopplerBeaming !== undefined && this.accretionDisk) {
+        this.accretionDisk.setDopplerBeaming(this.configManager.getConfig().dopplerBeaming);
+      }
+
+      if (updates.gravitationalRedshift !== undefined && this.accretionDisk) {
+        this.accretionDisk.setGravitationalRedshift(
+          this.configManager.getConfig().gravitationalRedshift
+        );
+      }
+
       // Handle lensing intensity changes
       if (updates.lensingIntensity !== undefined && this.gravitationalLensing) {
         this.gravitationalLensing.setIntensity(updates.lensingIntensity);
       }
 
+      // Handle starfield source changes; the lensing pass captures the new
+      // stars into its environment cubemap
+      if (updates.starfieldSource !== undefined && this.starfield) {
+        this.starfield.setSource(this.configManager.getConfig().starfieldSource);
+        this.invalidateEnvironment();
+      }
+
+      // A new seed respawns everything drawn from random numbers
+      if (updates.seed !== undefined) {
+        this.setSeed(this.configManager.getConfig().seed);
+      }
+
+      if (updates.starfieldOverlay !== undefined && this.starfield) {
+        this.starfield.setVisible(this.configManager.getConfig().starfieldOverlay);
+        this.invalidateEnvironment();
+      }
+
+      // Handle sky background changes; the new image replaces the old one
+      // once it has loaded
+      if (updates.background !== undefined && this.skyBackground) {
+        this.skyBackground.load(this.configManager.getConfig().background);
+      }
+
+      if (updates.backgroundIntensity !== undefined) {
+        this.updateSkyDisplay();
+      }
+
+      if (updates.environmentSize !== undefined && this.gravitationalLensing) {
+        this.gravitationalLensing.setEnvironmentSize(updates.environmentSize);
+      }
+
+      // Handle lensing mode changes; a falling camera keeps the geodesic mode
+      if (updates.lensingMode !== undefined && this.gravitationalLensing && !this.isFallingIn()) {
+        this.setLensingMode(updates.lensingMode);
+      }
+
+      // Handle black hole mass and spin changes; a binary restarts with the new total mass
+      if (updates.mass !== undefined || updates.spin !== undefined) {
+        const { mass, spin, binaryMode } = this.configManager.getConfig();
+        if (binaryMode) {
+          this.startBinaryInspiral();
+        } else {
+          this.setBlackHoleParameters(mass, spin);
+        }
+      }
+
+      // Handle binary black hole changes (mass ratio and separation apply at the next start)
+      if (this.binaryBlackHole) {
+        const binaryConfig = this.configManager.getConfig();
+        if (updates.binaryInspiralSpeed !== undefined) {
+          this.binaryBlackHole.setInspiralSpeed(binaryConfig.binaryInspiralSpeed);
+        }
+        if (updates.binaryMode !== undefined) {
+          if (binaryConfig.binaryMode) {
+            this.startBinaryInspiral();
+          } else {
+            this.stopBinaryInspiral();
+          }
+        }
+      }
+
+      // Handle gravitational-wave display changes
+      if (this.gravitationalWaves) {
+        const waveConfig = this.configManager.getConfig();
+        if (updates.gravitationalWaves !== undefined) {
+          this.gravitationalWaves.setEnabled(waveConfig.gravitationalWaves);
+        }
+        if (updates.gwPolarization !== undefined) {
+          this.gravitationalWaves.setPolarization(waveConfig.gwPolarization);
+        }
+      }
+
       // Handle camera sensitivity changes
       if (updates.cameraSensitivity !== undefined && this.cameraController) {
         const controls = this.cameraController.getControls();
@@ -378,6 +856,617 @@ export class BlackHoleSimulation {
     });
   }
 
+  /**
+   * Switch the gravitational lensing mode
+   * @param {'fast'|'geodesic'} mode - Lensing mode
+   */
+  setLensingMode(mode) {
+    if (!this.gravitationalLensing || !this.cameraController) {
+      return;
+    }
+
+    this.gravitationalLensing.setMode(mode);
+    this.updateSkyDisplay();
+  }
+
+  /**
+   * Choose where the particles are integrated
+   * The worker path runs the CPU physics in a Web Worker and the GPU path in
+   * fragment shaders. The GPU path needs float render targets and vertex
+   * texture reads; without them (or without Web Workers for the worker path),
+   * or if the path fails to set up, the particles stay on the main thread.
+   * Trails, picking and diagnostics read particle positions on the CPU, so
+   * they are unavailable while the GPU path runs.
+   * @param {'cpu'|'worker'|'gpu'} mode - Integrate particles on the main thread, in a worker or on the GPU
+   * @returns {'cpu'|'worker'|'gpu'} The compute path in use
+   */
+  setParticleCompute(mode) {
+    if (!this.particleSystem || !this.rendererManager || !this.sceneManager) {
+      return this.getParticleCompute();
+    }
+
+    // The worker's particles stay where it last put them
+    if (mode !== 'worker' && this.particleWorker) {
+      this.particleWorker.dispose();
+      this.particleWorker = null;
+    }
+
+    if (mode === 'worker' && !this.particleWorker) {
+      if (!ParticleWorker.isSupported()) {
+        console.warn('Web Workers are not supported. Using CPU particles.');
+      } else {
+        this.particleWorker = new ParticleWorker();
+        this.particleWorker.onError(() => {
+          this.particleWorker = null;
+        });
+        this.particleWorker.initialize(this.particleSystem);
+      }
+    }
+
+    if (mode === 'gpu' && !this.gpuParticleSystem) {
+      const renderer = this.rendererManager.getRenderer();
+      if (!GPUParticleSystem.isSupported(renderer)) {
+        console.warn('Float render targets are not supported. Using CPU particles.');
+      } else {
+        const gpuParticles = new GPUParticleSystem();
+        gpuParticles.setRandom(this.random.stream('gpuParticles'));
+        gpuParticles.copySettings(this.particleSystem);
+        try {
+          gpuParticles.initialize(
+            renderer,
+            this.configManager.getConfig().gpuParticleCount,
+            this.particleSystem.spawnRadius,
+            this.particleSystem.eventHorizonRadius
+          );
+          this.gpuParticleSystem = gpuParticles;
+          this.sceneManager.addObject(gpuParticles.particles);
+        } catch (error) {
+          console.warn('Failed to initialize GPU particles. Using CPU particles.', error);
+          gpuParticles.dispose();
+        }
+      }
+    } else if (mode !== 'gpu' && this.gpuParticleSystem) {
+      this.sceneManager.removeObject(this.gpuParticleSystem.particles);
+      this.gpuParticleSystem.dispose();
+      this.gpuParticleSystem = null;
+    }
+
+    const gpu = this.gpuParticleSystem !== null;
+    this.particleSystem.particles.visible = !gpu;
+    if (gpu) {
+      this.selectParticle(-1);
+    }
+    if (this.particleTrails) {
+      this.particleTrails.setEnabled(!gpu && !this.isReversed() && this.configManager.getConfig().particleTrails);
+    }
+    return this.getParticleCompute();
+  }
+
+  /**
+   * Reseed the random numbers and respawn what was drawn from them
+   * Particles, stars and jet blobs are regenerated from the new seed; a
+   * running worker or GPU path is restarted so it continues from the new
+   * particles. The next tidal disruption samples its star from the new seed.
+   * @param {number} seed - Unsigned 32-bit seed
+   */
+  setSeed(seed) {
+    if (!this.particleSystem) {
+      return;
+    }
+
+    this.random = new Random(seed);
+    const mode = this.getParticleCompute();
+    this.setParticleCompute('cpu');
+    this.selectParticle(-1);
+
+    this.particleSystem.setRandom(this.random.stream('particles'));
+    this.particleSystem.reset();
+    if (this.relativisticJets) {
+      this.relativisticJets.setRandom(this.random.stream('jets'));
+    }
+    if (this.tidalDisruption) {
+      this.tidalDisruption.setRandom(this.random.stream('tidalDisruption'));
+    }
+    if (this.starfield) {
+      this.starfield.setRandom(this.random.stream('starfield'));
+      this.invalidateEnvironment();
+    }
+
+    this.setParticleCompute(mode);
+  }
+
+  /**
+   * Get where the particles are integrated
+   * @returns {'cpu'|'worker'|'gpu'} The compute path in use
+   */
+  getParticleCompute() {
+    if (this.gpuParticleSystem) {
+      return 'gpu';
+    }
+    return this.particleWorker ? 'worker' : 'cpu';
+  }
+
+  /**
+   * Have the lensing pass capture the starfield again after it changed
+   */
+  invalidateEnvironment() {
+    if (this.gravitationalLensing) {
+      this.gravitationalLensing.invalidateEnvironment();
+    }
+  }
+
+  /**
+   * Decide who draws the starfield and sky background
+   * When the lensing pass draws them from its environment cubemap (geodesic
+   * mode, or any mode with a sky background) the camera skips the starfield
+   * layer and the scene has no background of its own. Otherwise the camera
+   * draws both directly, unlensed if there is no lensing pass.
+   */
+  updateSkyDisplay() {
+    if (!this.gravitationalLensing || !this.cameraController || !this.sceneManager) {
+      return;
+    }
+
+    const { backgroundIntensity } = this.configManager.getConfig();
+    this.gravitationalLensing.setBackgroundIntensity(backgroundIntensity);
+
+    const lensed = this.gravitationalLensing.drawsEnvironment();
+    const layers = this.cameraController.camera.layers;
+    if (lensed) {
+      layers.disable(STARFIELD_LAYER);
+    } else {
+      layers.enable(STARFIELD_LAYER);
+    }
+
+    const scene = this.sceneManager.scene;
+    scene.background = lensed || !this.skyBackground ? null : this.skyBackground.getTexture();
+    scene.backgroundIntensity = backgroundIntensity;
+  }
+
+  /**
+   * Apply a new black hole mass and spin to every component
+   * Rebuilds the horizon and disk geometry in place, rescales gravity, the
+   * lensing shadow and the camera constraints, and updates frame dragging.
+   * @param {number} mass - Black hole mass (half the Schwarzschild radius)
+   * @param {number} spin - Dimensionless spin parameter (0 ≤ a < 1)
+   */
+  setBlackHoleParameters(mass, spin) {
+    const blackHole = deriveBlackHoleProperties(mass, spin);
+    const rs = blackHole.schwarzschildRadius;
+    const diskOuterRadius = DISK_OUTER_RADIUS_RS * rs;
+    this.blackHoleProperties = blackHole;
+    this.eventHorizonRadius = blackHole.horizonRadius;
+
+    if (this.blackHoleCore) {
+      this.blackHoleCore.setRadius(blackHole.horizonRadius);
+    }
+
+    if (this.accretionDisk) {
+      this.accretionDisk.setRadii(blackHole.iscoRadius, diskOuterRadius);
+      this.accretionDisk.setMass(blackHole.mass);
+      this.accretionDisk.setHorizonRadius(blackHole.horizonRadius);
+    }
+
+    if (this.gravitationalLensing) {
+      this.gravitationalLensing.setMass(blackHole.mass);
+      this.gravitationalLensing.setSpin(blackHole.spin);
+    }
+
+    if (this.particleSystem) {
+      this.particleSystem.setMass(blackHole.mass);
+      this.particleSystem.setSpin(blackHole.spin);
+      this.particleSystem.setDiskRadii(blackHole.iscoRadius, diskOuterRadius);
+      this.particleSystem.setSpawnRadius(PARTICLE_SPAWN_RADIUS_RS * rs);
+    }
+
+    if (this.relativisticJets && this.configManager) {
+      const { jetLength } = this.configManager.getConfig();
+      this.relativisticJets.setRadii(blackHole.horizonRadius, jetLength * rs);
+    }
+
+    if (this.tidalDisruption) {
+      this.tidalDisruption.setMass(blackHole.mass);
+      this.tidalDisruption.setSpin(blackHole.spin);
+      this.tidalDisruption.setDiskRadii(blackHole.iscoRadius, diskOuterRadius);
+      if (this.configManager) {
+        this.tidalDisruption.setPericentre(this.configManager.getConfig().tdePericentre * rs);
+      }
+    }
+
+    if (this.timeDilationClocks) {
+      this.timeDilationClocks.setMass(blackHole.mass);
+      if (this.configManager) {
+        this.timeDilationClocks.setRadius(this.configManager.getConfig().clockRadius * rs);
+      }
+    }
+
+    if (this.tidalProbe) {
+      this.tidalProbe.setMass(blackHole.mass);
+      this.tidalProbe.setSpin(blackHole.spin);
+      if (this.configManager) {
+        const { probeLength, probeDropRadius } = this.configManager.getConfig();
+        this.tidalProbe.setLength(probeLength * rs);
+        this.tidalProbe.setDropRadius(probeDropRadius * rs);
+      }
+    }
+
+    if (this.gravitationalWaves) {
+      this.gravitationalWaves.setRadii(GW_INNER_RADIUS_RS * rs, GW_OUTER_RADIUS_RS * rs);
+    }
+
+    // The lensing pass captures the moved stars into its environment cubemap
+    if (this.starfield) {
+      this.starfield.setRadius(STARFIELD_RADIUS_RS * rs);
+      this.invalidateEnvironment();
+    }
+
+    if (this.cameraController) {
+      this.cameraController.setConstraints(CAMERA_MIN_DISTANCE_RS * rs, CAMERA_MAX_DISTANCE_RS * rs);
+    }
+  }
+
+  /**
+   * Launch a star toward the black hole using the configured stellar mass and
+   * pericentre; restarts the scenario if one is already running
+   */
+  startTidalDisruption() {
+    if (this.tidalDisruption) {
+      this.tidalDisruption.start(this.blackHolePosition);
+    }
+  }
+
+  /**
+   * Stop the tidal disruption scenario and remove the debris
+   */
+  stopTidalDisruption() {
+    if (this.tidalDisruption) {
+      this.tidalDisruption.stop();
+    }
+  }
+
+  /**
+   * Get the state of the tidal disruption debris
+   * @returns {Object|null} Whether the scenario is running and how many particles are bound, unbound or captured
+   */
+  getTidalDisruptionStatus() {
+    if (!this.tidalDisruption) {
+      return null;
+    }
+    return {
+      active: this.tidalDisruption.isActive(),
+      ...this.tidalDisruption.getDebrisStatistics(this.blackHolePosition)
+    };
+  }
+
+  /**
+   * Drop the spaghettification probe from the configured radius; replaces a
+   * probe that is still falling
+   */
+  dropTidalProbe() {
+    if (this.tidalProbe) {
+      this.tidalProbe.drop(this.blackHolePosition);
+    }
+  }
+
+  /**
+   * Remove the spaghettification probe
+   */
+  stopTidalProbe() {
+    if (this.tidalProbe) {
+      this.tidalProbe.stop();
+    }
+  }
+
+  /**
+   * Get the state of the spaghettification probe for the tidal stress readout
+   * @returns {Object|null} Probe status (see TidalProbe.getStatus)
+   */
+  getTidalProbeStatus() {
+    return this.tidalProbe ? this.tidalProbe.getStatus(this.blackHolePosition) : null;
+  }
+
+  /**
+   * Let the camera fall into the black hole along the configured trajectory
+   * The view switches to the geodesic lensing mode, seen from the falling
+   * camera, until the fall ends and the camera returns to orbit mode.
+   */
+  startFallIn() {
+    if (!this.cameraController || !this.configManager || this.cameraController.isFalling()) {
+      return;
+    }
+
+    this.setFollowSelectedParticle(false);
+    this.setLensingMode('geodesic');
+    this.cameraController.startFallIn(
+      this.blackHolePosition,
+      this.blackHoleProperties.mass,
+      this.configManager.getConfig().fallTrajectory
+    );
+
+    // The camera was too close to start a fall
+    if (!this.cameraController.isFalling()) {
+      this.setLensingMode(this.configManager.getConfig().lensingMode);
+    }
+  }
+
+  /**
+   * End a fall early and return the camera to orbit mode
+   */
+  stopFallIn() {
+    if (this.cameraController) {
+      this.cameraController.stopFallIn();
+    }
+  }
+
+  /**
+   * Check whether the camera is falling into the black hole
+   * @returns {boolean} True during a fall
+   */
+  isFallingIn() {
+    return Boolean(this.cameraController && this.cameraController.isFalling());
+  }
+
+  /**
+   * Get the state of the camera's fall
+   * @returns {Object|null} Fall status (see CameraController.getFallStatus), or null in orbit mode
+   */
+  getFallStatus() {
+    return this.cameraController ? this.cameraController.getFallStatus() : null;
+  }
+
+  /**
+   * Get the readings of the distant observer and probe clocks
+   * @returns {Object|null} Clock readings (see TimeDilationClocks.getReadings), or null while the clocks are hidden
+   */
+  getTimeDilationClocks() {
+    if (!this.timeDilationClocks || !this.configManager || !this.configManager.getConfig().timeDilationClocks) {
+      return null;
+    }
+    return this.timeDilationClocks.getReadings();
+  }
+
+  /**
+   * Set the distant observer and probe clocks back to zero
+   */
+  synchroniseClocks() {
+    if (this.timeDilationClocks) {
+      this.timeDilationClocks.synchronise();
+    }
+  }
+
+  /**
+   * Replace the black hole with a binary of the same total mass and start the
+   * inspiral from the configured separation; restarts a running inspiral
+   */
+  startBinaryInspiral() {
+    if (!this.binaryBlackHole || !this.configManager) {
+      return;
+    }
+
+    // Undo any previous remnant so every component starts from the configured hole
+    const { mass, spin, binaryMassRatio, binarySeparation } = this.configManager.getConfig();
+    this.setBlackHoleParameters(mass, spin);
+
+    this.binaryBlackHole.setTotalMass(mass);
+    this.binaryBlackHole.setMassRatio(binaryMassRatio);
+    this.binaryBlackHole.setSeparation(binarySeparation * this.blackHoleProperties.schwarzschildRadius);
+    this.binaryBlackHole.start(this.blackHolePosition);
+
+    this.setBinaryInspiralState(true);
+    this.setReversed(false);
+  }
+
+  /**
+   * Remove the binary (or its remnant) and restore the configured black hole
+   */
+  stopBinaryInspiral() {
+    if (!this.binaryBlackHole || !this.configManager) {
+      return;
+    }
+
+    this.binaryBlackHole.stop();
+    this.setBinaryInspiralState(false);
+
+    const { mass, spin } = this.configManager.getConfig();
+    this.setBlackHoleParameters(mass, spin);
+  }
+
+  /**
+   * Replace the merged binary by its remnant
+   * @private
+   * @param {{mass: number, spin: number}} remnant - Remnant mass and spin
+   */
+  handleBinaryMerger(remnant) {
+    this.setBinaryInspiralState(false);
+    this.setBlackHoleParameters(remnant.mass, remnant.spin);
+  }
+
+  /**
+   * Check whether the binary is currently inspiralling
+   * @returns {boolean} True while two black holes orbit each other
+   */
+  isBinaryInspiralling() {
+    return this.binaryBlackHole ? this.binaryBlackHole.isActive() : false;
+  }
+
+  /**
+   * Switch the components between the single black hole and the binary
+   * The single hole's horizon, disk and jets are hidden during the inspiral;
+   * particles and lensing feel both holes instead.
+   * @private
+   * @param {boolean} inspiralling - Whether the binary replaces the single hole
+   */
+  setBinaryInspiralState(inspiralling) {
+    if (this.blackHoleCore) {
+      this.blackHoleCore.mesh.visible = !inspiralling;
+    }
+
+    if (this.accretionDisk) {
+      this.accretionDisk.mesh.visible = !inspiralling;
+    }
+
+    if (this.relativisticJets && this.configManager) {
+      this.relativisticJets.setEnabled(!inspiralling && this.configManager.getConfig().jetsEnabled);
+    }
+
+    if (this.particleSystem) {
+      this.particleSystem.setAttractors(inspiralling ? this.binaryBlackHole.getAttractors() : null);
+    }
+
+    // The single hole's lensing mass and spin are restored by setBlackHoleParameters
+    if (this.gravitationalLensing) {
+      if (inspiralling) {
+        const masses = this.binaryBlackHole.getMasses();
+        this.gravitationalLensing.setMass(masses.primary);
+        this.gravitationalLensing.setSpin(0);
+        this.gravitationalLensing.setCompanionMass(masses.secondary);
+      } else {
+        this.gravitationalLensing.setCompanionMass(0);
+      }
+    }
+  }
+
+  /**
+   * Get the state of the binary black hole
+   * @returns {Object|null} Whether the binary is inspiralling or has merged, its separation, time to merger and remnant
+   */
+  getBinaryStatus() {
+    if (!this.binaryBlackHole) {
+      return null;
+    }
+    return {
+      active: this.binaryBlackHole.isActive(),
+      merged: this.binaryBlackHole.hasMerged(),
+      separation: this.binaryBlackHole.getSeparation(),
+      timeToMerger: this.binaryBlackHole.getTimeToMerger(),
+      remnant: this.binaryBlackHole.getRemnant()
+    };
+  }
+
+  /**
+   * Get the gravitational-wave strain recorded from the binary, as seen from
+   * the camera's inclination to the orbital axis
+   * The series is sampled on the simulation clock, so it stays in step with
+   * the strain grid.
+   * @returns {{interval: number, plus: Float32Array, cross: Float32Array}|null} Strain samples (oldest first), or null while the display is off
+   */
+  getGravitationalWaveStrain() {
+    if (!this.gravitationalWaves || !this.gravitationalWaves.enabled || !this.cameraController) {
+      return null;
+    }
+
+    const lineOfSight = this.cameraController.camera.position.clone()
+      .sub(this.binaryBlackHole.getCentreOfMass());
+    const inclination = lineOfSight.lengthSq() > 0
+      ? lineOfSight.angleTo(new THREE.Vector3(0, 1, 0))
+      : 0;
+    return this.gravitationalWaves.getStrainSeries(inclination);
+  }
+
+  /**
+   * Get the energy and angular momentum diagnostics of the accretion particles
+   * @returns {Object|null} Diagnostics from the last frame (see ParticleSystem.getDiagnostics), or null while disabled
+   */
+  getParticleDiagnostics() {
+    return this.particleSystem && !this.gpuParticleSystem ? this.particleSystem.getDiagnostics() : null;
+  }
+
+  /**
+   * Remember where a press started, to tell clicks from camera drags
+   * @private
+   * @param {PointerEvent} event - The pointerdown event
+   */
+  handlePointerDown(event) {
+    this.pointerDown = event.button === 0 ? { x: event.clientX, y: event.clientY } : null;
+  }
+
+  /**
+   * Select the particle under a click, or clear the selection when a click
+   * hits empty space
+   * @private
+   * @param {PointerEvent} event - The pointerup event
+   */
+  handlePointerUp(event) {
+    const start = this.pointerDown;
+    this.pointerDown = null;
+    if (!start || !this.particleSelection || !this.cameraController || this.gpuParticleSystem) {
+      return;
+    }
+    if (Math.hypot(event.clientX - start.x, event.clientY - start.y) > CLICK_MAX_MOVEMENT) {
+      return;
+    }
+
+    const rect = this.canvas.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this.particleSelection.select(
+      this.particleSelection.pick(pointer, this.cameraController.camera, rect.height)
+    );
+  }
+
+  /**
+   * Get the state of the selected particle for the inspector
+   * @returns {Object|null} Particle state (see ParticleSystem.getParticleState) plus whether the camera follows it, or null when nothing is selected
+   */
+  getSelectedParticle() {
+    if (!this.particleSelection || !this.particleSystem) {
+      return null;
+    }
+    const state = this.particleSystem.getParticleState(
+      this.particleSelection.getSelectedIndex(),
+      this.blackHolePosition
+    );
+    return state ? { ...state, following: this.followSelectedParticle } : null;
+  }
+
+  /**
+   * Select a particle by index
+   * @param {number} index - Index of the particle, or -1 to clear the selection
+   */
+  selectParticle(index) {
+    if (this.particleSelection) {
+      this.particleSelection.select(index);
+    }
+  }
+
+  /**
+   * Clear the particle selection and stop following it
+   */
+  clearParticleSelection() {
+    this.selectParticle(-1);
+  }
+
+  /**
+   * Make the camera follow the selected particle, or return it to the black hole
+   * @param {boolean} follow - Whether the camera target tracks the selected particle
+   */
+  setFollowSelectedParticle(follow) {
+    const selected = this.particleSelection && this.particleSelection.getSelectedIndex() >= 0;
+    const following = Boolean(follow) && selected;
+    if (this.followSelectedParticle && !following && this.cameraController) {
+      this.cameraController.setTarget(this.blackHolePosition);
+    }
+    this.followSelectedParticle = following;
+  }
+
+  /**
+   * Check whether the camera follows the selected particle
+   * @returns {boolean} True while the camera target tracks a particle
+   */
+  isFollowingParticle() {
+    return this.followSelectedParticle;
+  }
+
+  /**
+   * Get the radii derived from the current black hole mass and spin
+   * @returns {Object|null} Mass, spin and derived radii (see BlackHolePhysics)
+   */
+  getBlackHoleProperties() {
+    return this.blackHoleProperties ? { ...this.blackHoleProperties } : null;
+  }
+
   /**
    * Handle window resize events
    * Updates renderer, camera, and applies performance optimizations
@@ -397,7 +1486,7 @@ export class BlackHoleSimulation {
     // Update camera aspect ratio
     this.cameraController.setAspect(width / height);
 
-    // Update gravitational lensing render target
+    // Update gravitational lensing resolution
     if (this.gravitationalLensing) {
       this.gravitationalLensing.resize(width, height);
     }
@@ -408,6 +1497,218 @@ export class BlackHoleSimulation {
     }
   }
 
+  /**
+   * Stop or resume simulation time
+   * Rendering, the camera and the lensing stay live while paused.
+   * @param {boolean} paused - Whether the physics stands still
+   */
+  setPaused(paused) {
+    if (!this.simulationClock || paused === this.simulationClock.isPaused()) {
+      return;
+    }
+
+    this.simulationClock.setPaused(paused);
+    if (this.pauseChangeCallback) {
+      this.pauseChangeCallback(paused);
+    }
+  }
+
+  /**
+   * Register a callback for when the simulation is paused or resumed, so
+   * controls can follow pauses made elsewhere (e.g. the space bar)
+   * @param {Function|null} callback - Called with whether the simulation is now paused
+   */
+  onPauseChange(callback) {
+    this.pauseChangeCallback = callback;
+  }
+
+  /**
+   * Check whether simulation time stands still
+   * @returns {boolean} True if paused
+   */
+  isPaused() {
+    return this.simulationClock ? this.simulationClock.isPaused() : false;
+  }
+
+  /**
+   * Advance the simulation by single fixed steps on the next frame, e.g. to
+   * go frame by frame while paused; in reverse the steps go backwards
+   * @param {number} count - Number of steps
+   */
+  step(count = 1) {
+    if (this.simulationClock) {
+      this.simulationClock.step(count);
+    }
+  }
+
+  /**
+   * Check whether the simulation can be played backwards
+   * Needs a time-reversible particle integrator (velocity Verlet); the binary
+   * inspiral loses energy to gravitational waves, so it cannot run backwards.
+   * @returns {boolean} True if reverse playback is available
+   */
+  canReverse() {
+    if (!this.configManager) {
+      return false;
+    }
+    return REVERSIBLE_INTEGRATORS.includes(this.configManager.getConfig().particleIntegrator) &&
+      !this.isBinaryInspiralling();
+  }
+
+  /**
+   * Play the simulation forwards or backwards
+   * Particles retrace their orbits, up to rounding, while the disk, jets and
+   * clocks run backwards. Particles that were swallowed and respawned do not
+   * come back, the tidal disruption debris, the probe and a merged binary's
+   * waves hold still, and trails are hidden until playback is forwards again.
+   * @param {boolean} reversed - Whether simulation time runs backwards
+   * @returns {boolean} Whether the simulation now runs backwards
+   */
+  setReversed(reversed) {
+    if (!this.simulationClock || reversed === this.isReversed()) {
+      return this.isReversed();
+    }
+
+    if (reversed && !this.canReverse()) {
+      console.warn('Reverse playback needs the velocity Verlet integrator and no binary inspiral.');
+      return false;
+    }
+
+    this.simulationClock.setReversed(reversed);
+    if (this.particleTrails && !this.gpuParticleSystem) {
+      this.particleTrails.setEnabled(!reversed && this.configManager.getConfig().particleTrails);
+    }
+    return reversed;
+  }
+
+  /**
+   * Check whether simulation time runs backwards
+   * @returns {boolean} True in reverse
+   */
+  isReversed() {
+    return this.simulationClock ? this.simulationClock.isReversed() : false;
+  }
+
+  /**
+   * Get the simulation time
+   * @returns {number} Simulation seconds since the start, less any time played backwards
+   */
+  getSimulationTime() {
+    return this.simulationClock ? this.simulationClock.elapsedTime : 0;
+  }
+
+  /**
+   * Capture the current moment as a snapshot
+   * The snapshot is plain JSON: the configuration, the camera position and
+   * target, the simulation time, the disk and jet animation times and the
+   * full particle buffers (base64 of
+   * little-endian floats), with a format version. GPU particles are read back
+   * from their textures. A tidal disruption, probe, fall or binary inspiral in
+   * progress is not captured.
+   * @returns {Object} A snapshot for restoreSnapshot, e.g. after a round trip through a file
+   * @throws {Error} If the simulation is not initialized
+   */
+  getSnapshot() {
+    if (!this.configManager || !this.particleSystem || !this.cameraController) {
+      throw new Error('Simulation not initialized. Call initialize() first.');
+    }
+
+    const camera = this.cameraController.getCamera();
+    const controls = this.cameraController.getControls();
+    let gpuParticles = null;
+    if (this.gpuParticleSystem) {
+      const { positions, velocities } = this.gpuParticleSystem.getState();
+      gpuParticles = {
+        textureSize: this.gpuParticleSystem.textureSize,
+        positions: encodeFloat32Array(positions),
+        velocities: encodeFloat32Array(velocities),
+        randomState: this.gpuParticleSystem.random.getState()
+      };
+    }
+
+    return {
+      format: SNAPSHOT_FORMAT,
+      version: SNAPSHOT_VERSION,
+      config: this.configManager.getConfig(),
+      camera: {
+        position: camera.position.toArray(),
+        target: controls.target.toArray()
+      },
+      time: this.getSimulationTime(),
+      animation: {
+        disk: this.accretionDisk ? this.accretionDisk.getAnimationTime() : 0,
+        jets: this.relativisticJets ? this.relativisticJets.getAnimationTime() : 0
+      },
+      particles: captureParticles(this.particleSystem),
+      gpuParticles
+    };
+  }
+
+  /**
+   * Return to the moment captured by getSnapshot
+   * Only the settings that differ are applied, so unchanged ones do not
+   * reload the sky or reseed; the saved particles then replace the current
+   * ones, on whichever compute path the snapshot used. Running scenarios and
+   * a fall are stopped, the selection is cleared and the time dilation clocks
+   * are synchronised.
+   * A binary in the snapshot restarts its inspiral. Pause and reverse are left
+   * as they are.
+   * @param {Object} snapshot - A snapshot from getSnapshot
+   * @throws {Error} If the snapshot is malformed or of an unsupported version;
+   *   the simulation is then left untouched
+   */
+  restoreSnapshot(snapshot) {
+    if (!this.configManager || !this.particleSystem || !this.cameraController) {
+      throw new Error('Simulation not initialized. Call initialize() first.');
+    }
+    const decoded = decodeSnapshot(snapshot, this.configManager);
+
+    this.stopTidalDisruption();
+    this.stopTidalProbe();
+    this.stopFallIn();
+    this.selectParticle(-1);
+
+    const { particleCompute, ...config } = configChanges(this.configManager.getConfig(), decoded.config);
+    if (Object.keys(config).length > 0) {
+      this.updateConfig(config);
+    }
+
+    // The particles are written on the main thread; a running worker keeps
+    // its own copy, so it restarts from them
+    restoreParticles(this.particleSystem, decoded.particles);
+    if (this.particleWorker && particleCompute === undefined) {
+      this.setParticleCompute('cpu');
+      this.setParticleCompute('worker');
+    }
+    if (particleCompute !== undefined) {
+      this.updateConfig({ particleCompute });
+    }
+
+    if (this.gpuParticleSystem && decoded.gpuParticles) {
+      if (decoded.gpuParticles.textureSize === this.gpuParticleSystem.textureSize) {
+        this.gpuParticleSystem.setState(decoded.gpuParticles.positions, decoded.gpuParticles.velocities);
+        this.gpuParticleSystem.random.setState(decoded.gpuParticles.randomState);
+      } else {
+        console.warn('Snapshot GPU particles do not match the GPU particle count. Respawning them.');
+      }
+    }
+
+    const [x, y, z] = decoded.camera.position;
+    this.cameraController.setPosition(x, y, z);
+    this.cameraController.setTarget(new THREE.Vector3().fromArray(decoded.camera.target));
+
+    if (this.simulationClock) {
+      this.simulationClock.setElapsedTime(decoded.time);
+    }
+    if (this.accretionDisk) {
+      this.accretionDisk.setAnimationTime(decoded.animation.disk);
+    }
+    if (this.relativisticJets) {
+      this.relativisticJets.setAnimationTime(decoded.animation.jets);
+    }
+    this.synchroniseClocks();
+  }
+
   /**
    * Start the animation loop
    */
@@ -454,7 +1755,8 @@ export class BlackHoleSimulation {
     // Request next frame
     this.animationFrameId = requestAnimationFrame(() => this.animate());
 
-    // Get delta time from scene manager's clock
+    // Get the real frame time from the scene manager's clock; the simulation
+    // clock turns it into physics steps
     const deltaTime = this.sceneManager.getDeltaTime();
 
     // Update all components
@@ -476,14 +1778,90 @@ export class BlackHoleSimulation {
 
   /**
    * Update all simulation components
-   * @param {number} deltaTime - Time elapsed since last frame in seconds
+   * The physics advances in the fixed steps the simulation clock pays out
+   * for this frame. The camera, the particle marker and the lensing follow
+   * real time, so they stay live while the simulation is paused.
+   * @param {number} deltaTime - Real time elapsed since last frame in seconds
    */
   update(deltaTime) {
-    // Update camera controls (applies damping)
+    if (this.simulationClock) {
+      const steps = this.simulationClock.advance(deltaTime);
+      const stepDuration = this.simulationClock.getStepDuration();
+      for (let i = 0; i < steps; i++) {
+        this.updateSimulation(stepDuration);
+      }
+    }
+
+    // Show the worker's latest particles, also on frames without steps
+    if (this.particleWorker) {
+      this.particleWorker.sync(this.blackHolePosition);
+    }
+
+    // The camera follows the binary's centre of mass
+    if (this.binaryBlackHole && this.binaryBlackHole.isActive() && this.cameraController &&
+        !this.followSelectedParticle && !this.cameraController.isFalling()) {
+      this.cameraController.setTarget(this.binaryBlackHole.getCentreOfMass());
+    }
+
+    // Update camera controls (applies damping), or advance a falling camera
     if (this.cameraController) {
       this.cameraController.update(deltaTime);
     }
 
+    // Keep the highlight (and the camera, when following) on the selected particle
+    if (this.particleSelection && !this.gpuParticleSystem) {
+      this.particleSelection.update();
+      if (this.followSelectedParticle && this.cameraController && !this.cameraController.isFalling()) {
+        const i3 = this.particleSelection.getSelectedIndex() * 3;
+        this.cameraController.moveTarget(
+          new THREE.Vector3().fromArray(this.particleSystem.positions, i3)
+        );
+      }
+    }
+
+    // Update gravitational lensing with current camera position and motion
+    if (this.gravitationalLensing && this.cameraController) {
+      this.gravitationalLensing.setObserverVelocity(this.cameraController.getObserverVelocity());
+      if (this.isBinaryInspiralling()) {
+        const [primary, secondary] = this.binaryBlackHole.getAttractors();
+        this.gravitationalLensing.update(
+          this.cameraController.camera,
+          primary.position,
+          secondary.position
+        );
+      } else {
+        this.gravitationalLensing.update(
+          this.cameraController.camera,
+          this.blackHolePosition
+        );
+      }
+    }
+
+    // Update scene manager (calls update on any managed objects)
+    if (this.sceneManager) {
+      this.sceneManager.update(deltaTime);
+    }
+  }
+
+  /**
+   * Advance the physics and animations by one fixed step
+   * A negative step plays them backwards (see setReversed).
+   * @private
+   * @param {number} deltaTime - Step duration in simulation seconds
+   */
+  updateSimulation(deltaTime) {
+    // Advance the binary first so the particles feel its new positions; a
+    // merger swaps in the remnant through the merger callback. The binary and
+    // its waves only run forwards
+    if (deltaTime > 0) {
+      if (this.binaryBlackHole) {
+        this.binaryBlackHole.update(deltaTime);
+      }
+      if (this.gravitationalWaves) {
+        this.gravitationalWaves.update(deltaTime);
+      }
+    }
+
     // Update black hole core animation
     if (this.blackHoleCore) {
       this.blackHoleCore.update(deltaTime);
@@ -494,11 +1872,48 @@ export class BlackHoleSimulation {
       this.accretionDisk.update(deltaTime);
     }
 
-    // Update particle system physics
-    if (this.particleSystem) {
+    // Update particle system physics; the GPU particles mirror the CPU
+    // system's settings and replace it while they run, and the worker
+    // integrates it off the main thread
+    if (this.gpuParticleSystem) {
+      this.gpuParticleSystem.copySettings(this.particleSystem);
+      this.gpuParticleSystem.update(deltaTime, this.blackHolePosition);
+    } else if (this.particleWorker) {
+      this.particleWorker.step(deltaTime, this.blackHolePosition);
+    } else if (this.particleSystem) {
       this.particleSystem.update(deltaTime, this.blackHolePosition);
     }
 
+    // Record the particles' new positions in their trails
+    if (this.particleTrails && !this.gpuParticleSystem) {
+      this.particleTrails.update(deltaTime);
+    }
+
+    // Update the tidal disruption scenario
+    if (this.tidalDisruption) {
+      this.tidalDisruption.update(deltaTime, this.blackHolePosition);
+    }
+
+    // Update the falling probe and its deformation
+    if (this.tidalProbe) {
+      this.tidalProbe.update(deltaTime, this.blackHolePosition);
+    }
+
+    // Advance the probe clock against the simulation clock; a free-falling
+    // clock reads the probe's own time
+    if (this.timeDilationClocks) {
+      const riding = this.timeDilationClocks.mode === 'freefall' && this.tidalProbe;
+      this.timeDilationClocks.update(
+        deltaTime,
+        riding ? this.tidalProbe.getStatus(this.blackHolePosition) : null
+      );
+    }
+
+    // Update relativistic jet flow
+    if (this.relativisticJets) {
+      this.relativisticJets.update(deltaTime);
+    }
+
     // Update starfield twinkling
     if (this.starfield) {
       this.starfield.update(deltaTime);
@@ -508,19 +1923,6 @@ export class BlackHoleSimulation {
     if (this.lightingSystem) {
       this.lightingSystem.update(deltaTime);
     }
-
-    // Update gravitational lensing with current camera position
-    if (this.gravitationalLensing && this.cameraController) {
-      this.gravitationalLensing.update(
-        this.cameraController.camera.position,
-        this.blackHolePosition
-      );
-    }
-
-    // Update scene manager (calls update on any managed objects)
-    if (this.sceneManager) {
-      this.sceneManager.update(deltaTime);
-    }
   }
 
   /**
@@ -531,6 +1933,14 @@ export class BlackHoleSimulation {
       return;
     }
 
+    // Refresh the starfield and sky background cubemap traced by the lensing pass
+    if (this.gravitationalLensing) {
+      this.gravitationalLensing.updateEnvironment(
+        this.rendererManager.renderer,
+        this.sceneManager.scene
+      );
+    }
+
     // Render using the renderer manager (handles post-processing)
     this.rendererManager.render(
       this.sceneManager.scene,
@@ -594,6 +2004,11 @@ export class BlackHoleSimulation {
 
     // Remove event listeners
     window.removeEventListener('resize', this.handleResize);
+    if (this.canvas) {
+      this.canvas.removeEventListener('pointerdown', this.handlePointerDown);
+      this.canvas.removeEventListener('pointerup', this.handlePointerUp);
+      this.canvas = null;
+    }
 
     // Dispose of all components in reverse order of initialization
     if (this.gravitationalLensing) {
@@ -606,11 +2021,63 @@ export class BlackHoleSimulation {
       this.lightingSystem = null;
     }
 
+    if (this.skyBackground) {
+      this.skyBackground.dispose();
+      this.skyBackground = null;
+    }
+
     if (this.starfield) {
       this.starfield.dispose();
       this.starfield = null;
     }
 
+    if (this.gravitationalWaves) {
+      this.gravitationalWaves.dispose();
+      this.gravitationalWaves = null;
+    }
+
+    if (this.binaryBlackHole) {
+      this.binaryBlackHole.dispose();
+      this.binaryBlackHole = null;
+    }
+
+    this.timeDilationClocks = null;
+
+    if (this.tidalProbe) {
+      this.tidalProbe.dispose();
+      this.tidalProbe = null;
+    }
+
+    if (this.tidalDisruption) {
+      this.tidalDisruption.dispose();
+      this.tidalDisruption = null;
+    }
+
+    if (this.relativisticJets) {
+      this.relativisticJets.dispose();
+      this.relativisticJets = null;
+    }
+
+    if (this.particleSelection) {
+      this.particleSelection.dispose();
+      this.particleSelection = null;
+    }
+
+    if (this.particleTrails) {
+      this.particleTrails.dispose();
+      this.particleTrails = null;
+    }
+
+    if (this.gpuParticleSystem) {
+      this.gpuParticleSystem.dispose();
+      this.gpuParticleSystem = null;
+    }
+
+    if (this.particleWorker) {
+      this.particleWorker.dispose();
+      this.particleWorker = null;
+    }
+
     if (this.particleSystem) {
       this.particleSystem.dispose();
       this.particleSystem = null;
@@ -657,6 +2124,7 @@ export class BlackHoleSimulation {
     }
 
     this.performanceNotificationCallback = null;
+    this.pauseChangeCallback = null;
 
     console.log('Black Hole Simulation disposed');
   }
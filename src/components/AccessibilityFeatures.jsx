@@ -118,13 +118,9 @@ export function AccessibilityFeatures({ simulation, cameraController }) {
           e.preventDefault();
           break;
         case ' ':
-          // Space bar to pause/play
+          // Space bar to pause/play; the camera stays live while paused
           if (simulation) {
-            if (simulation.isRunning) {
-              simulation.stop();
-            } else {
-              simulation.start();
-            }
+            simulation.setPaused(!simulation.isPaused());
           }
           e.preventDefault();
           break;
@@ -195,7 +191,7 @@ export function AccessibilityFeatures({ simulation, cameraController }) {
             <ul>
               <li><kbd>Arrow Keys</kbd> - Rotate camera view</li>
               <li><kbd>+</kbd> / <kbd>-</kbd> - Zoom in/out</li>
-              <li><kbd>Space</kbd> - Pause/Play animation</li>
+              <li><kbd>Space</kbd> - Pause/Play the simulation</li>
               <li><kbd>H</kbd> - Toggle this help panel</li>
             </ul>
           </section>
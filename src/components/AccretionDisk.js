@@ -1,8 +1,97 @@
 import * as THREE from 'three';
 import { createShaderMaterial } from '../utils/ShaderUtils.js';
+import { DEFAULT_MASS, DISK_FREQUENCY_SHIFT_GLSL } from '../utils/BlackHolePhysics.js';
+import { BLACKBODY_GLSL, createBlackbodyTexture } from '../utils/Blackbody.js';
 
 /**
- * AccretionDisk renders the rotating disk with differential rotation and heat gradients.
+ * Ray-march step counts for each disk quality level
+ */
+export const DISK_QUALITY_STEPS = {
+  low: 24,
+  medium: 48,
+  high: 96
+};
+
+// Upper bound of the ray-march loop; must cover the highest quality level
+const MAX_DISK_STEPS = 96;
+
+// The volume extends this many scale heights above and below the midplane
+const DISK_HEIGHT_EXTENT = 3.0;
+
+// Fractions of the inner and outer radius over which the gas fades in and out
+const INNER_TAPER = 1.1;
+const OUTER_TAPER = 0.7;
+
+/**
+ * Hermite interpolation between two edges, as GLSL's smoothstep()
+ */
+function smoothstep(edge0, edge1, x) {
+  const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+}
+
+/**
+ * Smooth gas density of the disk, before turbulence is added
+ * The vertical profile is a Gaussian with scale height H = scaleHeight · r;
+ * the gas fades in just outside the inner radius and out towards the outer one.
+ * @param {number} radius - Cylindrical distance from the spin axis
+ * @param {number} height - Distance above or below the midplane
+ * @param {Object} disk - Disk shape
+ * @param {number} disk.innerRadius - Inner disk radius
+ * @param {number} disk.outerRadius - Outer disk radius
+ * @param {number} disk.scaleHeight - Scale height as a fraction of radius (H/r)
+ * @param {number} disk.density - Density multiplier
+ * @returns {number} Gas density
+ */
+export function diskDensityEnvelope(radius, height, { innerRadius, outerRadius, scaleHeight, density }) {
+  const h = scaleHeight * radius;
+  const vertical = Math.exp(-0.5 * height * height / (h * h));
+  const radial = smoothstep(innerRadius, innerRadius * INNER_TAPER, radius) *
+    (1 - smoothstep(outerRadius * OUTER_TAPER, outerRadius, radius));
+  return density * radial * vertical;
+}
+
+/**
+ * Angular velocity of the gas, falling off with the Keplerian r^-1.5 law
+ * @param {number} radius - Cylindrical distance from the spin axis
+ * @param {number} rotationSpeed - Rotation speed multiplier
+ * @returns {number} Angular velocity in radians per second
+ */
+export function diskAngularVelocity(radius, rotationSpeed) {
+  return rotationSpeed / Math.pow(radius, 1.5);
+}
+
+// GLSL counterparts of diskDensityEnvelope() and diskAngularVelocity(); the
+// disk shape comes from the shader's uniforms
+const DISK_PROFILE_GLSL = `
+      /**
+       * Smooth gas density at a radius and height, before turbulence
+       */
+      float diskDensityEnvelope(float radius, float height) {
+        float h = scaleHeight * radius;
+        float vertical = exp(-0.5 * height * height / (h * h));
+        float radial = smoothstep(innerRadius, innerRadius * ${INNER_TAPER.toFixed(1)}, radius) *
+          (1.0 - smoothstep(outerRadius * ${OUTER_TAPER.toFixed(1)}, outerRadius, radius));
+        return density * radial * vertical;
+      }
+
+      /**
+       * Keplerian angular velocity of the gas
+       */
+      float diskAngularVelocity(float radius) {
+        return rotationSpeed / pow(radius, 1.5);
+      }
+`;
+
+/**
+ * AccretionDisk renders the rotating disk as a ray-marched volume.
+ * Gas density follows a Gaussian vertical profile with a configurable scale
+ * height, modulated by 3D noise that is advected with differential Keplerian
+ * rotation (rotationSpeed / r^1.5), so the disk has depth, filaments and
+ * self-occlusion and stays visible edge-on.
+ * Colours follow a Shakura–Sunyaev temperature profile mapped through a
+ * blackbody lookup texture. Relativistic Doppler beaming and gravitational redshift shift the brightness
+ * and hue of each sample, making the approaching side brighter.
  * Implements Requirements 1.2, 5.1, 5.2, 5.3, 5.4, 5.5
  */
 export class AccretionDisk {
@@ -11,6 +100,17 @@ export class AccretionDisk {
     this.innerRadius = 1.5;
     this.outerRadius = 4.0;
     this.rotationSpeed = 1.0;
+    this.mass = DEFAULT_MASS;
+    this.horizonRadius = 2 * DEFAULT_MASS;
+    this.dopplerBeaming = true;
+    this.gravitationalRedshift = true;
+    this.peakTemperature = 10000;
+    this.scaleHeight = 0.05;
+    this.density = 1.0;
+    this.emission = 2.0;
+    this.quality = 'medium';
+    this.animationTime = 0;
+    this.blackbodyTexture = null;
     this.material = null;
   }
 
@@ -23,29 +123,40 @@ export class AccretionDisk {
     this.innerRadius = innerRadius;
     this.outerRadius = outerRadius;
 
-    // Create ring geometry with sufficient segments (≥128 radial)
-    // Using 128 radial segments and 64 tubular segments for smooth appearance
-    const geometry = new THREE.RingGeometry(
-      this.innerRadius,
-      this.outerRadius,
-      128, // radial segments (≥128 as per requirement 5.5)
-      64   // tubular segments for smooth circular appearance
-    );
+    const geometry = this.createGeometry();
+
+    // Blackbody colour lookup sampled by the fragment shader
+    this.blackbodyTexture = createBlackbodyTexture();
 
     // Create custom shader material (defined in separate method)
     this.material = this.createShaderMaterial();
 
-    // Create the mesh
+    // Create the mesh; the disk lies in the XZ plane and orbits around +Y
     this.mesh = new THREE.Mesh(geometry, this.material);
     this.mesh.name = 'AccretionDisk';
     
-    // Rotate disk to be horizontal (perpendicular to Y axis)
-    this.mesh.rotation.x = -Math.PI / 2;
-    
     // Enable frustum culling for performance optimization
     this.mesh.frustumCulled = true;
   }
 
+  /**
+   * Create the bounding cylinder that encloses the disk volume
+   * Only its back faces are drawn, so the volume renders from inside and out.
+   * @returns {THREE.CylinderGeometry} The bounding geometry
+   */
+  createGeometry() {
+    const height = 2 * this.getHalfThickness();
+    return new THREE.CylinderGeometry(this.outerRadius, this.outerRadius, height, 64, 1);
+  }
+
+  /**
+   * Half thickness of the volume at the outer edge
+   * @returns {number} Distance from the midplane to the top of the volume
+   */
+  getHalfThickness() {
+    return DISK_HEIGHT_EXTENT * this.scaleHeight * this.outerRadius;
+  }
+
   /**
    * Create the custom shader material for the accretion disk
    * @returns {THREE.ShaderMaterial} The shader material
@@ -53,93 +164,237 @@ export class AccretionDisk {
   createShaderMaterial() {
     // Shader uniforms
     const uniforms = {
-      time: { value: 0.0 },
+      time: { value: this.animationTime },
       innerRadius: { value: this.innerRadius },
       outerRadius: { value: this.outerRadius },
+      halfThickness: { value: this.getHalfThickness() },
       rotationSpeed: { value: this.rotationSpeed },
-      // Temperature gradient colors (hot inner to cool outer)
-      hotColor: { value: new THREE.Color(0xffaa00) },  // Orange-yellow (hot)
-      coolColor: { value: new THREE.Color(0xff3300) }, // Red (cool)
-      emissiveStrength: { value: 2.0 }
+      // Volume structure
+      scaleHeight: { value: this.scaleHeight },
+      density: { value: this.density },
+      steps: { value: DISK_QUALITY_STEPS[this.quality] },
+      // Thin-disk temperature profile mapped to blackbody colours
+      peakTemperature: { value: this.peakTemperature },
+      blackbodyTexture: { value: this.blackbodyTexture },
+      emissiveStrength: { value: this.emission },
+      // Relativistic effects
+      blackHoleMass: { value: this.mass },
+      horizonRadius: { value: this.horizonRadius },
+      dopplerBeaming: { value: this.dopplerBeaming },
+      gravitationalRedshift: { value: this.gravitationalRedshift }
     };
 
-    // Vertex shader with differential rotation based on radius
+    // Vertex shader - rays are marched in object space from the camera
     const vertexShader = `
+      varying vec3 vPosition;
+      varying vec3 vRayOrigin;
+      
+      void main() {
+        vPosition = position;
+        vRayOrigin = (inverse(modelMatrix) * vec4(cameraPosition, 1.0)).xyz;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+      }
+    `;
+
+    // Fragment shader - emission/absorption ray march through the disk volume
+    const fragmentShader = `
       uniform float time;
       uniform float innerRadius;
       uniform float outerRadius;
+      uniform float halfThickness;
       uniform float rotationSpeed;
+      uniform float scaleHeight;
+      uniform float density;
+      uniform int steps;
+      uniform float peakTemperature;
+      uniform float emissiveStrength;
+      uniform float blackHoleMass;
+      uniform float horizonRadius;
+      uniform bool dopplerBeaming;
+      uniform bool gravitationalRedshift;
       
-      varying vec2 vUv;
       varying vec3 vPosition;
-      varying float vRadius;
+      varying vec3 vRayOrigin;
+      ${BLACKBODY_GLSL}${DISK_FREQUENCY_SHIFT_GLSL}${DISK_PROFILE_GLSL}
+      const int MAX_STEPS = ${MAX_DISK_STEPS};
       
-      void main() {
-        vUv = uv;
-        
-        // Calculate radius from center for this vertex
-        vec3 pos = position;
-        float radius = length(pos.xy);
-        vRadius = radius;
+      // Noise is re-seeded every FLOW_PERIOD seconds (cross-faded between two
+      // phases) so differential rotation cannot wind it up indefinitely
+      const float FLOW_PERIOD = 16.0;
+      const float NOISE_SCALE = 1.5;
+      
+      // Fraction of light absorbed per unit density and length
+      const float ABSORPTION = 1.0;
+      
+      float hash(vec3 p) {
+        p = fract(p * 0.3183099 + 0.1);
+        p *= 17.0;
+        return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
+      }
+      
+      /**
+       * Smooth 3D value noise in [0, 1]
+       */
+      float valueNoise(vec3 p) {
+        vec3 i = floor(p);
+        vec3 f = fract(p);
+        f = f * f * (3.0 - 2.0 * f);
         
-        // Differential rotation: inner regions rotate faster than outer
-        // Using Keplerian rotation profile: angular velocity ∝ 1/sqrt(r^3)
-        float normalizedRadius = (radius - innerRadius) / (outerRadius - innerRadius);
-        float angularVelocity = rotationSpeed / pow(radius, 1.5);
-        float rotationAngle = angularVelocity * time;
+        return mix(
+          mix(
+            mix(hash(i), hash(i + vec3(1.0, 0.0, 0.0)), f.x),
+            mix(hash(i + vec3(0.0, 1.0, 0.0)), hash(i + vec3(1.0, 1.0, 0.0)), f.x),
+            f.y
+          ),
+          mix(
+            mix(hash(i + vec3(0.0, 0.0, 1.0)), hash(i + vec3(1.0, 0.0, 1.0)), f.x),
+            mix(hash(i + vec3(0.0, 1.0, 1.0)), hash(i + vec3(1.0, 1.0, 1.0)), f.x),
+            f.y
+          ),
+          f.z
+        );
+      }
+      
+      /**
+       * Fractal turbulence built from four octaves of value noise
+       */
+      float turbulence(vec3 p) {
+        float value = 0.0;
+        float amplitude = 0.5;
+        for (int i = 0; i < 4; i++) {
+          value += amplitude * valueNoise(p);
+          p *= 2.03;
+          amplitude *= 0.5;
+        }
+        return value;
+      }
+      
+      /**
+       * Sample noise carried along by the disk's differential rotation
+       * @param p Position in disk space
+       * @param radius Cylindrical radius of p
+       * @param phase Fraction of the flow period elapsed for this layer
+       * @param seed Offset that decorrelates the two flow layers
+       */
+      float advectedNoise(vec3 p, float radius, float phase, float seed) {
+        // Keplerian angular velocity, same law as the original flat disk
+        float angle = -diskAngularVelocity(radius) * phase * FLOW_PERIOD;
         
-        // Apply rotation around Z axis
-        float cosAngle = cos(rotationAngle);
-        float sinAngle = sin(rotationAngle);
+        // Rotate back to where this gas was when the layer was seeded
+        float c = cos(angle);
+        float s = sin(angle);
+        vec3 source = vec3(c * p.x + s * p.z, p.y, -s * p.x + c * p.z);
         
-        vec2 rotatedPos;
-        rotatedPos.x = pos.x * cosAngle - pos.y * sinAngle;
-        rotatedPos.y = pos.x * sinAngle + pos.y * cosAngle;
+        // Squash vertically so structures stay flat like the disk
+        vec3 q = source / innerRadius * NOISE_SCALE;
+        q.y *= 4.0;
+        return turbulence(q + seed);
+      }
+      
+      /**
+       * Gas density at a point in disk space
+       */
+      float diskDensity(vec3 p, float radius) {
+        float envelope = diskDensityEnvelope(radius, p.y);
+        if (envelope < 1e-4) {
+          return 0.0;
+        }
         
-        pos.xy = rotatedPos;
-        vPosition = pos;
+        // Two flow layers offset by half a period, cross-faded
+        float phaseA = fract(time / FLOW_PERIOD);
+        float phaseB = fract(phaseA + 0.5);
+        float weightA = 1.0 - abs(2.0 * phaseA - 1.0);
+        float noise = weightA * advectedNoise(p, radius, phaseA, 0.0) +
+          (1.0 - weightA) * advectedNoise(p, radius, phaseB, 17.0);
         
-        gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
+        // Sharpen the noise into dense filaments and sparse gaps
+        float filaments = smoothstep(0.25, 0.75, noise);
+        return envelope * (0.15 + 1.85 * filaments * filaments);
       }
-    `;
-
-    // Fragment shader with temperature gradient and effects
-    const fragmentShader = `
-      uniform float innerRadius;
-      uniform float outerRadius;
-      uniform vec3 hotColor;
-      uniform vec3 coolColor;
-      uniform float emissiveStrength;
       
-      varying vec2 vUv;
-      varying vec3 vPosition;
-      varying float vRadius;
+      /**
+       * Intersect a ray with the disk's bounding cylinder
+       * @return Entry and exit distances (entry > exit when missed)
+       */
+      vec2 intersectVolume(vec3 origin, vec3 dir) {
+        vec2 range = vec2(0.0, 1e6);
+        
+        // Slab |y| <= halfThickness
+        if (abs(dir.y) > 1e-6) {
+          float t0 = (-halfThickness - origin.y) / dir.y;
+          float t1 = (halfThickness - origin.y) / dir.y;
+          range = vec2(max(range.x, min(t0, t1)), min(range.y, max(t0, t1)));
+        } else if (abs(origin.y) > halfThickness) {
+          return vec2(1.0, 0.0);
+        }
+        
+        // Infinite cylinder x² + z² <= outerRadius²
+        float a = dot(dir.xz, dir.xz);
+        float b = dot(origin.xz, dir.xz);
+        float c = dot(origin.xz, origin.xz) - outerRadius * outerRadius;
+        float discriminant = b * b - a * c;
+        if (discriminant < 0.0 || a < 1e-8) {
+          return vec2(1.0, 0.0);
+        }
+        float root = sqrt(discriminant);
+        range = vec2(max(range.x, (-b - root) / a), min(range.y, (-b + root) / a));
+        
+        // Stop at the event horizon
+        float bh = dot(origin, dir);
+        float ch = dot(origin, origin) - horizonRadius * horizonRadius;
+        float dh = bh * bh - ch;
+        if (dh > 0.0) {
+          float tHorizon = -bh - sqrt(dh);
+          if (tHorizon > 0.0) {
+            range.y = min(range.y, tHorizon);
+          }
+        }
+        
+        return range;
+      }
       
       void main() {
-        // Calculate normalized radius (0 at inner, 1 at outer)
-        float normalizedRadius = (vRadius - innerRadius) / (outerRadius - innerRadius);
-        
-        // Temperature gradient: hot inner to cool outer
-        vec3 color = mix(hotColor, coolColor, normalizedRadius);
+        vec3 origin = vRayOrigin;
+        vec3 dir = normalize(vPosition - vRayOrigin);
         
-        // Emissive lighting for heat radiation
-        vec3 emissive = color * emissiveStrength;
+        vec2 range = intersectVolume(origin, dir);
+        if (range.x >= range.y) {
+          discard;
+        }
         
-        // Fresnel effect for edge transparency
-        vec3 viewDir = normalize(cameraPosition - vPosition);
-        vec3 normal = vec3(0.0, 0.0, 1.0); // Disk normal points up
-        float fresnel = abs(dot(viewDir, normal));
+        float stepSize = (range.y - range.x) / float(steps);
         
-        // Transparency increases toward disk edges (outer radius)
-        float baseAlpha = 0.9 - normalizedRadius * 0.6;
+        // Jitter the start to trade banding for fine noise
+        float t = range.x + stepSize * hash(vec3(gl_FragCoord.xy, time));
         
-        // Apply Fresnel for additional edge transparency
-        float alpha = baseAlpha * (0.3 + 0.7 * fresnel);
+        vec3 color = vec3(0.0);
+        float transmittance = 1.0;
         
-        // Combine color with emissive
-        vec3 finalColor = color + emissive;
+        for (int i = 0; i < MAX_STEPS; i++) {
+          if (i >= steps || transmittance < 0.01) {
+            break;
+          }
+          
+          vec3 p = origin + dir * t;
+          float radius = length(p.xz);
+          float rho = diskDensity(p, radius);
+          
+          if (rho > 1e-3) {
+            // Blackbody colour of the local temperature as seen by the
+            // observer; I_nu / nu^3 is invariant, so intensity scales as g^4
+            float shift = diskFrequencyShift(blackHoleMass, p, dir, dopplerBeaming, gravitationalRedshift);
+            float temperature = diskTemperature(radius, innerRadius, peakTemperature);
+            vec3 emission = blackbody(temperature * shift) * pow(shift, 4.0) * emissiveStrength;
+            
+            color += transmittance * emission * rho * stepSize;
+            transmittance *= exp(-rho * ABSORPTION * stepSize);
+          }
+          
+          t += stepSize;
+        }
         
-        gl_FragColor = vec4(finalColor, alpha);
+        // Premultiplied alpha: the gas hides what lies behind it
+        gl_FragColor = vec4(color, 1.0 - transmittance);
       }
     `;
 
@@ -148,9 +403,10 @@ export class AccretionDisk {
       uniforms: uniforms,
       vertexShader: vertexShader,
       fragmentShader: fragmentShader,
-      side: THREE.DoubleSide,
+      side: THREE.BackSide,
       transparent: true,
-      blending: THREE.AdditiveBlending,
+      premultipliedAlpha: true,
+      depthTest: false,
       depthWrite: false
     }, 'AccretionDisk');
   }
@@ -160,9 +416,29 @@ export class AccretionDisk {
    * @param {number} deltaTime - Time elapsed since last frame in seconds
    */
   update(deltaTime) {
+    this.animationTime += deltaTime;
     if (this.material && this.material.uniforms) {
       // Update time uniform for differential rotation animation
-      this.material.uniforms.time.value += deltaTime;
+      this.material.uniforms.time.value = this.animationTime;
+    }
+  }
+
+  /**
+   * Get how far the disk animation has run
+   * @returns {number} Animation time in seconds
+   */
+  getAnimationTime() {
+    return this.animationTime;
+  }
+
+  /**
+   * Jump the disk animation to a time, e.g. when restoring a snapshot
+   * @param {number} time - Animation time in seconds
+   */
+  setAnimationTime(time) {
+    this.animationTime = time;
+    if (this.material && this.material.uniforms) {
+      this.material.uniforms.time.value = time;
     }
   }
 
@@ -177,6 +453,140 @@ export class AccretionDisk {
     }
   }
 
+  /**
+   * Set the black hole mass used for orbital speeds and redshift
+   * @param {number} mass - Black hole mass (half the Schwarzschild radius)
+   */
+  setMass(mass) {
+    this.mass = mass;
+    if (this.material && this.material.uniforms) {
+      this.material.uniforms.blackHoleMass.value = mass;
+    }
+  }
+
+  /**
+   * Toggle relativistic Doppler beaming of the orbiting gas
+   * @param {boolean} enabled - Whether beaming is applied
+   */
+  setDopplerBeaming(enabled) {
+    this.dopplerBeaming = enabled;
+    if (this.material && this.material.uniforms) {
+      this.material.uniforms.dopplerBeaming.value = enabled;
+    }
+  }
+
+  /**
+   * Toggle gravitational redshift of the disk emission
+   * @param {boolean} enabled - Whether redshift is applied
+   */
+  setGravitationalRedshift(enabled) {
+    this.gravitationalRedshift = enabled;
+    if (this.material && this.material.uniforms) {
+      this.material.uniforms.gravitationalRedshift.value = enabled;
+    }
+  }
+
+  /**
+   * Set the peak temperature of the disk
+   * @param {number} temperature - Maximum disk temperature in kelvin
+   */
+  setPeakTemperature(temperature) {
+    this.peakTemperature = temperature;
+    if (this.material && this.material.uniforms) {
+      this.material.uniforms.peakTemperature.value = temperature;
+    }
+  }
+
+  /**
+   * Change the disk radii, rebuilding the geometry in place
+   * @param {number} innerRadius - The inner radius of the disk
+   * @param {number} outerRadius - The outer radius of the disk
+   */
+  setRadii(innerRadius, outerRadius) {
+    this.innerRadius = innerRadius;
+    this.outerRadius = outerRadius;
+
+    if (this.mesh) {
+      const oldGeometry = this.mesh.geometry;
+      this.mesh.geometry = this.createGeometry();
+      oldGeometry.dispose();
+    }
+
+    if (this.material && this.material.uniforms) {
+      this.material.uniforms.innerRadius.value = innerRadius;
+      this.material.uniforms.outerRadius.value = outerRadius;
+      this.material.uniforms.halfThickness.value = this.getHalfThickness();
+    }
+  }
+
+  /**
+   * Set the event horizon radius where rays through the disk stop
+   * @param {number} radius - Outer event horizon radius
+   */
+  setHorizonRadius(radius) {
+    this.horizonRadius = radius;
+    if (this.material && this.material.uniforms) {
+      this.material.uniforms.horizonRadius.value = radius;
+    }
+  }
+
+  /**
+   * Set the disk scale height, rebuilding the bounding volume in place
+   * @param {number} scaleHeight - Scale height as a fraction of radius (H/r)
+   */
+  setScaleHeight(scaleHeight) {
+    this.scaleHeight = scaleHeight;
+
+    if (this.mesh) {
+      const oldGeometry = this.mesh.geometry;
+      this.mesh.geometry = this.createGeometry();
+      oldGeometry.dispose();
+    }
+
+    if (this.material && this.material.uniforms) {
+      this.material.uniforms.scaleHeight.value = scaleHeight;
+      this.material.uniforms.halfThickness.value = this.getHalfThickness();
+    }
+  }
+
+  /**
+   * Set the gas density, which controls both brightness and opacity
+   * @param {number} density - Density multiplier
+   */
+  setDensity(density) {
+    this.density = density;
+    if (this.material && this.material.uniforms) {
+      this.material.uniforms.density.value = density;
+    }
+  }
+
+  /**
+   * Set the emission strength of the gas
+   * @param {number} emission - Emission multiplier
+   */
+  setEmission(emission) {
+    this.emission = emission;
+    if (this.material && this.material.uniforms) {
+      this.material.uniforms.emissiveStrength.value = emission;
+    }
+  }
+
+  /**
+   * Set the ray-march quality
+   * @param {'low'|'medium'|'high'} quality - Quality level (see DISK_QUALITY_STEPS)
+   */
+  setQuality(quality) {
+    if (!DISK_QUALITY_STEPS[quality]) {
+      console.warn(`Invalid disk quality: ${quality}. Using 'medium'.`);
+      quality = 'medium';
+    }
+
+    this.quality = quality;
+    if (this.material && this.material.uniforms) {
+      this.material.uniforms.steps.value = DISK_QUALITY_STEPS[quality];
+    }
+  }
+
   /**
    * Get the shader material
    * @returns {THREE.ShaderMaterial} The material
@@ -199,5 +609,10 @@ export class AccretionDisk {
       this.mesh = null;
       this.material = null;
     }
+
+    if (this.blackbodyTexture) {
+      this.blackbodyTexture.dispose();
+      this.blackbodyTexture = null;
+    }
   }
 }
@@ -0,0 +1,330 @@
+import * as THREE from 'three';
+import { BlackHoleCore } from './BlackHoleCore.js';
+import {
+  DEFAULT_MASS,
+  binaryOrbitalFrequency,
+  horizonRadius,
+  inspiralRate,
+  mergerRemnant
+} from '../utils/BlackHolePhysics.js';
+
+/**
+ * BinaryBlackHole animates two non-spinning black holes on a circular orbit
+ * that decays by gravitational-wave emission until their horizons touch and
+ * they merge into a single spinning remnant.
+ * The separation follows the Peters quadrupole law, which integrates exactly
+ * to a⁴(t) = a₀⁴ − (256/5) m₁m₂M t; the inspiral can be sped up so a merger
+ * plays out in seconds. The orbit lies in the disk plane and runs
+ * counter-clockwise around +Y, so the remnant spins about +Y as well.
+ */
+export class BinaryBlackHole {
+  constructor() {
+    this.group = null;
+    this.primary = null;
+    this.secondary = null;
+
+    this.totalMass = DEFAULT_MASS;
+    this.massRatio = 1.0;
+    this.initialSeparation = 8.0;
+    this.inspiralSpeed = 1.0;
+
+    // Orbit state, fixed at start() until the next start
+    this.primaryMass = DEFAULT_MASS / 2;
+    this.secondaryMass = DEFAULT_MASS / 2;
+    this.separation = this.initialSeparation;
+    this.phase = 0;
+    this.centreOfMass = new THREE.Vector3(0, 0, 0);
+    this.active = false;
+    this.merged = false;
+    this.remnant = null;
+
+    // Point masses handed to other components; the positions are the core
+    // meshes' positions, so they move with the orbit
+    this.attractors = null;
+
+    this.mergerCallback = null;
+  }
+
+  /**
+   * Initialize the binary; both holes stay hidden until start() is called
+   * @param {number} separation - Separation at which the inspiral starts
+   */
+  initialize(separation = 8.0) {
+    this.initialSeparation = separation;
+    this.separation = separation;
+
+    this.group = new THREE.Group();
+    this.group.name = 'BinaryBlackHole';
+    this.group.visible = false;
+
+    this.primary = new BlackHoleCore();
+    this.primary.initialize(horizonRadius(this.primaryMass));
+    this.secondary = new BlackHoleCore();
+    this.secondary.initialize(horizonRadius(this.secondaryMass));
+    this.group.add(this.primary.mesh, this.secondary.mesh);
+
+    this.attractors = [
+      { position: this.primary.mesh.position, mass: this.primaryMass, horizonRadius: this.primary.radius },
+      { position: this.secondary.mesh.position, mass: this.secondaryMass, horizonRadius: this.secondary.radius }
+    ];
+  }
+
+  /**
+   * Place both holes at the initial separation and start the inspiral,
+   * restarting it if one is already running
+   * @param {THREE.Vector3} centre - Centre of mass of the binary
+   */
+  start(centre = new THREE.Vector3(0, 0, 0)) {
+    if (!this.group) {
+      return;
+    }
+
+    // Mass ratio q = m₂/m₁ ≤ 1 splits the total mass
+    this.primaryMass = this.totalMass / (1 + this.massRatio);
+    this.secondaryMass = this.totalMass - this.primaryMass;
+    this.primary.setRadius(horizonRadius(this.primaryMass));
+    this.secondary.setRadius(horizonRadius(this.secondaryMass));
+
+    this.attractors[0].mass = this.primaryMass;
+    this.attractors[0].horizonRadius = this.primary.radius;
+    this.attractors[1].mass = this.secondaryMass;
+    this.attractors[1].horizonRadius = this.secondary.radius;
+
+    this.centreOfMass.copy(centre);
+    this.separation = Math.max(this.initialSeparation, this.getMergerSeparation());
+    this.phase = 0;
+    this.merged = false;
+    this.remnant = null;
+    this.active = true;
+    this.group.visible = true;
+
+    this.updatePositions();
+  }
+
+  /**
+   * Stop the inspiral and hide both holes
+   */
+  stop() {
+    this.active = false;
+    if (this.group) {
+      this.group.visible = false;
+    }
+  }
+
+  /**
+   * Check whether the holes are currently inspiralling
+   * @returns {boolean} True between start() and the merger or stop()
+   */
+  isActive() {
+    return this.active;
+  }
+
+  /**
+   * Check whether the last inspiral ended in a merger
+   * @returns {boolean} True once the holes have merged
+   */
+  hasMerged() {
+    return this.merged;
+  }
+
+  /**
+   * Register a callback for the moment the holes merge
+   * @param {Function} callback - Called with the remnant's mass and spin
+   */
+  onMerger(callback) {
+    this.mergerCallback = callback;
+  }
+
+  /**
+   * Advance the orbit and shrink the separation
+   * @param {number} deltaTime - Time elapsed since last frame in seconds
+   */
+  update(deltaTime) {
+    if (!this.active) {
+      return;
+    }
+
+    if (this.primary) {
+      this.primary.update(deltaTime);
+      this.secondary.update(deltaTime);
+    }
+
+    // Exact solution of the Peters law over the step: with da/dt = −K/a³,
+    // a⁴ decreases at the constant rate 4K
+    const rate = -inspiralRate(this.primaryMass, this.secondaryMass, 1) * this.inspiralSpeed;
+    const a4 = Math.pow(this.separation, 4) - 4 * rate * deltaTime;
+    const mergerSeparation = this.getMergerSeparation();
+
+    if (a4 <= Math.pow(mergerSeparation, 4)) {
+      this.separation = mergerSeparation;
+      this.merge();
+      return;
+    }
+
+    this.separation = Math.pow(a4, 0.25);
+    this.phase += binaryOrbitalFrequency(this.totalMass, this.separation) * deltaTime;
+    this.updatePositions();
+  }
+
+  /**
+   * Move both holes to their current positions around the centre of mass
+   * @private
+   */
+  updatePositions() {
+    const cos = Math.cos(this.phase);
+    const sin = Math.sin(this.phase);
+
+    // Each hole sits opposite the other, at a distance inversely proportional to its mass
+    const primaryDistance = this.separation * this.secondaryMass / this.totalMass;
+    const secondaryDistance = this.separation * this.primaryMass / this.totalMass;
+
+    this.primary.mesh.position
+      .set(-cos * primaryDistance, 0, sin * primaryDistance)
+      .add(this.centreOfMass);
+    this.secondary.mesh.position
+      .set(cos * secondaryDistance, 0, -sin * secondaryDistance)
+      .add(this.centreOfMass);
+  }
+
+  /**
+   * Replace the binary by its remnant and notify the merger callback
+   * @private
+   */
+  merge() {
+    this.remnant = mergerRemnant(this.primaryMass, this.secondaryMass);
+    this.active = false;
+    this.merged = true;
+    this.group.visible = false;
+
+    if (this.mergerCallback) {
+      this.mergerCallback({ ...this.remnant });
+    }
+  }
+
+  /**
+   * Separation at which the two horizons touch and the holes merge
+   * @returns {number} Sum of both horizon radii
+   */
+  getMergerSeparation() {
+    return horizonRadius(this.primaryMass) + horizonRadius(this.secondaryMass);
+  }
+
+  /**
+   * Time left until the horizons touch at the current inspiral speed
+   * @returns {number} Time to merger in seconds (0 when not inspiralling)
+   */
+  getTimeToMerger() {
+    if (!this.active) {
+      return 0;
+    }
+    const rate = -inspiralRate(this.primaryMass, this.secondaryMass, 1) * this.inspiralSpeed;
+    return (Math.pow(this.separation, 4) - Math.pow(this.getMergerSeparation(), 4)) / (4 * rate);
+  }
+
+  /**
+   * Get the current distance between the holes
+   * @returns {number} Separation in scene units
+   */
+  getSeparation() {
+    return this.separation;
+  }
+
+  /**
+   * Get the current orbital phase, measured counter-clockwise around +Y from
+   * the secondary's starting position on +X
+   * @returns {number} Phase in radians
+   */
+  getPhase() {
+    return this.phase;
+  }
+
+  /**
+   * Get the current orbital angular velocity
+   * @returns {number} Angular velocity in rad/s
+   */
+  getOrbitalFrequency() {
+    return binaryOrbitalFrequency(this.totalMass, this.separation);
+  }
+
+  /**
+   * Get the masses of the two holes of the current inspiral
+   * @returns {{primary: number, secondary: number}} Heavier and lighter mass
+   */
+  getMasses() {
+    return { primary: this.primaryMass, secondary: this.secondaryMass };
+  }
+
+  /**
+   * Get the centre of mass of the binary
+   * @returns {THREE.Vector3} Centre of mass (shared, do not modify)
+   */
+  getCentreOfMass() {
+    return this.centreOfMass;
+  }
+
+  /**
+   * Get both holes as point masses for gravity and lensing
+   * @returns {Array<{position: THREE.Vector3, mass: number, horizonRadius: number}>} Primary and secondary
+   */
+  getAttractors() {
+    return this.attractors;
+  }
+
+  /**
+   * Get the black hole left by the last merger
+   * @returns {{mass: number, spin: number}|null} Remnant mass and spin, or null before a merger
+   */
+  getRemnant() {
+    return this.remnant ? { ...this.remnant } : null;
+  }
+
+  /**
+   * Set the combined mass of both holes (applied when the next inspiral starts)
+   * @param {number} mass - Total mass
+   */
+  setTotalMass(mass) {
+    this.totalMass = mass;
+  }
+
+  /**
+   * Set the mass ratio (applied when the next inspiral starts)
+   * @param {number} ratio - Lighter over heavier mass (0 < q ≤ 1)
+   */
+  setMassRatio(ratio) {
+    this.massRatio = Math.min(1, Math.max(1e-3, ratio));
+  }
+
+  /**
+   * Set the separation the inspiral starts from (applied when the next inspiral starts)
+   * @param {number} separation - Initial separation in scene units
+   */
+  setSeparation(separation) {
+    this.initialSeparation = separation;
+  }
+
+  /**
+   * Speed up the gravitational-wave inspiral
+   * @param {number} speed - Factor applied to the Peters rate (1 is physical)
+   */
+  setInspiralSpeed(speed) {
+    this.inspiralSpeed = Math.max(0, speed);
+  }
+
+  /**
+   * Dispose of all resources
+   */
+  dispose() {
+    if (this.primary) {
+      this.primary.dispose();
+      this.primary = null;
+    }
+    if (this.secondary) {
+      this.secondary.dispose();
+      this.secondary = null;
+    }
+    this.group = null;
+    this.attractors = null;
+    this.mergerCallback = null;
+    this.active = false;
+  }
+}
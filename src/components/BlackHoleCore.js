@@ -19,9 +19,7 @@ export class BlackHoleCore {
   initialize(radius = 1.0) {
     this.radius = radius;
 
-    // Create spherical geometry for event horizon
-    // Using 64 segments for smooth appearance
-    const geometry = new THREE.SphereGeometry(this.radius, 64, 64);
+    const geometry = this.createGeometry();
 
     // Create custom shader material (defined in separate method)
     this.material = this.createShaderMaterial();
@@ -34,6 +32,15 @@ export class BlackHoleCore {
     this.mesh.frustumCulled = true;
   }
 
+  /**
+   * Create the event horizon geometry for the current radius
+   * @returns {THREE.SphereGeometry} The sphere geometry
+   */
+  createGeometry() {
+    // Using 64 segments for smooth appearance
+    return new THREE.SphereGeometry(this.radius, 64, 64);
+  }
+
   /**
    * Create the custom shader material for the black hole
    * @returns {THREE.ShaderMaterial} The shader material
@@ -114,6 +121,24 @@ export class BlackHoleCore {
     }
   }
 
+  /**
+   * Change the event horizon radius, rebuilding the geometry in place
+   * @param {number} radius - The radius of the event horizon
+   */
+  setRadius(radius) {
+    this.radius = radius;
+
+    if (this.mesh) {
+      const oldGeometry = this.mesh.geometry;
+      this.mesh.geometry = this.createGeometry();
+      oldGeometry.dispose();
+    }
+
+    if (this.material && this.material.uniforms) {
+      this.material.uniforms.radius.value = radius;
+    }
+  }
+
   /**
    * Get the shader material
    * @returns {THREE.ShaderMaterial} The material
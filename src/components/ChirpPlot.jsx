@@ -0,0 +1,130 @@
+import { useEffect, useRef, useState } from 'react';
+import './ChirpPlot.css';
+
+// Plot size in CSS pixels
+const PLOT_WIDTH = 320;
+const PLOT_HEIGHT = 120;
+
+// Colours matching the strain grid's stretch and squeeze tints
+const PLUS_COLOR = '#ffaa55';
+const CROSS_COLOR = '#55aaff';
+
+/**
+ * Draw one polarisation as a line across the plot
+ * @param {CanvasRenderingContext2D} context - 2D drawing context
+ * @param {Float32Array} samples - Strain samples, oldest first
+ * @param {number} scale - Strain mapped to the top edge of the plot
+ * @param {string} color - Line colour
+ */
+function drawSeries(context, samples, scale, color) {
+  const middle = PLOT_HEIGHT / 2;
+  const step = PLOT_WIDTH / (samples.length - 1);
+
+  context.strokeStyle = color;
+  context.lineWidth = 1.5;
+  context.beginPath();
+  for (let i = 0; i < samples.length; i++) {
+    const y = middle - (samples[i] / scale) * (middle - 4);
+    if (i === 0) {
+      context.moveTo(0, y);
+    } else {
+      context.lineTo(i * step, y);
+    }
+  }
+  context.stroke();
+}
+
+/**
+ * ChirpPlot shows the gravitational-wave strain of the binary against time.
+ * The samples come from the simulation's strain record, which advances on the
+ * scene clock, so the plot moves in step with the strain grid and freezes
+ * while the simulation is paused. It is hidden while the wave display is off.
+ */
+export function ChirpPlot({ simulation }) {
+  const canvasRef = useRef(null);
+  const [visible, setVisible] = useState(false);
+  const [duration, setDuration] = useState(0);
+
+  useEffect(() => {
+    if (!simulation) return;
+
+    let frameId = null;
+    let shown = false;
+
+    const draw = () => {
+      frameId = requestAnimationFrame(draw);
+
+      const series = simulation.getGravitationalWaveStrain();
+      if (Boolean(series) !== shown) {
+        shown = Boolean(series);
+        setVisible(shown);
+        if (series) {
+          setDuration(series.plus.length * series.interval);
+        }
+      }
+
+      const canvas = canvasRef.current;
+      if (!series || !canvas) return;
+
+      const context = canvas.getContext('2d');
+      const ratio = window.devicePixelRatio || 1;
+      if (canvas.width !== PLOT_WIDTH * ratio) {
+        canvas.width = PLOT_WIDTH * ratio;
+        canvas.height = PLOT_HEIGHT * ratio;
+      }
+      context.setTransform(ratio, 0, 0, ratio, 0, 0);
+      context.clearRect(0, 0, PLOT_WIDTH, PLOT_HEIGHT);
+
+      // Zero line
+      context.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+      context.lineWidth = 1;
+      context.beginPath();
+      context.moveTo(0, PLOT_HEIGHT / 2);
+      context.lineTo(PLOT_WIDTH, PLOT_HEIGHT / 2);
+      context.stroke();
+
+      // Scale to the loudest sample so the chirp fills the plot
+      let peak = 0;
+      for (let i = 0; i < series.plus.length; i++) {
+        peak = Math.max(peak, Math.abs(series.plus[i]), Math.abs(series.cross[i]));
+      }
+      if (peak === 0) return;
+
+      drawSeries(context, series.cross, peak, CROSS_COLOR);
+      drawSeries(context, series.plus, peak, PLUS_COLOR);
+    };
+
+    draw();
+
+    return () => {
+      if (frameId !== null) {
+        cancelAnimationFrame(frameId);
+      }
+    };
+  }, [simulation]);
+
+  return (
+    <div
+      className="chirp-plot"
+      style={{ display: visible ? 'block' : 'none' }}
+      role="img"
+      aria-label="Gravitational-wave strain of the binary over time"
+    >
+      <div className="chirp-plot-header">
+        <span>Strain</span>
+        <span className="chirp-plot-legend">
+          <span style={{ color: PLUS_COLOR }}>h+</span>
+          <span style={{ color: CROSS_COLOR }}>h×</span>
+        </span>
+      </div>
+      <canvas
+        ref={canvasRef}
+        style={{ width: `${PLOT_WIDTH}px`, height: `${PLOT_HEIGHT}px` }}
+      />
+      <div className="chirp-plot-axis">
+        <span>−{duration.toFixed(0)} s</span>
+        <span>now</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,913 @@
+import * as THREE from 'three';
+import { FullScreenQuad } from 'three/examples/jsm/postprocessing/Pass.js';
+import { Random } from '../utils/Random.js';
+import {
+  BLACKBODY_GLSL,
+  DISK_PEAK_RADIUS_FACTOR,
+  createBlackbodyTexture
+} from '../utils/Blackbody.js';
+import {
+  DEFAULT_MASS,
+  SPEED_OF_LIGHT,
+  pseudoNewtonianRadius
+} from '../utils/BlackHolePhysics.js';
+import {
+  MAX_SUBSTEP_DURATION,
+  MIN_GRAVITY_DISTANCE,
+  PARTICLE_INTEGRATORS,
+  PSEUDO_NEWTONIAN_SOFTENING
+} from './ParticleSystem.js';
+
+// Point masses the compute shader can handle in place of the single hole
+// (a binary needs two)
+const MAX_ATTRACTORS = 2;
+
+// Upper limit of the substep loop; matches the maxSubsteps config bound
+const MAX_SUBSTEPS = 16;
+
+// Point sprites shrink as the swarm grows, so a million particles do not
+// saturate the additive blending; at or below this count they keep the CPU size
+const FULL_SIZE_PARTICLE_COUNT = 5000;
+const MIN_POINT_SCALE = 0.3;
+
+/**
+ * Vertex shader of the full-screen compute passes
+ */
+const PASS_VERTEX_SHADER = `
+      void main() {
+        gl_Position = vec4(position, 1.0);
+      }
+`;
+
+/**
+ * Compute pass: advances each texel's particle once and writes its position
+ * and velocity to the two attachments of the state render target.
+ */
+const COMPUTE_SHADER = `
+      uniform sampler2D texturePosition;
+      uniform sampler2D textureVelocity;
+      uniform vec2 resolution;
+      uniform float timeStep;
+      uniform float frameTime;
+      uniform int substeps;
+      uniform int integrator;
+      uniform bool pseudoNewtonian;
+      uniform vec3 blackHolePosition;
+      uniform float blackHoleMass;
+      uniform float blackHoleSpin;
+      uniform float horizonRadius;
+      uniform float pseudoNewtonianRadius;
+      uniform int attractorCount;
+      uniform vec4 attractors[${MAX_ATTRACTORS}];
+      uniform vec2 attractorRadii[${MAX_ATTRACTORS}];
+      uniform float spawnRadius;
+      uniform float spawnSeed;
+
+      const int MAX_ATTRACTORS = ${MAX_ATTRACTORS};
+      const int MAX_SUBSTEPS = ${MAX_SUBSTEPS};
+      const float SPEED_OF_LIGHT = ${SPEED_OF_LIGHT.toFixed(1)};
+      const float C2 = SPEED_OF_LIGHT * SPEED_OF_LIGHT;
+      const float PSEUDO_NEWTONIAN_SOFTENING = ${PSEUDO_NEWTONIAN_SOFTENING.toFixed(2)};
+      const float MIN_GRAVITY_DISTANCE = ${MIN_GRAVITY_DISTANCE.toExponential()};
+      const float TWO_PI = 6.28318530718;
+
+      /**
+       * Pseudo-random number in [0, 1)
+       * @param p Seed
+       */
+      float hash(vec3 p) {
+        p = fract(p * 0.1031);
+        p += dot(p, p.zyx + 31.32);
+        return fract((p.x + p.y) * p.z);
+      }
+
+      /**
+       * Add the pull of one point mass (GM/r² or GM/(r − rp)²)
+       * @param p Position
+       * @param centre Position of the point mass
+       * @param mass Geometric mass
+       * @param horizon Horizon radius
+       * @param rp Paczyński–Wiita radius
+       * @param a Acceleration to add to
+       * @return Whether the position is inside the horizon
+       */
+      bool pull(vec3 p, vec3 centre, float mass, float horizon, float rp, inout vec3 a) {
+        vec3 d = centre - p;
+        float distance = max(length(d), MIN_GRAVITY_DISTANCE);
+        float softened = distance;
+        if (pseudoNewtonian) {
+          softened = max(distance - rp, PSEUDO_NEWTONIAN_SOFTENING * rp);
+        }
+        a += d * (mass * C2 / (softened * softened * distance));
+        return distance < horizon;
+      }
+
+      /**
+       * Gravitational acceleration of the black hole or the attractors
+       * @param p Position
+       * @param a Receives the acceleration
+       * @return Whether the position is inside a horizon
+       */
+      bool gravity(vec3 p, out vec3 a) {
+        a = vec3(0.0);
+        if (attractorCount == 0) {
+          return pull(p, blackHolePosition, blackHoleMass, horizonRadius, pseudoNewtonianRadius, a);
+        }
+
+        bool swallowed = false;
+        for (int i = 0; i < MAX_ATTRACTORS; i++) {
+          if (i >= attractorCount) {
+            break;
+          }
+          swallowed = pull(p, attractors[i].xyz, attractors[i].w, attractorRadii[i].x, attractorRadii[i].y, a) || swallowed;
+        }
+        return swallowed;
+      }
+
+      /**
+       * Lense–Thirring angular velocity about the spin axis (+Y)
+       * @param r Distance from the black hole
+       * @param sinTheta Sine of the polar angle
+       */
+      float frameDragging(float r, float sinTheta) {
+        float a = blackHoleSpin * blackHoleMass;
+        float r2a2 = r * r + a * a;
+        float delta = r * r - 2.0 * blackHoleMass * r + a * a;
+        float denominator = r2a2 * r2a2 - a * a * delta * sinTheta * sinTheta;
+        return 2.0 * blackHoleMass * a * r / denominator * SPEED_OF_LIGHT;
+      }
+
+      /**
+       * Turn a point about the spin axis by the frame-dragging angle, as
+       * ParticleSystem.dragFrame does
+       * @param p Position
+       * @param dt Duration of the turn in seconds
+       * @return The turned position
+       */
+      vec3 dragFrame(vec3 p, float dt) {
+        vec3 d = p - blackHolePosition;
+        float r = length(d);
+        float angle = frameDragging(r, length(d.xz) / r) * dt;
+        float c = cos(angle);
+        float s = sin(angle);
+        return blackHolePosition + vec3(d.x * c + d.z * s, d.y, d.z * c - d.x * s);
+      }
+
+      /**
+       * Advance a particle by one step of the selected integrator
+       * @param p Position
+       * @param v Velocity
+       * @param dt Step duration in seconds
+       * @return Whether the particle fell into a horizon
+       */
+      bool integrate(inout vec3 p, inout vec3 v, float dt) {
+        // Frame dragging sweeps local inertial frames around the spin axis;
+        // half the turn before the step and half after keeps it time-symmetric
+        bool dragging = blackHoleSpin > 0.0 && attractorCount == 0;
+        if (dragging) {
+          p = dragFrame(p, 0.5 * dt);
+        }
+
+        vec3 a;
+        if (gravity(p, a)) {
+          return true;
+        }
+
+        vec3 np;
+        vec3 nv;
+        bool swallowed = false;
+        if (integrator == 1) {
+          // Velocity Verlet: drift with the old acceleration, kick with the average
+          np = p + (v + 0.5 * a * dt) * dt;
+          vec3 a2;
+          swallowed = gravity(np, a2);
+          nv = v + 0.5 * (a + a2) * dt;
+        } else if (integrator == 2) {
+          // Classical fourth-order Runge-Kutta on (position, velocity)
+          float h = 0.5 * dt;
+          vec3 v2 = v + a * h;
+          vec3 a2;
+          swallowed = gravity(p + v * h, a2);
+          vec3 v3 = v + a2 * h;
+          vec3 a3;
+          swallowed = gravity(p + v2 * h, a3) || swallowed;
+          vec3 v4 = v + a3 * dt;
+          vec3 a4;
+          swallowed = gravity(p + v3 * dt, a4) || swallowed;
+          np = p + (v + 2.0 * v2 + 2.0 * v3 + v4) * (dt / 6.0);
+          nv = v + (a + 2.0 * a2 + 2.0 * a3 + a4) * (dt / 6.0);
+        } else {
+          // Semi-implicit (symplectic) Euler: kick, then drift with the new velocity
+          nv = v + a * dt;
+          np = p + nv * dt;
+        }
+
+        if (dragging) {
+          np = dragFrame(np, 0.5 * dt);
+        }
+
+        p = np;
+        v = nv;
+        return swallowed;
+      }
+
+      /**
+       * Respawn a particle outside the spawn radius, as ParticleSystem.resetParticle does
+       * @param seed Per-particle seed
+       * @param p Receives the position
+       * @param v Receives the velocity
+       */
+      void spawn(vec2 seed, out vec3 p, out vec3 v) {
+        vec3 s = vec3(seed * 1024.0, spawnSeed);
+        float theta = hash(s) * TWO_PI;
+        float phi = acos(2.0 * hash(s + 1.0) - 1.0);
+        float radius = spawnRadius * (1.0 + hash(s + 2.0) * 0.25);
+        p = radius * vec3(sin(phi) * cos(theta), sin(phi) * sin(theta), cos(phi));
+        v = (vec3(hash(s + 3.0), hash(s + 4.0), hash(s + 5.0)) - 0.5) * 0.1;
+
+        // Prograde, sub-Keplerian launch for the gravity model
+        float axisDistance = length(p.xz);
+        if (axisDistance > 0.0) {
+          float rp = pseudoNewtonian ? pseudoNewtonianRadius : 0.0;
+          float circularSpeed = sqrt(blackHoleMass * C2 * radius) / (radius - rp);
+          float speed = (0.5 + 0.5 * hash(s + 6.0)) * circularSpeed;
+          v.x += p.z / axisDistance * speed;
+          v.z -= p.x / axisDistance * speed;
+        }
+      }
+
+      /**
+       * Rate of a particle's clock against coordinate time (see properTimeRate)
+       * @param d Offset from the black hole
+       * @param v Velocity
+       */
+      float properTimeRate(vec3 d, vec3 v) {
+        float r = length(d);
+        float lapse = 1.0 - 2.0 * blackHoleMass / r;
+        if (lapse <= 0.0) {
+          return 0.0;
+        }
+        float radialSpeed = dot(d, v) / r;
+        float tangentialSquared = max(dot(v, v) - radialSpeed * radialSpeed, 0.0);
+        return sqrt(max(lapse - (radialSpeed * radialSpeed / lapse + tangentialSquared) / C2, 0.0));
+      }
+
+      /**
+       * Advance this texel's particle over the frame
+       * Position w holds the coordinate time since spawning, velocity w the proper time.
+       * @param position Receives the new position and age
+       * @param velocity Receives the new velocity and proper time
+       */
+      void advance(out vec4 position, out vec4 velocity) {
+        vec2 uv = gl_FragCoord.xy / resolution.xy;
+        vec4 previousPosition = texture2D(texturePosition, uv);
+        vec4 previousVelocity = texture2D(textureVelocity, uv);
+        vec3 p = previousPosition.xyz;
+        vec3 v = previousVelocity.xyz;
+
+        bool swallowed = false;
+        for (int s = 0; s < MAX_SUBSTEPS; s++) {
+          if (s >= substeps || swallowed) {
+            break;
+          }
+          swallowed = integrate(p, v, timeStep);
+        }
+
+        if (swallowed) {
+          spawn(uv, p, v);
+          position = vec4(p, 0.0);
+          velocity = vec4(v, 0.0);
+          return;
+        }
+
+        float rate = properTimeRate(p - blackHolePosition, v);
+        position = vec4(p, previousPosition.w + frameTime);
+        velocity = vec4(v, previousVelocity.w + rate * frameTime);
+      }
+
+      layout(location = 0) out vec4 outPosition;
+      layout(location = 1) out vec4 outVelocity;
+
+      void main() {
+        advance(outPosition, outVelocity);
+      }
+`;
+
+/**
+ * Seed pass: copies a position and a velocity texture into the state render target
+ */
+const SEED_SHADER = `
+      uniform sampler2D seedPosition;
+      uniform sampler2D seedVelocity;
+      uniform vec2 resolution;
+
+      layout(location = 0) out vec4 outPosition;
+      layout(location = 1) out vec4 outVelocity;
+
+      void main() {
+        vec2 uv = gl_FragCoord.xy / resolution;
+        outPosition = texture2D(seedPosition, uv);
+        outVelocity = texture2D(seedVelocity, uv);
+      }
+`;
+
+/**
+ * GPUParticleSystem simulates the particle swarm on the GPU, so it can hold
+ * 100k–1M particles instead of a few thousand.
+ *
+ * Positions and velocities live in the two attachments of a float render
+ * target, one texel per particle. A single fragment shader pass integrates
+ * each particle once per step and writes both attachments, ping-ponging
+ * between two copies of the target. The point sprites read
+ * their positions from the texture in the vertex shader, so nothing is
+ * uploaded per frame. The physics follows ParticleSystem: the same
+ * integrators, substepping, gravity models, binary attractors, frame
+ * dragging and respawning, copied from a ParticleSystem with copySettings().
+ * Scenario accelerations and captured (non-recycled) particles are CPU-only.
+ *
+ * Float render targets are not available everywhere; check isSupported()
+ * first and keep the CPU ParticleSystem as the fallback.
+ */
+export class GPUParticleSystem {
+  constructor() {
+    this.renderer = null;
+    this.particles = null;
+    this.material = null;
+    this.blackbodyTexture = null;
+
+    this.particleCount = 262144;
+    this.textureSize = 512;
+    this.spawnRadius = 8.0;
+    this.eventHorizonRadius = 1.0;
+    this.mass = DEFAULT_MASS;
+    this.spin = 0.0;
+    this.pseudoNewtonianRadius = pseudoNewtonianRadius(DEFAULT_MASS);
+    this.gravityModel = 'newtonian';
+    this.integrator = 'verlet';
+    this.maxSubsteps = 8;
+    this.attractors = null;
+    this.diskInnerRadius = 1.5;
+    this.diskOuterRadius = 4.0;
+    this.peakTemperature = 10000;
+    this.minimumTemperature = 0;
+
+    // Ping-pong render targets holding positions (attachment 0) and
+    // velocities (attachment 1); currentState indexes the latest
+    this.stateTargets = null;
+    this.currentState = 0;
+
+    // Full-screen passes that advance and seed the state
+    this.computeUniforms = null;
+    this.computeMaterial = null;
+    this.seedMaterial = null;
+    this.passQuad = null;
+
+    // Random numbers for the initial swarm and the per-frame spawn seed; the
+    // simulation injects a seeded stream
+    this.random = new Random();
+  }
+
+  /**
+   * Check whether a renderer can run the GPU particles
+   * Needs vertex shader texture reads and renderable float textures.
+   * @param {THREE.WebGLRenderer} renderer - The WebGL renderer
+   * @returns {boolean} True if the GPU path is available
+   */
+  static isSupported(renderer) {
+    return Boolean(renderer && renderer.capabilities && renderer.extensions) &&
+      renderer.capabilities.maxVertexTextures > 0 &&
+      renderer.extensions.has('EXT_color_buffer_float');
+  }
+
+  /**
+   * Initialize the GPU particles
+   * @param {THREE.WebGLRenderer} renderer - The WebGL renderer that runs the computation
+   * @param {number} count - Number of particles
+   * @param {number} spawnRadius - Radius at which particles spawn
+   * @param {number} eventHorizonRadius - Radius of the black hole event horizon
+   * @throws {Error} If the computation cannot be set up on this renderer
+   */
+  initialize(renderer, count = 262144, spawnRadius = 8.0, eventHorizonRadius = 1.0) {
+    if (!GPUParticleSystem.isSupported(renderer)) {
+      throw new Error('GPU particle computation is not supported by this renderer');
+    }
+
+    this.renderer = renderer;
+    this.spawnRadius = spawnRadius;
+    this.eventHorizonRadius = eventHorizonRadius;
+    this.computeUniforms = this.createComputeUniforms();
+    this.createPasses();
+
+    this.blackbodyTexture = createBlackbodyTexture();
+    this.material = this.createShaderMaterial();
+
+    this.particles = new THREE.Points(new THREE.BufferGeometry(), this.material);
+    this.particles.name = 'GPUParticleSystem';
+
+    // Positions only exist on the GPU, so there is no bounding sphere to cull with
+    this.particles.frustumCulled = false;
+
+    this.compileShaders();
+    this.setParticleCount(count);
+  }
+
+  /**
+   * Compile the compute, seed and sprite shaders with the renderer that runs
+   * them, so a driver that rejects one fails here rather than drawing nothing
+   * @throws {Error} If a shader program failed to compile or link
+   * @private
+   */
+  compileShaders() {
+    const quad = new THREE.PlaneGeometry(2, 2);
+    const scene = new THREE.Scene();
+    scene.add(new THREE.Mesh(quad, this.computeMaterial));
+    scene.add(new THREE.Mesh(quad, this.seedMaterial));
+    scene.add(this.particles);
+
+    this.renderer.compile(scene, new THREE.Camera());
+    scene.remove(this.particles);
+    quad.dispose();
+
+    for (const material of [this.computeMaterial, this.seedMaterial, this.material]) {
+      const program = this.renderer.properties.get(material).currentProgram;
+      if (!program) {
+        continue;
+      }
+
+      // Reading the uniforms links the program and fills in its diagnostics
+      program.getUniforms();
+      if (program.diagnostics && !program.diagnostics.runnable) {
+        throw new Error('GPU particle shaders failed to compile');
+      }
+    }
+  }
+
+  /**
+   * Create the uniforms of the compute pass
+   * @returns {Object} Compute shader uniforms
+   * @private
+   */
+  createComputeUniforms() {
+    return {
+      texturePosition: { value: null },
+      textureVelocity: { value: null },
+      resolution: { value: new THREE.Vector2() },
+      timeStep: { value: 0 },
+      frameTime: { value: 0 },
+      substeps: { value: 1 },
+      integrator: { value: PARTICLE_INTEGRATORS.indexOf(this.integrator) },
+      pseudoNewtonian: { value: false },
+      blackHolePosition: { value: new THREE.Vector3() },
+      blackHoleMass: { value: this.mass },
+      blackHoleSpin: { value: this.spin },
+      horizonRadius: { value: this.eventHorizonRadius },
+      pseudoNewtonianRadius: { value: this.pseudoNewtonianRadius },
+      attractorCount: { value: 0 },
+      attractors: { value: Array.from({ length: MAX_ATTRACTORS }, () => new THREE.Vector4()) },
+      attractorRadii: { value: Array.from({ length: MAX_ATTRACTORS }, () => new THREE.Vector2()) },
+      spawnRadius: { value: this.spawnRadius },
+      spawnSeed: { value: 0 }
+    };
+  }
+
+  /**
+   * Create the compute and seed passes; both write the two attachments of a
+   * state render target, so they need GLSL 3 output declarations
+   * @private
+   */
+  createPasses() {
+    this.computeMaterial = new THREE.ShaderMaterial({
+      glslVersion: THREE.GLSL3,
+      uniforms: this.computeUniforms,
+      vertexShader: PASS_VERTEX_SHADER,
+      fragmentShader: COMPUTE_SHADER
+    });
+    this.seedMaterial = new THREE.ShaderMaterial({
+      glslVersion: THREE.GLSL3,
+      uniforms: {
+        seedPosition: { value: null },
+        seedVelocity: { value: null },
+        resolution: this.computeUniforms.resolution
+      },
+      vertexShader: PASS_VERTEX_SHADER,
+      fragmentShader: SEED_SHADER
+    });
+    this.passQuad = new FullScreenQuad(this.computeMaterial);
+  }
+
+  /**
+   * Create the state render targets for a particle count and spawn the swarm
+   * @param {number} count - Number of particles
+   * @private
+   */
+  createComputation(count) {
+    const size = Math.max(1, Math.ceil(Math.sqrt(count)));
+    const createTarget = () => new THREE.WebGLRenderTarget(size, size, {
+      count: 2,
+      type: THREE.FloatType,
+      minFilter: THREE.NearestFilter,
+      magFilter: THREE.NearestFilter,
+      depthBuffer: false
+    });
+
+    this.stateTargets = [createTarget(), createTarget()];
+    this.currentState = 0;
+    this.textureSize = size;
+    this.computeUniforms.resolution.value.set(size, size);
+
+    const positions = new Float32Array(size * size * 4);
+    const velocities = new Float32Array(size * size * 4);
+    this.fillInitialState(positions, velocities);
+    this.writeState(positions, velocities);
+  }
+
+  /**
+   * Dispose of the state render targets
+   * @private
+   */
+  disposeComputation() {
+    if (this.stateTargets) {
+      this.stateTargets.forEach((target) => target.dispose());
+      this.stateTargets = null;
+    }
+  }
+
+  /**
+   * Get the render target holding the latest particle state
+   * @returns {THREE.WebGLRenderTarget} Positions in textures[0], velocities in textures[1]
+   * @private
+   */
+  getStateTarget() {
+    return this.stateTargets[this.currentState];
+  }
+
+  /**
+   * Draw a full-screen pass into a state render target
+   * @param {THREE.ShaderMaterial} material - Compute or seed material
+   * @param {THREE.WebGLRenderTarget} target - State render target to write
+   * @private
+   */
+  renderPass(material, target) {
+    const renderer = this.renderer;
+    const previousTarget = renderer.getRenderTarget();
+
+    // A compute pass is not a view: no XR cameras and no shadow map updates
+    const xrEnabled = renderer.xr.enabled;
+    const shadowAutoUpdate = renderer.shadowMap.autoUpdate;
+    renderer.xr.enabled = false;
+    renderer.shadowMap.autoUpdate = false;
+
+    this.passQuad.material = material;
+    renderer.setRenderTarget(target);
+    this.passQuad.render(renderer);
+
+    renderer.xr.enabled = xrEnabled;
+    renderer.shadowMap.autoUpdate = shadowAutoUpdate;
+    renderer.setRenderTarget(previousTarget);
+  }
+
+  /**
+   * Upload a particle state into the current state render target
+   * @param {Float32Array} positions - Position and age per texel
+   * @param {Float32Array} velocities - Velocity and proper time per texel
+   * @private
+   */
+  writeState(positions, velocities) {
+    const size = this.textureSize;
+    const createTexture = (data) => {
+      const texture = new THREE.DataTexture(data, size, size, THREE.RGBAFormat, THREE.FloatType);
+      texture.needsUpdate = true;
+      return texture;
+    };
+
+    const uniforms = this.seedMaterial.uniforms;
+    uniforms.seedPosition.value = createTexture(positions);
+    uniforms.seedVelocity.value = createTexture(velocities);
+    this.renderPass(this.seedMaterial, this.getStateTarget());
+
+    uniforms.seedPosition.value.dispose();
+    uniforms.seedVelocity.value.dispose();
+    uniforms.seedPosition.value = null;
+    uniforms.seedVelocity.value = null;
+  }
+
+  /**
+   * Spawn every particle for the initial state textures
+   * Mirrors ParticleSystem.resetParticle.
+   * @param {Float32Array} positions - Position texture data (x, y, z, age per texel)
+   * @param {Float32Array} velocities - Velocity texture data (vx, vy, vz, proper time per texel)
+   * @private
+   */
+  fillInitialState(positions, velocities) {
+    const gm = this.mass * SPEED_OF_LIGHT * SPEED_OF_LIGHT;
+
+    for (let i4 = 0; i4 < positions.length; i4 += 4) {
+      const theta = this.random.next() * Math.PI * 2;
+      const phi = Math.acos(2 * this.random.next() - 1);
+      const radius = this.spawnRadius * (1 + this.random.next() * 0.25);
+
+      const x = radius * Math.sin(phi) * Math.cos(theta);
+      const z = radius * Math.cos(phi);
+      positions[i4] = x;
+      positions[i4 + 1] = radius * Math.sin(phi) * Math.sin(theta);
+      positions[i4 + 2] = z;
+
+      velocities[i4] = (this.random.next() - 0.5) * 0.1;
+      velocities[i4 + 1] = (this.random.next() - 0.5) * 0.1;
+      velocities[i4 + 2] = (this.random.next() - 0.5) * 0.1;
+
+      const axisDistance = Math.sqrt(x * x + z * z);
+      if (axisDistance > 0) {
+        const rp = this.gravityModel === 'paczynski-wiita' ? this.pseudoNewtonianRadius : 0;
+        const circularSpeed = Math.sqrt(gm * radius) / (radius - rp);
+        const speed = (0.5 + 0.5 * this.random.next()) * circularSpeed;
+        velocities[i4] += (z / axisDistance) * speed;
+        velocities[i4 + 2] -= (x / axisDistance) * speed;
+      }
+    }
+  }
+
+  /**
+   * Create the sprite geometry; each vertex holds the texel its particle lives in
+   * @param {number} count - Number of particles
+   * @returns {THREE.BufferGeometry} Geometry with a reference attribute
+   * @private
+   */
+  createGeometry(count) {
+    const size = this.textureSize;
+    const references = new Float32Array(count * 2);
+    for (let i = 0; i < count; i++) {
+      references[i * 2] = ((i % size) + 0.5) / size;
+      references[i * 2 + 1] = (Math.floor(i / size) + 0.5) / size;
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('reference', new THREE.BufferAttribute(references, 2));
+    geometry.setDrawRange(0, count);
+    return geometry;
+  }
+
+  /**
+   * Create the sprite material, coloured like ParticleSystem's particles
+   * @returns {THREE.ShaderMaterial} The shader material
+   */
+  createShaderMaterial() {
+    const uniforms = {
+      texturePosition: { value: null },
+      blackbodyTexture: { value: this.blackbodyTexture },
+      blackHolePosition: { value: this.computeUniforms.blackHolePosition.value },
+      diskInnerRadius: { value: this.diskInnerRadius },
+      diskOuterRadius: { value: this.diskOuterRadius },
+      peakTemperature: { value: this.peakTemperature },
+      minimumTemperature: { value: this.minimumTemperature },
+      pointScale: { value: 1.0 }
+    };
+
+    const vertexShader = `
+      attribute vec2 reference;
+
+      uniform sampler2D texturePosition;
+      uniform vec3 blackHolePosition;
+      uniform float diskInnerRadius;
+      uniform float diskOuterRadius;
+      uniform float peakTemperature;
+      uniform float minimumTemperature;
+      uniform float pointScale;
+
+      varying vec3 vColor;
+      ${BLACKBODY_GLSL}
+      const float DISK_PEAK_RADIUS_FACTOR = ${DISK_PEAK_RADIUS_FACTOR.toFixed(6)};
+
+      void main() {
+        vec3 p = texture2D(texturePosition, reference).xyz;
+
+        // Thin-disk temperature at the particle's distance; matter inside
+        // the temperature peak stays at the peak temperature
+        float distance = length(p - blackHolePosition);
+        float temperature = distance <= diskInnerRadius * DISK_PEAK_RADIUS_FACTOR
+          ? peakTemperature
+          : diskTemperature(distance, diskInnerRadius, peakTemperature);
+        vColor = blackbody(max(temperature, minimumTemperature));
+
+        // Glow of the accretion disk below
+        float distanceToDisk = abs(p.y);
+        float radialDistance = length(p.xz);
+        if (radialDistance > diskInnerRadius && radialDistance < diskOuterRadius && distanceToDisk < 1.0) {
+          float illumination = (1.0 - distanceToDisk) * 0.5;
+          vColor += illumination * blackbody(diskTemperature(radialDistance, diskInnerRadius, peakTemperature));
+        }
+
+        // Sizes vary per particle between 2 and 4, as on the CPU
+        float size = 2.0 + 2.0 * fract(sin(dot(reference, vec2(12.9898, 78.233))) * 43758.5453);
+
+        vec4 mvPosition = modelViewMatrix * vec4(p, 1.0);
+        gl_PointSize = size * pointScale * (300.0 / -mvPosition.z);
+        gl_Position = projectionMatrix * mvPosition;
+      }
+    `;
+
+    const fragmentShader = `
+      varying vec3 vColor;
+
+      void main() {
+        vec2 center = gl_PointCoord - vec2(0.5);
+        float distSq = dot(center, center);
+        if (distSq > 0.25) {
+          discard;
+        }
+
+        float alpha = 1.0 - smoothstep(0.09, 0.25, distSq);
+        gl_FragColor = vec4(vColor, alpha * 0.8);
+      }
+    `;
+
+    return new THREE.ShaderMaterial({
+      uniforms: uniforms,
+      vertexShader: vertexShader,
+      fragmentShader: fragmentShader,
+      transparent: true,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false
+    });
+  }
+
+  /**
+   * Take over the physics settings of a CPU particle system
+   * Lets the simulation configure one ParticleSystem and mirror it here.
+   * @param {ParticleSystem} particleSystem - The system to copy from
+   */
+  copySettings(particleSystem) {
+    this.mass = particleSystem.mass;
+    this.spin = particleSystem.spin;
+    this.eventHorizonRadius = particleSystem.eventHorizonRadius;
+    this.pseudoNewtonianRadius = particleSystem.pseudoNewtonianRadius;
+    this.gravityModel = particleSystem.gravityModel;
+    this.integrator = particleSystem.integrator;
+    this.maxSubsteps = Math.min(particleSystem.maxSubsteps, MAX_SUBSTEPS);
+    this.attractors = particleSystem.attractors;
+    this.spawnRadius = particleSystem.spawnRadius;
+    this.diskInnerRadius = particleSystem.diskInnerRadius;
+    this.diskOuterRadius = particleSystem.diskOuterRadius;
+    this.peakTemperature = particleSystem.peakTemperature;
+    this.minimumTemperature = particleSystem.minimumTemperature;
+  }
+
+  /**
+   * Advance the particles on the GPU
+   * Long frames are split into substeps as in ParticleSystem.update.
+   * @param {number} deltaTime - Time elapsed since last frame in seconds
+   * @param {THREE.Vector3} blackHolePosition - Position of the black hole center
+   */
+  update(deltaTime, blackHolePosition = new THREE.Vector3(0, 0, 0)) {
+    if (!this.stateTargets) {
+      return;
+    }
+
+    const substeps = deltaTime !== 0
+      ? Math.min(this.maxSubsteps, Math.ceil(Math.abs(deltaTime) / MAX_SUBSTEP_DURATION))
+      : 1;
+
+    const uniforms = this.computeUniforms;
+    uniforms.timeStep.value = deltaTime / substeps;
+    uniforms.frameTime.value = deltaTime;
+    uniforms.substeps.value = substeps;
+    uniforms.integrator.value = PARTICLE_INTEGRATORS.indexOf(this.integrator);
+    uniforms.pseudoNewtonian.value = this.gravityModel === 'paczynski-wiita';
+    uniforms.blackHolePosition.value.copy(blackHolePosition);
+    uniforms.blackHoleMass.value = this.mass;
+    uniforms.blackHoleSpin.value = this.spin;
+    uniforms.horizonRadius.value = this.eventHorizonRadius;
+    uniforms.pseudoNewtonianRadius.value = this.pseudoNewtonianRadius;
+    uniforms.spawnRadius.value = this.spawnRadius;
+    uniforms.spawnSeed.value = this.random.next() * 1000;
+
+    const attractors = this.attractors ? this.attractors.slice(0, MAX_ATTRACTORS) : [];
+    uniforms.attractorCount.value = attractors.length;
+    attractors.forEach((attractor, i) => {
+      const { x, y, z } = attractor.position;
+      uniforms.attractors.value[i].set(x, y, z, attractor.mass);
+      uniforms.attractorRadii.value[i].set(attractor.horizonRadius, pseudoNewtonianRadius(attractor.mass));
+    });
+
+    // One pass reads the latest state and writes the next into the other target
+    const previous = this.getStateTarget();
+    uniforms.texturePosition.value = previous.textures[0];
+    uniforms.textureVelocity.value = previous.textures[1];
+    this.currentState = 1 - this.currentState;
+    this.renderPass(this.computeMaterial, this.getStateTarget());
+
+    if (this.material && this.material.uniforms) {
+      const materialUniforms = this.material.uniforms;
+      materialUniforms.texturePosition.value = this.getStateTarget().textures[0];
+      materialUniforms.diskInnerRadius.value = this.diskInnerRadius;
+      materialUniforms.diskOuterRadius.value = this.diskOuterRadius;
+      materialUniforms.peakTemperature.value = this.peakTemperature;
+      materialUniforms.minimumTemperature.value = this.minimumTemperature;
+    }
+  }
+
+  /**
+   * Use a different random number generator for spawning
+   * Takes effect for the next spawns and the next respawned swarm.
+   * @param {Random} random - Generator for spawn positions and velocities
+   */
+  setRandom(random) {
+    this.random = random;
+  }
+
+  /**
+   * Set the particle count; the swarm is respawned at the new size
+   * @param {number} count - New particle count
+   */
+  setParticleCount(count) {
+    if (!this.particles || (this.stateTargets && count === this.particleCount)) {
+      return;
+    }
+
+    this.disposeComputation();
+
+    this.particleCount = count;
+    this.createComputation(count);
+
+    this.particles.geometry.dispose();
+    this.particles.geometry = this.createGeometry(count);
+
+    if (this.material && this.material.uniforms) {
+      this.material.uniforms.texturePosition.value = this.getStateTarget().textures[0];
+      this.material.uniforms.pointScale.value = THREE.MathUtils.clamp(
+        Math.pow(FULL_SIZE_PARTICLE_COUNT / count, 0.25),
+        MIN_POINT_SCALE,
+        1.0
+      );
+    }
+  }
+
+  /**
+   * Read the particles back from the GPU, e.g. for a snapshot
+   * @returns {{positions: Float32Array, velocities: Float32Array}} One texel
+   *   per particle: position and age, and velocity and proper time
+   */
+  getState() {
+    const size = this.textureSize;
+    const read = (attachment) => {
+      const data = new Float32Array(size * size * 4);
+      this.renderer.readRenderTargetPixels(
+        this.getStateTarget(), 0, 0, size, size, data, undefined, attachment
+      );
+      return data;
+    };
+    return { positions: read(0), velocities: read(1) };
+  }
+
+  /**
+   * Replace the particles with a state read by getState
+   * @param {Float32Array} positions - Position and age per texel
+   * @param {Float32Array} velocities - Velocity and proper time per texel
+   * @throws {Error} If the state was read at a different texture size
+   */
+  setState(positions, velocities) {
+    const texels = this.textureSize * this.textureSize * 4;
+    if (positions.length !== texels || velocities.length !== texels) {
+      throw new Error('GPU particle state does not match the texture size');
+    }
+
+    this.writeState(positions, velocities);
+  }
+
+  /**
+   * Dispose of all resources
+   */
+  dispose() {
+    this.disposeComputation();
+
+    if (this.passQuad) {
+      this.passQuad.dispose();
+      this.passQuad = null;
+    }
+
+    if (this.computeMaterial) {
+      this.computeMaterial.dispose();
+      this.seedMaterial.dispose();
+      this.computeMaterial = null;
+      this.seedMaterial = null;
+    }
+
+    if (this.particles) {
+      this.particles.geometry.dispose();
+      this.particles = null;
+    }
+
+    if (this.material) {
+      this.material.dispose();
+      this.material = null;
+    }
+
+    if (this.blackbodyTexture) {
+      this.blackbodyTexture.dispose();
+      this.blackbodyTexture = null;
+    }
+
+    this.attractors = null;
+    this.renderer = null;
+  }
+}
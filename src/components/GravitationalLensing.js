@@ -1,64 +1,204 @@
 import * as THREE from 'three';
+import { ShaderPass } from 'three/examples/jsm/postprocessing/ShaderPass.js';
 import { createShaderMaterial } from '../utils/ShaderUtils.js';
+import { BLACKBODY_GLSL, createBlackbodyTexture } from '../utils/Blackbody.js';
+import { STARFIELD_LAYER } from './Starfield.js';
+import {
+  DEFAULT_MASS,
+  PHOTON_ORBIT_GLSL,
+  SHADOW_PROFILE_SAMPLES,
+  horizonRadius,
+  shadowProfile
+} from '../utils/BlackHolePhysics.js';
+
+/**
+ * Available lensing modes:
+ * - fast: screen-space heuristic that distorts the rendered scene
+ * - geodesic: integrates Schwarzschild null geodesics and samples the starfield cubemap
+ */
+export const LENSING_MODES = ['fast', 'geodesic'];
+
+/**
+ * Face sizes (pixels) of the environment cubemap sampled along bent rays
+ */
+export const ENVIRONMENT_SIZES = [256, 512, 1024];
+export const DEFAULT_ENVIRONMENT_SIZE = 512;
+
+// Frames between captures of an unchanged environment; keeps the starfield's
+// twinkle alive without six scene renders every frame
+const ENVIRONMENT_REFRESH_INTERVAL = 15;
+
+// Spin axis of the black hole (the disk orbits counter-clockwise around +Y)
+const SPIN_AXIS = new THREE.Vector3(0, 1, 0);
+
+// Change in viewing inclination (radians) before the shadow outline is rebuilt
+const SHADOW_INCLINATION_TOLERANCE = 0.005;
+
+/**
+ * GLSL shared by both lensing shaders for the Kerr shadow outline.
+ * shadowProfile holds the outline radius (in units of M) at evenly spaced
+ * angles on the observer's sky, measured from shadowAxisX toward shadowAxisY.
+ */
+const SHADOW_PROFILE_GLSL = `
+      uniform float shadowProfile[${SHADOW_PROFILE_SAMPLES}];
+      uniform vec3 shadowAxisX;
+      uniform vec3 shadowAxisY;
+      
+      /**
+       * Radius of the shadow outline along a direction on the sky
+       * @param skyOffset Offset from the line of sight to the black hole
+       * @return Critical impact parameter in units of M
+       */
+      float shadowRadius(vec3 skyOffset) {
+        const int SAMPLES = ${SHADOW_PROFILE_SAMPLES};
+        const float TWO_PI = 6.28318530718;
+        
+        float psi = atan(dot(skyOffset, shadowAxisY), dot(skyOffset, shadowAxisX));
+        if (psi < 0.0) {
+          psi += TWO_PI;
+        }
+        
+        float position = psi / TWO_PI * float(SAMPLES);
+        int index = int(floor(position));
+        int lower = index >= SAMPLES ? 0 : index;
+        int upper = lower + 1 >= SAMPLES ? 0 : lower + 1;
+        return mix(shadowProfile[lower], shadowProfile[upper], fract(position));
+      }
+`;
 
 /**
  * GravitationalLensing applies shader-based distortion effects to simulate light bending.
+ * The effect runs as a post-processing pass that distorts the composer's read buffer.
+ * A sky background (see setBackground) is not part of that buffer: both modes
+ * look it up in the environment cubemap along each pixel's deflected ray.
  * Implements Requirements 2.1, 2.2, 2.3, 2.4
  */
 export class GravitationalLensing {
   constructor() {
-    this.renderTarget = null;
+    this.pass = null;
     this.lensingMaterial = null;
+    this.materials = { fast: null, geodesic: null };
+    this.uniforms = null;
+    this.mode = 'fast';
     this.intensity = 1.0;
     this.blackHolePosition = new THREE.Vector3(0, 0, 0);
     this.eventHorizonRadius = 1.0;
+    this.mass = DEFAULT_MASS;
+    this.spin = 0.0;
     this.scene = null;
-    this.quad = null;
+
+    // Second, non-spinning hole of a binary (mass 0 when there is none)
+    this.companionPosition = new THREE.Vector3(0, 0, 0);
+    this.companionMass = 0.0;
+
+    // Starfield environment used by the geodesic mode, and by the fast mode
+    // when there is a sky background
+    this.cubeRenderTarget = null;
+    this.cubeCamera = null;
+    this.environmentSize = DEFAULT_ENVIRONMENT_SIZE;
+
+    // The cubemap is captured again only when it is stale (see updateEnvironment)
+    this._environmentStale = true;
+    this._framesSinceCapture = 0;
+    this._capturePosition = new THREE.Vector3();
+
+    // Sky background captured into the environment (null for none)
+    this.background = null;
+    this.backgroundIntensity = 1.0;
+
+    // Colour lookup for Doppler-shifting the starfield
+    this.blackbodyTexture = null;
+
+    // Velocity of the observer relative to a static observer, in units of c
+    this.observerVelocity = new THREE.Vector3(0, 0, 0);
+
+    // Scratch vector for projecting the black holes into view and screen space
+    this._projected = new THREE.Vector3();
+
+    // Viewing inclination the shadow outline was last built for
+    this._shadowInclination = null;
+    this._lineOfSight = new THREE.Vector3();
   }
 
   /**
    * Initialize the gravitational lensing effect
    * @param {THREE.Scene} scene - The scene to apply lensing to
    * @param {number} eventHorizonRadius - The radius of the black hole's event horizon
+   * @param {Object} options - Lensing options
+   * @param {'fast'|'geodesic'} options.mode - Initial lensing mode (default: 'fast')
+   * @param {number} options.environmentSize - Cubemap face size, one of ENVIRONMENT_SIZES (default: 512)
    */
-  initialize(scene, eventHorizonRadius = 1.0) {
+  initialize(scene, eventHorizonRadius = 1.0, options = {}) {
+    const {
+      mode = 'fast',
+      environmentSize = DEFAULT_ENVIRONMENT_SIZE
+    } = options;
+
     this.scene = scene;
     this.eventHorizonRadius = eventHorizonRadius;
 
-    // Set up render target for lensing effect
-    // This will store the scene before lensing is applied
-    this.renderTarget = new THREE.WebGLRenderTarget(
-      window.innerWidth,
-      window.innerHeight,
-      {
-        minFilter: THREE.LinearFilter,
-        magFilter: THREE.LinearFilter,
-        format: THREE.RGBAFormat,
-        type: THREE.FloatType
-      }
-    );
+    // Both shaders share one uniform set so switching modes keeps camera state
+    this.uniforms = this.createUniforms();
+
+    // Cubemap of the starfield and sky background, sampled along bent rays
+    this.setEnvironmentSize(environmentSize);
 
-    // Create shader material for distortion
-    this.lensingMaterial = this.createLensingShader();
+    this.blackbodyTexture = createBlackbodyTexture();
+    this.uniforms.blackbodyTexture.value = this.blackbodyTexture;
 
-    // Create a full-screen quad to apply the lensing effect
-    const quadGeometry = new THREE.PlaneGeometry(2, 2);
-    this.quad = new THREE.Mesh(quadGeometry, this.lensingMaterial);
+    // Create shader materials for distortion
+    this.materials.fast = this.createLensingShader();
+    this.materials.geodesic = this.createGeodesicShader();
+    this.lensingMaterial = this.materials.fast;
+
+    // Wrap the material in a full-screen pass; the composer feeds the rendered
+    // scene into tDiffuse. A fallback material cannot drive a pass, so lensing
+    // is simply skipped when shader compilation failed.
+    if (this.lensingMaterial.isShaderMaterial) {
+      this.pass = new ShaderPass(this.lensingMaterial, 'tDiffuse');
+    }
+
+    this.setMode(mode);
   }
 
   /**
-   * Create the gravitational lensing shader
-   * @returns {THREE.ShaderMaterial} The lensing shader material
+   * Create the uniforms shared by the fast and geodesic lensing shaders
+   * @returns {Object} Shader uniforms
    */
-  createLensingShader() {
-    const uniforms = {
-      tDiffuse: { value: null }, // The scene texture to distort
-      cameraPosition: { value: new THREE.Vector3() },
+  createUniforms() {
+    return {
+      tDiffuse: { value: null }, // The scene texture to distort (composer read buffer)
+      blackHoleViewPosition: { value: new THREE.Vector3(0, 0, -1) },
+      blackHoleScreenPosition: { value: new THREE.Vector2(0.5, 0.5) },
       blackHolePosition: { value: this.blackHolePosition },
+      observerPosition: { value: new THREE.Vector3() },
+      observerMatrix: { value: new THREE.Matrix4() },
+      observerVelocity: { value: this.observerVelocity },
+      inverseProjection: { value: new THREE.Matrix4() },
+      projectionScale: { value: new THREE.Vector2(1, 1) },
+      environmentMap: { value: null },
+      backgroundEnabled: { value: false },
+      blackbodyTexture: { value: null },
       eventHorizonRadius: { value: this.eventHorizonRadius },
+      blackHoleMass: { value: this.mass },
+      companionPosition: { value: this.companionPosition },
+      companionViewPosition: { value: new THREE.Vector3(0, 0, -1) },
+      companionScreenPosition: { value: new THREE.Vector2(0.5, 0.5) },
+      companionMass: { value: this.companionMass },
+      shadowProfile: { value: shadowProfile(this.spin) },
+      shadowAxisX: { value: new THREE.Vector3(1, 0, 0) },
+      shadowAxisY: { value: new THREE.Vector3(0, 1, 0) },
       intensity: { value: this.intensity },
       resolution: { value: new THREE.Vector2(window.innerWidth, window.innerHeight) }
     };
+  }
+
+  /**
+   * Create the gravitational lensing shader (fast, screen-space heuristic)
+   * @returns {THREE.ShaderMaterial} The lensing shader material
+   */
+  createLensingShader() {
+    const uniforms = this.uniforms;
 
     // Vertex shader - simple pass-through for full-screen quad
     const vertexShader = `
@@ -70,24 +210,40 @@ export class GravitationalLensing {
       }
     `;
 
-    // Fragment shader with ray marching and Schwarzschild metric
+    // Fragment shader with ray marching and Schwarzschild metric.
+    // All ray marching happens in view space: the camera sits at the origin
+    // looking down -Z, so deflected directions project straight back to UVs.
     const fragmentShader = `
       uniform sampler2D tDiffuse;
-      uniform vec3 cameraPosition;
+      uniform samplerCube environmentMap;
+      uniform bool backgroundEnabled;
+      uniform vec3 blackHoleViewPosition;
+      uniform vec2 blackHoleScreenPosition;
       uniform vec3 blackHolePosition;
+      uniform vec3 observerPosition;
+      uniform mat4 observerMatrix;
+      uniform mat4 inverseProjection;
+      uniform vec2 projectionScale;
       uniform float eventHorizonRadius;
+      uniform float blackHoleMass;
+      uniform vec3 companionPosition;
+      uniform vec3 companionViewPosition;
+      uniform vec2 companionScreenPosition;
+      uniform float companionMass;
       uniform float intensity;
       uniform vec2 resolution;
       
       varying vec2 vUv;
-      
+      ${SHADOW_PROFILE_GLSL}      
       // Schwarzschild radius (simplified)
       const float SCHWARZSCHILD_MULTIPLIER = 2.0;
       
+      // Critical impact parameter of a non-rotating hole in units of M
+      const float SCHWARZSCHILD_SHADOW = 5.19615242;
+      
       // Ray marching parameters (optimized for performance)
       const int MAX_STEPS = 16; // Reduced from 32 for better performance
       const float MAX_DISTANCE = 50.0;
-      const float STEP_SIZE = 1.0; // Increased step size for fewer iterations
       
       /**
        * Calculate gravitational deflection using simplified Schwarzschild metric
@@ -123,74 +279,95 @@ export class GravitationalLensing {
         return deflection;
       }
       
+      /**
+       * Project a view-space direction onto screen UV coordinates
+       * @param dir View-space direction (camera looks down -Z)
+       * @return UV coordinates where the direction lands on screen
+       */
+      vec2 directionToUV(vec3 dir) {
+        float depth = max(-dir.z, 0.001);
+        return vec2(
+          dir.x * projectionScale.x / depth,
+          dir.y * projectionScale.y / depth
+        ) * 0.5 + 0.5;
+      }
+      
       /**
        * Ray march through gravitational field to find distorted UV coordinates
        * @param rayOrigin Starting position of the ray
        * @param rayDir Initial ray direction
+       * @param bentDir Receives the deflected view-space direction
        * @return Distorted UV coordinates
        */
-      vec2 rayMarchLensing(vec3 rayOrigin, vec3 rayDir) {
+      vec2 rayMarchLensing(vec3 rayOrigin, vec3 rayDir, out vec3 bentDir) {
         vec3 currentPos = rayOrigin;
         vec3 currentDir = normalize(rayDir);
         
+        // Cover twice the camera distance so the ray passes the black hole
+        float stepSize = min(2.0 * length(blackHoleViewPosition), MAX_DISTANCE) / float(MAX_STEPS);
+        
         // Ray march through the gravitational field
         for (int i = 0; i < MAX_STEPS; i++) {
-          float t = float(i) * STEP_SIZE;
-          
-          if (t > MAX_DISTANCE) break;
-          
           // Calculate deflection at current position
           float rs = eventHorizonRadius * SCHWARZSCHILD_MULTIPLIER;
-          vec3 deflection = calculateDeflection(currentPos, currentDir, blackHolePosition, rs);
+          vec3 deflection = calculateDeflection(currentPos, currentDir, blackHoleViewPosition, rs);
+          
+          // The companion of a binary bends the ray as well
+          if (companionMass > 0.0) {
+            float companionRs = 2.0 * companionMass * SCHWARZSCHILD_MULTIPLIER;
+            deflection += calculateDeflection(currentPos, currentDir, companionViewPosition, companionRs);
+          }
           
           // Apply deflection to ray direction (scaled by intensity)
-          currentDir = normalize(currentDir + deflection * intensity * STEP_SIZE);
+          currentDir = normalize(currentDir + deflection * intensity * stepSize);
           
           // Move along deflected ray
-          currentPos += currentDir * STEP_SIZE;
+          currentPos += currentDir * stepSize;
         }
         
-        // Project final ray direction back to screen space
-        // This is a simplified projection - in reality would need proper camera projection
-        vec2 distortedUV = vUv + (currentDir.xy - rayDir.xy) * 0.1;
-        
-        return distortedUV;
+        // Project the deflected direction back to screen space
+        bentDir = currentDir;
+        return vUv + (directionToUV(currentDir) - directionToUV(rayDir));
       }
       
       void main() {
-        // Calculate ray direction from camera through this pixel
-        vec2 screenPos = (vUv - 0.5) * 2.0;
-        screenPos.x *= resolution.x / resolution.y; // Aspect ratio correction
-        
-        // Simple ray direction (assumes camera looking down -Z axis)
-        vec3 rayDir = normalize(vec3(screenPos, -1.0));
+        // Reconstruct the view-space ray through this pixel
+        vec4 viewRay = inverseProjection * vec4(vUv * 2.0 - 1.0, 1.0, 1.0);
+        vec3 rayDir = normalize(viewRay.xyz / viewRay.w);
         
-        // Calculate distance from camera to black hole
-        float distanceToBH = length(cameraPosition - blackHolePosition);
-        
-        // Calculate screen-space distance from pixel to black hole center
-        vec3 bhScreenPos = blackHolePosition - cameraPosition;
-        vec2 bhScreenUV = vec2(
-          bhScreenPos.x / bhScreenPos.z,
-          bhScreenPos.y / bhScreenPos.z
-        ) * 0.5 + 0.5;
+        // Screen-space distance from pixel to black hole center (aspect corrected)
+        vec2 toBHScreen = vUv - blackHoleScreenPosition;
+        toBHScreen.x *= resolution.x / resolution.y;
+        float screenDistToBH = length(toBHScreen);
         
-        float screenDistToBH = length(vUv - bhScreenUV);
+        // A binary lenses around whichever hole is closer on screen
+        if (companionMass > 0.0) {
+          vec2 toCompanionScreen = vUv - companionScreenPosition;
+          toCompanionScreen.x *= resolution.x / resolution.y;
+          screenDistToBH = min(screenDistToBH, length(toCompanionScreen));
+        }
         
         // Calculate distortion strength based on proximity
         // Distortion is stronger when closer to black hole in screen space
         float proximityFactor = 1.0 / (1.0 + screenDistToBH * 10.0);
         float distortionStrength = proximityFactor * intensity;
         
+        // Black hole behind the camera cannot lens anything on screen
+        bool inFront = blackHoleViewPosition.z < 0.0;
+        bool companionInFront = companionMass > 0.0 && companionViewPosition.z < 0.0;
+        
         // Only apply lensing near the black hole to save performance
         vec2 finalUV = vUv;
+        vec3 finalDir = rayDir;
         
-        if (screenDistToBH < 0.5 && distortionStrength > 0.01) {
+        if ((inFront || companionInFront) && screenDistToBH < 0.5 && distortionStrength > 0.01) {
           // Perform ray marching for lensing effect
-          finalUV = rayMarchLensing(cameraPosition, rayDir);
+          vec3 bentDir;
+          finalUV = rayMarchLensing(vec3(0.0), rayDir, bentDir);
           
           // Blend between original and distorted based on strength
-          finalUV = mix(vUv, finalUV, distortionStrength);
+          finalUV = mix(vUv, finalUV, min(distortionStrength, 1.0));
+          finalDir = normalize(mix(rayDir, bentDir, min(distortionStrength, 1.0)));
         }
         
         // Clamp UV coordinates to valid range
@@ -199,10 +376,38 @@ export class GravitationalLensing {
         // Sample background with distorted UV coordinates
         vec4 color = texture2D(tDiffuse, finalUV);
         
-        // Add slight darkening near event horizon (light absorption)
-        if (screenDistToBH < 0.2) {
-          float darken = 1.0 - (0.2 - screenDistToBH) * 2.0;
-          color.rgb *= darken;
+        // The sky background is not in the rendered scene; it is looked up
+        // along the deflected ray, which also keeps it valid off screen
+        if (backgroundEnabled) {
+          color.rgb += textureCube(environmentMap, mat3(observerMatrix) * finalDir).rgb;
+        }
+        
+        // Darken the black hole shadow (light absorption); the outline is
+        // flattened on the co-rotating side when the hole spins
+        vec3 toHole = blackHolePosition - observerPosition;
+        float holeDistance = length(toHole);
+        vec3 lineOfSight = toHole / holeDistance;
+        vec3 worldDir = normalize(mat3(observerMatrix) * rayDir);
+        vec3 skyOffset = worldDir - dot(worldDir, lineOfSight) * lineOfSight;
+        
+        float lapse = sqrt(max(1.0 - 2.0 * blackHoleMass / holeDistance, 1e-4));
+        float impact = holeDistance * length(skyOffset) / lapse;
+        float critical = blackHoleMass * intensity * shadowRadius(skyOffset);
+        
+        if (inFront && critical > 0.0) {
+          float shadow = 1.0 - smoothstep(0.9 * critical, critical, impact);
+          color.rgb *= 1.0 - 0.9 * shadow;
+        }
+        
+        // The companion does not spin, so its shadow is circular
+        if (companionInFront) {
+          vec3 toCompanion = companionPosition - observerPosition;
+          float companionDistance = length(toCompanion);
+          float companionLapse = sqrt(max(1.0 - 2.0 * companionMass / companionDistance, 1e-4));
+          float companionImpact = length(toCompanion - dot(toCompanion, worldDir) * worldDir) / companionLapse;
+          float companionCritical = companionMass * intensity * SCHWARZSCHILD_SHADOW;
+          float companionShadow = 1.0 - smoothstep(0.9 * companionCritical, companionCritical, companionImpact);
+          color.rgb *= 1.0 - 0.9 * companionShadow;
         }
         
         gl_FragColor = color;
@@ -220,72 +425,590 @@ export class GravitationalLensing {
   }
 
   /**
-   * Update method to sync with camera position
-   * @param {THREE.Vector3} cameraPosition - Current camera position
+   * Create the geodesic lensing shader
+   *
+   * Traces each pixel's ray backwards through the Schwarzschild metric. The
+   * ray stays in the plane spanned by the black hole and its initial
+   * direction, so the orbit equation d²u/dφ² = 3Mu² − u (u = 1/r, G = c = 1)
+   * fully describes it. Rays that reach u = 0 escape and sample the starfield
+   * and sky background cubemap along their asymptotic direction; rays that reach the horizon are
+   * captured, which produces the shadow of radius √27 M, the Einstein ring and
+   * the secondary images. The unlensed scene (disk, particles) is added on top.
+   *
+   * For a spinning hole the capture boundary follows the Kerr shadow outline:
+   * impact parameters are remapped so the outline lands on the Schwarzschild
+   * critical value before tracing. The outline is exact; the bending of rays
+   * outside it is a Schwarzschild approximation.
+   *
+   * The companion of a binary is added as a point-mass lens in the weak-field
+   * limit: escaping rays are bent towards it by 4M/b and rays inside its
+   * circular shadow are captured. Lensing of one hole's image by the other is
+   * therefore only approximate.
+   *
+   * Rays are traced from a static observer at the camera. A moving camera
+   * (see setObserverVelocity) first aberrates each pixel's direction into
+   * that static frame; the starfield is then Doppler shifted by the moving
+   * observer's motion and blueshifted by its depth in the potential, which
+   * turns the sky of a camera falling towards the horizon into a bright ring.
+   * Inside the horizon there are no static observers, so the rays are traced
+   * from just outside it and the sky dims towards the singularity.
+   * @returns {THREE.ShaderMaterial} The geodesic lensing shader material
+   */
+  createGeodesicShader() {
+    const vertexShader = `
+      varying vec2 vUv;
+      
+      void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+      }
+    `;
+
+    const fragmentShader = `
+      uniform sampler2D tDiffuse;
+      uniform samplerCube environmentMap;
+      uniform vec3 blackHolePosition;
+      uniform vec3 observerPosition;
+      uniform mat4 observerMatrix;
+      uniform vec3 observerVelocity;
+      uniform mat4 inverseProjection;
+      uniform float blackHoleMass;
+      uniform vec3 companionPosition;
+      uniform float companionMass;
+      uniform float intensity;
+      
+      varying vec2 vUv;
+      ${SHADOW_PROFILE_GLSL}${BLACKBODY_GLSL}
+      // Critical impact parameter of a non-rotating hole in units of M
+      const float SCHWARZSCHILD_SHADOW = 5.19615242;
+      
+      // Rays start from static observers no closer than this, in units of M
+      const float STATIC_FRAME_MIN_RADIUS = 2.02;
+      
+      // Colour temperature the starfield is taken to have when unshifted
+      const float STAR_TEMPERATURE = 6500.0;
+      
+      // Limit on the Doppler brightening so the ring does not saturate to white
+      const float MAX_DOPPLER_BOOST = 20.0;
+      
+      ${PHOTON_ORBIT_GLSL}
+      /**
+       * Trace a ray from the observer through the Schwarzschild field
+       * @param origin Ray origin relative to the black hole
+       * @param dir Normalized world-space ray direction
+       * @param mass Black hole mass in geometric units (horizon at 2M)
+       * @param escapeDir Asymptotic direction of escaped rays
+       * @return True if the ray escapes to infinity, false if captured
+       */
+      bool traceGeodesic(vec3 origin, vec3 dir, float mass, out vec3 escapeDir) {
+        float r0 = length(origin);
+        vec3 radial = origin / r0;
+        
+        float cosAlpha = dot(dir, radial);
+        vec3 tangential = dir - cosAlpha * radial;
+        float sinAlpha = length(tangential);
+        escapeDir = dir;
+        
+        // Purely radial rays fall straight in or escape straight out
+        if (sinAlpha < 1e-4) {
+          return cosAlpha > 0.0;
+        }
+        tangential /= sinAlpha;
+        
+        // Impact parameter b = r sin(alpha) / sqrt(1 - 2M/r)
+        float u0 = 1.0 / r0;
+        float lapse = sqrt(max(1.0 - 2.0 * mass * u0, 1e-4));
+        float impact = r0 * sinAlpha / lapse;
+        
+        // Inbound rays inside the (possibly Kerr) shadow outline are captured
+        float critical = mass * shadowRadius(tangential);
+        if (cosAlpha < 0.0 && impact < critical) {
+          return false;
+        }
+        
+        // Map the outline onto the Schwarzschild critical impact parameter;
+        // the correction fades out for distant rays
+        impact -= (critical - SCHWARZSCHILD_SHADOW * mass) * exp(-(impact - critical) / critical);
+        sinAlpha = min(impact * lapse * u0, 1.0);
+        cosAlpha = sign(cosAlpha) * sqrt(1.0 - sinAlpha * sinAlpha);
+        
+        // Initial conditions from the angle measured by a static observer:
+        // du/dφ = -u sqrt(1 - 2Mu) cot(alpha)
+        vec2 state = vec2(u0, -u0 * lapse * cosAlpha / max(sinAlpha, 1e-4));
+        float phi = photonOrbitAngle(mass, state);
+        if (phi < 0.0) {
+          return false;
+        }
+        
+        escapeDir = cos(phi) * radial + sin(phi) * tangential;
+        return true;
+      }
+      
+      /**
+       * Bend an escaping ray around the companion of a binary
+       * @param origin Ray origin relative to the companion
+       * @param dir Normalized world-space ray direction
+       * @param mass Companion mass in geometric units
+       * @param escapeDir Asymptotic direction, bent towards the companion
+       * @return True if the ray passes the companion, false if captured
+       */
+      bool lensCompanion(vec3 origin, vec3 dir, float mass, inout vec3 escapeDir) {
+        float along = -dot(origin, dir);
+        if (mass <= 0.0 || along <= 0.0) {
+          return true;
+        }
+        
+        // Closest approach of the unbent ray, measured from the companion
+        vec3 offset = origin + along * dir;
+        float impact = length(offset);
+        if (impact < SCHWARZSCHILD_SHADOW * mass) {
+          return false;
+        }
+        
+        escapeDir = normalize(escapeDir - offset / impact * (4.0 * mass / impact));
+        return true;
+      }
+      
+      /**
+       * Aberrate a viewing direction from a moving observer's frame into
+       * the frame of a static observer at the same place
+       * @param dir Viewing direction seen by the moving observer
+       * @param beta Velocity of the moving observer in units of c
+       * @param doppler Photon energy seen by the moving observer relative to the static one
+       * @return Viewing direction seen by the static observer
+       */
+      vec3 aberrate(vec3 dir, vec3 beta, out float doppler) {
+        float speed2 = dot(beta, beta);
+        doppler = 1.0;
+        if (speed2 < 1e-8) {
+          return dir;
+        }
+        
+        // Boost the momentum of a photon arriving along -dir with unit energy
+        float gamma = inversesqrt(1.0 - min(speed2, 0.9999));
+        vec3 k = -dir;
+        float kBeta = dot(k, beta);
+        float energy = gamma * (1.0 + kBeta);
+        doppler = 1.0 / energy;
+        return -(k + ((gamma - 1.0) * kBeta / speed2 + gamma) * beta) / energy;
+      }
+      
+      /**
+       * Shift the colour and brightness of starlight
+       * @param color Unshifted starfield colour
+       * @param shift Ratio of observed to emitted photon energy
+       */
+      vec3 dopplerShift(vec3 color, float shift) {
+        vec3 tint = blackbody(STAR_TEMPERATURE * shift) / blackbody(STAR_TEMPERATURE);
+        return color * tint * min(pow(shift, 4.0), MAX_DOPPLER_BOOST);
+      }
+      
+      void main() {
+        // Reconstruct the world-space ray through this pixel
+        vec4 viewRay = inverseProjection * vec4(vUv * 2.0 - 1.0, 1.0, 1.0);
+        vec3 rayDir = normalize(mat3(observerMatrix) * (viewRay.xyz / viewRay.w));
+        
+        // Intensity scales the lensing mass; 1.0 is physically correct
+        float mass = blackHoleMass * intensity;
+        
+        // Trace from the static observer at the camera, held outside the horizon
+        vec3 origin = observerPosition - blackHolePosition;
+        float radius = length(origin);
+        float frameRadius = max(radius, STATIC_FRAME_MIN_RADIUS * mass);
+        origin *= frameRadius / max(radius, 1e-6);
+        
+        float doppler;
+        vec3 staticDir = normalize(aberrate(rayDir, observerVelocity, doppler));
+        float lapse = sqrt(max(1.0 - 2.0 * mass / frameRadius, 1e-4));
+        
+        vec3 background = vec3(0.0);
+        vec3 escapeDir;
+        if (mass <= 0.0) {
+          background = textureCube(environmentMap, staticDir).rgb;
+        } else if (
+          traceGeodesic(origin, staticDir, mass, escapeDir) &&
+          lensCompanion(observerPosition - companionPosition, staticDir, companionMass * intensity, escapeDir)
+        ) {
+          background = textureCube(environmentMap, escapeDir).rgb;
+        }
+        
+        // Starlight falling to a static observer is blueshifted by 1/lapse
+        if (mass > 0.0) {
+          background = dopplerShift(background, doppler / lapse);
+          background *= smoothstep(0.0, 2.0 * mass, radius);
+        }
+        
+        // Foreground objects are rendered unlensed over the traced background
+        vec4 scene = texture2D(tDiffuse, vUv);
+        gl_FragColor = vec4(scene.rgb + background, 1.0);
+      }
+    `;
+
+    return createShaderMaterial({
+      uniforms: this.uniforms,
+      vertexShader: vertexShader,
+      fragmentShader: fragmentShader,
+      depthTest: false,
+      depthWrite: false
+    }, 'GravitationalLensingGeodesic');
+  }
+
+  /**
+   * Set the velocity of the observer the geodesic mode renders for
+   * @param {THREE.Vector3} velocity - Velocity relative to a static observer at the camera, in units of c (zero for a camera at rest)
+   */
+  setObserverVelocity(velocity) {
+    this.observerVelocity.copy(velocity);
+  }
+
+  /**
+   * Update method to sync with the camera
+   * @param {THREE.Camera} camera - The camera the scene is rendered from
    * @param {THREE.Vector3} blackHolePosition - Black hole position (optional, defaults to stored position)
+   * @param {THREE.Vector3} companionPosition - Position of a binary companion (optional, defaults to stored position)
    */
-  update(cameraPosition, blackHolePosition = null) {
-    if (!this.lensingMaterial || !this.lensingMaterial.uniforms) {
+  update(camera, blackHolePosition = null, companionPosition = null) {
+    if (!this.uniforms) {
       return;
     }
 
-    // Update camera position uniform
-    this.lensingMaterial.uniforms.cameraPosition.value.copy(cameraPosition);
-
     // Update black hole position if provided
     if (blackHolePosition) {
       this.blackHolePosition.copy(blackHolePosition);
-      this.lensingMaterial.uniforms.blackHolePosition.value.copy(blackHolePosition);
     }
+    if (companionPosition) {
+      this.companionPosition.copy(companionPosition);
+    }
+
+    const uniforms = this.uniforms;
+
+    // Controls may have moved the camera since its matrices were last computed
+    camera.updateMatrixWorld();
+
+    // Black hole position relative to the camera
+    uniforms.blackHoleViewPosition.value
+      .copy(this.blackHolePosition)
+      .applyMatrix4(camera.matrixWorldInverse);
+
+    // Black hole position in screen UV space
+    this._projected.copy(this.blackHolePosition).project(camera);
+    uniforms.blackHoleScreenPosition.value.set(
+      this._projected.x * 0.5 + 0.5,
+      this._projected.y * 0.5 + 0.5
+    );
+
+    // Same for the companion of a binary
+    if (this.companionMass > 0) {
+      uniforms.companionViewPosition.value
+        .copy(this.companionPosition)
+        .applyMatrix4(camera.matrixWorldInverse);
+      this._projected.copy(this.companionPosition).project(camera);
+      uniforms.companionScreenPosition.value.set(
+        this._projected.x * 0.5 + 0.5,
+        this._projected.y * 0.5 + 0.5
+      );
+    }
+
+    // Projection terms for reconstructing and re-projecting view rays
+    uniforms.inverseProjection.value.copy(camera.projectionMatrixInverse);
+    uniforms.projectionScale.value.set(
+      camera.projectionMatrix.elements[0],
+      camera.projectionMatrix.elements[5]
+    );
+
+    // World-space observer for the geodesic tracer
+    uniforms.observerPosition.value.setFromMatrixPosition(camera.matrixWorld);
+    uniforms.observerMatrix.value.copy(camera.matrixWorld);
+
+    this.updateShadowOutline();
   }
 
   /**
-   * Set the intensity of the lensing effect
-   * @param {number} intensity - Lensing intensity (0 = no lensing, 1 = normal, >1 = exaggerated)
+   * Orient the shadow outline on the observer's sky
+   * The outline itself only depends on spin and viewing inclination, so it is
+   * rebuilt only when either changes noticeably.
+   * @private
    */
-  setIntensity(intensity) {
-    this.intensity = Math.max(0, intensity);
-    if (this.lensingMaterial && this.lensingMaterial.uniforms) {
-      this.lensingMaterial.uniforms.intensity.value = this.intensity;
+  updateShadowOutline() {
+    const uniforms = this.uniforms;
+
+    // Direction from the black hole toward the observer
+    const lineOfSight = this._lineOfSight
+      .copy(uniforms.observerPosition.value)
+      .sub(this.blackHolePosition);
+    if (lineOfSight.lengthSq() === 0) {
+      return;
+    }
+    lineOfSight.normalize();
+
+    // Sky axes: projected spin axis (up) and spin axis × line of sight (right)
+    const axisY = uniforms.shadowAxisY.value
+      .copy(SPIN_AXIS)
+      .addScaledVector(lineOfSight, -SPIN_AXIS.dot(lineOfSight));
+    if (axisY.lengthSq() < 1e-8) {
+      // Looking straight down the spin axis: the outline is circular
+      axisY.set(0, 0, 1).addScaledVector(lineOfSight, -lineOfSight.z);
     }
+    axisY.normalize();
+    uniforms.shadowAxisX.value.crossVectors(axisY, lineOfSight).normalize();
+
+    const inclination = Math.acos(THREE.MathUtils.clamp(SPIN_AXIS.dot(lineOfSight), -1, 1));
+    if (
+      this._shadowInclination === null ||
+      Math.abs(inclination - this._shadowInclination) > SHADOW_INCLINATION_TOLERANCE
+    ) {
+      shadowProfile(this.spin, inclination, uniforms.shadowProfile.value);
+      this._shadowInclination = inclination;
+    }
+  }
+
+  /**
+   * Set the black hole mass
+   * Scales the horizon, the shadow and the strength of light bending.
+   * @param {number} mass - Black hole mass (half the Schwarzschild radius)
+   */
+  setMass(mass) {
+    this.mass = mass;
+    this.eventHorizonRadius = horizonRadius(mass, this.spin);
+
+    if (this.uniforms) {
+      this.uniforms.blackHoleMass.value = mass;
+      this.uniforms.eventHorizonRadius.value = this.eventHorizonRadius;
+    }
+  }
+
+  /**
+   * Set the black hole spin
+   * Shrinks the event horizon and reshapes the shadow outline.
+   * @param {number} spin - Dimensionless spin parameter (0 ≤ a < 1)
+   */
+  setSpin(spin) {
+    this.spin = spin;
+    this.eventHorizonRadius = horizonRadius(this.mass, spin);
+
+    if (this.uniforms) {
+      this.uniforms.eventHorizonRadius.value = this.eventHorizonRadius;
+    }
+
+    // Force the outline to be rebuilt on the next update
+    this._shadowInclination = null;
+  }
+
+  /**
+   * Set the mass of a second, non-spinning black hole
+   * The companion bends light and casts a circular shadow of its own; the
+   * primary is the hole configured through setMass and setSpin.
+   * @param {number} mass - Companion mass (0 removes the companion)
+   */
+  setCompanionMass(mass) {
+    this.companionMass = Math.max(0, mass);
+
+    if (this.uniforms) {
+      this.uniforms.companionMass.value = this.companionMass;
+    }
+  }
+
+  /**
+   * Set the face size of the environment cubemap
+   * The cubemap is rebuilt and captured again on the next updateEnvironment.
+   * @param {number} size - Face size in pixels, one of ENVIRONMENT_SIZES
+   */
+  setEnvironmentSize(size) {
+    if (!ENVIRONMENT_SIZES.includes(size)) {
+      console.warn(`Invalid environment size: ${size}. Using ${DEFAULT_ENVIRONMENT_SIZE}.`);
+      size = DEFAULT_ENVIRONMENT_SIZE;
+    }
+    if (this.cubeRenderTarget && size === this.environmentSize) {
+      return;
+    }
+
+    if (this.cubeRenderTarget) {
+      this.cubeRenderTarget.dispose();
+    }
+    this.environmentSize = size;
+    this.cubeRenderTarget = new THREE.WebGLCubeRenderTarget(size, {
+      type: THREE.HalfFloatType
+    });
+    this.cubeCamera = new THREE.CubeCamera(0.1, 1000, this.cubeRenderTarget);
+    this.cubeCamera.layers.set(STARFIELD_LAYER);
+    if (this.uniforms) {
+      this.uniforms.environmentMap.value = this.cubeRenderTarget.texture;
+    }
+    this.invalidateEnvironment();
   }
 
   /**
-   * Apply the lensing effect to the renderer
-   * This should be called as part of the post-processing pipeline
+   * Get the face size of the environment cubemap
+   * @returns {number} Face size in pixels
+   */
+  getEnvironmentSize() {
+    return this.environmentSize;
+  }
+
+  /**
+   * Capture the environment cubemap again on the next updateEnvironment
+   * Call this when the starfield or anything else on STARFIELD_LAYER changes.
+   */
+  invalidateEnvironment() {
+    this._environmentStale = true;
+  }
+
+  /**
+   * Re-render the environment cubemap sampled along bent rays
+   * Only objects on STARFIELD_LAYER are captured, over the sky background,
+   * which is set on the scene just for the capture. The capture is skipped
+   * unless the cubemap was invalidated, the black hole moved, or
+   * ENVIRONMENT_REFRESH_INTERVAL frames have passed since the last one.
    * @param {THREE.WebGLRenderer} renderer - The WebGL renderer
-   * @param {THREE.Scene} scene - The scene to render
-   * @param {THREE.Camera} camera - The camera
+   * @param {THREE.Scene} scene - The scene containing the starfield
+   * @returns {boolean} True if the cubemap was captured
+   */
+  updateEnvironment(renderer, scene) {
+    if (!this.cubeCamera || !this.drawsEnvironment()) {
+      return false;
+    }
+
+    this._framesSinceCapture++;
+    if (
+      !this._environmentStale &&
+      this._framesSinceCapture < ENVIRONMENT_REFRESH_INTERVAL &&
+      this._capturePosition.equals(this.blackHolePosition)
+    ) {
+      return false;
+    }
+
+    const { background, backgroundIntensity } = scene;
+    scene.background = this.background;
+    scene.backgroundIntensity = this.backgroundIntensity;
+
+    this.cubeCamera.position.copy(this.blackHolePosition);
+    this.cubeCamera.update(renderer, scene);
+
+    scene.background = background;
+    scene.backgroundIntensity = backgroundIntensity;
+
+    this._capturePosition.copy(this.blackHolePosition);
+    this._framesSinceCapture = 0;
+    this._environmentStale = false;
+    return true;
+  }
+
+  /**
+   * Set the sky background sampled along bent rays
+   * The camera must not draw the background or the starfield itself while
+   * the lensing pass draws them (see drawsEnvironment).
+   * @param {THREE.Texture|null} texture - Equirectangular or cube texture (null removes the background)
+   */
+  setBackground(texture) {
+    this.background = texture;
+    if (this.uniforms) {
+      this.uniforms.backgroundEnabled.value = texture !== null;
+    }
+    this.invalidateEnvironment();
+    this.updatePassEnabled();
+  }
+
+  /**
+   * Set the brightness of the sky background
+   * @param {number} intensity - Multiplier on the background's radiance (1 = as stored)
+   */
+  setBackgroundIntensity(intensity) {
+    intensity = Math.max(0, intensity);
+    if (intensity !== this.backgroundIntensity) {
+      this.backgroundIntensity = intensity;
+      this.invalidateEnvironment();
+    }
+  }
+
+  /**
+   * Whether the lensing pass draws the starfield and sky background from its
+   * environment cubemap: always in geodesic mode, and in fast mode when there
+   * is a sky background
+   * @returns {boolean} True when the camera should leave the environment to the pass
+   */
+  drawsEnvironment() {
+    return this.pass !== null && (this.mode === 'geodesic' || this.background !== null);
+  }
+
+  /**
+   * Switch between the fast heuristic and the geodesic ray tracer
+   * @param {'fast'|'geodesic'} mode - Lensing mode
    */
-  apply(renderer, scene, camera) {
-    if (!this.renderTarget || !this.lensingMaterial) {
+  setMode(mode) {
+    if (!LENSING_MODES.includes(mode)) {
+      console.warn(`Invalid lensing mode: ${mode}. Using 'fast'.`);
+      mode = 'fast';
+    }
+
+    const material = this.materials[mode];
+    if (!material || !material.isShaderMaterial) {
+      console.warn(`Lensing mode '${mode}' is unavailable, keeping '${this.mode}'`);
       return;
     }
 
-    // Render scene to render target
-    renderer.setRenderTarget(this.renderTarget);
-    renderer.render(scene, camera);
-    renderer.setRenderTarget(null);
+    this.mode = mode;
+    this.lensingMaterial = material;
+
+    // The cubemap is not kept up to date while no mode draws it
+    this.invalidateEnvironment();
+
+    if (this.pass) {
+      this.pass.material = material;
+      this.pass.uniforms = material.uniforms;
+    }
+
+    this.updatePassEnabled();
+  }
+
+  /**
+   * Get the active lensing mode
+   * @returns {'fast'|'geodesic'} The lensing mode
+   */
+  getMode() {
+    return this.mode;
+  }
+
+  /**
+   * Enable the pass only when it contributes to the image
+   * The pass always runs while it draws the environment itself.
+   * @private
+   */
+  updatePassEnabled() {
+    if (this.pass) {
+      this.pass.enabled = this.intensity > 0 || this.drawsEnvironment();
+    }
+  }
+
+  /**
+   * Set the intensity of the lensing effect
+   * @param {number} intensity - Lensing intensity (0 = no lensing, 1 = normal, >1 = exaggerated)
+   */
+  setIntensity(intensity) {
+    this.intensity = Math.max(0, intensity);
+    if (this.uniforms) {
+      this.uniforms.intensity.value = this.intensity;
+    }
 
-    // Set the rendered scene as the texture to distort
-    this.lensingMaterial.uniforms.tDiffuse.value = this.renderTarget.texture;
+    // Skip the full-screen pass entirely when lensing is switched off
+    this.updatePassEnabled();
+  }
 
-    // Update camera position
-    this.update(camera.position);
+  /**
+   * Get the post-processing pass that applies the lensing effect
+   * @returns {ShaderPass|null} The lensing pass, or null if the shader failed to compile
+   */
+  getPass() {
+    return this.pass;
   }
 
   /**
-   * Resize the render target when viewport changes
+   * Update the lensing resolution when viewport changes
    * @param {number} width - New width
    * @param {number} height - New height
    */
   resize(width, height) {
-    if (this.renderTarget) {
-      this.renderTarget.setSize(width, height);
-    }
-    
-    if (this.lensingMaterial && this.lensingMaterial.uniforms) {
-      this.lensingMaterial.uniforms.resolution.value.set(width, height);
+    if (this.uniforms) {
+      this.uniforms.resolution.value.set(width, height);
     }
   }
 
@@ -301,21 +1024,29 @@ export class GravitationalLensing {
    * Dispose of all resources
    */
   dispose() {
-    if (this.renderTarget) {
-      this.renderTarget.dispose();
-      this.renderTarget = null;
+    if (this.pass) {
+      this.pass.dispose();
+      this.pass = null;
+    }
+
+    for (const mode of LENSING_MODES) {
+      if (this.materials[mode]) {
+        this.materials[mode].dispose();
+        this.materials[mode] = null;
+      }
     }
+    this.lensingMaterial = null;
 
-    if (this.lensingMaterial) {
-      this.lensingMaterial.dispose();
-      this.lensingMaterial = null;
+    if (this.cubeRenderTarget) {
+      this.cubeRenderTarget.dispose();
+      this.cubeRenderTarget = null;
     }
+    this.cubeCamera = null;
+    this.background = null;
 
-    if (this.quad) {
-      if (this.quad.geometry) {
-        this.quad.geometry.dispose();
-      }
-      this.quad = null;
+    if (this.blackbodyTexture) {
+      this.blackbodyTexture.dispose();
+      this.blackbodyTexture = null;
     }
 
     this.scene = null;
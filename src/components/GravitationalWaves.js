@@ -0,0 +1,414 @@
+import * as THREE from 'three';
+import { createShaderMaterial } from '../utils/ShaderUtils.js';
+import {
+  SPEED_OF_LIGHT,
+  quasinormalMode,
+  strainAmplitude
+} from '../utils/BlackHolePhysics.js';
+
+/**
+ * Polarisations the strain grid can display
+ */
+export const GW_POLARIZATIONS = ['plus', 'cross'];
+
+/**
+ * Number of source samples kept, newest first; the oldest sets how far the
+ * waves can travel, HISTORY_LENGTH × SAMPLE_INTERVAL × c
+ */
+export const HISTORY_LENGTH = 1024;
+
+/**
+ * Time between source samples in seconds
+ */
+export const SAMPLE_INTERVAL = 1 / 60;
+
+// Grid resolution: lines per direction and segments per line
+const GRID_LINES = 64;
+const LINE_SEGMENTS = 256;
+
+// Grid displacement per unit strain, in units of the inner radius
+const DISPLACEMENT_EXAGGERATION = 15.0;
+
+/**
+ * GravitationalWaves renders the strain pattern of an orbiting source as a
+ * deforming grid in the orbital plane.
+ * Each frame the source's orbital phase Φ and distance-scaled amplitude r·h
+ * are recorded at a fixed sample interval. A grid point at radius r and
+ * azimuth φ shows the wave emitted r/c earlier, h+ ∝ cos 2(Φ − φ) or
+ * h× ∝ sin 2(Φ − φ) falling off as 1/r, so the quadrupole pattern spirals
+ * outwards at the speed of light and tightens as the orbit chirps. After a
+ * merger the remnant rings down in its fundamental quasinormal mode.
+ * The same record provides the strain time series for the chirp plot, so the
+ * plot and the grid advance on the same clock.
+ *
+ * A source is any object with BinaryBlackHole's orbit getters: isActive,
+ * hasMerged, getPhase, getOrbitalFrequency, getSeparation, getMasses and
+ * getRemnant.
+ */
+export class GravitationalWaves {
+  constructor() {
+    this.grid = null;
+    this.material = null;
+    this.source = null;
+    this.enabled = false;
+    this.polarization = 'plus';
+    this.innerRadius = 2.0;
+    this.outerRadius = 30.0;
+
+    // Source state: orbital phase, distance-scaled amplitude and phase rate
+    this.phase = 0;
+    this.amplitude = 0;
+    this.phaseRate = 0;
+    this.ringdown = null;
+
+    // Samples of (phase, amplitude), newest first, shared with the shader
+    this.history = new Float32Array(HISTORY_LENGTH * 4);
+    this.historyTexture = null;
+    this.sinceLastSample = 0;
+
+    // Reused strain series handed to the chirp plot
+    this.series = {
+      interval: SAMPLE_INTERVAL,
+      plus: new Float32Array(HISTORY_LENGTH),
+      cross: new Float32Array(HISTORY_LENGTH)
+    };
+  }
+
+  /**
+   * Initialize the strain grid
+   * @param {number} innerRadius - Radius inside which the grid fades out around the source
+   * @param {number} outerRadius - Radius of the grid
+   */
+  initialize(innerRadius = 2.0, outerRadius = 30.0) {
+    this.innerRadius = innerRadius;
+    this.outerRadius = outerRadius;
+
+    this.historyTexture = new THREE.DataTexture(
+      this.history,
+      HISTORY_LENGTH,
+      1,
+      THREE.RGBAFormat,
+      THREE.FloatType
+    );
+    this.historyTexture.minFilter = THREE.NearestFilter;
+    this.historyTexture.magFilter = THREE.NearestFilter;
+    this.historyTexture.needsUpdate = true;
+
+    this.material = this.createShaderMaterial();
+
+    this.grid = new THREE.LineSegments(this.createGeometry(), this.material);
+    this.grid.name = 'GravitationalWaves';
+    this.grid.visible = this.enabled;
+
+    // The shader moves vertices out of the flat bounding box
+    this.grid.frustumCulled = false;
+  }
+
+  /**
+   * Create a square grid of lines in the orbital plane (y = 0)
+   * @returns {THREE.BufferGeometry} The grid geometry
+   */
+  createGeometry() {
+    const radius = this.outerRadius;
+    const vertexCount = 2 * (GRID_LINES + 1) * LINE_SEGMENTS * 2;
+    const positions = new Float32Array(vertexCount * 3);
+    let offset = 0;
+
+    for (let line = 0; line <= GRID_LINES; line++) {
+      const across = -radius + (2 * radius * line) / GRID_LINES;
+
+      for (let segment = 0; segment < LINE_SEGMENTS; segment++) {
+        const start = -radius + (2 * radius * segment) / LINE_SEGMENTS;
+        const end = -radius + (2 * radius * (segment + 1)) / LINE_SEGMENTS;
+
+        // One segment along X and one along Z
+        positions.set([start, 0, across, end, 0, across], offset);
+        positions.set([across, 0, start, across, 0, end], offset + 6);
+        offset += 12;
+      }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    return geometry;
+  }
+
+  /**
+   * Create the custom shader material for the grid
+   * @returns {THREE.ShaderMaterial} The shader material
+   */
+  createShaderMaterial() {
+    // Shader uniforms
+    const uniforms = {
+      history: { value: this.historyTexture },
+      sampleInterval: { value: SAMPLE_INTERVAL },
+      sinceLastSample: { value: 0.0 },
+      innerRadius: { value: this.innerRadius },
+      outerRadius: { value: this.outerRadius },
+      displacementScale: { value: DISPLACEMENT_EXAGGERATION * this.innerRadius },
+      polarization: { value: GW_POLARIZATIONS.indexOf(this.polarization) },
+      stretchColor: { value: new THREE.Color(0xffaa55) },
+      squeezeColor: { value: new THREE.Color(0x55aaff) }
+    };
+
+    // Vertex shader - displaces the grid by the retarded strain
+    const vertexShader = `
+      uniform sampler2D history;
+      uniform float sampleInterval;
+      uniform float sinceLastSample;
+      uniform float innerRadius;
+      uniform float outerRadius;
+      uniform float displacementScale;
+      uniform float polarization;
+
+      varying float vStrain;
+      varying float vFade;
+
+      const float HISTORY_LENGTH = ${HISTORY_LENGTH.toFixed(1)};
+      const float SPEED_OF_LIGHT = ${SPEED_OF_LIGHT.toFixed(1)};
+
+      /**
+       * Source phase and amplitude at a given age, interpolated between samples
+       * @param age Time before the present in seconds
+       * @return (orbital phase, distance-scaled amplitude)
+       */
+      vec2 sampleHistory(float age) {
+        float index = clamp((age - sinceLastSample) / sampleInterval, 0.0, HISTORY_LENGTH - 2.0);
+        float lower = floor(index);
+        vec2 newer = texture2D(history, vec2((lower + 0.5) / HISTORY_LENGTH, 0.5)).xy;
+        vec2 older = texture2D(history, vec2((lower + 1.5) / HISTORY_LENGTH, 0.5)).xy;
+        return mix(newer, older, index - lower);
+      }
+
+      void main() {
+        float radius = length(position.xz);
+        float azimuth = atan(-position.z, position.x);
+
+        // Waves reaching this point left the source r/c ago
+        vec2 source = sampleHistory(radius / SPEED_OF_LIGHT);
+        float wavePhase = 2.0 * (source.x - azimuth);
+        float pattern = polarization < 0.5 ? cos(wavePhase) : sin(wavePhase);
+        float strain = source.y / max(radius, innerRadius) * pattern;
+
+        vec3 displaced = position;
+        displaced.y += strain * displacementScale;
+
+        vStrain = strain * displacementScale / innerRadius;
+        vFade = smoothstep(0.5 * innerRadius, innerRadius, radius) *
+          (1.0 - smoothstep(0.8 * outerRadius, outerRadius, radius));
+
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(displaced, 1.0);
+      }
+    `;
+
+    // Fragment shader - warm where space is stretched, cool where squeezed
+    const fragmentShader = `
+      uniform vec3 stretchColor;
+      uniform vec3 squeezeColor;
+
+      varying float vStrain;
+      varying float vFade;
+
+      void main() {
+        float strength = clamp(abs(vStrain), 0.0, 1.0);
+        vec3 color = mix(vec3(0.35), vStrain > 0.0 ? stretchColor : squeezeColor, strength);
+        gl_FragColor = vec4(color, vFade * (0.2 + 0.6 * strength));
+      }
+    `;
+
+    // Use shader utility with error handling and fallback
+    return createShaderMaterial({
+      uniforms: uniforms,
+      vertexShader: vertexShader,
+      fragmentShader: fragmentShader,
+      transparent: true,
+      depthWrite: false
+    }, 'GravitationalWaves');
+  }
+
+  /**
+   * Record the source and advance the waves
+   * @param {number} deltaTime - Time elapsed since last frame in seconds
+   */
+  update(deltaTime) {
+    if (!this.historyTexture) {
+      return;
+    }
+
+    this.updateSource(deltaTime);
+
+    // Record every sample time that passed during this frame, stepping the
+    // phase back to when each sample was due
+    this.sinceLastSample = Math.min(
+      this.sinceLastSample + deltaTime,
+      HISTORY_LENGTH * SAMPLE_INTERVAL
+    );
+    let recorded = false;
+    while (this.sinceLastSample >= SAMPLE_INTERVAL) {
+      this.sinceLastSample -= SAMPLE_INTERVAL;
+      this.recordSample(this.phase - this.phaseRate * this.sinceLastSample, this.amplitude);
+      recorded = true;
+    }
+
+    if (recorded) {
+      this.historyTexture.needsUpdate = true;
+    }
+    if (this.material && this.material.uniforms) {
+      this.material.uniforms.sinceLastSample.value = this.sinceLastSample;
+    }
+  }
+
+  /**
+   * Read the orbit of the source, or continue its ringdown after a merger
+   * @private
+   * @param {number} deltaTime - Time elapsed since last frame in seconds
+   */
+  updateSource(deltaTime) {
+    const source = this.source;
+
+    if (source && source.isActive()) {
+      const masses = source.getMasses();
+      this.phase = source.getPhase();
+      this.amplitude = strainAmplitude(masses.primary, masses.secondary, source.getSeparation());
+      this.phaseRate = source.getOrbitalFrequency();
+      this.ringdown = null;
+    } else if (source && source.hasMerged() && this.amplitude > 0) {
+      // The remnant rings at its quasinormal frequency (half of it in orbital phase)
+      if (!this.ringdown) {
+        const remnant = source.getRemnant();
+        const mode = quasinormalMode(remnant.mass, remnant.spin);
+        this.ringdown = { phaseRate: mode.angularFrequency / 2, dampingTime: mode.dampingTime };
+      }
+      this.phaseRate = this.ringdown.phaseRate;
+      this.phase += this.phaseRate * deltaTime;
+      this.amplitude *= Math.exp(-deltaTime / this.ringdown.dampingTime);
+    } else {
+      this.amplitude = 0;
+      this.phaseRate = 0;
+      this.ringdown = null;
+    }
+  }
+
+  /**
+   * Shift the history by one sample and store the newest at the front
+   * @private
+   * @param {number} phase - Orbital phase in radians
+   * @param {number} amplitude - Distance-scaled strain amplitude
+   */
+  recordSample(phase, amplitude) {
+    this.history.copyWithin(4, 0, (HISTORY_LENGTH - 1) * 4);
+    this.history[0] = phase;
+    this.history[1] = amplitude;
+  }
+
+  /**
+   * Strain time series seen by a distant observer, oldest sample first
+   * h+ = −A (1 + cos²ι)/2 cos 2Φ and h× = −A cos ι sin 2Φ, with A the
+   * distance-scaled amplitude r·h. The returned object is reused between calls.
+   * @param {number} inclination - Angle between the orbital axis and the line of sight (radians)
+   * @returns {{interval: number, plus: Float32Array, cross: Float32Array}} Samples spaced by interval seconds
+   */
+  getStrainSeries(inclination = 0) {
+    const cosInclination = Math.cos(inclination);
+    const plusFactor = -(1 + cosInclination * cosInclination) / 2;
+    const crossFactor = -cosInclination;
+
+    for (let i = 0; i < HISTORY_LENGTH; i++) {
+      const sample = (HISTORY_LENGTH - 1 - i) * 4;
+      const wavePhase = 2 * this.history[sample];
+      const amplitude = this.history[sample + 1];
+      this.series.plus[i] = plusFactor * amplitude * Math.cos(wavePhase);
+      this.series.cross[i] = crossFactor * amplitude * Math.sin(wavePhase);
+    }
+
+    return this.series;
+  }
+
+  /**
+   * Set the orbiting source whose waves are shown
+   * @param {Object|null} source - A BinaryBlackHole or compatible source
+   */
+  setSource(source) {
+    this.source = source;
+  }
+
+  /**
+   * Show or hide the strain grid; the history is recorded either way
+   * @param {boolean} enabled - Whether the grid is rendered
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (this.grid) {
+      this.grid.visible = enabled;
+    }
+  }
+
+  /**
+   * Choose which polarisation displaces the grid
+   * @param {'plus'|'cross'} polarization - h+ or h×
+   */
+  setPolarization(polarization) {
+    if (!GW_POLARIZATIONS.includes(polarization)) {
+      console.warn(`Invalid polarization: ${polarization}. Using 'plus'.`);
+      polarization = 'plus';
+    }
+
+    this.polarization = polarization;
+    if (this.material && this.material.uniforms) {
+      this.material.uniforms.polarization.value = GW_POLARIZATIONS.indexOf(polarization);
+    }
+  }
+
+  /**
+   * Set the grid size, rebuilding the geometry in place
+   * @param {number} innerRadius - Radius inside which the grid fades out around the source
+   * @param {number} outerRadius - Radius of the grid
+   */
+  setRadii(innerRadius, outerRadius) {
+    this.innerRadius = innerRadius;
+    this.outerRadius = outerRadius;
+
+    if (this.grid) {
+      const oldGeometry = this.grid.geometry;
+      this.grid.geometry = this.createGeometry();
+      oldGeometry.dispose();
+    }
+
+    if (this.material && this.material.uniforms) {
+      this.material.uniforms.innerRadius.value = innerRadius;
+      this.material.uniforms.outerRadius.value = outerRadius;
+      this.material.uniforms.displacementScale.value = DISPLACEMENT_EXAGGERATION * innerRadius;
+    }
+  }
+
+  /**
+   * Get the shader material
+   * @returns {THREE.ShaderMaterial} The material
+   */
+  getMaterial() {
+    return this.material;
+  }
+
+  /**
+   * Dispose of all resources
+   */
+  dispose() {
+    if (this.grid) {
+      if (this.grid.geometry) {
+        this.grid.geometry.dispose();
+      }
+      if (this.material) {
+        this.material.dispose();
+      }
+      this.grid = null;
+      this.material = null;
+    }
+
+    if (this.historyTexture) {
+      this.historyTexture.dispose();
+      this.historyTexture = null;
+    }
+
+    this.source = null;
+  }
+}
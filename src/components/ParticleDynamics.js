@@ -0,0 +1,997 @@
+import {
+  DEFAULT_MASS,
+  SPEED_OF_LIGHT,
+  frameDraggingAngularVelocity,
+  horizonRadius,
+  properTimeRate,
+  pseudoNewtonianRadius
+} from '../utils/BlackHolePhysics.js';
+import {
+  DISK_PEAK_RADIUS_FACTOR,
+  blackbodyRGB,
+  diskTemperature
+} from '../utils/Blackbody.js';
+import { Random } from '../utils/Random.js';
+
+/**
+ * Integrators available for the particle orbits: semi-implicit Euler,
+ * velocity Verlet and classical fourth-order Runge-Kutta
+ */
+export const PARTICLE_INTEGRATORS = ['euler', 'verlet', 'rk4'];
+
+/**
+ * Integrators that are time-symmetric: a step of −dt undoes a step of dt, so
+ * orbits can be played backwards. Semi-implicit Euler and RK4 are not.
+ */
+export const REVERSIBLE_INTEGRATORS = ['verlet'];
+
+/**
+ * Gravity models for the particles: Newtonian 1/r² or the pseudo-Newtonian
+ * Paczyński–Wiita force 1/(r − rp)², which has an ISCO and a plunging region
+ */
+export const GRAVITY_MODELS = ['newtonian', 'paczynski-wiita'];
+
+/**
+ * Longest step the integrator takes; longer frames are split into substeps
+ */
+export const MAX_SUBSTEP_DURATION = 1 / 120;
+
+/**
+ * The Paczyński–Wiita force diverges at rp, which for a non-spinning hole is
+ * the horizon itself; r − rp is kept above this fraction of rp so plunging
+ * particles land inside the horizon instead of overshooting it
+ */
+export const PSEUDO_NEWTONIAN_SOFTENING = 0.1;
+
+// Turning points are searched for on this many radii, out to this multiple
+// of the particle's distance
+const FATE_SCAN_STEPS = 256;
+const FATE_SCAN_RANGE = 1000;
+
+/**
+ * Gravity is evaluated no closer than this to a point mass, so intermediate
+ * integrator stages that land on a singularity stay finite
+ */
+export const MIN_GRAVITY_DISTANCE = 1e-4;
+
+/**
+ * ParticleDynamics spawns the particles and integrates their orbits.
+ * It holds the particle buffers and physics of ParticleSystem without
+ * anything to draw them and without three.js, so the particle worker can run
+ * it. Positions only need x, y and z, so a THREE.Vector3 or a plain object works.
+ */
+export class ParticleDynamics {
+  constructor() {
+    this.particleCount = 1000;
+    this.spawnRadius = 8.0;
+    this.eventHorizonRadius = 1.0;
+    this.mass = DEFAULT_MASS;
+    this.spin = 0.0;
+    this.diskInnerRadius = 1.5;
+    this.diskOuterRadius = 4.0;
+    this.peakTemperature = 10000;
+    this.minimumTemperature = 0;
+
+    // Particles crossing the horizon respawn unless recycling is disabled,
+    // in which case they are flagged as captured and stop moving
+    this.recycleCaptured = true;
+    this.captured = null;
+
+    // Optional per-particle accelerations added by scenarios (x, y, z per particle)
+    this.externalAccelerations = null;
+
+    // Optional point masses that replace the single black hole, e.g. a binary
+    this.attractors = null;
+
+    // Orbit integration; frames longer than MAX_SUBSTEP_DURATION are split
+    // into at most maxSubsteps substeps
+    this.integrator = 'verlet';
+    this.maxSubsteps = 8;
+
+    // Gravity model; the Paczyński–Wiita radius follows the mass and spin
+    this.gravityModel = 'newtonian';
+    this.pseudoNewtonianRadius = pseudoNewtonianRadius(DEFAULT_MASS);
+
+    // Called with the index of a particle that respawned or was placed
+    this.particleResetCallback = null;
+
+    // Random numbers for spawning; the simulation injects a seeded stream
+    this.random = new Random();
+
+    // Energy and angular momentum totals, computed while diagnostics are enabled
+    this.diagnosticsEnabled = false;
+    this.diagnostics = null;
+    
+    // Buffer attributes for particle data
+    this.positions = null;
+    this.velocities = null;
+    this.colors = null;
+    this.sizes = null;
+
+    // Coordinate time and proper time elapsed since each particle spawned
+    this.ages = null;
+    this.properTimes = null;
+
+    // Scratch colour for blackbody lookups
+    this._color = { r: 0, g: 0, b: 0 };
+
+    // Scratch buffers for gravity evaluations; the single black hole is
+    // treated as a one-element attractor list
+    this._field = new Float64Array(4);
+    this._dragged = new Float64Array(2);
+    this._angularMomentum = new Float64Array(3);
+    this._singleAttractor = [{ position: null, mass: DEFAULT_MASS, horizonRadius: 1.0 }];
+  }
+
+  /**
+   * Spawn the particles
+   * @param {number} count - Number of particles to generate
+   * @param {number} spawnRadius - Radius at which particles spawn
+   * @param {number} eventHorizonRadius - Radius of the black hole event horizon
+   */
+  initialize(count = 1000, spawnRadius = 8.0, eventHorizonRadius = 1.0) {
+    this.particleCount = count;
+    this.spawnRadius = spawnRadius;
+    this.eventHorizonRadius = eventHorizonRadius;
+
+    // Initialize buffer arrays
+    this.positions = new Float32Array(count * 3); // x, y, z per particle
+    this.velocities = new Float32Array(count * 3); // vx, vy, vz per particle
+    this.colors = new Float32Array(count * 3); // r, g, b per particle
+    this.sizes = new Float32Array(count); // size per particle
+    this.ages = new Float32Array(count);
+    this.properTimes = new Float32Array(count);
+
+    // Generate initial particle data with randomized positions
+    for (let i = 0; i < count; i++) {
+      this.resetParticle(i);
+    }
+
+  }
+
+  /**
+   * Reset a particle to a new randomized position
+   * @param {number} index - Index of the particle to reset
+   */
+  resetParticle(index) {
+    const i3 = index * 3;
+
+    // Generate random position in spherical coordinates
+    // Spawn particles outside the spawn radius
+    const theta = this.random.next() * Math.PI * 2; // Azimuthal angle
+    const phi = Math.acos(2 * this.random.next() - 1); // Polar angle (uniform distribution)
+    const radius = this.spawnRadius * (1 + this.random.next() * 0.25); // Spawn radius with some variation
+
+    // Convert to Cartesian coordinates
+    this.positions[i3] = radius * Math.sin(phi) * Math.cos(theta);
+    this.positions[i3 + 1] = radius * Math.sin(phi) * Math.sin(theta);
+    this.positions[i3 + 2] = radius * Math.cos(phi);
+
+    // Initialize velocity with small random component
+    this.velocities[i3] = (this.random.next() - 0.5) * 0.1;
+    this.velocities[i3 + 1] = (this.random.next() - 0.5) * 0.1;
+    this.velocities[i3 + 2] = (this.random.next() - 0.5) * 0.1;
+
+    // Launch the particle on a prograde, sub-Keplerian orbit about the spin
+    // axis, so the swarm orbits and slowly feeds the hole instead of falling
+    // straight in. The circular speed follows the gravity model; under
+    // Paczyński–Wiita, orbits with less angular momentum than the ISCO
+    // plunge and the rest settle outside it
+    const x = this.positions[i3];
+    const z = this.positions[i3 + 2];
+    const axisDistance = Math.sqrt(x * x + z * z);
+    if (axisDistance > 0) {
+      const gm = this.mass * SPEED_OF_LIGHT * SPEED_OF_LIGHT;
+      const rp = this.gravityModel === 'paczynski-wiita' ? this.pseudoNewtonianRadius : 0;
+      const circularSpeed = Math.sqrt(gm * radius) / (radius - rp);
+      const speed = (0.5 + 0.5 * this.random.next()) * circularSpeed;
+      this.velocities[i3] += (z / axisDistance) * speed;
+      this.velocities[i3 + 2] -= (x / axisDistance) * speed;
+    }
+
+    // Set initial color (will be updated based on velocity)
+    this.colors[i3] = 0.8;
+    this.colors[i3 + 1] = 0.6;
+    this.colors[i3 + 2] = 0.4;
+
+    // Set particle size with some variation
+    this.sizes[index] = 2.0 + this.random.next() * 2.0;
+
+    this.ages[index] = 0;
+    this.properTimes[index] = 0;
+
+    if (this.particleResetCallback) {
+      this.particleResetCallback(index);
+    }
+  }
+
+  /**
+   * Flag a particle as swallowed by the black hole
+   * The particle is parked at the centre, inside the horizon, and no longer moves.
+   * @param {number} index - Index of the particle
+   * @param {THREE.Vector3} blackHolePosition - Position of the black hole center
+   */
+  captureParticle(index, blackHolePosition) {
+    const i3 = index * 3;
+    this.captured[index] = 1;
+    this.positions[i3] = blackHolePosition.x;
+    this.positions[i3 + 1] = blackHolePosition.y;
+    this.positions[i3 + 2] = blackHolePosition.z;
+    this.velocities[i3] = 0;
+    this.velocities[i3 + 1] = 0;
+    this.velocities[i3 + 2] = 0;
+  }
+
+  /**
+   * Update particle physics simulation
+   * Long frames are split into substeps of at most MAX_SUBSTEP_DURATION (up
+   * to maxSubsteps of them), so a spike in deltaTime does not fling particles
+   * out of their orbits. A negative deltaTime runs the orbits backwards.
+   * @param {number} deltaTime - Time elapsed since last frame in seconds
+   * @param {THREE.Vector3} blackHolePosition - Position of the black hole center
+   */
+  update(deltaTime, blackHolePosition = { x: 0, y: 0, z: 0 }) {
+    if (!this.positions) return;
+
+    const positions = this.positions;
+    const colors = this.colors;
+
+    const substeps = deltaTime !== 0
+      ? Math.min(this.maxSubsteps, Math.ceil(Math.abs(deltaTime) / MAX_SUBSTEP_DURATION))
+      : 1;
+    const step = deltaTime / substeps;
+
+    // Running totals for the diagnostics, per unit particle mass
+    const diagnostics = this.diagnosticsEnabled;
+    const field = this._field;
+    let integrated = 0;
+    let kineticEnergy = 0;
+    let potentialEnergy = 0;
+    let energyBefore = 0;
+    let angularMomentumX = 0;
+    let angularMomentumY = 0;
+    let angularMomentumZ = 0;
+    let angularMomentumBeforeX = 0;
+    let angularMomentumBeforeY = 0;
+    let angularMomentumBeforeZ = 0;
+
+    for (let i = 0; i < this.particleCount; i++) {
+      const i3 = i * 3;
+
+      if (this.captured && this.captured[i]) {
+        continue;
+      }
+
+      let particleEnergy = 0;
+      const particleAngularMomentum = this._angularMomentum;
+      if (diagnostics) {
+        this.sampleGravity(positions[i3], positions[i3 + 1], positions[i3 + 2], blackHolePosition, field);
+        particleEnergy = this.specificEnergy(i3, field[3]);
+        this.specificAngularMomentum(i3, blackHolePosition, particleAngularMomentum);
+      }
+
+      // Advance the particle; it is swallowed as soon as any substep
+      // evaluates gravity inside a horizon
+      let swallowedAt = null;
+      for (let s = 0; s < substeps && !swallowedAt; s++) {
+        swallowedAt = this.integrateParticle(i3, step, blackHolePosition);
+      }
+
+      // Swallowed particles are left out of both sides of the drift
+      if (swallowedAt) {
+        if (this.recycleCaptured) {
+          this.resetParticle(i);
+        } else {
+          this.captureParticle(i, swallowedAt);
+        }
+        continue;
+      }
+
+      const px = positions[i3];
+      const py = positions[i3 + 1];
+      const pz = positions[i3 + 2];
+      const dx = px - blackHolePosition.x;
+      const dy = py - blackHolePosition.y;
+      const dz = pz - blackHolePosition.z;
+      const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+      // Advance the particle's own clock against coordinate time
+      const vx = this.velocities[i3];
+      const vy = this.velocities[i3 + 1];
+      const vz = this.velocities[i3 + 2];
+      const radialSpeed = (dx * vx + dy * vy + dz * vz) / distance;
+      const tangentialSpeed = Math.sqrt(Math.max(vx * vx + vy * vy + vz * vz - radialSpeed * radialSpeed, 0));
+      this.ages[i] += deltaTime;
+      this.properTimes[i] += properTimeRate(this.mass, distance, radialSpeed, tangentialSpeed) * deltaTime;
+
+      if (diagnostics) {
+        energyBefore += particleEnergy;
+        angularMomentumBeforeX += particleAngularMomentum[0];
+        angularMomentumBeforeY += particleAngularMomentum[1];
+        angularMomentumBeforeZ += particleAngularMomentum[2];
+
+        this.sampleGravity(px, py, pz, blackHolePosition, field);
+        integrated++;
+        kineticEnergy += this.specificEnergy(i3, 0);
+        potentialEnergy += field[3];
+        this.specificAngularMomentum(i3, blackHolePosition, particleAngularMomentum);
+        angularMomentumX += particleAngularMomentum[0];
+        angularMomentumY += particleAngularMomentum[1];
+        angularMomentumZ += particleAngularMomentum[2];
+      }
+
+      // Color by the thin-disk temperature at the particle's distance, using
+      // the same blackbody lookup as the accretion disk; matter inside the
+      // temperature peak stays at the peak temperature
+      const temperature = distance <= this.diskInnerRadius * DISK_PEAK_RADIUS_FACTOR
+        ? this.peakTemperature
+        : diskTemperature(distance, this.diskInnerRadius, this.peakTemperature);
+      const color = blackbodyRGB(Math.max(temperature, this.minimumTemperature), this._color);
+      colors[i3] = color.r;
+      colors[i3 + 1] = color.g;
+      colors[i3 + 2] = color.b;
+
+      // Add illumination from nearby emissive surfaces (accretion disk)
+      // Calculate distance to disk plane (y = 0)
+      const distanceToDisk = Math.abs(py);
+      const radialDistance = Math.sqrt(px * px + pz * pz);
+      
+      // Check if particle is near the accretion disk
+      if (
+        radialDistance > this.diskInnerRadius &&
+        radialDistance < this.diskOuterRadius &&
+        distanceToDisk < 1.0
+      ) {
+        const diskProximity = 1.0 - (distanceToDisk / 1.0);
+        const illumination = diskProximity * 0.5;
+        const glow = blackbodyRGB(
+          diskTemperature(radialDistance, this.diskInnerRadius, this.peakTemperature),
+          this._color
+        );
+        colors[i3] += illumination * glow.r; // Add glow of the disk below
+        colors[i3 + 1] += illumination * glow.g;
+        colors[i3 + 2] += illumination * glow.b;
+      }
+    }
+
+    if (diagnostics) {
+      const totalEnergy = kineticEnergy + potentialEnergy;
+      const dLx = angularMomentumX - angularMomentumBeforeX;
+      const dLy = angularMomentumY - angularMomentumBeforeY;
+      const dLz = angularMomentumZ - angularMomentumBeforeZ;
+      const angularMomentumBefore = Math.sqrt(
+        angularMomentumBeforeX * angularMomentumBeforeX +
+        angularMomentumBeforeY * angularMomentumBeforeY +
+        angularMomentumBeforeZ * angularMomentumBeforeZ
+      );
+
+      this.diagnostics = {
+        integrator: this.integrator,
+        substeps,
+        timeStep: step,
+        particles: integrated,
+        kineticEnergy,
+        potentialEnergy,
+        totalEnergy,
+        angularMomentum: { x: angularMomentumX, y: angularMomentumY, z: angularMomentumZ },
+        energyDrift: energyBefore !== 0
+          ? (totalEnergy - energyBefore) / Math.abs(energyBefore)
+          : 0,
+        angularMomentumDrift: angularMomentumBefore > 0
+          ? Math.sqrt(dLx * dLx + dLy * dLy + dLz * dLz) / angularMomentumBefore
+          : 0
+      };
+    }
+  }
+
+  /**
+   * Advance one particle by a single step of the selected integrator
+   * @private
+   * @param {number} i3 - Index of the particle's first component
+   * @param {number} dt - Step duration in seconds
+   * @param {THREE.Vector3} blackHolePosition - Position of the black hole center
+   * @returns {THREE.Vector3|null} Centre of the horizon the particle fell into, if any
+   */
+  integrateParticle(i3, dt, blackHolePosition) {
+    const positions = this.positions;
+    const velocities = this.velocities;
+    const field = this._field;
+
+    let x = positions[i3];
+    const y = positions[i3 + 1];
+    let z = positions[i3 + 2];
+    const vx = velocities[i3];
+    const vy = velocities[i3 + 1];
+    const vz = velocities[i3 + 2];
+
+    // Accelerations supplied by a scenario (e.g. self-gravity) are held
+    // constant over the step
+    const external = this.externalAccelerations;
+    const ex = external ? external[i3] : 0;
+    const ey = external ? external[i3 + 1] : 0;
+    const ez = external ? external[i3 + 2] : 0;
+
+    // Frame dragging sweeps local inertial frames around the spin axis (+Y);
+    // half the turn before the step and half after keeps it time-symmetric
+    const dragging = this.spin > 0 && !this.attractors;
+    const dragged = this._dragged;
+    if (dragging) {
+      this.dragFrame(x, y, z, 0.5 * dt, blackHolePosition, dragged);
+      x = dragged[0];
+      z = dragged[1];
+    }
+
+    let swallowedAt = this.sampleGravity(x, y, z, blackHolePosition, field);
+    if (swallowedAt) {
+      return swallowedAt;
+    }
+    const ax = field[0] + ex;
+    const ay = field[1] + ey;
+    const az = field[2] + ez;
+
+    let nx, ny, nz, nvx, nvy, nvz;
+
+    if (this.integrator === 'verlet') {
+      // Velocity Verlet: drift with the old acceleration, kick with the average
+      nx = x + (vx + 0.5 * ax * dt) * dt;
+      ny = y + (vy + 0.5 * ay * dt) * dt;
+      nz = z + (vz + 0.5 * az * dt) * dt;
+
+      swallowedAt = this.sampleGravity(nx, ny, nz, blackHolePosition, field);
+      nvx = vx + 0.5 * (ax + field[0] + ex) * dt;
+      nvy = vy + 0.5 * (ay + field[1] + ey) * dt;
+      nvz = vz + 0.5 * (az + field[2] + ez) * dt;
+    } else if (this.integrator === 'rk4') {
+      // Classical fourth-order Runge-Kutta on (position, velocity)
+      const h = 0.5 * dt;
+
+      const v2x = vx + ax * h;
+      const v2y = vy + ay * h;
+      const v2z = vz + az * h;
+      swallowedAt = this.sampleGravity(x + vx * h, y + vy * h, z + vz * h, blackHolePosition, field);
+      const a2x = field[0] + ex;
+      const a2y = field[1] + ey;
+      const a2z = field[2] + ez;
+
+      const v3x = vx + a2x * h;
+      const v3y = vy + a2y * h;
+      const v3z = vz + a2z * h;
+      swallowedAt = swallowedAt ||
+        this.sampleGravity(x + v2x * h, y + v2y * h, z + v2z * h, blackHolePosition, field);
+      const a3x = field[0] + ex;
+      const a3y = field[1] + ey;
+      const a3z = field[2] + ez;
+
+      const v4x = vx + a3x * dt;
+      const v4y = vy + a3y * dt;
+      const v4z = vz + a3z * dt;
+      swallowedAt = swallowedAt ||
+        this.sampleGravity(x + v3x * dt, y + v3y * dt, z + v3z * dt, blackHolePosition, field);
+      const a4x = field[0] + ex;
+      const a4y = field[1] + ey;
+      const a4z = field[2] + ez;
+
+      const sixth = dt / 6;
+      nx = x + (vx + 2 * v2x + 2 * v3x + v4x) * sixth;
+      ny = y + (vy + 2 * v2y + 2 * v3y + v4y) * sixth;
+      nz = z + (vz + 2 * v2z + 2 * v3z + v4z) * sixth;
+      nvx = vx + (ax + 2 * a2x + 2 * a3x + a4x) * sixth;
+      nvy = vy + (ay + 2 * a2y + 2 * a3y + a4y) * sixth;
+      nvz = vz + (az + 2 * a2z + 2 * a3z + a4z) * sixth;
+    } else {
+      // Semi-implicit (symplectic) Euler: kick, then drift with the new velocity
+      nvx = vx + ax * dt;
+      nvy = vy + ay * dt;
+      nvz = vz + az * dt;
+      nx = x + nvx * dt;
+      ny = y + nvy * dt;
+      nz = z + nvz * dt;
+    }
+
+    if (dragging) {
+      this.dragFrame(nx, ny, nz, 0.5 * dt, blackHolePosition, dragged);
+      nx = dragged[0];
+      nz = dragged[1];
+    }
+
+    positions[i3] = nx;
+    positions[i3 + 1] = ny;
+    positions[i3 + 2] = nz;
+    velocities[i3] = nvx;
+    velocities[i3 + 1] = nvy;
+    velocities[i3 + 2] = nvz;
+
+    return swallowedAt;
+  }
+
+  /**
+   * Turn a point about the spin axis (+Y) by the frame-dragging angle ω dt
+   * The turn keeps r and θ, and so ω, so turning by -dt undoes it exactly.
+   * @private
+   * @param {number} x - Position x
+   * @param {number} y - Position y
+   * @param {number} z - Position z
+   * @param {number} dt - Duration of the turn in seconds
+   * @param {THREE.Vector3} blackHolePosition - Position of the black hole center
+   * @param {Float64Array} out - Receives the turned x and z
+   */
+  dragFrame(x, y, z, dt, blackHolePosition, out) {
+    const dx = x - blackHolePosition.x;
+    const dy = y - blackHolePosition.y;
+    const dz = z - blackHolePosition.z;
+    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    const sinTheta = Math.sqrt(dx * dx + dz * dz) / distance;
+    const angle = frameDraggingAngularVelocity(this.mass, this.spin, distance, sinTheta) * dt;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    out[0] = blackHolePosition.x + dx * cos + dz * sin;
+    out[1] = blackHolePosition.z + dz * cos - dx * sin;
+  }
+
+  /**
+   * Evaluate the gravitational acceleration and potential at a point
+   * Uses the attractors when set, the single black hole otherwise. The
+   * Paczyński–Wiita model uses rp = r_isco/3 for the single hole and rs for
+   * the non-spinning attractors.
+   * @private
+   * @param {number} x - Position x
+   * @param {number} y - Position y
+   * @param {number} z - Position z
+   * @param {THREE.Vector3} blackHolePosition - Position of the black hole center
+   * @param {Float64Array} out - Receives ax, ay, az and the potential per unit mass
+   * @returns {THREE.Vector3|null} Centre of the horizon containing the point, if any
+   */
+  sampleGravity(x, y, z, blackHolePosition, out) {
+    const c2 = SPEED_OF_LIGHT * SPEED_OF_LIGHT;
+    let swallowedAt = null;
+
+    out[0] = 0;
+    out[1] = 0;
+    out[2] = 0;
+    out[3] = 0;
+
+    const sources = this.attractors || this._singleAttractor;
+    if (!this.attractors) {
+      this._singleAttractor[0].position = blackHolePosition;
+      this._singleAttractor[0].mass = this.mass;
+      this._singleAttractor[0].horizonRadius = this.eventHorizonRadius;
+    }
+    const pseudoNewtonian = this.gravityModel === 'paczynski-wiita';
+
+    for (const attractor of sources) {
+      const dx = attractor.position.x - x;
+      const dy = attractor.position.y - y;
+      const dz = attractor.position.z - z;
+      const distance = Math.max(Math.sqrt(dx * dx + dy * dy + dz * dz), MIN_GRAVITY_DISTANCE);
+
+      if (!swallowedAt && distance < attractor.horizonRadius) {
+        swallowedAt = attractor.position;
+      }
+
+      // GM in scene units: a geometric mass M corresponds to GM = M c²;
+      // a = GM/r² (or GM/(r − rp)²) along the unit vector
+      const gm = attractor.mass * c2;
+      let softened = distance;
+      if (pseudoNewtonian) {
+        const rp = this.attractors ? pseudoNewtonianRadius(attractor.mass) : this.pseudoNewtonianRadius;
+        softened = Math.max(distance - rp, PSEUDO_NEWTONIAN_SOFTENING * rp);
+      }
+      const scale = gm / (softened * softened * distance);
+      out[0] += dx * scale;
+      out[1] += dy * scale;
+      out[2] += dz * scale;
+      out[3] -= gm / softened;
+    }
+
+    return swallowedAt;
+  }
+
+  /**
+   * Kinetic plus potential energy of a particle, per unit mass
+   * @private
+   * @param {number} i3 - Index of the particle's first component
+   * @param {number} potential - Gravitational potential at the particle
+   * @returns {number} Specific orbital energy
+   */
+  specificEnergy(i3, potential) {
+    const vx = this.velocities[i3];
+    const vy = this.velocities[i3 + 1];
+    const vz = this.velocities[i3 + 2];
+    return 0.5 * (vx * vx + vy * vy + vz * vz) + potential;
+  }
+
+  /**
+   * Angular momentum of a particle about the black hole, per unit mass
+   * @private
+   * @param {number} i3 - Index of the particle's first component
+   * @param {THREE.Vector3} blackHolePosition - Position of the black hole center
+   * @param {Float64Array} out - Receives the x, y and z components of r × v
+   */
+  specificAngularMomentum(i3, blackHolePosition, out) {
+    const rx = this.positions[i3] - blackHolePosition.x;
+    const ry = this.positions[i3 + 1] - blackHolePosition.y;
+    const rz = this.positions[i3 + 2] - blackHolePosition.z;
+    const vx = this.velocities[i3];
+    const vy = this.velocities[i3 + 1];
+    const vz = this.velocities[i3 + 2];
+    out[0] = ry * vz - rz * vy;
+    out[1] = rz * vx - rx * vz;
+    out[2] = rx * vy - ry * vx;
+  }
+
+  /**
+   * Radial effective potential of the single black hole, L²/2r² + Φ(r)
+   * @private
+   * @param {number} r - Distance from the black hole
+   * @param {number} angularMomentum - Specific angular momentum
+   * @returns {number} Effective potential per unit mass
+   */
+  effectivePotential(r, angularMomentum) {
+    const gm = this.mass * SPEED_OF_LIGHT * SPEED_OF_LIGHT;
+    const softened = this.gravityModel === 'paczynski-wiita'
+      ? Math.max(r - this.pseudoNewtonianRadius, PSEUDO_NEWTONIAN_SOFTENING * this.pseudoNewtonianRadius)
+      : Math.max(r, MIN_GRAVITY_DISTANCE);
+    return angularMomentum * angularMomentum / (2 * r * r) - gm / softened;
+  }
+
+  /**
+   * Predict whether a particle escapes, stays on a bound orbit or plunges
+   * The radial motion is confined to where the energy exceeds the effective
+   * potential: the particle plunges if nothing stops it between its radius
+   * and the horizon on the way in, and escapes if it is unbound and nothing
+   * turns it back on the way out.
+   * @private
+   * @param {number} r - Distance from the black hole
+   * @param {number} radialVelocity - Velocity away from the black hole
+   * @param {number} energy - Specific orbital energy
+   * @param {number} angularMomentum - Magnitude of the specific angular momentum
+   * @returns {'escape'|'orbit'|'plunge'} Predicted fate
+   */
+  predictFate(r, radialVelocity, energy, angularMomentum) {
+    const horizon = this.eventHorizonRadius;
+    if (r <= horizon) {
+      return 'plunge';
+    }
+
+    // Look for a turning point between r and a far radius on a logarithmic grid
+    const blocked = (from, to) => {
+      const ratio = Math.pow(to / from, 1 / FATE_SCAN_STEPS);
+      let radius = from;
+      for (let step = 0; step < FATE_SCAN_STEPS; step++) {
+        radius *= ratio;
+        if (energy < this.effectivePotential(radius, angularMomentum)) {
+          return true;
+        }
+      }
+      return false;
+    };
+    const turnsInward = () => energy < 0 || blocked(r, r * FATE_SCAN_RANGE);
+    const turnsOutward = () => blocked(r, horizon);
+
+    if (radialVelocity < 0) {
+      if (!turnsOutward()) {
+        return 'plunge';
+      }
+      return turnsInward() ? 'orbit' : 'escape';
+    }
+
+    if (!turnsInward()) {
+      return 'escape';
+    }
+    return turnsOutward() ? 'orbit' : 'plunge';
+  }
+
+  /**
+   * Set the black hole mass
+   * Scales gravity and moves the capture radius to the new horizon and the
+   * Paczyński–Wiita radius to a third of the new ISCO.
+   * @param {number} mass - Black hole mass (half the Schwarzschild radius)
+   */
+  setMass(mass) {
+    this.mass = mass;
+    this.eventHorizonRadius = horizonRadius(mass, this.spin);
+    this.pseudoNewtonianRadius = pseudoNewtonianRadius(mass, this.spin);
+  }
+
+  /**
+   * Set the accretion disk radii used for disk illumination
+   * @param {number} innerRadius - Inner radius of the disk
+   * @param {number} outerRadius - Outer radius of the disk
+   */
+  setDiskRadii(innerRadius, outerRadius) {
+    this.diskInnerRadius = innerRadius;
+    this.diskOuterRadius = outerRadius;
+  }
+
+  /**
+   * Set the peak temperature of the disk temperature profile
+   * @param {number} temperature - Maximum disk temperature in kelvin
+   */
+  setPeakTemperature(temperature) {
+    this.peakTemperature = temperature;
+  }
+
+  /**
+   * Replace the single black hole by several point masses, e.g. a binary
+   * Each attractor pulls with GM/r² and captures particles inside its horizon.
+   * Frame dragging is ignored while attractors are set.
+   * @param {Array<{position: THREE.Vector3, mass: number, horizonRadius: number}>|null} attractors - Point masses, or null for the single black hole
+   */
+  setAttractors(attractors) {
+    this.attractors = attractors && attractors.length > 0 ? attractors : null;
+  }
+
+  /**
+   * Choose the integrator used to advance particle orbits
+   * @param {'euler'|'verlet'|'rk4'} integrator - Semi-implicit Euler, velocity Verlet or RK4
+   */
+  setIntegrator(integrator) {
+    if (!PARTICLE_INTEGRATORS.includes(integrator)) {
+      console.warn(`Invalid particle integrator: ${integrator}. Using 'verlet'.`);
+      integrator = 'verlet';
+    }
+    this.integrator = integrator;
+  }
+
+  /**
+   * Choose the force law pulling the particles toward the black hole
+   * Under Paczyński–Wiita gravity circular orbits inside the ISCO are
+   * unstable, so particles there spiral into the horizon. Particles spawned
+   * under this model start on prograde orbits; existing particles keep their
+   * velocities until they respawn.
+   * @param {'newtonian'|'paczynski-wiita'} model - Gravity model
+   */
+  setGravityModel(model) {
+    if (!GRAVITY_MODELS.includes(model)) {
+      console.warn(`Invalid gravity model: ${model}. Using 'newtonian'.`);
+      model = 'newtonian';
+    }
+    this.gravityModel = model;
+  }
+
+  /**
+   * Set how many substeps a long frame may be split into
+   * @param {number} substeps - Maximum substeps per update (at least 1)
+   */
+  setMaxSubsteps(substeps) {
+    this.maxSubsteps = Math.max(1, Math.round(substeps));
+  }
+
+  /**
+   * Turn the energy and angular momentum diagnostics on or off
+   * They cost extra gravity evaluations per particle, so they are off by default.
+   * @param {boolean} enabled - Compute diagnostics on every update
+   */
+  setDiagnosticsEnabled(enabled) {
+    this.diagnosticsEnabled = enabled;
+    if (!enabled) {
+      this.diagnostics = null;
+    }
+  }
+
+  /**
+   * Get the energy and angular momentum of the particles after the last update
+   * Quantities are summed per unit particle mass over the particles still in
+   * flight; angular momentum is taken about the black hole (or the binary's
+   * centre of mass). The drifts compare the same particles before and after
+   * the update, so respawns do not show up as drift. Frame dragging and
+   * scenario accelerations exchange energy and angular momentum on purpose,
+   * so the drifts only measure integration error without them.
+   * @returns {Object|null} Integrator, substeps, energies, angular momentum and their relative drift over the update, or null while disabled
+   */
+  getDiagnostics() {
+    if (!this.diagnostics) {
+      return null;
+    }
+    return {
+      ...this.diagnostics,
+      angularMomentum: { ...this.diagnostics.angularMomentum }
+    };
+  }
+
+  /**
+   * Set a minimum colour temperature, e.g. for matter that shines on its own
+   * @param {number} temperature - Minimum temperature in kelvin (0 disables)
+   */
+  setMinimumTemperature(temperature) {
+    this.minimumTemperature = temperature;
+  }
+
+  /**
+   * Choose whether particles crossing the horizon respawn or stay captured
+   * @param {boolean} enabled - Respawn captured particles (default behaviour)
+   */
+  setRecycling(enabled) {
+    this.recycleCaptured = enabled;
+    this.captured = enabled ? null : new Uint8Array(this.particleCount);
+  }
+
+  /**
+   * Check whether a particle has been swallowed (only tracked without recycling)
+   * @param {number} index - Index of the particle
+   * @returns {boolean} True if the particle crossed the horizon
+   */
+  isCaptured(index) {
+    return this.captured ? this.captured[index] === 1 : false;
+  }
+
+  /**
+   * Place a particle at a given position and velocity
+   * @param {number} index - Index of the particle
+   * @param {number} x - Position x
+   * @param {number} y - Position y
+   * @param {number} z - Position z
+   * @param {number} vx - Velocity x
+   * @param {number} vy - Velocity y
+   * @param {number} vz - Velocity z
+   */
+  setParticle(index, x, y, z, vx, vy, vz) {
+    const i3 = index * 3;
+    this.positions[i3] = x;
+    this.positions[i3 + 1] = y;
+    this.positions[i3 + 2] = z;
+    this.velocities[i3] = vx;
+    this.velocities[i3 + 1] = vy;
+    this.velocities[i3 + 2] = vz;
+
+    if (this.captured) {
+      this.captured[index] = 0;
+    }
+
+    this.ages[index] = 0;
+    this.properTimes[index] = 0;
+
+    if (this.particleResetCallback) {
+      this.particleResetCallback(index);
+    }
+  }
+
+  /**
+   * Register a callback for particles that jump to a new position, either by
+   * respawning or through setParticle
+   * @param {Function|null} callback - Called with the particle's index
+   */
+  onParticleReset(callback) {
+    this.particleResetCallback = callback;
+  }
+
+  /**
+   * Use a random number generator for spawning particles
+   * Particles spawned from now on draw from it; call reset() to respawn the
+   * whole swarm from it.
+   * @param {Random} random - Seeded generator
+   */
+  setRandom(random) {
+    this.random = random;
+  }
+
+  /**
+   * Respawn every particle, e.g. after a new seed
+   * Captured particles are released.
+   */
+  reset() {
+    if (!this.positions) {
+      return;
+    }
+
+    for (let i = 0; i < this.particleCount; i++) {
+      this.resetParticle(i);
+    }
+    if (this.captured) {
+      this.captured.fill(0);
+    }
+    this.diagnostics = null;
+  }
+
+  /**
+   * Set extra accelerations applied by the integrator every step
+   * The array is read, not copied, so callers can refill it between updates.
+   * @param {Float32Array|null} accelerations - x, y, z per particle, or null to disable
+   */
+  setExternalAccelerations(accelerations) {
+    this.externalAccelerations = accelerations;
+  }
+
+  /**
+   * Set the radius at which new particles spawn
+   * Existing particles keep their positions until they are recycled.
+   * @param {number} spawnRadius - Spawn radius
+   */
+  setSpawnRadius(spawnRadius) {
+    this.spawnRadius = spawnRadius;
+  }
+
+  /**
+   * Set the black hole spin
+   * Enables frame dragging and moves the capture radius to the outer horizon
+   * and the Paczyński–Wiita radius to a third of the prograde ISCO.
+   * @param {number} spin - Dimensionless spin parameter (0 ≤ a < 1)
+   */
+  setSpin(spin) {
+    this.spin = spin;
+    this.eventHorizonRadius = horizonRadius(this.mass, spin);
+    this.pseudoNewtonianRadius = pseudoNewtonianRadius(this.mass, spin);
+  }
+
+  /**
+   * Set the particle count dynamically
+   * @param {number} count - New particle count
+   */
+  setParticleCount(count) {
+    if (count === this.particleCount) return;
+
+    // Store old data
+    const oldCount = this.particleCount;
+    this.particleCount = count;
+
+    // Create new buffer arrays
+    const newPositions = new Float32Array(count * 3);
+    const newVelocities = new Float32Array(count * 3);
+    const newColors = new Float32Array(count * 3);
+    const newSizes = new Float32Array(count);
+
+    // Copy existing particle data
+    const copyCount = Math.min(oldCount, count);
+
+    // Clocks are resized first, since new particles are reset below
+    const newAges = new Float32Array(count);
+    const newProperTimes = new Float32Array(count);
+    newAges.set(this.ages.subarray(0, copyCount));
+    newProperTimes.set(this.properTimes.subarray(0, copyCount));
+    this.ages = newAges;
+    this.properTimes = newProperTimes;
+
+    for (let i = 0; i < copyCount; i++) {
+      const i3 = i * 3;
+      newPositions[i3] = this.positions[i3];
+      newPositions[i3 + 1] = this.positions[i3 + 1];
+      newPositions[i3 + 2] = this.positions[i3 + 2];
+      
+      newVelocities[i3] = this.velocities[i3];
+      newVelocities[i3 + 1] = this.velocities[i3 + 1];
+      newVelocities[i3 + 2] = this.velocities[i3 + 2];
+      
+      newColors[i3] = this.colors[i3];
+      newColors[i3 + 1] = this.colors[i3 + 1];
+      newColors[i3 + 2] = this.colors[i3 + 2];
+      
+      newSizes[i] = this.sizes[i];
+    }
+
+    // Initialize new particles if count increased
+    if (count > oldCount) {
+      this.positions = newPositions;
+      this.velocities = newVelocities;
+      this.colors = newColors;
+      this.sizes = newSizes;
+      
+      for (let i = oldCount; i < count; i++) {
+        this.resetParticle(i);
+      }
+    } else {
+      this.positions = newPositions;
+      this.velocities = newVelocities;
+      this.colors = newColors;
+      this.sizes = newSizes;
+    }
+
+    if (this.captured) {
+      const newCaptured = new Uint8Array(count);
+      newCaptured.set(this.captured.subarray(0, copyCount));
+      this.captured = newCaptured;
+    }
+  }
+
+  /**
+   * Release the particle buffers
+   */
+  dispose() {
+    this.positions = null;
+    this.velocities = null;
+    this.colors = null;
+    this.sizes = null;
+    this.captured = null;
+    this.externalAccelerations = null;
+    this.attractors = null;
+  }
+}
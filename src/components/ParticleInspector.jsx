@@ -0,0 +1,105 @@
+import { useEffect, useState } from 'react';
+import './ParticleInspector.css';
+
+// The readout is refreshed a few times a second so the numbers stay legible
+const REFRESH_INTERVAL_MS = 250;
+
+const FATE_NAMES = {
+  escape: 'Escape',
+  orbit: 'Bound orbit',
+  plunge: 'Plunge'
+};
+
+/**
+ * Format a vector as a fixed-precision triple
+ * @param {{x: number, y: number, z: number}} vector - Vector to format
+ * @returns {string} Formatted components
+ */
+function formatVector({ x, y, z }) {
+  return `(${x.toFixed(2)}, ${y.toFixed(2)}, ${z.toFixed(2)})`;
+}
+
+/**
+ * ParticleInspector shows the state of the particle picked in the scene:
+ * where it is and how fast it moves, its orbital energy and angular momentum,
+ * how much slower its own clock runs than the coordinate clock and whether it
+ * is heading for escape, a bound orbit or the horizon. It is hidden while no
+ * particle is selected.
+ */
+export function ParticleInspector({ simulation }) {
+  const [particle, setParticle] = useState(null);
+
+  useEffect(() => {
+    if (!simulation) return;
+
+    const refresh = () => setParticle(simulation.getSelectedParticle());
+    const intervalId = setInterval(refresh, REFRESH_INTERVAL_MS);
+
+    return () => clearInterval(intervalId);
+  }, [simulation]);
+
+  if (!particle) {
+    return null;
+  }
+
+  const { x, y, z } = particle.angularMomentum;
+  const clockRatio = particle.coordinateTime > 0
+    ? particle.properTime / particle.coordinateTime
+    : 1;
+
+  const toggleFollow = () => {
+    simulation.setFollowSelectedParticle(!particle.following);
+    setParticle({ ...particle, following: !particle.following });
+  };
+
+  const close = () => {
+    simulation.clearParticleSelection();
+    setParticle(null);
+  };
+
+  return (
+    <div className="particle-inspector" role="dialog" aria-label={`Particle ${particle.index} inspector`}>
+      <div className="particle-inspector-header">
+        <span>Particle #{particle.index}</span>
+        <button
+          type="button"
+          className="particle-inspector-close"
+          onClick={close}
+          aria-label="Close particle inspector"
+        >
+          ×
+        </button>
+      </div>
+      <dl>
+        <dt>Position</dt>
+        <dd>{formatVector(particle.position)}</dd>
+        <dt>Velocity</dt>
+        <dd>{formatVector(particle.velocity)}</dd>
+        <dt>Speed</dt>
+        <dd>{particle.speed.toFixed(2)}</dd>
+        <dt>Above horizon</dt>
+        <dd>{particle.distanceToHorizon.toFixed(2)}</dd>
+        <dt>Energy</dt>
+        <dd>{particle.specificEnergy.toFixed(2)}</dd>
+        <dt>|L|</dt>
+        <dd>{Math.sqrt(x * x + y * y + z * z).toFixed(2)}</dd>
+        <dt>Proper time</dt>
+        <dd>{particle.properTime.toFixed(2)} s</dd>
+        <dt>Coordinate time</dt>
+        <dd>{particle.coordinateTime.toFixed(2)} s</dd>
+        <dt>dτ / dt</dt>
+        <dd>{clockRatio.toFixed(3)}</dd>
+        <dt>Fate</dt>
+        <dd className={`particle-fate particle-fate-${particle.fate}`}>{FATE_NAMES[particle.fate]}</dd>
+      </dl>
+      <button
+        type="button"
+        className="particle-inspector-follow"
+        onClick={toggleFollow}
+        aria-pressed={particle.following}
+      >
+        {particle.following ? 'Stop Following' : 'Follow with Camera'}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,227 @@
+import * as THREE from 'three';
+import { createShaderMaterial } from '../utils/ShaderUtils.js';
+
+// Clicks within this many pixels of a particle select it
+const PICK_RADIUS_PIXELS = 8;
+
+// On-screen diameter of the highlight ring in pixels
+const MARKER_SIZE = 28;
+
+/**
+ * ParticleSelection picks individual particles with a raycast and marks the
+ * selected one with a ring that stays the same size on screen.
+ * Points are hit within a world-space threshold, so the threshold is sized
+ * generously and the hit closest to the ray in angle wins, as long as it lies
+ * within the pick radius on screen. A selection ends when its particle is
+ * swallowed or respawns.
+ */
+export class ParticleSelection {
+  constructor() {
+    this.marker = null;
+    this.material = null;
+    this.particleSystem = null;
+    this.raycaster = new THREE.Raycaster();
+
+    this.selectedIndex = -1;
+    this.lastAge = 0;
+
+    this.selectionChangeCallback = null;
+  }
+
+  /**
+   * Initialize picking for a particle system
+   * @param {ParticleSystem} particleSystem - Particles that can be selected
+   */
+  initialize(particleSystem) {
+    this.particleSystem = particleSystem;
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(3), 3));
+    this.material = this.createShaderMaterial();
+
+    this.marker = new THREE.Points(geometry, this.material);
+    this.marker.name = 'ParticleSelection';
+    this.marker.visible = false;
+    this.marker.renderOrder = 1;
+
+    // The marker moves every frame with its particle
+    this.marker.frustumCulled = false;
+  }
+
+  /**
+   * Create the shader material drawing the highlight ring
+   * @returns {THREE.ShaderMaterial} The shader material
+   */
+  createShaderMaterial() {
+    const uniforms = {
+      size: { value: MARKER_SIZE },
+      ringColor: { value: new THREE.Color(0x66ffcc) }
+    };
+
+    const vertexShader = `
+      uniform float size;
+
+      void main() {
+        gl_PointSize = size;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+      }
+    `;
+
+    // Fragment shader - thin ring with soft edges around the particle
+    const fragmentShader = `
+      uniform vec3 ringColor;
+
+      void main() {
+        float r = length(gl_PointCoord - vec2(0.5)) * 2.0;
+        float ring = smoothstep(0.7, 0.8, r) * (1.0 - smoothstep(0.9, 1.0, r));
+        if (ring < 0.01) discard;
+        gl_FragColor = vec4(ringColor, ring);
+      }
+    `;
+
+    return createShaderMaterial({
+      uniforms,
+      vertexShader,
+      fragmentShader,
+      transparent: true,
+      depthTest: false,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending
+    }, 'ParticleSelection');
+  }
+
+  /**
+   * Find the particle under a point on the screen
+   * @param {THREE.Vector2} pointer - Pointer position in normalized device coordinates (-1 to 1)
+   * @param {THREE.PerspectiveCamera} camera - Camera the scene is viewed through
+   * @param {number} viewportHeight - Height of the canvas in CSS pixels
+   * @returns {number} Index of the nearest particle within the pick radius, or -1
+   */
+  pick(pointer, camera, viewportHeight) {
+    const points = this.particleSystem && this.particleSystem.particles;
+    if (!points) {
+      return -1;
+    }
+
+    // Largest angle from the ray, as a ratio of distance, that still counts as a hit
+    const maxRatio = 2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) *
+      PICK_RADIUS_PIXELS / Math.max(viewportHeight, 1);
+
+    // Particles drift out of the geometry's cached bounds, which the raycast checks first
+    points.geometry.computeBoundingSphere();
+    this.raycaster.setFromCamera(pointer, camera);
+    this.raycaster.params.Points.threshold = maxRatio * camera.far;
+
+    let bestIndex = -1;
+    let bestRatio = maxRatio;
+    for (const hit of this.raycaster.intersectObject(points)) {
+      const ratio = hit.distanceToRay / Math.max(hit.distance, camera.near);
+      if (ratio <= bestRatio && !this.particleSystem.isCaptured(hit.index)) {
+        bestRatio = ratio;
+        bestIndex = hit.index;
+      }
+    }
+    return bestIndex;
+  }
+
+  /**
+   * Select a particle and show the highlight on it
+   * @param {number} index - Index of the particle, or -1 to clear the selection
+   */
+  select(index) {
+    const valid = this.particleSystem && index >= 0 && index < this.particleSystem.particleCount;
+    const selected = valid ? index : -1;
+    if (selected === this.selectedIndex) {
+      return;
+    }
+
+    this.selectedIndex = selected;
+    this.lastAge = valid ? this.particleSystem.ages[selected] : 0;
+    if (this.marker) {
+      this.marker.visible = valid;
+      this.updateMarker();
+    }
+
+    if (this.selectionChangeCallback) {
+      this.selectionChangeCallback(this.selectedIndex);
+    }
+  }
+
+  /**
+   * Clear the selection
+   */
+  deselect() {
+    this.select(-1);
+  }
+
+  /**
+   * Get the selected particle
+   * @returns {number} Index of the selected particle, or -1 when none is selected
+   */
+  getSelectedIndex() {
+    return this.selectedIndex;
+  }
+
+  /**
+   * Register a callback for selection changes
+   * @param {Function} callback - Called with the new index, or -1 when the selection is cleared
+   */
+  onSelectionChange(callback) {
+    this.selectionChangeCallback = callback;
+  }
+
+  /**
+   * Keep the highlight on the selected particle, dropping the selection once
+   * the particle is swallowed, respawns or no longer exists
+   */
+  update() {
+    if (this.selectedIndex < 0) {
+      return;
+    }
+
+    const particles = this.particleSystem;
+    const index = this.selectedIndex;
+    if (index >= particles.particleCount || particles.isCaptured(index) ||
+        particles.ages[index] < this.lastAge) {
+      this.deselect();
+      return;
+    }
+
+    this.lastAge = particles.ages[index];
+    this.updateMarker();
+  }
+
+  /**
+   * Move the highlight to the selected particle
+   * @private
+   */
+  updateMarker() {
+    if (this.selectedIndex < 0) {
+      return;
+    }
+    const position = this.marker.geometry.attributes.position;
+    const i3 = this.selectedIndex * 3;
+    position.setXYZ(0,
+      this.particleSystem.positions[i3],
+      this.particleSystem.positions[i3 + 1],
+      this.particleSystem.positions[i3 + 2]);
+    position.needsUpdate = true;
+  }
+
+  /**
+   * Dispose of all resources
+   */
+  dispose() {
+    if (this.marker) {
+      this.marker.geometry.dispose();
+      this.marker = null;
+    }
+    if (this.material) {
+      this.material.dispose();
+      this.material = null;
+    }
+    this.particleSystem = null;
+    this.selectionChangeCallback = null;
+    this.selectedIndex = -1;
+  }
+}
@@ -0,0 +1,430 @@
+import * as THREE from 'three';
+import { createShaderMaterial } from '../utils/ShaderUtils.js';
+
+// Shortest trail kept, also when halved for performance
+const MIN_TRAIL_LENGTH = 4;
+
+// Width of the texture holding the sample at which each trail starts
+const BIRTH_TEXTURE_WIDTH = 256;
+
+// Sample counts stay exact in float32 below 2²⁴; trails restart before that
+const MAX_SAMPLE_INDEX = 1 << 22;
+
+// Brightness of the newest part of a trail relative to its particle
+const TRAIL_OPACITY = 0.6;
+
+/**
+ * ParticleTrails draws the recent orbit of every particle as a fading line.
+ * Each particle owns a ring buffer of its last N positions, sampled at a fixed
+ * interval; the newest slot follows the particle every frame so the trail stays
+ * attached to it. The ring buffer is the line geometry itself: the vertices of
+ * a slot are stored together for all particles, so a frame only uploads the
+ * slot being written, and the shader works out each segment's age from the
+ * head slot, fading older segments and hiding the one that wraps around.
+ * Respawned particles restart their trail instead of drawing a line across
+ * the scene: a small texture holds the sample at which each trail starts, and
+ * older segments are hidden.
+ */
+export class ParticleTrails {
+  constructor() {
+    this.lines = null;
+    this.material = null;
+    this.particleSystem = null;
+    this.enabled = false;
+
+    this.trailLength = 32;
+    this.sampleInterval = 0.05;
+    this.degraded = false;
+
+    // Ring buffer layout: slots per trail and particles per slot; the head is
+    // the slot of sample number sampleIndex
+    this.length = 0;
+    this.count = 0;
+    this.head = 0;
+    this.sampleIndex = 0;
+    this.sinceLastSample = 0;
+
+    this.positions = null;
+    this.colors = null;
+
+    // Sample number at which each particle's trail starts
+    this.births = null;
+    this.birthTexture = null;
+  }
+
+  /**
+   * Initialize trails for a particle system
+   * @param {ParticleSystem} particleSystem - Particles whose orbits are traced
+   * @param {number} trailLength - Number of positions kept per particle
+   * @param {number} sampleInterval - Time between recorded positions in seconds
+   */
+  initialize(particleSystem, trailLength = 32, sampleInterval = 0.05) {
+    this.particleSystem = particleSystem;
+    this.trailLength = trailLength;
+    this.sampleInterval = sampleInterval;
+
+    // A respawned or repositioned particle starts a fresh trail
+    particleSystem.onParticleReset((index) => this.resetTrail(index));
+
+    // The geometry sizes the birth texture the material samples
+    const geometry = this.createGeometry();
+    this.material = this.createShaderMaterial();
+
+    this.lines = new THREE.LineSegments(geometry, this.material);
+    this.lines.name = 'ParticleTrails';
+    this.lines.visible = this.enabled;
+
+    // Trails move every frame; the bounding sphere would always be stale
+    this.lines.frustumCulled = false;
+  }
+
+  /**
+   * Create the ring buffer geometry for the current particle count and trail length
+   * Segment s of a trail joins slot s to slot s + 1; vertex (s, particle,
+   * endpoint) is stored at ((s × count) + particle) × 2 + endpoint.
+   * @returns {THREE.BufferGeometry} The trail geometry
+   */
+  createGeometry() {
+    this.count = this.particleSystem.particleCount;
+    this.length = this.degraded
+      ? Math.max(MIN_TRAIL_LENGTH, Math.floor(this.trailLength / 2))
+      : this.trailLength;
+
+    const vertexCount = this.length * this.count * 2;
+    this.positions = new Float32Array(vertexCount * 3);
+    this.colors = new Float32Array(vertexCount * 3);
+    const segments = new Float32Array(vertexCount);
+    const endpoints = new Float32Array(vertexCount);
+    const particles = new Float32Array(vertexCount);
+
+    for (let s = 0; s < this.length; s++) {
+      for (let i = 0; i < this.count; i++) {
+        const vertex = (s * this.count + i) * 2;
+        segments[vertex] = s;
+        segments[vertex + 1] = s;
+        endpoints[vertex + 1] = 1;
+        particles[vertex] = i;
+        particles[vertex + 1] = i;
+      }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(this.positions, 3).setUsage(THREE.DynamicDrawUsage));
+    geometry.setAttribute('color', new THREE.BufferAttribute(this.colors, 3).setUsage(THREE.DynamicDrawUsage));
+    geometry.setAttribute('segment', new THREE.BufferAttribute(segments, 1));
+    geometry.setAttribute('endpoint', new THREE.BufferAttribute(endpoints, 1));
+    geometry.setAttribute('particle', new THREE.BufferAttribute(particles, 1));
+
+    // Every trail starts at the head, so only the head's segments are drawn
+    this.head = 0;
+    this.sampleIndex = 0;
+    this.sinceLastSample = 0;
+    this.createBirthTexture();
+    for (let s = 0; s < this.length; s++) {
+      for (let i = 0; i < this.count; i++) {
+        this.writeSlot(s, i);
+      }
+    }
+
+    return geometry;
+  }
+
+  /**
+   * Create the texture of trail start samples, one texel per particle
+   * @private
+   */
+  createBirthTexture() {
+    const height = Math.max(1, Math.ceil(this.count / BIRTH_TEXTURE_WIDTH));
+    this.births = new Float32Array(BIRTH_TEXTURE_WIDTH * height);
+
+    if (this.birthTexture) {
+      this.birthTexture.dispose();
+    }
+    this.birthTexture = new THREE.DataTexture(
+      this.births,
+      BIRTH_TEXTURE_WIDTH,
+      height,
+      THREE.RedFormat,
+      THREE.FloatType
+    );
+    this.birthTexture.minFilter = THREE.NearestFilter;
+    this.birthTexture.magFilter = THREE.NearestFilter;
+    this.birthTexture.needsUpdate = true;
+
+    if (this.material && this.material.uniforms) {
+      this.material.uniforms.births.value = this.birthTexture;
+      this.material.uniforms.birthTextureSize.value.set(BIRTH_TEXTURE_WIDTH, height);
+    }
+  }
+
+  /**
+   * Create the custom shader material for the trails
+   * @returns {THREE.ShaderMaterial} The shader material
+   */
+  createShaderMaterial() {
+    // Shader uniforms
+    const uniforms = {
+      head: { value: 0.0 },
+      sampleIndex: { value: 0.0 },
+      trailLength: { value: this.length },
+      births: { value: this.birthTexture },
+      birthTextureSize: { value: new THREE.Vector2(BIRTH_TEXTURE_WIDTH, this.births.length / BIRTH_TEXTURE_WIDTH) },
+      opacity: { value: TRAIL_OPACITY }
+    };
+
+    // Vertex shader - ages each segment from the head of the ring buffer
+    const vertexShader = `
+      attribute float segment;
+      attribute float endpoint;
+      attribute float particle;
+      attribute vec3 color;
+
+      uniform float head;
+      uniform float sampleIndex;
+      uniform float trailLength;
+      uniform sampler2D births;
+      uniform vec2 birthTextureSize;
+
+      varying vec3 vColor;
+      varying float vFade;
+
+      void main() {
+        // Samples between the head and the segment's start; the segment
+        // starting at the head joins the newest slot to the oldest one
+        float segmentAge = mod(head - segment + trailLength, trailLength);
+
+        // Segments recorded before the particle last respawned are stale
+        vec2 texel = vec2(mod(particle, birthTextureSize.x), floor(particle / birthTextureSize.x));
+        float birth = texture2D(births, (texel + 0.5) / birthTextureSize).r;
+
+        if (segmentAge < 0.5 || sampleIndex - segmentAge < birth - 0.5) {
+          vFade = 0.0;
+          vColor = vec3(0.0);
+          gl_Position = vec4(0.0, 0.0, 2.0, 1.0);
+          return;
+        }
+
+        float age = segmentAge - endpoint;
+        vFade = 1.0 - age / (trailLength - 1.0);
+        vColor = color;
+
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+      }
+    `;
+
+    // Fragment shader - older parts of the trail fade out
+    const fragmentShader = `
+      uniform float opacity;
+
+      varying vec3 vColor;
+      varying float vFade;
+
+      void main() {
+        if (vFade <= 0.0) {
+          discard;
+        }
+        gl_FragColor = vec4(vColor, vFade * opacity);
+      }
+    `;
+
+    // Use shader utility with error handling and fallback
+    return createShaderMaterial({
+      uniforms: uniforms,
+      vertexShader: vertexShader,
+      fragmentShader: fragmentShader,
+      transparent: true,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false
+    }, 'ParticleTrails');
+  }
+
+  /**
+   * Record the particles' positions
+   * Call after the particle system has been updated.
+   * @param {number} deltaTime - Time elapsed since last frame in seconds
+   */
+  update(deltaTime) {
+    if (!this.lines || !this.enabled) {
+      return;
+    }
+
+    // Particle count changes reshape the ring buffer and restart every trail
+    if (this.particleSystem.particleCount !== this.count) {
+      this.rebuild();
+    }
+
+    if (this.sampleIndex >= MAX_SAMPLE_INDEX) {
+      this.rebuild();
+    }
+
+    // Freeze the head as a sample and move on to the next slot
+    this.sinceLastSample += deltaTime;
+    if (this.sinceLastSample >= this.sampleInterval) {
+      this.sinceLastSample %= this.sampleInterval;
+      this.sampleIndex++;
+      this.head = this.sampleIndex % this.length;
+    }
+
+    // The head follows the particles until the next sample
+    for (let i = 0; i < this.count; i++) {
+      this.writeSlot(this.head, i);
+    }
+
+    const geometry = this.lines.geometry;
+    const slotSize = this.count * 2 * 3;
+    const previous = (this.head + this.length - 1) % this.length;
+    for (const attribute of [geometry.attributes.position, geometry.attributes.color]) {
+      attribute.clearUpdateRanges();
+      attribute.addUpdateRange(this.head * slotSize, slotSize);
+      attribute.addUpdateRange(previous * slotSize, slotSize);
+      attribute.needsUpdate = true;
+    }
+
+    if (this.material && this.material.uniforms) {
+      this.material.uniforms.head.value = this.head;
+      this.material.uniforms.sampleIndex.value = this.sampleIndex;
+      this.material.uniforms.trailLength.value = this.length;
+    }
+  }
+
+  /**
+   * Write a particle's current position and colour into a slot of its trail
+   * The slot is the start of segment slot and the end of segment slot − 1.
+   * @private
+   * @param {number} slot - Ring buffer slot
+   * @param {number} index - Index of the particle
+   */
+  writeSlot(slot, index) {
+    const source = index * 3;
+    const start = ((slot * this.count) + index) * 6;
+    const previous = (slot + this.length - 1) % this.length;
+    const end = ((previous * this.count) + index) * 6 + 3;
+
+    for (const offset of [start, end]) {
+      this.positions[offset] = this.particleSystem.positions[source];
+      this.positions[offset + 1] = this.particleSystem.positions[source + 1];
+      this.positions[offset + 2] = this.particleSystem.positions[source + 2];
+      this.colors[offset] = this.particleSystem.colors[source];
+      this.colors[offset + 1] = this.particleSystem.colors[source + 1];
+      this.colors[offset + 2] = this.particleSystem.colors[source + 2];
+    }
+  }
+
+  /**
+   * Restart a particle's trail from its current position
+   * @param {number} index - Index of the particle
+   */
+  resetTrail(index) {
+    if (!this.births || index >= this.count) {
+      return;
+    }
+
+    this.births[index] = this.sampleIndex;
+    this.birthTexture.needsUpdate = true;
+  }
+
+  /**
+   * Replace the geometry after a change of particle count or trail length
+   * @private
+   */
+  rebuild() {
+    if (!this.lines) {
+      return;
+    }
+
+    const oldGeometry = this.lines.geometry;
+    this.lines.geometry = this.createGeometry();
+    oldGeometry.dispose();
+  }
+
+  /**
+   * Show or hide the trails; trails restart from the current positions when shown
+   * @param {boolean} enabled - Whether trails are recorded and rendered
+   */
+  setEnabled(enabled) {
+    if (enabled && !this.enabled) {
+      this.rebuild();
+    }
+
+    this.enabled = enabled;
+    if (this.lines) {
+      this.lines.visible = enabled;
+    }
+  }
+
+  /**
+   * Set how many positions each trail keeps
+   * @param {number} trailLength - Positions per particle (at least MIN_TRAIL_LENGTH)
+   */
+  setTrailLength(trailLength) {
+    this.trailLength = Math.max(MIN_TRAIL_LENGTH, Math.round(trailLength));
+    this.rebuild();
+  }
+
+  /**
+   * Set the time between recorded positions; longer intervals trace longer
+   * stretches of the orbits with the same number of positions
+   * @param {number} sampleInterval - Interval in seconds
+   */
+  setSampleInterval(sampleInterval) {
+    this.sampleInterval = sampleInterval;
+  }
+
+  /**
+   * Halve the trail length while the frame rate is too low
+   * @param {boolean} degraded - Whether performance is degraded
+   */
+  setDegraded(degraded) {
+    if (degraded === this.degraded) {
+      return;
+    }
+    this.degraded = degraded;
+    this.rebuild();
+  }
+
+  /**
+   * Get the number of positions each trail currently keeps
+   * @returns {number} Trail length after any degradation
+   */
+  getEffectiveLength() {
+    return this.length;
+  }
+
+  /**
+   * Get the shader material
+   * @returns {THREE.ShaderMaterial} The material
+   */
+  getMaterial() {
+    return this.material;
+  }
+
+  /**
+   * Dispose of all resources
+   */
+  dispose() {
+    if (this.lines) {
+      if (this.lines.geometry) {
+        this.lines.geometry.dispose();
+      }
+      if (this.material) {
+        this.material.dispose();
+      }
+      this.lines = null;
+      this.material = null;
+    }
+
+    if (this.particleSystem) {
+      this.particleSystem.onParticleReset(null);
+      this.particleSystem = null;
+    }
+
+    if (this.birthTexture) {
+      this.birthTexture.dispose();
+      this.birthTexture = null;
+    }
+
+    this.positions = null;
+    this.colors = null;
+    this.births = null;
+  }
+}
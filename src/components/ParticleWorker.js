@@ -0,0 +1,271 @@
+import {
+  PARTICLE_STATE_STRIDE,
+  PARTICLE_WORKER_SETTINGS,
+  packAttractors,
+  packParticleState,
+  unpackParticleState
+} from '../workers/particleWorker.js';
+
+/**
+ * Start the bundled particle worker
+ * @returns {Worker} A module worker running src/workers/particleWorker.js
+ */
+function createWorker() {
+  return new Worker(new URL('../workers/particleWorker.js', import.meta.url), { type: 'module' });
+}
+
+/**
+ * ParticleWorker moves a ParticleSystem's physics loop off the main thread.
+ *
+ * A dedicated Web Worker keeps its own copy of the particles and integrates
+ * them with the same code as ParticleSystem.update, from ParticleDynamics,
+ * so the worker bundle leaves out three.js. The state travels in
+ * double-buffered Float32Arrays that are transferred, not copied, between
+ * the threads: every frame step() copies the latest finished state into the
+ * particle system's buffers and hands a free buffer back to the worker for
+ * the next step. The main thread never waits; while the worker is busy,
+ * steps queue up and are integrated one after another in the next batch, so
+ * the worker runs exactly the steps the main thread would, and the particles
+ * trail the rest of the scene by about a frame.
+ *
+ * Settings changed through the ParticleSystem setters are sent along with
+ * every step, the attractors as a small array of numbers. Respawns are reported back, so listeners registered with
+ * onParticleReset (such as trails) still hear about them, and the worker
+ * draws respawns from the particle system's random stream, handing back its
+ * position in the sequence with every state.
+ */
+export class ParticleWorker {
+  /**
+   * Check whether Web Workers are available
+   * @returns {boolean} True if a particle worker can be started
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined';
+  }
+
+  /**
+   * @param {Function} workerFactory - Creates the worker; replaceable for tests
+   */
+  constructor(workerFactory = createWorker) {
+    this.workerFactory = workerFactory;
+    this.worker = null;
+    this.particleSystem = null;
+
+    // Two state buffers alternate between the threads: while the worker fills
+    // one, the main thread reads the other. These are the free buffers, the
+    // newest state received, and whether the worker is integrating a step
+    this.buffers = [];
+    this.latestState = null;
+    this.stepInFlight = false;
+
+    // Step durations not yet sent to the worker
+    this.pendingSteps = [];
+
+    this.errorCallback = null;
+  }
+
+  /**
+   * Start the worker with the current particles of a system
+   * @param {ParticleSystem} particleSystem - The system whose physics moves to the worker
+   */
+  initialize(particleSystem) {
+    this.particleSystem = particleSystem;
+    this.worker = this.workerFactory();
+    this.worker.onmessage = (event) => this.handleMessage(event.data);
+    this.worker.onerror = (event) => this.handleError(event);
+
+    const state = this.allocateBuffer();
+    packParticleState(particleSystem, state);
+    this.worker.postMessage({
+      type: 'init',
+      count: particleSystem.particleCount,
+      spawnRadius: particleSystem.spawnRadius,
+      eventHorizonRadius: particleSystem.eventHorizonRadius,
+      settings: this.getSettings(),
+      attractors: packAttractors(particleSystem.attractors),
+      state,
+      random: { seed: particleSystem.random.seed, state: particleSystem.random.getState() }
+    }, [state.buffer]);
+  }
+
+  /**
+   * Create a state buffer for the current particle count
+   * @returns {Float32Array} An empty state buffer
+   * @private
+   */
+  allocateBuffer() {
+    return new Float32Array(this.particleSystem.particleCount * PARTICLE_STATE_STRIDE);
+  }
+
+  /**
+   * Read the settings the worker mirrors
+   * @returns {Object} The ParticleSystem fields listed in PARTICLE_WORKER_SETTINGS
+   * @private
+   */
+  getSettings() {
+    const settings = {};
+    for (const key of PARTICLE_WORKER_SETTINGS) {
+      settings[key] = this.particleSystem[key];
+    }
+    return settings;
+  }
+
+  /**
+   * Receive a finished step from the worker
+   * States for an earlier particle count are dropped.
+   * @param {Object} message - The worker's message data
+   * @private
+   */
+  handleMessage(message) {
+    if (message.type !== 'state' || !this.particleSystem) {
+      return;
+    }
+
+    this.stepInFlight = false;
+    if (message.count !== this.particleSystem.particleCount) {
+      return;
+    }
+    this.latestState = message;
+  }
+
+  /**
+   * Stop a worker that failed, e.g. because module workers are unsupported
+   * @param {ErrorEvent} event - The worker's error event
+   * @private
+   */
+  handleError(event) {
+    console.warn('Particle worker failed. Using the main thread.', event.message);
+    const callback = this.errorCallback;
+    this.dispose();
+    if (callback) {
+      callback();
+    }
+  }
+
+  /**
+   * Register a callback for when the worker fails and has been stopped
+   * @param {Function} callback - Called without arguments
+   */
+  onError(callback) {
+    this.errorCallback = callback;
+  }
+
+  /**
+   * Queue a step, show the latest state from the worker and start the next
+   * batch of steps
+   * Call in place of ParticleSystem.update.
+   * @param {number} deltaTime - Step duration in seconds
+   * @param {THREE.Vector3} blackHolePosition - Position of the black hole center
+   */
+  step(deltaTime, blackHolePosition) {
+    if (!this.worker) {
+      return;
+    }
+
+    this.pendingSteps.push(deltaTime);
+    this.sync(blackHolePosition);
+  }
+
+  /**
+   * Show the latest state from the worker and send it any queued steps
+   * Call once per frame, also on frames that run no steps (e.g. while paused).
+   * @param {THREE.Vector3} blackHolePosition - Position of the black hole center
+   */
+  sync(blackHolePosition) {
+    if (!this.worker) {
+      return;
+    }
+
+    if (this.latestState) {
+      this.applyState(this.latestState);
+      this.buffers.push(this.latestState.buffer);
+      this.latestState = null;
+    }
+
+    if (this.stepInFlight || this.pendingSteps.length === 0) {
+      return;
+    }
+
+    const size = this.particleSystem.particleCount * PARTICLE_STATE_STRIDE;
+    this.buffers = this.buffers.filter((buffer) => buffer.length === size);
+    const buffer = this.buffers.pop() || this.allocateBuffer();
+
+    const steps = this.pendingSteps;
+    this.pendingSteps = [];
+    this.stepInFlight = true;
+    this.worker.postMessage({
+      type: 'step',
+      steps,
+      blackHolePosition: blackHolePosition.toArray(),
+      settings: this.getSettings(),
+      attractors: packAttractors(this.particleSystem.attractors),
+      buffer
+    }, [buffer.buffer]);
+  }
+
+  /**
+   * Copy a state from the worker into the particle system
+   * @param {Object} state - A 'state' message from the worker
+   * @private
+   */
+  applyState(state) {
+    const particleSystem = this.particleSystem;
+    unpackParticleState(particleSystem, state.buffer);
+    particleSystem.random.setState(state.randomState);
+    particleSystem.diagnostics = particleSystem.diagnosticsEnabled ? state.diagnostics : null;
+
+    if (particleSystem.particleResetCallback) {
+      state.resets.forEach((index) => particleSystem.particleResetCallback(index));
+    }
+
+    if (particleSystem.particles) {
+      const geometry = particleSystem.particles.geometry;
+      geometry.attributes.position.needsUpdate = true;
+      geometry.attributes.color.needsUpdate = true;
+
+      // The worker already measured the swarm for frustum culling
+      const [x, y, z, radius] = state.boundingSphere;
+      if (geometry.boundingSphere) {
+        geometry.boundingSphere.center.set(x, y, z);
+        geometry.boundingSphere.radius = radius;
+      }
+    }
+  }
+
+  /**
+   * Resize the worker's particles after ParticleSystem.setParticleCount
+   * The particle system's own new particles show until the worker's first
+   * state at the new count arrives.
+   * @param {number} count - New particle count
+   */
+  setParticleCount(count) {
+    if (!this.worker) {
+      return;
+    }
+
+    this.worker.postMessage({ type: 'setParticleCount', count });
+    this.buffers = [];
+    this.latestState = null;
+  }
+
+  /**
+   * Stop the worker and release the state buffers
+   * The particle system keeps the last state it was shown and can be
+   * updated on the main thread again.
+   */
+  dispose() {
+    if (this.worker) {
+      this.worker.onmessage = null;
+      this.worker.onerror = null;
+      this.worker.terminate();
+      this.worker = null;
+    }
+
+    this.buffers = [];
+    this.latestState = null;
+    this.stepInFlight = false;
+    this.pendingSteps = [];
+    this.particleSystem = null;
+    this.errorCallback = null;
+  }
+}
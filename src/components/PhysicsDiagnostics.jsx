@@ -0,0 +1,67 @@
+import { useEffect, useState } from 'react';
+import './PhysicsDiagnostics.css';
+
+// The readout is refreshed a few times a second so the numbers stay legible
+const REFRESH_INTERVAL_MS = 250;
+
+const INTEGRATOR_NAMES = {
+  euler: 'Semi-implicit Euler',
+  verlet: 'Velocity Verlet',
+  rk4: 'Runge-Kutta 4'
+};
+
+/**
+ * Format a quantity in scientific notation with a fixed number of digits
+ * @param {number} value - Value to format
+ * @returns {string} Formatted value
+ */
+function formatScientific(value) {
+  return Number.isFinite(value) ? value.toExponential(3) : '—';
+}
+
+/**
+ * PhysicsDiagnostics is a debug overlay showing how well the particle
+ * integrator conserves energy and angular momentum. The drifts are relative
+ * changes over the last frame for the particles that stayed in flight; it is
+ * hidden while the diagnostics are disabled.
+ */
+export function PhysicsDiagnostics({ simulation }) {
+  const [diagnostics, setDiagnostics] = useState(null);
+
+  useEffect(() => {
+    if (!simulation) return;
+
+    const refresh = () => setDiagnostics(simulation.getParticleDiagnostics());
+    const intervalId = setInterval(refresh, REFRESH_INTERVAL_MS);
+
+    return () => clearInterval(intervalId);
+  }, [simulation]);
+
+  if (!diagnostics) {
+    return null;
+  }
+
+  const { x, y, z } = diagnostics.angularMomentum;
+
+  return (
+    <div className="physics-diagnostics" role="status" aria-label="Particle physics diagnostics">
+      <div className="physics-diagnostics-header">Physics Diagnostics</div>
+      <dl>
+        <dt>Integrator</dt>
+        <dd>{INTEGRATOR_NAMES[diagnostics.integrator] || diagnostics.integrator}</dd>
+        <dt>Substeps</dt>
+        <dd>{diagnostics.substeps} × {(diagnostics.timeStep * 1000).toFixed(2)} ms</dd>
+        <dt>Particles</dt>
+        <dd>{diagnostics.particles}</dd>
+        <dt>Energy</dt>
+        <dd>{formatScientific(diagnostics.totalEnergy)}</dd>
+        <dt>ΔE / E</dt>
+        <dd>{formatScientific(diagnostics.energyDrift)}</dd>
+        <dt>|L|</dt>
+        <dd>{formatScientific(Math.sqrt(x * x + y * y + z * z))}</dd>
+        <dt>ΔL / L</dt>
+        <dd>{formatScientific(diagnostics.angularMomentumDrift)}</dd>
+      </dl>
+    </div>
+  );
+}
@@ -0,0 +1,347 @@
+import * as THREE from 'three';
+import { createShaderMaterial } from '../utils/ShaderUtils.js';
+import { SPEED_OF_LIGHT } from '../utils/BlackHolePhysics.js';
+import { Random } from '../utils/Random.js';
+
+/**
+ * Number of plasma blobs in each of the two jets
+ */
+export const JET_PARTICLE_COUNT = 1500;
+
+// Scales the beamed brightness before it is compressed into [0, 1]
+const JET_EXPOSURE = 2.0;
+
+/**
+ * RelativisticJets renders twin bipolar jets launched along the spin axis.
+ * Each jet is a cone of plasma blobs streaming outwards at the speed set by
+ * the bulk Lorentz factor. Blob positions are computed entirely in the vertex
+ * shader from a per-blob seed, so the CPU only advances time. Brightness is
+ * Doppler beamed (I ∝ δ³), so the jet pointing towards the camera outshines
+ * the counter-jet. When precession is enabled the launch direction circles
+ * the spin axis and each blob keeps the direction it was launched in, which
+ * winds the jets into corkscrews.
+ * The jets lie along +Y and −Y and precess counter-clockwise around +Y.
+ */
+export class RelativisticJets {
+  constructor() {
+    this.points = null;
+    this.material = null;
+    this.enabled = false;
+    this.launchRadius = 1.0;
+    this.length = 20.0;
+    this.openingAngle = 5.0;
+    this.lorentzFactor = 5.0;
+    this.precessionAngle = 0.0;
+    this.precessionPeriod = 20.0;
+    this.animationTime = 0;
+
+    // Random numbers for the blob seeds; the simulation injects a seeded stream
+    this.random = new Random();
+  }
+
+  /**
+   * Initialize the jets
+   * @param {number} launchRadius - Distance from the black hole where blobs appear
+   * @param {number} length - Distance from the black hole where blobs fade out
+   */
+  initialize(launchRadius = 1.0, length = 20.0) {
+    this.launchRadius = launchRadius;
+    this.length = length;
+
+    const count = JET_PARTICLE_COUNT * 2;
+
+    // Blobs are placed by the vertex shader; the position attribute only
+    // exists because three.js requires one
+    const positions = new Float32Array(count * 3);
+    const seeds = new Float32Array(count * 3);
+    const sides = new Float32Array(count);
+    const sizes = new Float32Array(count);
+
+    for (let i = 0; i < count; i++) {
+      sides[i] = i < JET_PARTICLE_COUNT ? 1.0 : -1.0;
+    }
+    this.fillSeeds(seeds, sizes);
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('seed', new THREE.BufferAttribute(seeds, 3));
+    geometry.setAttribute('side', new THREE.BufferAttribute(sides, 1));
+    geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+
+    this.material = this.createShaderMaterial();
+
+    this.points = new THREE.Points(geometry, this.material);
+    this.points.name = 'RelativisticJets';
+    this.points.visible = this.enabled;
+
+    // The bounding sphere of the placeholder positions does not match the
+    // shader-computed jets, so culling would hide them
+    this.points.frustumCulled = false;
+  }
+
+  /**
+   * Draw the per-blob seeds and sizes from the random stream
+   * @param {Float32Array} seeds - Receives phase, azimuth and radius fraction per blob
+   * @param {Float32Array} sizes - Receives the point size per blob
+   * @private
+   */
+  fillSeeds(seeds, sizes) {
+    this.random.reset();
+    for (let i = 0; i < sizes.length; i++) {
+      seeds[i * 3] = this.random.next(); // Phase along the jet
+      seeds[i * 3 + 1] = this.random.next() * Math.PI * 2; // Azimuth around the axis
+      seeds[i * 3 + 2] = Math.sqrt(this.random.next()); // Fraction of the cone radius (uniform over the cross-section)
+      sizes[i] = 2.0 + this.random.next() * 2.0;
+    }
+  }
+
+  /**
+   * Create the custom shader material for the jets
+   * @returns {THREE.ShaderMaterial} The shader material
+   */
+  createShaderMaterial() {
+    // Shader uniforms
+    const uniforms = {
+      time: { value: this.animationTime },
+      launchRadius: { value: this.launchRadius },
+      jetLength: { value: this.length },
+      openingAngle: { value: THREE.MathUtils.degToRad(this.openingAngle) },
+      lorentzFactor: { value: this.lorentzFactor },
+      beta: { value: this.getBeta() },
+      precessionAngle: { value: THREE.MathUtils.degToRad(this.precessionAngle) },
+      precessionPeriod: { value: this.precessionPeriod },
+      jetColor: { value: new THREE.Color(0x8fb8ff) }
+    };
+
+    // Vertex shader - places each blob along its jet and applies beaming
+    const vertexShader = `
+      uniform float time;
+      uniform float launchRadius;
+      uniform float jetLength;
+      uniform float openingAngle;
+      uniform float lorentzFactor;
+      uniform float beta;
+      uniform float precessionAngle;
+      uniform float precessionPeriod;
+
+      attribute vec3 seed;
+      attribute float side;
+      attribute float size;
+
+      varying float vIntensity;
+
+      const float SPEED_OF_LIGHT = ${SPEED_OF_LIGHT.toFixed(1)};
+      const float TWO_PI = 6.28318530718;
+
+      void main() {
+        // Blobs travel from the launch radius to the tip, then recycle
+        float travelTime = (jetLength - launchRadius) / (beta * SPEED_OF_LIGHT);
+        float travel = fract(seed.x + time / travelTime);
+        float radius = launchRadius + travel * (jetLength - launchRadius);
+
+        // Jet direction when this blob was launched
+        float launchPhase = TWO_PI * (time - travel * travelTime) / precessionPeriod;
+        vec3 axis = side * vec3(
+          sin(precessionAngle) * cos(launchPhase),
+          cos(precessionAngle),
+          -sin(precessionAngle) * sin(launchPhase)
+        );
+
+        // Spread the blob across the cone around its launch direction
+        vec3 helper = abs(axis.x) < 0.9 ? vec3(1.0, 0.0, 0.0) : vec3(0.0, 0.0, 1.0);
+        vec3 u = normalize(cross(axis, helper));
+        vec3 v = cross(axis, u);
+        float spread = tan(openingAngle) * radius * seed.z;
+        vec3 jetPosition = axis * radius + (u * cos(seed.y) + v * sin(seed.y)) * spread;
+
+        // Doppler factor of plasma flowing radially outwards
+        vec4 worldPosition = modelMatrix * vec4(jetPosition, 1.0);
+        vec3 toCamera = normalize(cameraPosition - worldPosition.xyz);
+        vec3 flow = normalize(mat3(modelMatrix) * jetPosition);
+        float doppler = 1.0 / (lorentzFactor * (1.0 - beta * dot(flow, toCamera)));
+
+        // Optically thin blobs brighten as δ³; fade in at launch and out at the tip
+        float fade = smoothstep(0.0, 0.05, travel) * (1.0 - travel);
+        vIntensity = (1.0 - exp(-pow(doppler, 3.0) * ${JET_EXPOSURE.toFixed(1)})) * fade;
+
+        vec4 mvPosition = viewMatrix * worldPosition;
+
+        // Blobs expand as the jet widens
+        gl_PointSize = size * (1.0 + 2.0 * travel) * (300.0 / -mvPosition.z);
+        gl_Position = projectionMatrix * mvPosition;
+      }
+    `;
+
+    // Fragment shader - soft round sprites
+    const fragmentShader = `
+      uniform vec3 jetColor;
+
+      varying float vIntensity;
+
+      void main() {
+        vec2 center = gl_PointCoord - vec2(0.5);
+        float distSq = dot(center, center);
+
+        if (distSq > 0.25) {
+          discard;
+        }
+
+        float alpha = 1.0 - smoothstep(0.0, 0.25, distSq);
+        gl_FragColor = vec4(jetColor * vIntensity, alpha);
+      }
+    `;
+
+    // Use shader utility with error handling and fallback
+    return createShaderMaterial({
+      uniforms: uniforms,
+      vertexShader: vertexShader,
+      fragmentShader: fragmentShader,
+      transparent: true,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false
+    }, 'RelativisticJets');
+  }
+
+  /**
+   * Bulk flow speed as a fraction of the speed of light
+   * @returns {number} β = √(1 − 1/Γ²)
+   */
+  getBeta() {
+    return Math.sqrt(1 - 1 / (this.lorentzFactor * this.lorentzFactor));
+  }
+
+  /**
+   * Update the jet animation
+   * @param {number} deltaTime - Time elapsed since last frame in seconds
+   */
+  update(deltaTime) {
+    if (!this.enabled) {
+      return;
+    }
+    this.animationTime += deltaTime;
+    if (this.material && this.material.uniforms) {
+      this.material.uniforms.time.value = this.animationTime;
+    }
+  }
+
+  /**
+   * Get how far the jet animation has run
+   * @returns {number} Animation time in seconds
+   */
+  getAnimationTime() {
+    return this.animationTime;
+  }
+
+  /**
+   * Jump the jet animation to a time, e.g. when restoring a snapshot
+   * @param {number} time - Animation time in seconds
+   */
+  setAnimationTime(time) {
+    this.animationTime = time;
+    if (this.material && this.material.uniforms) {
+      this.material.uniforms.time.value = time;
+    }
+  }
+
+  /**
+   * Show or hide the jets
+   * @param {boolean} enabled - Whether the jets are rendered
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (this.points) {
+      this.points.visible = enabled;
+    }
+  }
+
+  /**
+   * Set where the jets start and end
+   * @param {number} launchRadius - Distance from the black hole where blobs appear
+   * @param {number} length - Distance from the black hole where blobs fade out
+   */
+  setRadii(launchRadius, length) {
+    this.launchRadius = launchRadius;
+    this.length = Math.max(length, launchRadius * 2);
+    if (this.material && this.material.uniforms) {
+      this.material.uniforms.launchRadius.value = this.launchRadius;
+      this.material.uniforms.jetLength.value = this.length;
+    }
+  }
+
+  /**
+   * Set the half opening angle of each jet cone
+   * @param {number} degrees - Half opening angle in degrees
+   */
+  setOpeningAngle(degrees) {
+    this.openingAngle = degrees;
+    if (this.material && this.material.uniforms) {
+      this.material.uniforms.openingAngle.value = THREE.MathUtils.degToRad(degrees);
+    }
+  }
+
+  /**
+   * Set the bulk Lorentz factor, which sets the flow speed and beaming strength
+   * @param {number} lorentzFactor - Lorentz factor Γ (> 1)
+   */
+  setLorentzFactor(lorentzFactor) {
+    this.lorentzFactor = Math.max(1.01, lorentzFactor);
+    if (this.material && this.material.uniforms) {
+      this.material.uniforms.lorentzFactor.value = this.lorentzFactor;
+      this.material.uniforms.beta.value = this.getBeta();
+    }
+  }
+
+  /**
+   * Set the precession of the jet axis around the spin axis
+   * @param {number} degrees - Half angle of the precession cone in degrees (0 disables precession)
+   * @param {number} period - Time for one precession cycle in seconds
+   */
+  setPrecession(degrees, period) {
+    this.precessionAngle = degrees;
+    this.precessionPeriod = period;
+    if (this.material && this.material.uniforms) {
+      this.material.uniforms.precessionAngle.value = THREE.MathUtils.degToRad(degrees);
+      this.material.uniforms.precessionPeriod.value = period;
+    }
+  }
+
+  /**
+   * Get the shader material
+   * @returns {THREE.ShaderMaterial} The material
+   */
+  getMaterial() {
+    return this.material;
+  }
+
+  /**
+   * Use a different random number generator, redrawing the blob seeds from it
+   * @param {Random} random - Generator for the blob seeds
+   */
+  setRandom(random) {
+    this.random = random;
+    if (!this.points) {
+      return;
+    }
+
+    const { seed, size } = this.points.geometry.attributes;
+    this.fillSeeds(seed.array, size.array);
+    seed.needsUpdate = true;
+    size.needsUpdate = true;
+  }
+
+  /**
+   * Dispose of all resources
+   */
+  dispose() {
+    if (this.points) {
+      if (this.points.geometry) {
+        this.points.geometry.dispose();
+      }
+      if (this.material) {
+        this.material.dispose();
+      }
+      this.points = null;
+      this.material = null;
+    }
+  }
+}
@@ -0,0 +1,187 @@
+import * as THREE from 'three';
+import { HDRLoader } from 'three/examples/jsm/loaders/HDRLoader.js';
+import { HDRCubeTextureLoader } from 'three/examples/jsm/loaders/HDRCubeTextureLoader.js';
+import { EXRLoader } from 'three/examples/jsm/loaders/EXRLoader.js';
+
+/**
+ * Backgrounds bundled in public/, by name. The Milky Way panorama is
+ * procedurally generated in the same equatorial frame as the star catalogue
+ * (see StarCatalogue), so its band lines up with the catalogue stars.
+ */
+export const BUNDLED_BACKGROUNDS = {
+  milkyWay: 'backgrounds/milky-way.hdr'
+};
+
+/**
+ * Resolve a background source into the URLs to load
+ * @param {string|string[]} source - 'none', a bundled background name, an
+ *   equirectangular image URL, or six cubemap face URLs (+X, −X, +Y, −Y, +Z, −Z)
+ * @returns {string|string[]|null} Equirectangular URL, face URLs, or null for no background
+ */
+export function resolveBackgroundSource(source) {
+  if (Array.isArray(source)) {
+    return source.length === 6 ? source : null;
+  }
+  if (!source || source === 'none') {
+    return null;
+  }
+  if (BUNDLED_BACKGROUNDS[source]) {
+    return `${import.meta.env.BASE_URL}${BUNDLED_BACKGROUNDS[source]}`;
+  }
+  return source;
+}
+
+/**
+ * Whether a URL points to a high dynamic range image
+ * @param {string} url - Image URL
+ * @returns {'hdr'|'exr'|null} The HDR format, or null for an 8-bit image
+ */
+function hdrFormat(url) {
+  const path = url.split(/[?#]/)[0].toLowerCase();
+  if (path.endsWith('.hdr')) {
+    return 'hdr';
+  }
+  return path.endsWith('.exr') ? 'exr' : null;
+}
+
+/**
+ * SkyBackground loads an environment image for the sky: an equirectangular
+ * panorama (Radiance .hdr, OpenEXR or an ordinary 8-bit image) or a cubemap
+ * of six faces. The texture is not drawn by the camera; the lensing pass
+ * samples it along each pixel's deflected ray (see GravitationalLensing.setBackground).
+ *
+ * Loads are asynchronous. A load superseded by a later one is discarded when
+ * it completes, so the last requested background always wins.
+ */
+export class SkyBackground {
+  constructor() {
+    this.texture = null;
+    this.source = 'none';
+    this.loadCallback = null;
+
+    // Incremented per load so stale results can be recognised
+    this._request = 0;
+  }
+
+  /**
+   * Load a background, replacing the current one
+   * @param {string|string[]} source - 'none', a bundled background name, an image URL or six cubemap face URLs
+   * @returns {Promise<THREE.Texture|null>} The loaded texture, or null for no background or a failed load
+   */
+  load(source) {
+    const request = ++this._request;
+    const urls = resolveBackgroundSource(source);
+
+    if (!urls) {
+      this.setTexture(null, 'none');
+      return Promise.resolve(null);
+    }
+
+    return this.loadTexture(urls).then(
+      (texture) => {
+        if (request !== this._request) {
+          texture.dispose();
+          return null;
+        }
+        this.setTexture(texture, source);
+        return texture;
+      },
+      (error) => {
+        console.warn(`Failed to load background: ${source}. Using 'none'.`, error);
+        if (request === this._request) {
+          this.setTexture(null, 'none');
+        }
+        return null;
+      }
+    );
+  }
+
+  /**
+   * Pick a loader for the URLs and load the texture
+   * @param {string|string[]} urls - Equirectangular URL or six cubemap face URLs
+   * @returns {Promise<THREE.Texture>} The texture, mapped for use as a background
+   * @private
+   */
+  loadTexture(urls) {
+    if (Array.isArray(urls)) {
+      if (urls.every((url) => hdrFormat(url) === 'hdr')) {
+        return new HDRCubeTextureLoader().setDataType(THREE.HalfFloatType).loadAsync(urls);
+      }
+      return new THREE.CubeTextureLoader().loadAsync(urls).then((texture) => {
+        texture.colorSpace = THREE.SRGBColorSpace;
+        return texture;
+      });
+    }
+
+    const format = hdrFormat(urls);
+    const loader = format === 'hdr'
+      ? new HDRLoader().setDataType(THREE.HalfFloatType)
+      : format === 'exr'
+        ? new EXRLoader().setDataType(THREE.HalfFloatType)
+        : new THREE.TextureLoader();
+
+    return loader.loadAsync(urls).then((texture) => {
+      texture.mapping = THREE.EquirectangularReflectionMapping;
+      if (!format) {
+        texture.colorSpace = THREE.SRGBColorSpace;
+      }
+      return texture;
+    });
+  }
+
+  /**
+   * Swap in a new texture and notify the listener
+   * @param {THREE.Texture|null} texture - The new background texture
+   * @param {string|string[]} source - Where it came from
+   * @private
+   */
+  setTexture(texture, source) {
+    if (this.texture && this.texture !== texture) {
+      this.texture.dispose();
+    }
+    this.texture = texture;
+    this.source = source;
+
+    if (this.loadCallback) {
+      this.loadCallback(texture);
+    }
+  }
+
+  /**
+   * Register a callback for when the background changes
+   * @param {Function} callback - Called with the new texture, or null when the background is removed
+   */
+  onLoad(callback) {
+    this.loadCallback = callback;
+  }
+
+  /**
+   * Get the background texture
+   * @returns {THREE.Texture|null} The texture, or null while there is no background
+   */
+  getTexture() {
+    return this.texture;
+  }
+
+  /**
+   * Get the source of the displayed background
+   * @returns {string|string[]} 'none', a bundled background name, or the URLs it was loaded from
+   */
+  getSource() {
+    return this.source;
+  }
+
+  /**
+   * Dispose of all resources
+   */
+  dispose() {
+    // Discard any load still in flight
+    this._request++;
+    if (this.texture) {
+      this.texture.dispose();
+      this.texture = null;
+    }
+    this.source = 'none';
+    this.loadCallback = null;
+  }
+}
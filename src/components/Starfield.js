@@ -1,8 +1,37 @@
 import * as THREE from 'three';
+import { blackbodyColor } from '../utils/Blackbody.js';
+import { Random } from '../utils/Random.js';
+import {
+  colorIndexToTemperature,
+  equatorialToDirection,
+  loadStarCatalogue
+} from '../utils/StarCatalogue.js';
+
+/**
+ * Render layer holding the starfield, so it can be captured on its own
+ * (e.g. into the cubemap sampled by the geodesic lensing mode)
+ */
+export const STARFIELD_LAYER = 1;
+
+/**
+ * Where the stars come from:
+ * - random: uniformly scattered, blue-white stars
+ * - catalogue: the bundled bright-star catalogue (see StarCatalogue)
+ */
+export const STARFIELD_SOURCES = ['random', 'catalogue'];
+
+// Catalogue stars of this visual magnitude get full brightness; fainter
+// ones dim with their flux, down to MIN_CATALOGUE_BRIGHTNESS
+const REFERENCE_MAGNITUDE = 1.0;
+const MIN_CATALOGUE_BRIGHTNESS = 0.3;
 
 /**
  * Starfield creates a background of stars with subtle twinkling effect.
  * Implements Requirement 6.3
+ *
+ * Stars are either scattered at random or placed from a real star catalogue,
+ * sized and dimmed by magnitude and coloured by their blackbody temperature.
+ * The random generator is the fallback when the catalogue cannot be read.
  */
 export class Starfield {
   constructor() {
@@ -10,18 +39,71 @@ export class Starfield {
     this.geometry = null;
     this.material = null;
     this.starCount = 2000;
+    this.radius = 100;
+    this.source = 'random';
+
+    // Random numbers for placing stars; the simulation injects a seeded stream
+    this.random = new Random();
   }
 
   /**
-   * Initialize the starfield with random star positions
-   * @param {number} starCount - Number of stars to generate (default: 2000)
+   * Initialize the starfield
+   * @param {number} starCount - Number of random stars to generate (default: 2000)
    * @param {number} radius - Radius of the spherical distribution (default: 100)
+   * @param {'random'|'catalogue'} source - Random stars or the bright-star catalogue (default: 'random')
    */
-  initialize(starCount = 2000, radius = 100) {
+  initialize(starCount = 2000, radius = 100, source = 'random') {
     this.starCount = starCount;
+    this.radius = radius;
+
+    this.geometry = this.createGeometry(source);
 
-    // Create buffer geometry for stars
-    this.geometry = new THREE.BufferGeometry();
+    // Create shader material for stars with twinkling
+    this.material = this.createStarMaterial();
+
+    // Create Points object
+    this.points = new THREE.Points(this.geometry, this.material);
+    this.points.name = 'Starfield';
+    this.points.layers.set(STARFIELD_LAYER);
+  }
+
+  /**
+   * Build the star geometry for a source, falling back to random stars
+   * @param {'random'|'catalogue'} source - Where the stars come from
+   * @returns {THREE.BufferGeometry} Geometry with position, color, size and twinklePhase attributes
+   * @private
+   */
+  createGeometry(source) {
+    // Start the stream over, so the same seed always gives the same sky
+    this.random.reset();
+
+    if (!STARFIELD_SOURCES.includes(source)) {
+      console.warn(`Invalid starfield source: ${source}. Using 'random'.`);
+      source = 'random';
+    }
+
+    if (source === 'catalogue') {
+      const stars = loadStarCatalogue();
+      if (stars.length > 0) {
+        this.source = 'catalogue';
+        return this.createCatalogueGeometry(stars);
+      }
+      console.warn('Star catalogue is empty, using random stars');
+    }
+
+    this.source = 'random';
+    return this.createRandomGeometry(this.starCount);
+  }
+
+  /**
+   * Scatter stars uniformly over the sphere
+   * @param {number} starCount - Number of stars to generate
+   * @returns {THREE.BufferGeometry} The star geometry
+   * @private
+   */
+  createRandomGeometry(starCount) {
+    const radius = this.radius;
+    const geometry = new THREE.BufferGeometry();
 
     // Generate random star positions in spherical distribution
     const positions = new Float32Array(starCount * 3);
@@ -31,8 +113,8 @@ export class Starfield {
 
     for (let i = 0; i < starCount; i++) {
       // Generate random position on sphere surface using spherical coordinates
-      const theta = Math.random() * Math.PI * 2; // Azimuthal angle
-      const phi = Math.acos(2 * Math.random() - 1); // Polar angle (uniform distribution)
+      const theta = this.random.next() * Math.PI * 2; // Azimuthal angle
+      const phi = Math.acos(2 * this.random.next() - 1); // Polar angle (uniform distribution)
       
       // Convert spherical to Cartesian coordinates
       const x = radius * Math.sin(phi) * Math.cos(theta);
@@ -44,29 +126,129 @@ export class Starfield {
       positions[i * 3 + 2] = z;
 
       // Vary star colors slightly (white to blue-white)
-      const colorVariation = 0.8 + Math.random() * 0.2;
+      const colorVariation = 0.8 + this.random.next() * 0.2;
       colors[i * 3] = colorVariation; // R
       colors[i * 3 + 1] = colorVariation; // G
       colors[i * 3 + 2] = 1.0; // B (slightly blue-tinted)
 
       // Vary star sizes
-      sizes[i] = 0.5 + Math.random() * 1.5;
+      sizes[i] = 0.5 + this.random.next() * 1.5;
 
       // Random phase for twinkling effect
-      twinklePhases[i] = Math.random() * Math.PI * 2;
+      twinklePhases[i] = this.random.next() * Math.PI * 2;
     }
 
-    this.geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-    this.geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
-    this.geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
-    this.geometry.setAttribute('twinklePhase', new THREE.BufferAttribute(twinklePhases, 1));
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+    geometry.setAttribute('twinklePhase', new THREE.BufferAttribute(twinklePhases, 1));
+    return geometry;
+  }
 
-    // Create shader material for stars with twinkling
-    this.material = this.createStarMaterial();
+  /**
+   * Place catalogue stars at their right ascension and declination
+   * Brighter stars are drawn larger and brighter, with the blackbody colour
+   * of the temperature their B−V index implies.
+   * @param {Array<Object>} stars - Stars read by loadStarCatalogue
+   * @returns {THREE.BufferGeometry} The star geometry
+   * @private
+   */
+  createCatalogueGeometry(stars) {
+    const count = stars.length;
+    const positions = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+    const sizes = new Float32Array(count);
+    const twinklePhases = new Float32Array(count);
+    const direction = new THREE.Vector3();
+    const color = new THREE.Color();
 
-    // Create Points object
-    this.points = new THREE.Points(this.geometry, this.material);
-    this.points.name = 'Starfield';
+    stars.forEach((star, i) => {
+      equatorialToDirection(star.ra, star.dec, direction).multiplyScalar(this.radius);
+      direction.toArray(positions, i * 3);
+
+      // Flux relative to the reference magnitude
+      const flux = Math.pow(10, -0.4 * (star.mag - REFERENCE_MAGNITUDE));
+      const brightness = THREE.MathUtils.clamp(flux, MIN_CATALOGUE_BRIGHTNESS, 1);
+      blackbodyColor(colorIndexToTemperature(star.ci), color).multiplyScalar(brightness);
+      color.toArray(colors, i * 3);
+
+      sizes[i] = THREE.MathUtils.clamp(2.0 - 0.4 * (star.mag - REFERENCE_MAGNITUDE), 0.6, 3.0);
+      twinklePhases[i] = this.random.next() * Math.PI * 2;
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+    geometry.setAttribute('twinklePhase', new THREE.BufferAttribute(twinklePhases, 1));
+    return geometry;
+  }
+
+  /**
+   * Switch between random stars and the star catalogue, rebuilding the geometry
+   * @param {'random'|'catalogue'} source - Where the stars come from
+   */
+  setSource(source) {
+    if (!this.points || source === this.source) {
+      return;
+    }
+
+    this.geometry.dispose();
+    this.geometry = this.createGeometry(source);
+    this.points.geometry = this.geometry;
+  }
+
+  /**
+   * Move the stars onto a sphere of a different radius, keeping the same sky
+   * @param {number} radius - Radius of the spherical distribution
+   */
+  setRadius(radius) {
+    if (radius === this.radius) {
+      return;
+    }
+
+    this.radius = radius;
+    if (!this.points) {
+      return;
+    }
+
+    this.geometry.dispose();
+    this.geometry = this.createGeometry(this.source);
+    this.points.geometry = this.geometry;
+    this.material.uniforms.radius.value = radius;
+  }
+
+  /**
+   * Use a different random number generator, rebuilding the stars from it
+   * @param {Random} random - Generator for star positions, colours and twinkle phases
+   */
+  setRandom(random) {
+    this.random = random;
+    if (!this.points) {
+      return;
+    }
+
+    this.geometry.dispose();
+    this.geometry = this.createGeometry(this.source);
+    this.points.geometry = this.geometry;
+  }
+
+  /**
+   * Show or hide the stars, e.g. to leave only a sky background
+   * @param {boolean} visible - Whether the starfield is drawn
+   */
+  setVisible(visible) {
+    if (this.points) {
+      this.points.visible = visible;
+    }
+  }
+
+  /**
+   * Get where the stars come from
+   * @returns {'random'|'catalogue'} The active source (random if the catalogue could not be used)
+   */
+  getSource() {
+    return this.source;
   }
 
   /**
@@ -77,7 +259,8 @@ export class Starfield {
     const uniforms = {
       time: { value: 0.0 },
       twinkleSpeed: { value: 0.5 },
-      twinkleIntensity: { value: 0.3 }
+      twinkleIntensity: { value: 0.3 },
+      radius: { value: this.radius }
     };
 
     const vertexShader = `
@@ -87,6 +270,7 @@ export class Starfield {
       uniform float time;
       uniform float twinkleSpeed;
       uniform float twinkleIntensity;
+      uniform float radius;
       
       varying vec3 vColor;
       varying float vTwinkle;
@@ -99,7 +283,8 @@ export class Starfield {
         vTwinkle = 1.0 - twinkleIntensity + twinkleIntensity * (twinkle * 0.5 + 0.5);
         
         vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
-        gl_PointSize = size * (300.0 / -mvPosition.z);
+        // Sized relative to the sphere, so stars look the same at any radius
+        gl_PointSize = size * (3.0 * radius / -mvPosition.z);
         gl_Position = projectionMatrix * mvPosition;
       }
     `;
@@ -0,0 +1,501 @@
+import * as THREE from 'three';
+import { ParticleSystem } from './ParticleSystem.js';
+import { Random } from '../utils/Random.js';
+import {
+  DEFAULT_MASS,
+  SPEED_OF_LIGHT,
+  horizonRadius,
+  tidalRadius
+} from '../utils/BlackHolePhysics.js';
+
+/**
+ * Number of particles making up the star
+ */
+export const STAR_PARTICLE_COUNT = 400;
+
+// Stars are scaled up enormously so the event plays out within a minute or two:
+// a star of 1% of the black hole mass has a radius of 2 rs, and radius grows
+// with mass as on the main sequence (R ∝ m^0.8)
+const REFERENCE_MASS_RATIO = 0.01;
+const REFERENCE_STELLAR_RADIUS_RS = 2.0;
+const MASS_RADIUS_EXPONENT = 0.8;
+
+// The star is a Plummer sphere truncated at this fraction of its mass; the
+// truncation radius is the stellar radius, which sets the scale length
+const PLUMMER_TRUNCATION = 0.85;
+const PLUMMER_SCALE = Math.sqrt(Math.pow(PLUMMER_TRUNCATION, -2 / 3) - 1);
+
+// Gravitational softening relative to the Plummer scale length
+const SOFTENING = 0.1;
+
+// The star starts this many tidal radii from the hole, where it is still intact
+const START_DISTANCE_TIDAL_RADII = 1.5;
+
+// Self-gravity is integrated with steps no longer than this (seconds)
+const MAX_TIME_STEP = 1 / 120;
+const MAX_SUBSTEPS = 8;
+
+// Surface temperature of the star before it is heated by the disk
+const STELLAR_TEMPERATURE = 6000;
+
+// Debris returning to pericentre loses radial and vertical motion (shocks) and
+// a little orbital motion (viscosity), in units of the local orbital frequency
+const CIRCULARIZATION_RATE = 0.5;
+const VISCOUS_DRAG_RATE = 0.02;
+
+/**
+ * TidalDisruptionEvent scripts a star being torn apart by the black hole.
+ * The star is a Plummer sphere of particles held together by softened
+ * self-gravity, launched on a parabolic orbit in the disk plane. It is moved
+ * by ParticleSystem's integrator with self-gravity supplied as an external
+ * acceleration. Inside the tidal radius the star is stretched into a debris
+ * stream; roughly half of it is bound to the hole and falls back, where it
+ * circularises and spirals in through the disk, while the rest escapes.
+ */
+export class TidalDisruptionEvent {
+  constructor() {
+    this.particleSystem = null;
+    this.points = null;
+    this.mass = DEFAULT_MASS;
+    this.stellarMassRatio = REFERENCE_MASS_RATIO;
+    this.pericentre = 5.0;
+    this.active = false;
+    this.time = 0;
+
+    // Radial speed a particle must exceed before it counts as moving in or
+    // out, so motion inside the star is not mistaken for pericentre passages
+    this.radialSpeedThreshold = 0;
+
+    // Per-particle state: accelerations handed to the integrator, the
+    // direction of radial motion and the number of pericentre passages
+    this.accelerations = null;
+    this.radialSigns = null;
+    this.pericentrePassages = null;
+
+    // Random numbers for sampling the star; the simulation injects a seeded stream
+    this.random = new Random();
+  }
+
+  /**
+   * Initialize the scenario; the star stays hidden until start() is called
+   * @param {number} pericentre - Closest approach of the star's orbit
+   */
+  initialize(pericentre = 5.0) {
+    this.pericentre = pericentre;
+
+    this.particleSystem = new ParticleSystem();
+    this.particleSystem.initialize(STAR_PARTICLE_COUNT, 0, horizonRadius(this.mass));
+    this.particleSystem.setMass(this.mass);
+    this.particleSystem.setRecycling(false);
+    this.particleSystem.setMinimumTemperature(STELLAR_TEMPERATURE);
+
+    this.accelerations = new Float32Array(STAR_PARTICLE_COUNT * 3);
+    this.radialSigns = new Int8Array(STAR_PARTICLE_COUNT);
+    this.pericentrePassages = new Uint8Array(STAR_PARTICLE_COUNT);
+    this.particleSystem.setExternalAccelerations(this.accelerations);
+
+    this.points = this.particleSystem.particles;
+    this.points.name = 'TidalDisruptionEvent';
+    this.points.visible = false;
+  }
+
+  /**
+   * Radius of the star for the current masses
+   * @returns {number} Stellar radius
+   */
+  getStellarRadius() {
+    const rs = 2 * this.mass;
+    return REFERENCE_STELLAR_RADIUS_RS * rs *
+      Math.pow(this.stellarMassRatio / REFERENCE_MASS_RATIO, MASS_RADIUS_EXPONENT);
+  }
+
+  /**
+   * Distance inside which the star is torn apart
+   * @returns {number} Tidal radius
+   */
+  getTidalRadius() {
+    return tidalRadius(this.getStellarRadius(), this.mass, this.mass * this.stellarMassRatio);
+  }
+
+  /**
+   * Launch a new star toward the black hole, replacing any previous one
+   * @param {THREE.Vector3} blackHolePosition - Position of the black hole center
+   */
+  start(blackHolePosition = new THREE.Vector3(0, 0, 0)) {
+    if (!this.particleSystem) {
+      return;
+    }
+
+    const gm = this.mass * SPEED_OF_LIGHT * SPEED_OF_LIGHT;
+    const starGm = gm * this.stellarMassRatio;
+    const scale = this.getStellarRadius() * PLUMMER_SCALE;
+    const velocityScale = Math.sqrt(starGm / scale);
+    this.radialSpeedThreshold = velocityScale;
+
+    // Parabolic orbit (e = 1) with pericentre along +X, moving counter-clockwise
+    // around +Y like the disk; f is the true anomaly at the start
+    const rp = this.pericentre;
+    const r0 = Math.max(START_DISTANCE_TIDAL_RADII * this.getTidalRadius(), 2 * rp);
+    const f = -Math.acos(Math.min(1, 2 * rp / r0 - 1));
+    const speed = Math.sqrt(gm / (2 * rp));
+    const radialSpeed = speed * Math.sin(f);
+    const tangentialSpeed = speed * (1 + Math.cos(f));
+    const cosF = Math.cos(f);
+    const sinF = Math.sin(f);
+    const orbitPosition = new THREE.Vector3(r0 * cosF, 0, -r0 * sinF).add(blackHolePosition);
+    const orbitVelocity = new THREE.Vector3(
+      radialSpeed * cosF - tangentialSpeed * sinF,
+      0,
+      -radialSpeed * sinF - tangentialSpeed * cosF
+    );
+
+    // Sample the star, then remove the residual drift of its centre of mass
+    const samples = [];
+    const center = new THREE.Vector3();
+    const drift = new THREE.Vector3();
+    for (let i = 0; i < STAR_PARTICLE_COUNT; i++) {
+      const sample = samplePlummer(this.random);
+      sample.position.multiplyScalar(scale);
+      sample.velocity.multiplyScalar(velocityScale);
+      center.add(sample.position);
+      drift.add(sample.velocity);
+      samples.push(sample);
+    }
+    center.divideScalar(STAR_PARTICLE_COUNT);
+    drift.divideScalar(STAR_PARTICLE_COUNT);
+
+    samples.forEach(({ position, velocity }, i) => {
+      position.sub(center).add(orbitPosition);
+      velocity.sub(drift).add(orbitVelocity);
+      this.particleSystem.setParticle(
+        i,
+        position.x, position.y, position.z,
+        velocity.x, velocity.y, velocity.z
+      );
+      this.radialSigns[i] = -1;
+    });
+
+    this.pericentrePassages.fill(0);
+    this.time = 0;
+    this.active = true;
+    this.points.visible = true;
+  }
+
+  /**
+   * Use a different random number generator for sampling the star
+   * @param {Random} random - Generator for the star's particles
+   */
+  setRandom(random) {
+    this.random = random;
+  }
+
+  /**
+   * Stop the scenario and hide the debris
+   */
+  stop() {
+    this.active = false;
+    if (this.points) {
+      this.points.visible = false;
+    }
+  }
+
+  /**
+   * Check whether a star is currently being simulated
+   * @returns {boolean} True while the scenario runs
+   */
+  isActive() {
+    return this.active;
+  }
+
+  /**
+   * Advance the scenario
+   * Self-gravity changes quickly inside the star, so the frame is split into
+   * substeps that each recompute it before running the integrator.
+   * @param {number} deltaTime - Time elapsed since last frame in seconds
+   * @param {THREE.Vector3} blackHolePosition - Position of the black hole center
+   */
+  update(deltaTime, blackHolePosition = new THREE.Vector3(0, 0, 0)) {
+    if (!this.active || deltaTime <= 0) {
+      return;
+    }
+
+    const steps = Math.min(MAX_SUBSTEPS, Math.ceil(deltaTime / MAX_TIME_STEP));
+    const step = deltaTime / steps;
+
+    for (let s = 0; s < steps; s++) {
+      this.computeAccelerations(blackHolePosition);
+      this.particleSystem.update(step, blackHolePosition);
+      this.countPericentrePassages(blackHolePosition);
+      this.time += step;
+    }
+  }
+
+  /**
+   * Fill the external accelerations: softened self-gravity between all pairs,
+   * plus circularisation of debris that has fallen back to pericentre
+   * @param {THREE.Vector3} blackHolePosition - Position of the black hole center
+   */
+  computeAccelerations(blackHolePosition) {
+    const positions = this.particleSystem.positions;
+    const velocities = this.particleSystem.velocities;
+    const accelerations = this.accelerations;
+    const count = STAR_PARTICLE_COUNT;
+
+    const gm = this.mass * SPEED_OF_LIGHT * SPEED_OF_LIGHT;
+    const particleGm = gm * this.stellarMassRatio / count;
+    const softening = SOFTENING * this.getStellarRadius() * PLUMMER_SCALE;
+    const softeningSquared = softening * softening;
+
+    accelerations.fill(0);
+
+    for (let i = 0; i < count; i++) {
+      if (this.particleSystem.isCaptured(i)) {
+        continue;
+      }
+      const i3 = i * 3;
+
+      for (let j = i + 1; j < count; j++) {
+        if (this.particleSystem.isCaptured(j)) {
+          continue;
+        }
+        const j3 = j * 3;
+        const dx = positions[j3] - positions[i3];
+        const dy = positions[j3 + 1] - positions[i3 + 1];
+        const dz = positions[j3 + 2] - positions[i3 + 2];
+        const d2 = dx * dx + dy * dy + dz * dz + softeningSquared;
+        const factor = particleGm / (d2 * Math.sqrt(d2));
+
+        accelerations[i3] += dx * factor;
+        accelerations[i3 + 1] += dy * factor;
+        accelerations[i3 + 2] += dz * factor;
+        accelerations[j3] -= dx * factor;
+        accelerations[j3 + 1] -= dy * factor;
+        accelerations[j3 + 2] -= dz * factor;
+      }
+
+      // Debris on its second pericentre passage has fallen back: damp its
+      // radial and vertical motion so it settles into the disk plane
+      if (this.pericentrePassages[i] >= 2) {
+        const x = positions[i3] - blackHolePosition.x;
+        const y = positions[i3 + 1] - blackHolePosition.y;
+        const z = positions[i3 + 2] - blackHolePosition.z;
+        const r = Math.sqrt(x * x + y * y + z * z);
+        const cylindrical = Math.sqrt(x * x + z * z);
+        if (cylindrical < 1e-6) {
+          continue;
+        }
+
+        const omega = Math.sqrt(gm / (r * r * r));
+        const vx = velocities[i3];
+        const vz = velocities[i3 + 2];
+        const radialVelocity = (vx * x + vz * z) / cylindrical;
+        const radialX = radialVelocity * x / cylindrical;
+        const radialZ = radialVelocity * z / cylindrical;
+
+        accelerations[i3] -= omega * (CIRCULARIZATION_RATE * radialX + VISCOUS_DRAG_RATE * (vx - radialX));
+        accelerations[i3 + 1] -= omega * CIRCULARIZATION_RATE * velocities[i3 + 1];
+        accelerations[i3 + 2] -= omega * (CIRCULARIZATION_RATE * radialZ + VISCOUS_DRAG_RATE * (vz - radialZ));
+      }
+    }
+  }
+
+  /**
+   * Count pericentre passages, detected when the radial velocity turns from
+   * clearly inward to clearly outward
+   * @param {THREE.Vector3} blackHolePosition - Position of the black hole center
+   */
+  countPericentrePassages(blackHolePosition) {
+    const positions = this.particleSystem.positions;
+    const velocities = this.particleSystem.velocities;
+
+    for (let i = 0; i < STAR_PARTICLE_COUNT; i++) {
+      const i3 = i * 3;
+      const dx = positions[i3] - blackHolePosition.x;
+      const dy = positions[i3 + 1] - blackHolePosition.y;
+      const dz = positions[i3 + 2] - blackHolePosition.z;
+      const r = Math.sqrt(dx * dx + dy * dy + dz * dz);
+      if (r === 0) {
+        continue;
+      }
+      const radialVelocity = (dx * velocities[i3] + dy * velocities[i3 + 1] + dz * velocities[i3 + 2]) / r;
+
+      if (radialVelocity > this.radialSpeedThreshold && this.radialSigns[i] < 0) {
+        this.radialSigns[i] = 1;
+        if (this.pericentrePassages[i] < 255) {
+          this.pericentrePassages[i]++;
+        }
+      } else if (radialVelocity < -this.radialSpeedThreshold) {
+        this.radialSigns[i] = -1;
+      }
+    }
+  }
+
+  /**
+   * Classify the star's particles by their orbital energy around the hole
+   * @param {THREE.Vector3} blackHolePosition - Position of the black hole center
+   * @returns {{bound: number, unbound: number, captured: number}} Particle counts
+   */
+  getDebrisStatistics(blackHolePosition = new THREE.Vector3(0, 0, 0)) {
+    const statistics = { bound: 0, unbound: 0, captured: 0 };
+    if (!this.particleSystem) {
+      return statistics;
+    }
+
+    const positions = this.particleSystem.positions;
+    const velocities = this.particleSystem.velocities;
+    const gm = this.mass * SPEED_OF_LIGHT * SPEED_OF_LIGHT;
+
+    for (let i = 0; i < STAR_PARTICLE_COUNT; i++) {
+      if (this.particleSystem.isCaptured(i)) {
+        statistics.captured++;
+        continue;
+      }
+
+      const i3 = i * 3;
+      const dx = positions[i3] - blackHolePosition.x;
+      const dy = positions[i3 + 1] - blackHolePosition.y;
+      const dz = positions[i3 + 2] - blackHolePosition.z;
+      const v2 = velocities[i3] ** 2 + velocities[i3 + 1] ** 2 + velocities[i3 + 2] ** 2;
+      const energy = 0.5 * v2 - gm / Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+      if (energy < 0) {
+        statistics.bound++;
+      } else {
+        statistics.unbound++;
+      }
+    }
+
+    return statistics;
+  }
+
+  /**
+   * Set the black hole mass; applies to the star immediately and sizes the next star
+   * @param {number} mass - Black hole mass (half the Schwarzschild radius)
+   */
+  setMass(mass) {
+    this.mass = mass;
+    if (this.particleSystem) {
+      this.particleSystem.setMass(mass);
+    }
+  }
+
+  /**
+   * Set the black hole spin (frame dragging of the debris)
+   * @param {number} spin - Dimensionless spin parameter (0 ≤ a < 1)
+   */
+  setSpin(spin) {
+    if (this.particleSystem) {
+      this.particleSystem.setSpin(spin);
+    }
+  }
+
+  /**
+   * Choose the integrator that advances the debris orbits
+   * @param {'euler'|'verlet'|'rk4'} integrator - Semi-implicit Euler, velocity Verlet or RK4
+   */
+  setIntegrator(integrator) {
+    if (this.particleSystem) {
+      this.particleSystem.setIntegrator(integrator);
+    }
+  }
+
+  /**
+   * Choose the force law acting on the debris
+   * @param {'newtonian'|'paczynski-wiita'} model - Gravity model
+   */
+  setGravityModel(model) {
+    if (this.particleSystem) {
+      this.particleSystem.setGravityModel(model);
+    }
+  }
+
+  /**
+   * Set the accretion disk radii used to colour the debris
+   * @param {number} innerRadius - Inner radius of the disk
+   * @param {number} outerRadius - Outer radius of the disk
+   */
+  setDiskRadii(innerRadius, outerRadius) {
+    if (this.particleSystem) {
+      this.particleSystem.setDiskRadii(innerRadius, outerRadius);
+    }
+  }
+
+  /**
+   * Set the peak disk temperature used to colour heated debris
+   * @param {number} temperature - Maximum disk temperature in kelvin
+   */
+  setPeakTemperature(temperature) {
+    if (this.particleSystem) {
+      this.particleSystem.setPeakTemperature(temperature);
+    }
+  }
+
+  /**
+   * Set the stellar mass; takes effect on the next start()
+   * @param {number} ratio - Stellar mass as a fraction of the black hole mass
+   */
+  setStellarMass(ratio) {
+    this.stellarMassRatio = ratio;
+  }
+
+  /**
+   * Set the pericentre distance of the orbit; takes effect on the next start()
+   * @param {number} pericentre - Closest approach to the black hole
+   */
+  setPericentre(pericentre) {
+    this.pericentre = pericentre;
+  }
+
+  /**
+   * Dispose of all resources
+   */
+  dispose() {
+    if (this.particleSystem) {
+      this.particleSystem.dispose();
+      this.particleSystem = null;
+    }
+    this.points = null;
+    this.accelerations = null;
+    this.radialSigns = null;
+    this.pericentrePassages = null;
+    this.active = false;
+  }
+}
+
+/**
+ * Draw a particle from a Plummer sphere (Aarseth, Hénon & Wielen 1974)
+ * Units are G = M = a = 1.
+ * @param {Random} random - Random number generator
+ * @returns {{position: THREE.Vector3, velocity: THREE.Vector3}} Sampled phase-space point
+ */
+function samplePlummer(random) {
+  const massFraction = Math.max(1e-6, random.next() * PLUMMER_TRUNCATION);
+  const radius = 1 / Math.sqrt(Math.pow(massFraction, -2 / 3) - 1);
+
+  // Speed as a fraction of the local escape speed, by rejection sampling
+  // the distribution g(q) = q² (1 − q²)^7/2
+  let q = 0;
+  let g = 1;
+  while (g > q * q * Math.pow(1 - q * q, 3.5)) {
+    q = random.next();
+    g = random.next() * 0.1;
+  }
+  const speed = q * Math.SQRT2 * Math.pow(1 + radius * radius, -0.25);
+
+  return {
+    position: randomDirection(random).multiplyScalar(radius),
+    velocity: randomDirection(random).multiplyScalar(speed)
+  };
+}
+
+/**
+ * Uniformly distributed unit vector
+ * @param {Random} random - Random number generator
+ * @returns {THREE.Vector3} Random direction
+ */
+function randomDirection(random) {
+  const cosTheta = 2 * random.next() - 1;
+  const sinTheta = Math.sqrt(1 - cosTheta * cosTheta);
+  const phi = random.next() * Math.PI * 2;
+  return new THREE.Vector3(sinTheta * Math.cos(phi), cosTheta, sinTheta * Math.sin(phi));
+}
@@ -0,0 +1,447 @@
+import * as THREE from 'three';
+import { ParticleSystem } from './ParticleSystem.js';
+import { createShaderMaterial } from '../utils/ShaderUtils.js';
+import {
+  DEFAULT_MASS,
+  horizonRadius,
+  properTimeRate,
+  tidalGradient
+} from '../utils/BlackHolePhysics.js';
+
+// Probes are made just strong enough to hold together until this many rs
+// from the hole, whatever its mass, so the stretching is always visible
+const YIELD_RADIUS_RS = 6.0;
+
+// Fraction of critical damping of the probe's elastic response
+const DAMPING_RATIO = 0.7;
+
+// Radius of the rod relative to its length
+const PROBE_ASPECT = 0.08;
+
+// Limits of the deformation, so the rod neither grows without bound nor
+// collapses to a line before it reaches the horizon
+const MAX_STRETCH = 40.0;
+const MIN_SQUEEZE = 0.05;
+
+// The probe starts above the disk plane, on the left of the default view
+const DROP_DIRECTION = new THREE.Vector3(-1.0, 0.4, 0.2).normalize();
+
+// Tidal forces change quickly near the hole, so the deformation is integrated
+// with steps no longer than this (seconds)
+const MAX_TIME_STEP = 1 / 120;
+const MAX_SUBSTEPS = 8;
+
+const PROBE_AXIS = new THREE.Vector3(0, 1, 0);
+
+/**
+ * TidalProbe is a rod dropped from rest toward the black hole to show
+ * spaghettification. Its centre of mass falls along the same orbit a particle
+ * would, using ParticleSystem's gravity model and integrator; the rod stays
+ * aligned with the radial direction. The tidal field stretches it along the
+ * radius and squeezes it transversely against its elastic stiffness; the
+ * vertex shader displaces the rod's vertices by the resulting strains. Once the
+ * stretching exceeds the stiffness the rod yields and keeps stretching until
+ * it crosses the horizon.
+ */
+export class TidalProbe {
+  constructor() {
+    this.mesh = null;
+    this.material = null;
+    this.particleSystem = null;
+
+    this.mass = DEFAULT_MASS;
+    this.length = 1.0;
+    this.dropRadius = 12.0;
+
+    // 'idle' before the first drop, 'falling', then 'swallowed' at the horizon
+    this.state = 'idle';
+    this.time = 0;
+    this.yielded = false;
+
+    // Strains relative to the rest shape, along the radius and across it
+    this.stretch = { value: 0, rate: 0 };
+    this.squeeze = { value: 0, rate: 0 };
+    this.tidal = { radial: 0, transverse: 0 };
+
+    this._radial = new THREE.Vector3();
+  }
+
+  /**
+   * Initialize the probe; it stays hidden until drop() is called
+   * @param {number} length - Rest length of the rod
+   * @param {number} dropRadius - Distance from the hole at which the rod is released
+   */
+  initialize(length = 1.0, dropRadius = 12.0) {
+    this.dropRadius = dropRadius;
+
+    this.particleSystem = new ParticleSystem();
+    this.particleSystem.initialize(1, 0, horizonRadius(this.mass));
+    this.particleSystem.setMass(this.mass);
+    this.particleSystem.setRecycling(false);
+
+    // Unit-length rod along +Y, scaled to the probe length; enough rings along
+    // the rod that the stripes show how it stretches
+    const geometry = new THREE.CylinderGeometry(PROBE_ASPECT, PROBE_ASPECT, 1, 16, 32);
+    this.material = this.createShaderMaterial();
+
+    this.mesh = new THREE.Mesh(geometry, this.material);
+    this.mesh.name = 'TidalProbe';
+    this.mesh.visible = false;
+
+    // The shader deforms the rod far beyond its bounding sphere
+    this.mesh.frustumCulled = false;
+
+    this.setLength(length);
+  }
+
+  /**
+   * Create the shader material that deforms and shades the rod
+   * @returns {THREE.ShaderMaterial} The shader material
+   */
+  createShaderMaterial() {
+    const uniforms = {
+      stretch: { value: 1.0 },
+      squeeze: { value: 1.0 },
+      stress: { value: 0.0 },
+      baseColor: { value: new THREE.Color(0xdddddd) },
+      hotColor: { value: new THREE.Color(0xff6622) }
+    };
+
+    // Vertex shader - stretches the rod along its axis and squeezes it across
+    const vertexShader = `
+      uniform float stretch;
+      uniform float squeeze;
+
+      varying vec3 vNormal;
+      varying vec2 vUv;
+
+      void main() {
+        vec3 displaced = vec3(position.x * squeeze, position.y * stretch, position.z * squeeze);
+
+        // Normals of a scaled surface scale inversely
+        vNormal = normalize(normalMatrix * vec3(normal.x / squeeze, normal.y / stretch, normal.z / squeeze));
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(displaced, 1.0);
+      }
+    `;
+
+    // Fragment shader - striped rod that glows as the tidal stress nears and passes its strength
+    const fragmentShader = `
+      uniform float stress;
+      uniform vec3 baseColor;
+      uniform vec3 hotColor;
+
+      varying vec3 vNormal;
+      varying vec2 vUv;
+
+      void main() {
+        float stripe = step(0.5, fract(vUv.y * 8.0));
+        vec3 surface = baseColor * mix(0.55, 1.0, stripe);
+        surface = mix(surface, hotColor, clamp(stress - 0.5, 0.0, 1.0));
+
+        // Light from the viewer's upper left, with a dim ambient term
+        float diffuse = max(dot(normalize(vNormal), normalize(vec3(-0.4, 0.6, 0.7))), 0.0);
+        gl_FragColor = vec4(surface * (0.3 + 0.7 * diffuse), 1.0);
+      }
+    `;
+
+    return createShaderMaterial({
+      uniforms,
+      vertexShader,
+      fragmentShader
+    }, 'TidalProbe');
+  }
+
+  /**
+   * Release the rod from rest at the drop radius, replacing any previous probe
+   * @param {THREE.Vector3} blackHolePosition - Position of the black hole center
+   */
+  drop(blackHolePosition = new THREE.Vector3(0, 0, 0)) {
+    if (!this.particleSystem) {
+      return;
+    }
+
+    const start = DROP_DIRECTION.clone().multiplyScalar(this.dropRadius).add(blackHolePosition);
+    this.particleSystem.setParticle(0, start.x, start.y, start.z, 0, 0, 0);
+
+    this.stretch.value = 0;
+    this.stretch.rate = 0;
+    this.squeeze.value = 0;
+    this.squeeze.rate = 0;
+    this.yielded = false;
+    this.time = 0;
+    this.state = 'falling';
+
+    this.updateTidalField(blackHolePosition);
+    this.updateMesh();
+    this.mesh.visible = true;
+  }
+
+  /**
+   * Remove the probe from the scene
+   */
+  stop() {
+    this.state = 'idle';
+    if (this.mesh) {
+      this.mesh.visible = false;
+    }
+  }
+
+  /**
+   * Check whether a probe is currently falling
+   * @returns {boolean} True between drop() and the horizon or stop()
+   */
+  isActive() {
+    return this.state === 'falling';
+  }
+
+  /**
+   * Advance the fall and the rod's deformation
+   * @param {number} deltaTime - Time elapsed since last frame in seconds
+   * @param {THREE.Vector3} blackHolePosition - Position of the black hole center
+   */
+  update(deltaTime, blackHolePosition = new THREE.Vector3(0, 0, 0)) {
+    if (this.state !== 'falling' || deltaTime <= 0) {
+      return;
+    }
+
+    const steps = Math.min(MAX_SUBSTEPS, Math.ceil(deltaTime / MAX_TIME_STEP));
+    const step = deltaTime / steps;
+
+    for (let s = 0; s < steps; s++) {
+      this.particleSystem.update(step, blackHolePosition);
+      this.time += step;
+
+      if (this.particleSystem.isCaptured(0)) {
+        this.state = 'swallowed';
+        this.mesh.visible = false;
+        return;
+      }
+
+      this.updateTidalField(blackHolePosition);
+      this.updateStrains(step);
+    }
+
+    this.updateMesh();
+  }
+
+  /**
+   * Evaluate the tidal field at the probe's centre of mass
+   * @private
+   * @param {THREE.Vector3} blackHolePosition - Position of the black hole center
+   */
+  updateTidalField(blackHolePosition) {
+    const positions = this.particleSystem.positions;
+    this._radial.set(positions[0], positions[1], positions[2]).sub(blackHolePosition);
+    const r = this._radial.length();
+    this._radial.divideScalar(r);
+
+    // The pseudo-Newtonian field is singular at rp; stay just outside it
+    const rp = this.particleSystem.gravityModel === 'paczynski-wiita'
+      ? this.particleSystem.pseudoNewtonianRadius
+      : 0;
+    this.tidal = tidalGradient(this.mass, Math.max(r, 1.1 * rp), rp);
+  }
+
+  /**
+   * Advance the radial and transverse strains over one step
+   * Each strain is a damped oscillator driven by the tidal field acting on
+   * the deformed rod: s″ = ±T (1 + s) − k s − γ s′. Radially the field
+   * weakens the spring to k − T; past the yield point the spring is negative
+   * and the stretching grows on its own.
+   * @private
+   * @param {number} step - Time step in seconds
+   */
+  updateStrains(step) {
+    const stiffness = this.getStiffness();
+    const damping = 2 * DAMPING_RATIO * Math.sqrt(stiffness);
+
+    if (this.tidal.radial > stiffness) {
+      this.yielded = true;
+    }
+
+    advanceStrain(this.stretch, this.tidal.radial, stiffness - this.tidal.radial, damping, step);
+    advanceStrain(this.squeeze, -this.tidal.transverse, stiffness + this.tidal.transverse, damping, step);
+    clampStrain(this.stretch, 0, MAX_STRETCH - 1);
+    clampStrain(this.squeeze, MIN_SQUEEZE - 1, 0);
+  }
+
+  /**
+   * Move the rod to its centre of mass, align it with the radius and pass
+   * the strains to the shader
+   * @private
+   */
+  updateMesh() {
+    const positions = this.particleSystem.positions;
+    this.mesh.position.set(positions[0], positions[1], positions[2]);
+    this.mesh.quaternion.setFromUnitVectors(PROBE_AXIS, this._radial);
+
+    if (this.material && this.material.uniforms) {
+      this.material.uniforms.stretch.value = 1 + this.stretch.value;
+      this.material.uniforms.squeeze.value = 1 + this.squeeze.value;
+      this.material.uniforms.stress.value = this.tidal.radial / this.getStiffness();
+    }
+  }
+
+  /**
+   * Elastic stiffness of the rod per unit mass
+   * @returns {number} Restoring acceleration per unit strain in s⁻², equal to the Newtonian radial tidal field at the yield radius
+   */
+  getStiffness() {
+    return tidalGradient(this.mass, YIELD_RADIUS_RS * 2 * this.mass).radial;
+  }
+
+  /**
+   * Get the state of the probe for the tidal stress readout
+   * @param {THREE.Vector3} blackHolePosition - Position of the black hole center
+   * @returns {Object} Fall state and time, the probe's own (proper) time and clock rate dτ/dt, distance in rs, end-to-end tidal accelerations, stress relative to the rod's strength, and the current stretch and squeeze factors
+   */
+  getStatus(blackHolePosition = new THREE.Vector3(0, 0, 0)) {
+    const status = {
+      state: this.state,
+      time: this.time,
+      properTime: 0,
+      clockRate: 1,
+      distance: 0,
+      radialAcceleration: 0,
+      transverseAcceleration: 0,
+      stress: 0,
+      stretch: 1 + this.stretch.value,
+      squeeze: 1 + this.squeeze.value,
+      yielded: this.yielded
+    };
+    if (!this.particleSystem || this.state === 'idle') {
+      return status;
+    }
+
+    const state = this.particleSystem.getParticleState(0, blackHolePosition);
+    status.distance = state.distance / (2 * this.mass);
+    status.properTime = state.properTime;
+
+    // The clock of a swallowed probe is frozen for a distant observer
+    status.clockRate = 0;
+
+    if (this.state === 'falling') {
+      const radialSpeed = state.velocity.dot(state.position.clone().sub(blackHolePosition)) / state.distance;
+      const tangentialSpeed = Math.sqrt(Math.max(state.speed * state.speed - radialSpeed * radialSpeed, 0));
+      status.clockRate = properTimeRate(this.mass, state.distance, radialSpeed, tangentialSpeed);
+      status.radialAcceleration = this.tidal.radial * this.length;
+      status.transverseAcceleration = this.tidal.transverse * 2 * PROBE_ASPECT * this.length;
+      status.stress = this.tidal.radial / this.getStiffness();
+    }
+    return status;
+  }
+
+  /**
+   * Set the rest length of the rod
+   * @param {number} length - Length in scene units
+   */
+  setLength(length) {
+    this.length = length;
+    if (this.mesh) {
+      this.mesh.scale.setScalar(length);
+    }
+  }
+
+  /**
+   * Set the distance from which the next probe is dropped
+   * @param {number} radius - Drop radius in scene units
+   */
+  setDropRadius(radius) {
+    this.dropRadius = radius;
+  }
+
+  /**
+   * Set the black hole mass; applies to a falling probe immediately
+   * @param {number} mass - Black hole mass (half the Schwarzschild radius)
+   */
+  setMass(mass) {
+    this.mass = mass;
+    if (this.particleSystem) {
+      this.particleSystem.setMass(mass);
+    }
+  }
+
+  /**
+   * Set the black hole spin (frame dragging of the probe)
+   * @param {number} spin - Dimensionless spin parameter (0 ≤ a < 1)
+   */
+  setSpin(spin) {
+    if (this.particleSystem) {
+      this.particleSystem.setSpin(spin);
+    }
+  }
+
+  /**
+   * Choose the integrator that advances the probe's fall
+   * @param {'euler'|'verlet'|'rk4'} integrator - Semi-implicit Euler, velocity Verlet or RK4
+   */
+  setIntegrator(integrator) {
+    if (this.particleSystem) {
+      this.particleSystem.setIntegrator(integrator);
+    }
+  }
+
+  /**
+   * Choose the force law acting on the probe, which also sets its tidal field
+   * @param {'newtonian'|'paczynski-wiita'} model - Gravity model
+   */
+  setGravityModel(model) {
+    if (this.particleSystem) {
+      this.particleSystem.setGravityModel(model);
+    }
+  }
+
+  /**
+   * Dispose of all resources
+   */
+  dispose() {
+    if (this.particleSystem) {
+      this.particleSystem.dispose();
+      this.particleSystem = null;
+    }
+    if (this.mesh) {
+      this.mesh.geometry.dispose();
+      this.mesh = null;
+    }
+    if (this.material) {
+      this.material.dispose();
+      this.material = null;
+    }
+    this.state = 'idle';
+  }
+}
+
+/**
+ * Advance a strain s″ = force − stiffness · s − damping · s′ by one step
+ * A non-negative stiffness is treated implicitly, so the stiff springs near
+ * the hole stay stable; a negative one makes the strain grow and is stepped
+ * explicitly.
+ * @param {{value: number, rate: number}} strain - Strain and its rate, updated in place
+ * @param {number} force - Driving acceleration per unit length
+ * @param {number} stiffness - Effective spring constant in s⁻²
+ * @param {number} damping - Damping rate in s⁻¹
+ * @param {number} step - Time step in seconds
+ */
+function advanceStrain(strain, force, stiffness, damping, step) {
+  if (stiffness >= 0) {
+    strain.rate = (strain.rate + step * (force - stiffness * strain.value)) /
+      (1 + step * damping + step * step * stiffness);
+  } else {
+    strain.rate += step * (force - stiffness * strain.value - damping * strain.rate);
+  }
+  strain.value += step * strain.rate;
+}
+
+/**
+ * Keep a strain within limits, stopping it at the limit it runs into
+ * @param {{value: number, rate: number}} strain - Strain and its rate, updated in place
+ * @param {number} min - Smallest strain
+ * @param {number} max - Largest strain
+ */
+function clampStrain(strain, min, max) {
+  if (strain.value < min || strain.value > max) {
+    strain.value = Math.min(max, Math.max(min, strain.value));
+    strain.rate = 0;
+  }
+}
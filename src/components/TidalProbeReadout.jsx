@@ -0,0 +1,70 @@
+import { useEffect, useState } from 'react';
+import './TidalProbeReadout.css';
+
+// The readout is refreshed a few times a second so the numbers stay legible
+const REFRESH_INTERVAL_MS = 250;
+
+/**
+ * Describe the probe's state in a few words
+ * @param {Object} status - Probe status from the simulation
+ * @returns {string} State label
+ */
+function describeState(status) {
+  if (status.state === 'swallowed') {
+    return `Crossed the horizon after ${status.time.toFixed(1)} s`;
+  }
+  return status.yielded ? 'Torn apart' : 'Holding together';
+}
+
+/**
+ * TidalProbeReadout shows the tidal stress on the falling spaghettification
+ * probe: the difference in gravitational acceleration between its ends and
+ * across it, how that compares to the strength of the rod, and how far it has
+ * been stretched and squeezed. It is hidden until a probe is dropped.
+ */
+export function TidalProbeReadout({ simulation }) {
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    if (!simulation) return;
+
+    const refresh = () => setStatus(simulation.getTidalProbeStatus());
+    const intervalId = setInterval(refresh, REFRESH_INTERVAL_MS);
+
+    return () => clearInterval(intervalId);
+  }, [simulation]);
+
+  if (!status || status.state === 'idle') {
+    return null;
+  }
+
+  const falling = status.state === 'falling';
+
+  return (
+    <div className="tidal-probe-readout" role="status" aria-label="Spaghettification probe tidal stress">
+      <div className="tidal-probe-readout-header">Spaghettification Probe</div>
+      <dl>
+        <dt>State</dt>
+        <dd className={status.yielded ? 'tidal-probe-yielded' : undefined}>{describeState(status)}</dd>
+        {falling && (
+          <>
+            <dt>Distance</dt>
+            <dd>{status.distance.toFixed(2)} rs</dd>
+            <dt>Stretching (end to end)</dt>
+            <dd>{status.radialAcceleration.toExponential(2)}</dd>
+            <dt>Squeezing (side to side)</dt>
+            <dd>{status.transverseAcceleration.toExponential(2)}</dd>
+            <dt>Stress / strength</dt>
+            <dd>{status.stress.toFixed(2)}</dd>
+          </>
+        )}
+        <dt>Probe time / fall time</dt>
+        <dd>{status.properTime.toFixed(2)} s / {status.time.toFixed(2)} s</dd>
+        <dt>Length</dt>
+        <dd>× {status.stretch.toFixed(2)}</dd>
+        <dt>Width</dt>
+        <dd>× {status.squeeze.toFixed(2)}</dd>
+      </dl>
+    </div>
+  );
+}
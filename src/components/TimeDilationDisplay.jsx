@@ -0,0 +1,105 @@
+import { useEffect, useState } from 'react';
+import { blackbodyColor } from '../utils/Blackbody.js';
+import './TimeDilationDisplay.css';
+
+// Refreshed often enough for the second hands to sweep smoothly
+const REFRESH_INTERVAL_MS = 100;
+
+// The clock faces glow like a 6500 K blackbody; the probe face is seen
+// redshifted, which scales its temperature and dims it by the clock rate
+const FACE_TEMPERATURE = 6500;
+
+/**
+ * Analogue clock face with a second hand (one turn a minute) and a minute hand
+ * @param {Object} props - Component props
+ * @param {number} props.time - Reading in seconds
+ * @param {string} props.color - CSS colour of the face
+ * @param {string} props.label - Accessible label
+ */
+function ClockFace({ time, color, label }) {
+  const seconds = (time % 60) * 6;
+  const minutes = ((time / 60) % 60) * 6;
+  const ticks = Array.from({ length: 12 }, (_, i) => i * 30);
+
+  return (
+    <svg className="time-dilation-face" viewBox="-50 -50 100 100" role="img" aria-label={label}>
+      <circle r="46" fill="rgba(0, 0, 0, 0.4)" stroke={color} strokeWidth="3" />
+      {ticks.map((angle) => (
+        <line key={angle} y1="-44" y2="-38" stroke={color} strokeWidth="2" transform={`rotate(${angle})`} />
+      ))}
+      <line y2="-24" stroke={color} strokeWidth="4" strokeLinecap="round" transform={`rotate(${minutes})`} />
+      <line y2="-38" stroke={color} strokeWidth="2" strokeLinecap="round" transform={`rotate(${seconds})`} />
+      <circle r="3" fill={color} />
+    </svg>
+  );
+}
+
+/**
+ * Describe where the probe clock is
+ * @param {Object} readings - Clock readings from the simulation
+ * @returns {string} Probe clock caption
+ */
+function describeProbe(readings) {
+  if (readings.mode === 'static') {
+    return `Hovering at ${readings.radius.toFixed(1)} rs`;
+  }
+  return readings.waiting ? 'Drop the probe to start' : 'Falling with the probe';
+}
+
+/**
+ * TimeDilationDisplay shows the distant observer's clock next to a probe
+ * clock near the black hole. Both read zero when synchronised; the probe clock
+ * runs slow by dτ/dt, and its face is drawn as the distant observer would see
+ * it, redshifted and dimmed, until it freezes at the horizon. It is hidden
+ * while the clocks are turned off.
+ */
+export function TimeDilationDisplay({ simulation }) {
+  const [readings, setReadings] = useState(null);
+
+  useEffect(() => {
+    if (!simulation) return;
+
+    const refresh = () => setReadings(simulation.getTimeDilationClocks());
+    const intervalId = setInterval(refresh, REFRESH_INTERVAL_MS);
+
+    return () => clearInterval(intervalId);
+  }, [simulation]);
+
+  if (!readings) {
+    return null;
+  }
+
+  const distantColor = blackbodyColor(FACE_TEMPERATURE).getStyle();
+  const probeColor = blackbodyColor(FACE_TEMPERATURE * readings.rate)
+    .multiplyScalar(readings.rate)
+    .getStyle();
+  const redshift = readings.rate > 0 ? 1 / readings.rate - 1 : Infinity;
+
+  return (
+    <div className="time-dilation-clocks" role="status" aria-label="Time dilation clocks">
+      <div className="time-dilation-header">Time Dilation</div>
+      <div className="time-dilation-pair">
+        <figure>
+          <ClockFace time={readings.distantTime} color={distantColor} label="Distant observer clock" />
+          <figcaption>
+            <span className="time-dilation-reading">{readings.distantTime.toFixed(2)} s</span>
+            <span>Distant observer</span>
+          </figcaption>
+        </figure>
+        <figure>
+          <ClockFace time={readings.probeTime} color={probeColor} label="Probe clock" />
+          <figcaption>
+            <span className="time-dilation-reading">{readings.probeTime.toFixed(2)} s</span>
+            <span>{describeProbe(readings)}</span>
+          </figcaption>
+        </figure>
+      </div>
+      <dl>
+        <dt>dτ / dt</dt>
+        <dd>{readings.rate.toFixed(3)}</dd>
+        <dt>Redshift z</dt>
+        <dd>{Number.isFinite(redshift) ? redshift.toFixed(2) : '∞'}</dd>
+      </dl>
+    </div>
+  );
+}
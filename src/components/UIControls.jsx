@@ -1,4 +1,9 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback, useSyncExternalStore } from 'react';
+import { ChirpPlot } from './ChirpPlot.jsx';
+import { PhysicsDiagnostics } from './PhysicsDiagnostics.jsx';
+import { ParticleInspector } from './ParticleInspector.jsx';
+import { TidalProbeReadout } from './TidalProbeReadout.jsx';
+import { TimeDilationDisplay } from './TimeDilationDisplay.jsx';
 import './UIControls.css';
 
 /**
@@ -12,15 +17,75 @@ import './UIControls.css';
  */
 export function UIControls({ simulation, onPresetChange }) {
   const [isOpen, setIsOpen] = useState(false);
-  const [isPaused, setIsPaused] = useState(false);
+  const [isReversed, setIsReversed] = useState(false);
+  const [isDisruptionActive, setIsDisruptionActive] = useState(false);
+  const [bookmark, setBookmark] = useState(null);
   const [config, setConfig] = useState({
     particleCount: 1000,
     diskRotationSpeed: 1.0,
     lensingIntensity: 1.0,
     cameraSensitivity: 1.0,
-    bloomStrength: 1.5
+    bloomStrength: 1.5,
+    lensingMode: 'fast',
+    environmentSize: 512,
+    mass: 0.5,
+    spin: 0.0,
+    dopplerBeaming: true,
+    gravitationalRedshift: true,
+    diskPeakTemperature: 10000,
+    diskScaleHeight: 0.05,
+    diskDensity: 1.0,
+    diskEmission: 2.0,
+    diskQuality: 'medium',
+    jetsEnabled: false,
+    jetLength: 20.0,
+    jetOpeningAngle: 5.0,
+    jetLorentzFactor: 5.0,
+    jetPrecessionAngle: 0.0,
+    jetPrecessionPeriod: 20.0,
+    tdeStellarMass: 1.0,
+    tdePericentre: 5.0,
+    binaryMode: false,
+    binaryMassRatio: 1.0,
+    binarySeparation: 8.0,
+    binaryInspiralSpeed: 20.0,
+    gravitationalWaves: false,
+    gwPolarization: 'plus',
+    particleIntegrator: 'verlet',
+    maxSubsteps: 8,
+    physicsDiagnostics: false,
+    gravityModel: 'newtonian',
+    particleCompute: 'cpu',
+    gpuParticleCount: 262144,
+    particleTrails: false,
+    trailLength: 32,
+    trailSampleInterval: 0.05,
+    probeLength: 1.0,
+    probeDropRadius: 12.0,
+    timeDilationClocks: false,
+    clockMode: 'static',
+    clockRadius: 3.0,
+    fallTrajectory: 'radial',
+    starfieldSource: 'random',
+    starfieldOverlay: true,
+    background: 'none',
+    backgroundIntensity: 1.0,
+    seed: 1,
+    timeScale: 1.0
   });
 
+  // The simulation owns the pause state; the controls follow it, including
+  // pauses made with the space bar
+  const subscribeToPause = useCallback((onChange) => {
+    if (!simulation) return () => {};
+    simulation.onPauseChange(onChange);
+    return () => simulation.onPauseChange(null);
+  }, [simulation]);
+  const isPaused = useSyncExternalStore(
+    subscribeToPause,
+    () => (simulation ? simulation.isPaused() : false)
+  );
+
   // Load initial config from simulation
   useEffect(() => {
     if (simulation) {
@@ -48,17 +113,146 @@ export function UIControls({ simulation, onPresetChange }) {
     }
   };
 
+  // Handle non-numeric (option) configuration changes
+  const handleOptionChange = (key, value) => {
+    setConfig({ ...config, [key]: value });
+
+    // Leaving velocity Verlet or starting a binary makes the simulation play
+    // forwards again
+    if (key === 'particleIntegrator' || key === 'binaryMode') {
+      setIsReversed(false);
+    }
+
+    if (simulation) {
+      try {
+        simulation.updateConfig({ [key]: value });
+      } catch (error) {
+        console.error('Failed to update config:', error);
+      }
+    }
+  };
+
+  // Reseed the simulation; entries that are not whole numbers (such as an
+  // emptied field) are ignored
+  const handleSeedChange = (value) => {
+    if (/^\d+$/.test(value)) {
+      handleConfigChange('seed', value);
+    }
+  };
+
+  // Switch the particle compute path; the simulation stays on the main thread
+  // when the chosen path is unsupported, and the select shows the path that runs
+  const handleParticleComputeChange = (value) => {
+    let particleCompute = value;
+
+    if (simulation) {
+      try {
+        simulation.updateConfig({ particleCompute: value });
+        particleCompute = simulation.getParticleCompute();
+      } catch (error) {
+        console.error('Failed to update config:', error);
+      }
+    }
+
+    setConfig({ ...config, particleCompute });
+  };
+
   // Handle pause/play toggle
   const handlePauseToggle = () => {
     if (!simulation) return;
 
-    if (isPaused) {
-      simulation.start();
-      setIsPaused(false);
+    // Only simulation time stops; the camera and rendering stay live
+    simulation.setPaused(!simulation.isPaused());
+  };
+
+  // Advance a paused simulation by one fixed step
+  const handleStep = () => {
+    if (simulation) {
+      simulation.step();
+    }
+  };
+
+  // Play the simulation backwards; the simulation refuses when its
+  // integrator is not time-reversible, and the checkbox shows what it did
+  const handleReverseChange = (reversed) => {
+    if (simulation) {
+      setIsReversed(simulation.setReversed(reversed));
+    }
+  };
+
+  // Keep the current moment to come back to later in this session
+  const handleBookmark = () => {
+    if (simulation) {
+      setBookmark(simulation.getSnapshot());
+    }
+  };
+
+  // Return to a snapshot and show its settings; the simulation rejects
+  // snapshots it cannot read and stays as it was
+  const restoreSnapshot = (snapshot) => {
+    if (!simulation) return;
+
+    try {
+      simulation.restoreSnapshot(snapshot);
+      setConfig(simulation.getConfig());
+      setIsReversed(simulation.isReversed());
+      setIsDisruptionActive(false);
+    } catch (error) {
+      console.error('Failed to restore snapshot:', error);
+    }
+  };
+
+  // Save the current moment as a JSON file
+  const handleSnapshotDownload = () => {
+    if (!simulation) return;
+
+    const blob = new Blob([JSON.stringify(simulation.getSnapshot())], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `black-hole-snapshot-${simulation.getSimulationTime().toFixed(2)}s.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Load a snapshot file saved by the download button
+  const handleSnapshotLoad = async (file) => {
+    if (!file) return;
+
+    try {
+      restoreSnapshot(JSON.parse(await file.text()));
+    } catch (error) {
+      console.error('Failed to read snapshot:', error);
+    }
+  };
+
+  // Launch a star on a tidal disruption orbit, or stop the scenario
+  const handleTidalDisruption = (start) => {
+    if (!simulation) return;
+
+    if (start) {
+      simulation.startTidalDisruption();
     } else {
-      simulation.stop();
-      setIsPaused(true);
+      simulation.stopTidalDisruption();
     }
+    setIsDisruptionActive(start);
+  };
+
+  // Drop the spaghettification probe, or remove it
+  const handleTidalProbe = (drop) => {
+    if (!simulation) return;
+
+    if (drop) {
+      simulation.dropTidalProbe();
+    } else {
+      simulation.stopTidalProbe();
+    }
+  };
+
+  // Restart the binary inspiral with the current mass ratio and separation
+  const handleBinaryRestart = () => {
+    if (!simulation) return;
+    simulation.startBinaryInspiral();
   };
 
   // Preset configurations
@@ -102,6 +296,16 @@ export function UIControls({ simulation, onPresetChange }) {
         cameraSensitivity: 0.8,
         bloomStrength: 2.0
       }
+    },
+    agn: {
+      name: 'AGN',
+      config: {
+        spin: 0.9,
+        jetsEnabled: true,
+        jetLorentzFactor: 10.0,
+        lensingIntensity: 1.2,
+        bloomStrength: 2.0
+      }
     }
   };
 
@@ -110,7 +314,8 @@ export function UIControls({ simulation, onPresetChange }) {
     const preset = presets[presetKey];
     if (!preset || !simulation) return;
 
-    setConfig(preset.config);
+    // Presets only cover the visual settings; keep everything else as is
+    setConfig({ ...config, ...preset.config });
     simulation.updateConfig(preset.config);
     
     if (onPresetChange) {
@@ -125,7 +330,31 @@ export function UIControls({ simulation, onPresetChange }) {
       diskRotationSpeed: { min: 0.1, max: 5.0, step: 0.1 },
       lensingIntensity: { min: 0.0, max: 2.0, step: 0.1 },
       cameraSensitivity: { min: 0.1, max: 2.0, step: 0.1 },
-      bloomStrength: { min: 0.0, max: 3.0, step: 0.1 }
+      bloomStrength: { min: 0.0, max: 3.0, step: 0.1 },
+      mass: { min: 0.1, max: 2.0, step: 0.05 },
+      spin: { min: 0.0, max: 0.998, step: 0.01 },
+      diskScaleHeight: { min: 0.01, max: 0.3, step: 0.01 },
+      diskDensity: { min: 0.1, max: 5.0, step: 0.1 },
+      diskEmission: { min: 0.1, max: 5.0, step: 0.1 },
+      jetLength: { min: 5.0, max: 50.0, step: 1.0 },
+      jetOpeningAngle: { min: 1.0, max: 30.0, step: 0.5 },
+      jetLorentzFactor: { min: 1.1, max: 20.0, step: 0.1 },
+      jetPrecessionAngle: { min: 0.0, max: 45.0, step: 1.0 },
+      jetPrecessionPeriod: { min: 2.0, max: 120.0, step: 1.0 },
+      tdeStellarMass: { min: 0.1, max: 5.0, step: 0.1 },
+      tdePericentre: { min: 2.0, max: 30.0, step: 0.5 },
+      binaryMassRatio: { min: 0.1, max: 1.0, step: 0.05 },
+      binarySeparation: { min: 4.0, max: 20.0, step: 0.5 },
+      binaryInspiralSpeed: { min: 1.0, max: 100.0, step: 1.0 },
+      maxSubsteps: { min: 1, max: 16, step: 1 },
+      gpuParticleCount: { min: 1000, max: 1000000, step: 1000 },
+      trailLength: { min: 4, max: 128, step: 4 },
+      trailSampleInterval: { min: 0.01, max: 0.5, step: 0.01 },
+      probeLength: { min: 0.2, max: 3.0, step: 0.1 },
+      probeDropRadius: { min: 4.0, max: 40.0, step: 1.0 },
+      clockRadius: { min: 1.1, max: 30.0, step: 0.1 },
+      backgroundIntensity: { min: 0.0, max: 3.0, step: 0.1 },
+      seed: { min: 0, max: 4294967295, step: 1 }
     };
     return bounds[key] || { min: 0, max: 1, step: 0.1 };
   };
@@ -158,6 +387,90 @@ export function UIControls({ simulation, onPresetChange }) {
             </button>
           </div>
 
+          {/* Simulation Time */}
+          <div className="control-group">
+            <button
+              className="preset-button"
+              onClick={handleStep}
+              disabled={!isPaused}
+              aria-label="Advance the simulation by one step"
+            >
+              Step
+            </button>
+          </div>
+
+          <div className="control-group">
+            <label className="checkbox-label" htmlFor="reverse-playback">
+              <input
+                id="reverse-playback"
+                type="checkbox"
+                checked={isReversed}
+                onChange={(e) => handleReverseChange(e.target.checked)}
+                disabled={config.particleIntegrator !== 'verlet' || config.binaryMode}
+              />
+              Reverse (Velocity Verlet only)
+            </label>
+          </div>
+
+          <div className="control-group">
+            <label htmlFor="time-scale">
+              Time Scale: {Number(config.timeScale.toPrecision(2))}×
+            </label>
+            <input
+              id="time-scale"
+              type="range"
+              min={-2}
+              max={2}
+              step={0.05}
+              value={Math.log10(config.timeScale)}
+              onChange={(e) =>
+                handleOptionChange('timeScale', Math.pow(10, parseFloat(e.target.value)))
+              }
+              aria-valuemin={0.01}
+              aria-valuemax={100}
+              aria-valuenow={config.timeScale}
+            />
+          </div>
+
+          {/* Snapshots */}
+          <div className="control-group">
+            <label>Snapshot</label>
+            <div className="preset-buttons">
+              <button
+                className="preset-button"
+                onClick={handleBookmark}
+                aria-label="Bookmark the current moment"
+              >
+                Bookmark
+              </button>
+              <button
+                className="preset-button"
+                onClick={() => restoreSnapshot(bookmark)}
+                disabled={!bookmark}
+                aria-label="Return to the bookmarked moment"
+              >
+                Return to Bookmark
+              </button>
+              <button
+                className="preset-button"
+                onClick={handleSnapshotDownload}
+                aria-label="Download the current moment as a snapshot file"
+              >
+                Download
+              </button>
+            </div>
+            <label htmlFor="snapshot-file">Load Snapshot</label>
+            <input
+              id="snapshot-file"
+              type="file"
+              accept=".json,application/json"
+              onChange={(e) => {
+                handleSnapshotLoad(e.target.files[0]);
+                e.target.value = '';
+              }}
+            />
+          </div>
+
           {/* Presets */}
           <div className="control-group">
             <label>Presets</label>
@@ -194,6 +507,53 @@ export function UIControls({ simulation, onPresetChange }) {
             />
           </div>
 
+          {/* Particle Compute */}
+          <div className="control-group">
+            <label htmlFor="particle-compute">Particle Compute</label>
+            <select
+              id="particle-compute"
+              value={config.particleCompute}
+              onChange={(e) => handleParticleComputeChange(e.target.value)}
+            >
+              <option value="cpu">CPU</option>
+              <option value="worker">CPU (Web Worker)</option>
+              <option value="gpu">GPU (float render targets)</option>
+            </select>
+          </div>
+
+          <div className="control-group">
+            <label htmlFor="gpu-particle-count">
+              GPU Particle Count: {config.gpuParticleCount}
+            </label>
+            <input
+              id="gpu-particle-count"
+              type="range"
+              min={getBounds('gpuParticleCount').min}
+              max={getBounds('gpuParticleCount').max}
+              step={getBounds('gpuParticleCount').step}
+              value={config.gpuParticleCount}
+              onChange={(e) => handleConfigChange('gpuParticleCount', e.target.value)}
+              disabled={config.particleCompute !== 'gpu'}
+              aria-valuemin={getBounds('gpuParticleCount').min}
+              aria-valuemax={getBounds('gpuParticleCount').max}
+              aria-valuenow={config.gpuParticleCount}
+            />
+          </div>
+
+          {/* Random Seed */}
+          <div className="control-group">
+            <label htmlFor="seed">Seed</label>
+            <input
+              id="seed"
+              type="number"
+              min={getBounds('seed').min}
+              max={getBounds('seed').max}
+              step={getBounds('seed').step}
+              value={config.seed}
+              onChange={(e) => handleSeedChange(e.target.value)}
+            />
+          </div>
+
           {/* Disk Rotation Speed Slider */}
           <div className="control-group">
             <label htmlFor="disk-rotation">
@@ -232,6 +592,759 @@ export function UIControls({ simulation, onPresetChange }) {
             />
           </div>
 
+          {/* Lensing Mode Selector */}
+          <div className="control-group">
+            <label htmlFor="lensing-mode">Lensing Mode</label>
+            <select
+              id="lensing-mode"
+              value={config.lensingMode}
+              onChange={(e) => handleOptionChange('lensingMode', e.target.value)}
+            >
+              <option value="fast">Fast (screen-space)</option>
+              <option value="geodesic">Geodesic ray tracing</option>
+            </select>
+          </div>
+
+          {/* Environment Cubemap Resolution Selector */}
+          <div className="control-group">
+            <label htmlFor="environment-size">Environment Resolution</label>
+            <select
+              id="environment-size"
+              value={config.environmentSize}
+              onChange={(e) => handleOptionChange('environmentSize', Number(e.target.value))}
+            >
+              <option value={256}>256 (fastest)</option>
+              <option value={512}>512</option>
+              <option value={1024}>1024 (sharpest)</option>
+            </select>
+          </div>
+
+          {/* Starfield Source Selector */}
+          <div className="control-group">
+            <label htmlFor="starfield-source">Starfield</label>
+            <select
+              id="starfield-source"
+              value={config.starfieldSource}
+              onChange={(e) => handleOptionChange('starfieldSource', e.target.value)}
+            >
+              <option value="random">Random stars</option>
+              <option value="catalogue">Bright star catalogue</option>
+            </select>
+            <label className="checkbox-label" htmlFor="starfield-overlay">
+              <input
+                id="starfield-overlay"
+                type="checkbox"
+                checked={config.starfieldOverlay}
+                onChange={(e) => handleOptionChange('starfieldOverlay', e.target.checked)}
+              />
+              Show Stars
+            </label>
+          </div>
+
+          {/* Sky Background Controls; images set through the config other
+              than the bundled ones show up as a custom background */}
+          <div className="control-group">
+            <label htmlFor="sky-background">Sky Background</label>
+            <select
+              id="sky-background"
+              value={['none', 'milkyWay'].includes(config.background) ? config.background : 'custom'}
+              onChange={(e) => handleOptionChange('background', e.target.value)}
+            >
+              <option value="none">None</option>
+              <option value="milkyWay">Milky Way (HDR panorama)</option>
+              <option value="custom" disabled>Custom image</option>
+            </select>
+            <label htmlFor="background-intensity">
+              Background Brightness: {config.backgroundIntensity.toFixed(1)}
+            </label>
+            <input
+              id="background-intensity"
+              type="range"
+              min={getBounds('backgroundIntensity').min}
+              max={getBounds('backgroundIntensity').max}
+              step={getBounds('backgroundIntensity').step}
+              value={config.backgroundIntensity}
+              onChange={(e) => handleConfigChange('backgroundIntensity', e.target.value)}
+              disabled={config.background === 'none'}
+              aria-valuemin={getBounds('backgroundIntensity').min}
+              aria-valuemax={getBounds('backgroundIntensity').max}
+              aria-valuenow={config.backgroundIntensity}
+            />
+          </div>
+
+          {/* Black Hole Mass Slider */}
+          <div className="control-group">
+            <label htmlFor="black-hole-mass">
+              Black Hole Mass: {config.mass.toFixed(2)} (r<sub>s</sub> = {(2 * config.mass).toFixed(1)})
+            </label>
+            <input
+              id="black-hole-mass"
+              type="range"
+              min={getBounds('mass').min}
+              max={getBounds('mass').max}
+              step={getBounds('mass').step}
+              value={config.mass}
+              onChange={(e) => handleConfigChange('mass', e.target.value)}
+              aria-valuemin={getBounds('mass').min}
+              aria-valuemax={getBounds('mass').max}
+              aria-valuenow={config.mass}
+            />
+          </div>
+
+          {/* Black Hole Spin Slider */}
+          <div className="control-group">
+            <label htmlFor="black-hole-spin">
+              Black Hole Spin: {config.spin.toFixed(2)}
+            </label>
+            <input
+              id="black-hole-spin"
+              type="range"
+              min={getBounds('spin').min}
+              max={getBounds('spin').max}
+              step={getBounds('spin').step}
+              value={config.spin}
+              onChange={(e) => handleConfigChange('spin', e.target.value)}
+              aria-valuemin={getBounds('spin').min}
+              aria-valuemax={getBounds('spin').max}
+              aria-valuenow={config.spin}
+            />
+          </div>
+
+          {/* Disk Peak Temperature Slider (logarithmic) */}
+          <div className="control-group">
+            <label htmlFor="disk-temperature">
+              Disk Peak Temperature: {Math.round(config.diskPeakTemperature).toLocaleString()} K
+            </label>
+            <input
+              id="disk-temperature"
+              type="range"
+              min={3}
+              max={7}
+              step={0.05}
+              value={Math.log10(config.diskPeakTemperature)}
+              onChange={(e) =>
+                handleOptionChange('diskPeakTemperature', Math.pow(10, parseFloat(e.target.value)))
+              }
+              aria-valuemin={1000}
+              aria-valuemax={10000000}
+              aria-valuenow={Math.round(config.diskPeakTemperature)}
+            />
+          </div>
+
+          {/* Volumetric Disk Controls */}
+          <div className="control-group">
+            <label htmlFor="disk-scale-height">
+              Disk Scale Height (H/r): {config.diskScaleHeight.toFixed(2)}
+            </label>
+            <input
+              id="disk-scale-height"
+              type="range"
+              min={getBounds('diskScaleHeight').min}
+              max={getBounds('diskScaleHeight').max}
+              step={getBounds('diskScaleHeight').step}
+              value={config.diskScaleHeight}
+              onChange={(e) => handleConfigChange('diskScaleHeight', e.target.value)}
+              aria-valuemin={getBounds('diskScaleHeight').min}
+              aria-valuemax={getBounds('diskScaleHeight').max}
+              aria-valuenow={config.diskScaleHeight}
+            />
+          </div>
+
+          <div className="control-group">
+            <label htmlFor="disk-density">
+              Disk Density: {config.diskDensity.toFixed(1)}
+            </label>
+            <input
+              id="disk-density"
+              type="range"
+              min={getBounds('diskDensity').min}
+              max={getBounds('diskDensity').max}
+              step={getBounds('diskDensity').step}
+              value={config.diskDensity}
+              onChange={(e) => handleConfigChange('diskDensity', e.target.value)}
+              aria-valuemin={getBounds('diskDensity').min}
+              aria-valuemax={getBounds('diskDensity').max}
+              aria-valuenow={config.diskDensity}
+            />
+          </div>
+
+          <div className="control-group">
+            <label htmlFor="disk-emission">
+              Disk Emission: {config.diskEmission.toFixed(1)}
+            </label>
+            <input
+              id="disk-emission"
+              type="range"
+              min={getBounds('diskEmission').min}
+              max={getBounds('diskEmission').max}
+              step={getBounds('diskEmission').step}
+              value={config.diskEmission}
+              onChange={(e) => handleConfigChange('diskEmission', e.target.value)}
+              aria-valuemin={getBounds('diskEmission').min}
+              aria-valuemax={getBounds('diskEmission').max}
+              aria-valuenow={config.diskEmission}
+            />
+          </div>
+
+          <div className="control-group">
+            <label htmlFor="disk-quality">Disk Quality</label>
+            <select
+              id="disk-quality"
+              value={config.diskQuality}
+              onChange={(e) => handleOptionChange('diskQuality', e.target.value)}
+            >
+              <option value="low">Low (24 steps)</option>
+              <option value="medium">Medium (48 steps)</option>
+              <option value="high">High (96 steps)</option>
+            </select>
+          </div>
+
+          {/* Relativistic Effect Toggles */}
+          <div className="control-group">
+            <label className="checkbox-label" htmlFor="doppler-beaming">
+              <input
+                id="doppler-beaming"
+                type="checkbox"
+                checked={config.dopplerBeaming}
+                onChange={(e) => handleOptionChange('dopplerBeaming', e.target.checked)}
+              />
+              Doppler Beaming
+            </label>
+            <label className="checkbox-label" htmlFor="gravitational-redshift">
+              <input
+                id="gravitational-redshift"
+                type="checkbox"
+                checked={config.gravitationalRedshift}
+                onChange={(e) => handleOptionChange('gravitationalRedshift', e.target.checked)}
+              />
+              Gravitational Redshift
+            </label>
+          </div>
+
+          {/* Relativistic Jet Controls */}
+          <div className="control-group">
+            <label className="checkbox-label" htmlFor="jets-enabled">
+              <input
+                id="jets-enabled"
+                type="checkbox"
+                checked={config.jetsEnabled}
+                onChange={(e) => handleOptionChange('jetsEnabled', e.target.checked)}
+              />
+              Relativistic Jets
+            </label>
+          </div>
+
+          <div className="control-group">
+            <label htmlFor="jet-length">
+              Jet Length (rs): {config.jetLength.toFixed(0)}
+            </label>
+            <input
+              id="jet-length"
+              type="range"
+              min={getBounds('jetLength').min}
+              max={getBounds('jetLength').max}
+              step={getBounds('jetLength').step}
+              value={config.jetLength}
+              onChange={(e) => handleConfigChange('jetLength', e.target.value)}
+              disabled={!config.jetsEnabled}
+              aria-valuemin={getBounds('jetLength').min}
+              aria-valuemax={getBounds('jetLength').max}
+              aria-valuenow={config.jetLength}
+            />
+          </div>
+
+          <div className="control-group">
+            <label htmlFor="jet-opening-angle">
+              Jet Opening Angle (°): {config.jetOpeningAngle.toFixed(1)}
+            </label>
+            <input
+              id="jet-opening-angle"
+              type="range"
+              min={getBounds('jetOpeningAngle').min}
+              max={getBounds('jetOpeningAngle').max}
+              step={getBounds('jetOpeningAngle').step}
+              value={config.jetOpeningAngle}
+              onChange={(e) => handleConfigChange('jetOpeningAngle', e.target.value)}
+              disabled={!config.jetsEnabled}
+              aria-valuemin={getBounds('jetOpeningAngle').min}
+              aria-valuemax={getBounds('jetOpeningAngle').max}
+              aria-valuenow={config.jetOpeningAngle}
+            />
+          </div>
+
+          <div className="control-group">
+            <label htmlFor="jet-lorentz-factor">
+              Jet Lorentz Factor: {config.jetLorentzFactor.toFixed(1)}
+            </label>
+            <input
+              id="jet-lorentz-factor"
+              type="range"
+              min={getBounds('jetLorentzFactor').min}
+              max={getBounds('jetLorentzFactor').max}
+              step={getBounds('jetLorentzFactor').step}
+              value={config.jetLorentzFactor}
+              onChange={(e) => handleConfigChange('jetLorentzFactor', e.target.value)}
+              disabled={!config.jetsEnabled}
+              aria-valuemin={getBounds('jetLorentzFactor').min}
+              aria-valuemax={getBounds('jetLorentzFactor').max}
+              aria-valuenow={config.jetLorentzFactor}
+            />
+          </div>
+
+          <div className="control-group">
+            <label htmlFor="jet-precession-angle">
+              Jet Precession Angle (°): {config.jetPrecessionAngle.toFixed(0)}
+            </label>
+            <input
+              id="jet-precession-angle"
+              type="range"
+              min={getBounds('jetPrecessionAngle').min}
+              max={getBounds('jetPrecessionAngle').max}
+              step={getBounds('jetPrecessionAngle').step}
+              value={config.jetPrecessionAngle}
+              onChange={(e) => handleConfigChange('jetPrecessionAngle', e.target.value)}
+              disabled={!config.jetsEnabled}
+              aria-valuemin={getBounds('jetPrecessionAngle').min}
+              aria-valuemax={getBounds('jetPrecessionAngle').max}
+              aria-valuenow={config.jetPrecessionAngle}
+            />
+          </div>
+
+          <div className="control-group">
+            <label htmlFor="jet-precession-period">
+              Jet Precession Period (s): {config.jetPrecessionPeriod.toFixed(0)}
+            </label>
+            <input
+              id="jet-precession-period"
+              type="range"
+              min={getBounds('jetPrecessionPeriod').min}
+              max={getBounds('jetPrecessionPeriod').max}
+              step={getBounds('jetPrecessionPeriod').step}
+              value={config.jetPrecessionPeriod}
+              onChange={(e) => handleConfigChange('jetPrecessionPeriod', e.target.value)}
+              disabled={!config.jetsEnabled}
+              aria-valuemin={getBounds('jetPrecessionPeriod').min}
+              aria-valuemax={getBounds('jetPrecessionPeriod').max}
+              aria-valuenow={config.jetPrecessionPeriod}
+            />
+          </div>
+
+          {/* Tidal Disruption Scenario */}
+          <div className="control-group">
+            <label>Tidal Disruption Event</label>
+            <div className="preset-buttons">
+              <button
+                className="preset-button"
+                onClick={() => handleTidalDisruption(true)}
+                aria-label={isDisruptionActive ? 'Relaunch the star' : 'Launch a star toward the black hole'}
+              >
+                {isDisruptionActive ? 'Relaunch Star' : 'Launch Star'}
+              </button>
+              <button
+                className="preset-button"
+                onClick={() => handleTidalDisruption(false)}
+                disabled={!isDisruptionActive}
+                aria-label="Stop the tidal disruption event"
+              >
+                Stop
+              </button>
+            </div>
+          </div>
+
+          <div className="control-group">
+            <label htmlFor="tde-stellar-mass">
+              Stellar Mass (% of black hole): {config.tdeStellarMass.toFixed(1)}
+            </label>
+            <input
+              id="tde-stellar-mass"
+              type="range"
+              min={getBounds('tdeStellarMass').min}
+              max={getBounds('tdeStellarMass').max}
+              step={getBounds('tdeStellarMass').step}
+              value={config.tdeStellarMass}
+              onChange={(e) => handleConfigChange('tdeStellarMass', e.target.value)}
+              aria-valuemin={getBounds('tdeStellarMass').min}
+              aria-valuemax={getBounds('tdeStellarMass').max}
+              aria-valuenow={config.tdeStellarMass}
+            />
+          </div>
+
+          <div className="control-group">
+            <label htmlFor="tde-pericentre">
+              Pericentre Distance (rs): {config.tdePericentre.toFixed(1)}
+            </label>
+            <input
+              id="tde-pericentre"
+              type="range"
+              min={getBounds('tdePericentre').min}
+              max={getBounds('tdePericentre').max}
+              step={getBounds('tdePericentre').step}
+              value={config.tdePericentre}
+              onChange={(e) => handleConfigChange('tdePericentre', e.target.value)}
+              aria-valuemin={getBounds('tdePericentre').min}
+              aria-valuemax={getBounds('tdePericentre').max}
+              aria-valuenow={config.tdePericentre}
+            />
+          </div>
+
+          {/* Spaghettification Probe */}
+          <div className="control-group">
+            <label>Spaghettification Probe</label>
+            <div className="preset-buttons">
+              <button
+                className="preset-button"
+                onClick={() => handleTidalProbe(true)}
+                aria-label="Drop a probe toward the black hole"
+              >
+                Drop Probe
+              </button>
+              <button
+                className="preset-button"
+                onClick={() => handleTidalProbe(false)}
+                aria-label="Remove the probe"
+              >
+                Remove
+              </button>
+            </div>
+          </div>
+
+          <div className="control-group">
+            <label htmlFor="probe-length">
+              Probe Length (rs): {config.probeLength.toFixed(1)}
+            </label>
+            <input
+              id="probe-length"
+              type="range"
+              min={getBounds('probeLength').min}
+              max={getBounds('probeLength').max}
+              step={getBounds('probeLength').step}
+              value={config.probeLength}
+              onChange={(e) => handleConfigChange('probeLength', e.target.value)}
+              aria-valuemin={getBounds('probeLength').min}
+              aria-valuemax={getBounds('probeLength').max}
+              aria-valuenow={config.probeLength}
+            />
+          </div>
+
+          <div className="control-group">
+            <label htmlFor="probe-drop-radius">
+              Drop Radius (rs): {config.probeDropRadius.toFixed(0)}
+            </label>
+            <input
+              id="probe-drop-radius"
+              type="range"
+              min={getBounds('probeDropRadius').min}
+              max={getBounds('probeDropRadius').max}
+              step={getBounds('probeDropRadius').step}
+              value={config.probeDropRadius}
+              onChange={(e) => handleConfigChange('probeDropRadius', e.target.value)}
+              aria-valuemin={getBounds('probeDropRadius').min}
+              aria-valuemax={getBounds('probeDropRadius').max}
+              aria-valuenow={config.probeDropRadius}
+            />
+          </div>
+
+          {/* Time Dilation Clocks */}
+          <div className="control-group">
+            <label className="checkbox-label" htmlFor="time-dilation-clocks">
+              <input
+                id="time-dilation-clocks"
+                type="checkbox"
+                checked={config.timeDilationClocks}
+                onChange={(e) => handleOptionChange('timeDilationClocks', e.target.checked)}
+              />
+              Time Dilation Clocks
+            </label>
+          </div>
+
+          <div className="control-group">
+            <label htmlFor="clock-mode">Probe Clock</label>
+            <select
+              id="clock-mode"
+              value={config.clockMode}
+              onChange={(e) => handleOptionChange('clockMode', e.target.value)}
+              disabled={!config.timeDilationClocks}
+            >
+              <option value="static">Hovering at radius</option>
+              <option value="freefall">Riding the falling probe</option>
+            </select>
+          </div>
+
+          <div className="control-group">
+            <label htmlFor="clock-radius">
+              Clock Radius (rs): {config.clockRadius.toFixed(1)}
+            </label>
+            <input
+              id="clock-radius"
+              type="range"
+              min={getBounds('clockRadius').min}
+              max={getBounds('clockRadius').max}
+              step={getBounds('clockRadius').step}
+              value={config.clockRadius}
+              onChange={(e) => handleConfigChange('clockRadius', e.target.value)}
+              disabled={!config.timeDilationClocks || config.clockMode !== 'static'}
+              aria-valuemin={getBounds('clockRadius').min}
+              aria-valuemax={getBounds('clockRadius').max}
+              aria-valuenow={config.clockRadius}
+            />
+          </div>
+
+          <div className="control-group">
+            <button
+              className="preset-button"
+              onClick={() => simulation && simulation.synchroniseClocks()}
+              disabled={!config.timeDilationClocks}
+              aria-label="Set both clocks to zero"
+            >
+              Synchronise Clocks
+            </button>
+          </div>
+
+          {/* Binary Black Hole */}
+          <div className="control-group">
+            <label className="checkbox-label" htmlFor="binary-mode">
+              <input
+                id="binary-mode"
+                type="checkbox"
+                checked={config.binaryMode}
+                onChange={(e) => handleOptionChange('binaryMode', e.target.checked)}
+              />
+              Binary Black Hole
+            </label>
+            <div className="preset-buttons">
+              <button
+                className="preset-button"
+                onClick={handleBinaryRestart}
+                disabled={!config.binaryMode}
+                aria-label="Restart the binary inspiral"
+              >
+                Restart Inspiral
+              </button>
+            </div>
+          </div>
+
+          <div className="control-group">
+            <label htmlFor="binary-mass-ratio">
+              Mass Ratio: {config.binaryMassRatio.toFixed(2)}
+            </label>
+            <input
+              id="binary-mass-ratio"
+              type="range"
+              min={getBounds('binaryMassRatio').min}
+              max={getBounds('binaryMassRatio').max}
+              step={getBounds('binaryMassRatio').step}
+              value={config.binaryMassRatio}
+              onChange={(e) => handleConfigChange('binaryMassRatio', e.target.value)}
+              aria-valuemin={getBounds('binaryMassRatio').min}
+              aria-valuemax={getBounds('binaryMassRatio').max}
+              aria-valuenow={config.binaryMassRatio}
+            />
+          </div>
+
+          <div className="control-group">
+            <label htmlFor="binary-separation">
+              Initial Separation (rs): {config.binarySeparation.toFixed(1)}
+            </label>
+            <input
+              id="binary-separation"
+              type="range"
+              min={getBounds('binarySeparation').min}
+              max={getBounds('binarySeparation').max}
+              step={getBounds('binarySeparation').step}
+              value={config.binarySeparation}
+              onChange={(e) => handleConfigChange('binarySeparation', e.target.value)}
+              aria-valuemin={getBounds('binarySeparation').min}
+              aria-valuemax={getBounds('binarySeparation').max}
+              aria-valuenow={config.binarySeparation}
+            />
+          </div>
+
+          <div className="control-group">
+            <label htmlFor="binary-inspiral-speed">
+              Inspiral Speed: {config.binaryInspiralSpeed.toFixed(0)}×
+            </label>
+            <input
+              id="binary-inspiral-speed"
+              type="range"
+              min={getBounds('binaryInspiralSpeed').min}
+              max={getBounds('binaryInspiralSpeed').max}
+              step={getBounds('binaryInspiralSpeed').step}
+              value={config.binaryInspiralSpeed}
+              onChange={(e) => handleConfigChange('binaryInspiralSpeed', e.target.value)}
+              aria-valuemin={getBounds('binaryInspiralSpeed').min}
+              aria-valuemax={getBounds('binaryInspiralSpeed').max}
+              aria-valuenow={config.binaryInspiralSpeed}
+            />
+          </div>
+
+          {/* Gravitational Waves */}
+          <div className="control-group">
+            <label className="checkbox-label" htmlFor="gravitational-waves">
+              <input
+                id="gravitational-waves"
+                type="checkbox"
+                checked={config.gravitationalWaves}
+                onChange={(e) => handleOptionChange('gravitationalWaves', e.target.checked)}
+              />
+              Gravitational Waves
+            </label>
+          </div>
+
+          <div className="control-group">
+            <label htmlFor="gw-polarization">Wave Polarization</label>
+            <select
+              id="gw-polarization"
+              value={config.gwPolarization}
+              onChange={(e) => handleOptionChange('gwPolarization', e.target.value)}
+              disabled={!config.gravitationalWaves}
+            >
+              <option value="plus">Plus (h+)</option>
+              <option value="cross">Cross (h×)</option>
+            </select>
+          </div>
+
+          {/* Particle Integration */}
+          <div className="control-group">
+            <label htmlFor="particle-integrator">Particle Integrator</label>
+            <select
+              id="particle-integrator"
+              value={config.particleIntegrator}
+              onChange={(e) => handleOptionChange('particleIntegrator', e.target.value)}
+            >
+              <option value="euler">Semi-implicit Euler</option>
+              <option value="verlet">Velocity Verlet</option>
+              <option value="rk4">Runge-Kutta 4</option>
+            </select>
+          </div>
+
+          <div className="control-group">
+            <label htmlFor="gravity-model">Gravity Model</label>
+            <select
+              id="gravity-model"
+              value={config.gravityModel}
+              onChange={(e) => handleOptionChange('gravityModel', e.target.value)}
+            >
+              <option value="newtonian">Newtonian</option>
+              <option value="paczynski-wiita">Paczyński–Wiita</option>
+            </select>
+          </div>
+
+          <div className="control-group">
+            <label htmlFor="max-substeps">
+              Max Substeps: {config.maxSubsteps}
+            </label>
+            <input
+              id="max-substeps"
+              type="range"
+              min={getBounds('maxSubsteps').min}
+              max={getBounds('maxSubsteps').max}
+              step={getBounds('maxSubsteps').step}
+              value={config.maxSubsteps}
+              onChange={(e) => handleConfigChange('maxSubsteps', e.target.value)}
+              aria-valuemin={getBounds('maxSubsteps').min}
+              aria-valuemax={getBounds('maxSubsteps').max}
+              aria-valuenow={config.maxSubsteps}
+            />
+          </div>
+
+          <div className="control-group">
+            <label className="checkbox-label" htmlFor="physics-diagnostics">
+              <input
+                id="physics-diagnostics"
+                type="checkbox"
+                checked={config.physicsDiagnostics}
+                onChange={(e) => handleOptionChange('physicsDiagnostics', e.target.checked)}
+                disabled={config.particleCompute === 'gpu'}
+              />
+              Physics Diagnostics
+            </label>
+          </div>
+
+          {/* Particle Trails */}
+          <div className="control-group">
+            <label className="checkbox-label" htmlFor="particle-trails">
+              <input
+                id="particle-trails"
+                type="checkbox"
+                checked={config.particleTrails}
+                onChange={(e) => handleOptionChange('particleTrails', e.target.checked)}
+                disabled={config.particleCompute === 'gpu'}
+              />
+              Particle Trails
+            </label>
+          </div>
+
+          <div className="control-group">
+            <label htmlFor="trail-length">
+              Trail Length: {config.trailLength}
+            </label>
+            <input
+              id="trail-length"
+              type="range"
+              min={getBounds('trailLength').min}
+              max={getBounds('trailLength').max}
+              step={getBounds('trailLength').step}
+              value={config.trailLength}
+              onChange={(e) => handleConfigChange('trailLength', e.target.value)}
+              disabled={!config.particleTrails}
+              aria-valuemin={getBounds('trailLength').min}
+              aria-valuemax={getBounds('trailLength').max}
+              aria-valuenow={config.trailLength}
+            />
+          </div>
+
+          <div className="control-group">
+            <label htmlFor="trail-sample-interval">
+              Trail Sampling: {(config.trailSampleInterval * 1000).toFixed(0)} ms
+            </label>
+            <input
+              id="trail-sample-interval"
+              type="range"
+              min={getBounds('trailSampleInterval').min}
+              max={getBounds('trailSampleInterval').max}
+              step={getBounds('trailSampleInterval').step}
+              value={config.trailSampleInterval}
+              onChange={(e) => handleConfigChange('trailSampleInterval', e.target.value)}
+              disabled={!config.particleTrails}
+              aria-valuemin={getBounds('trailSampleInterval').min}
+              aria-valuemax={getBounds('trailSampleInterval').max}
+              aria-valuenow={config.trailSampleInterval}
+            />
+          </div>
+
+          {/* Infalling Observer */}
+          <div className="control-group">
+            <label>Infalling Observer</label>
+            <div className="preset-buttons">
+              <button
+                className="preset-button"
+                onClick={() => simulation && simulation.startFallIn()}
+                aria-label="Let the camera fall into the black hole"
+              >
+                Fall In
+              </button>
+              <button
+                className="preset-button"
+                onClick={() => simulation && simulation.stopFallIn()}
+                aria-label="Return the camera to orbit"
+              >
+                Return to Orbit
+              </button>
+            </div>
+          </div>
+
+          <div className="control-group">
+            <label htmlFor="fall-trajectory">Fall Trajectory</label>
+            <select
+              id="fall-trajectory"
+              value={config.fallTrajectory}
+              onChange={(e) => handleOptionChange('fallTrajectory', e.target.value)}
+            >
+              <option value="radial">Radial</option>
+              <option value="spiral">Spiral</option>
+            </select>
+          </div>
+
           {/* Camera Sensitivity Slider */}
           <div className="control-group">
             <label htmlFor="camera-sensitivity">
@@ -271,6 +1384,13 @@ export function UIControls({ simulation, onPresetChange }) {
           </div>
         </div>
       )}
+
+      {/* Strain plot, shown while gravitational waves are enabled */}
+      <ChirpPlot simulation={simulation} />
+      <PhysicsDiagnostics simulation={simulation} />
+      <ParticleInspector simulation={simulation} />
+      <TidalProbeReadout simulation={simulation} />
+      <TimeDilationDisplay simulation={simulation} />
     </div>
   );
 }
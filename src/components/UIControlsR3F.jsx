@@ -77,7 +77,13 @@ export function UIControlsR3F({ config, updateConfig, isPaused, togglePause, get
       diskRotationSpeed: { min: 0.1, max: 5.0, step: 0.1 },
       lensingIntensity: { min: 0.0, max: 2.0, step: 0.1 },
       cameraSensitivity: { min: 0.1, max: 2.0, step: 0.1 },
-      bloomStrength: { min: 0.0, max: 3.0, step: 0.1 }
+      bloomStrength: { min: 0.0, max: 3.0, step: 0.1 },
+      jetLength: { min: 5.0, max: 50.0, step: 1.0 },
+      jetOpeningAngle: { min: 1.0, max: 30.0, step: 0.5 },
+      jetLorentzFactor: { min: 1.1, max: 20.0, step: 0.1 },
+      jetPrecessionAngle: { min: 0.0, max: 45.0, step: 1.0 },
+      jetPrecessionPeriod: { min: 2.0, max: 120.0, step: 1.0 },
+      backgroundIntensity: { min: 0.0, max: 3.0, step: 0.1 }
     };
     return defaults[key] || { min: 0, max: 1, step: 0.1 };
   };
@@ -206,6 +212,135 @@ export function UIControlsR3F({ config, updateConfig, isPaused, togglePause, get
               onChange={(e) => handleConfigChange('bloomStrength', e.target.value)}
             />
           </div>
+
+          {/* Relativistic Jet Controls */}
+          <div className="control-group">
+            <label className="checkbox-label" htmlFor="jets-enabled-r3f">
+              <input
+                id="jets-enabled-r3f"
+                type="checkbox"
+                checked={config.jetsEnabled}
+                onChange={(e) => updateConfig({ jetsEnabled: e.target.checked })}
+              />
+              Relativistic Jets
+            </label>
+          </div>
+
+          <div className="control-group">
+            <label htmlFor="jet-length-r3f">
+              Jet Length (rs): {config.jetLength.toFixed(0)}
+            </label>
+            <input
+              id="jet-length-r3f"
+              type="range"
+              min={getSliderBounds('jetLength').min}
+              max={getSliderBounds('jetLength').max}
+              step={getSliderBounds('jetLength').step}
+              value={config.jetLength}
+              onChange={(e) => handleConfigChange('jetLength', e.target.value)}
+              disabled={!config.jetsEnabled}
+            />
+          </div>
+
+          <div className="control-group">
+            <label htmlFor="jet-opening-angle-r3f">
+              Jet Opening Angle (°): {config.jetOpeningAngle.toFixed(1)}
+            </label>
+            <input
+              id="jet-opening-angle-r3f"
+              type="range"
+              min={getSliderBounds('jetOpeningAngle').min}
+              max={getSliderBounds('jetOpeningAngle').max}
+              step={getSliderBounds('jetOpeningAngle').step}
+              value={config.jetOpeningAngle}
+              onChange={(e) => handleConfigChange('jetOpeningAngle', e.target.value)}
+              disabled={!config.jetsEnabled}
+            />
+          </div>
+
+          <div className="control-group">
+            <label htmlFor="jet-lorentz-factor-r3f">
+              Jet Lorentz Factor: {config.jetLorentzFactor.toFixed(1)}
+            </label>
+            <input
+              id="jet-lorentz-factor-r3f"
+              type="range"
+              min={getSliderBounds('jetLorentzFactor').min}
+              max={getSliderBounds('jetLorentzFactor').max}
+              step={getSliderBounds('jetLorentzFactor').step}
+              value={config.jetLorentzFactor}
+              onChange={(e) => handleConfigChange('jetLorentzFactor', e.target.value)}
+              disabled={!config.jetsEnabled}
+            />
+          </div>
+
+          <div className="control-group">
+            <label htmlFor="jet-precession-angle-r3f">
+              Jet Precession Angle (°): {config.jetPrecessionAngle.toFixed(0)}
+            </label>
+            <input
+              id="jet-precession-angle-r3f"
+              type="range"
+              min={getSliderBounds('jetPrecessionAngle').min}
+              max={getSliderBounds('jetPrecessionAngle').max}
+              step={getSliderBounds('jetPrecessionAngle').step}
+              value={config.jetPrecessionAngle}
+              onChange={(e) => handleConfigChange('jetPrecessionAngle', e.target.value)}
+              disabled={!config.jetsEnabled}
+            />
+          </div>
+
+          <div className="control-group">
+            <label htmlFor="jet-precession-period-r3f">
+              Jet Precession Period (s): {config.jetPrecessionPeriod.toFixed(0)}
+            </label>
+            <input
+              id="jet-precession-period-r3f"
+              type="range"
+              min={getSliderBounds('jetPrecessionPeriod').min}
+              max={getSliderBounds('jetPrecessionPeriod').max}
+              step={getSliderBounds('jetPrecessionPeriod').step}
+              value={config.jetPrecessionPeriod}
+              onChange={(e) => handleConfigChange('jetPrecessionPeriod', e.target.value)}
+              disabled={!config.jetsEnabled}
+            />
+          </div>
+
+          {/* Sky Background Controls */}
+          <div className="control-group">
+            <label htmlFor="sky-background-r3f">Sky Background</label>
+            <select
+              id="sky-background-r3f"
+              value={['none', 'milkyWay'].includes(config.background) ? config.background : 'custom'}
+              onChange={(e) => updateConfig({ background: e.target.value })}
+            >
+              <option value="none">None</option>
+              <option value="milkyWay">Milky Way (HDR panorama)</option>
+              <option value="custom" disabled>Custom image</option>
+            </select>
+            <label htmlFor="background-intensity-r3f">
+              Background Brightness: {config.backgroundIntensity.toFixed(1)}
+            </label>
+            <input
+              id="background-intensity-r3f"
+              type="range"
+              min={getSliderBounds('backgroundIntensity').min}
+              max={getSliderBounds('backgroundIntensity').max}
+              step={getSliderBounds('backgroundIntensity').step}
+              value={config.backgroundIntensity}
+              onChange={(e) => handleConfigChange('backgroundIntensity', e.target.value)}
+              disabled={config.background === 'none'}
+            />
+            <label className="checkbox-label" htmlFor="starfield-overlay-r3f">
+              <input
+                id="starfield-overlay-r3f"
+                type="checkbox"
+                checked={config.starfieldOverlay}
+                onChange={(e) => updateConfig({ starfieldOverlay: e.target.checked })}
+              />
+              Show Stars
+            </label>
+          </div>
         </div>
       )}
     </div>
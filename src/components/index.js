@@ -5,6 +5,13 @@
  * - BlackHoleCore: The event horizon sphere with light absorption effects
  * - AccretionDisk: The rotating disk with differential rotation and heat gradients
  * - ParticleSystem: Animated particles simulating matter accretion
+ * - ParticleTrails: Fading orbit trails behind the particles
+ * - ParticleSelection: Click-to-select picking and highlight for single particles
+ * - RelativisticJets: Doppler-beamed bipolar jets along the spin axis
+ * - TidalDisruptionEvent: Scripted scenario of a star torn apart by the black hole
+ * - TidalProbe: Rod dropped toward the black hole and stretched by its tidal field
+ * - BinaryBlackHole: Two black holes that inspiral and merge into a remnant
+ * - GravitationalWaves: Strain grid in the orbital plane driven by the binary
  * - GravitationalLensing: Shader-based light bending effects around the black hole
  * - Starfield: Background stars with twinkling effect
  * - LightingSystem: Scene lighting including ambient and point lights
@@ -13,6 +20,13 @@
 export { BlackHoleCore } from './BlackHoleCore.js';
 export { AccretionDisk } from './AccretionDisk.js';
 export { ParticleSystem } from './ParticleSystem.js';
+export { ParticleTrails } from './ParticleTrails.js';
+export { ParticleSelection } from './ParticleSelection.js';
+export { RelativisticJets } from './RelativisticJets.js';
+export { TidalDisruptionEvent } from './TidalDisruptionEvent.js';
+export { TidalProbe } from './TidalProbe.js';
+export { BinaryBlackHole } from './BinaryBlackHole.js';
+export { GravitationalWaves } from './GravitationalWaves.js';
 export { GravitationalLensing } from './GravitationalLensing.js';
 export { Starfield } from './Starfield.js';
 export { LightingSystem } from './LightingSystem.js';
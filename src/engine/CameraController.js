@@ -1,15 +1,57 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { SPEED_OF_LIGHT } from '../utils/BlackHolePhysics.js';
+
+/**
+ * Geodesics the camera can follow into the black hole:
+ * - radial: falls straight in from rest
+ * - spiral: starts with a little angular momentum and whirls in
+ */
+export const FALL_TRAJECTORIES = ['radial', 'spiral'];
+
+// Orbits the disk rotates around (+Y); a spiralling fall turns the same way
+const ORBIT_AXIS = new THREE.Vector3(0, 1, 0);
+
+// Angular momentum of the spiralling fall in units of M. Below the ISCO's
+// √12 M there is no centrifugal barrier, so every such orbit plunges
+const SPIRAL_ANGULAR_MOMENTUM = 3.0;
+
+// Inside this radius (units of M) the fall is played back slower and slower,
+// so the last few M before and after the horizon take a few seconds
+const FALL_SLOWDOWN_RADIUS = 10.0;
+
+// The fall ends, and the camera returns to orbit, this close to the singularity
+const FALL_END_RADIUS = 0.1;
+
+// Proper-time step of the geodesic integration, in units of M and relative
+// to the free-fall time at the current radius
+const FALL_MAX_STEP = 0.05;
+const FALL_STEP_FRACTION = 0.02;
+
+// The observer's velocity is measured against static observers, which only
+// exist outside the horizon; inside, it is held at this radius (units of M)
+const STATIC_FRAME_MIN_RADIUS = 2.02;
 
 /**
  * CameraController manages camera positioning and user interaction.
  * Handles camera setup, orbit controls, constraints, and smooth damping.
+ *
+ * Besides orbiting, the camera can fall into the black hole along a timelike
+ * Schwarzschild geodesic: the orbit controls are switched off, the camera
+ * rides the geodesic through the horizon while looking at the hole, and it
+ * returns to where it was in orbit mode when the fall ends.
  */
 export class CameraController {
   constructor() {
     this.camera = null;
     this.controls = null;
     this.domElement = null;
+    this._offset = new THREE.Vector3();
+
+    // State of an ongoing fall, or null in orbit mode
+    this.fall = null;
+    this.fallCompleteCallback = null;
+    this._observerVelocity = new THREE.Vector3();
   }
 
   /**
@@ -81,6 +123,19 @@ export class CameraController {
     this.controls.target.copy(target);
   }
 
+  /**
+   * Move the camera target and carry the camera along with it, so the view
+   * keeps its offset from the target (used to follow a moving object)
+   * @param {THREE.Vector3} target - The new target position
+   */
+  moveTarget(target) {
+    if (!this.controls) {
+      throw new Error('CameraController not initialized. Call initialize() first.');
+    }
+    this.camera.position.add(this._offset.subVectors(target, this.controls.target));
+    this.controls.target.copy(target);
+  }
+
   /**
    * Set distance constraints for the camera
    * @param {number} minDistance - Minimum distance from target
@@ -108,16 +163,242 @@ export class CameraController {
 
   /**
    * Update the controls (should be called each frame)
-   * @param {number} deltaTime - Time elapsed since last frame (unused but kept for interface consistency)
+   * @param {number} deltaTime - Time elapsed since last frame, used to advance a fall
    */
   update(deltaTime) {
     if (!this.controls) {
       throw new Error('CameraController not initialized. Call initialize() first.');
     }
+
+    // The controls would clamp a falling camera to their minimum distance
+    if (this.fall) {
+      this.updateFall(deltaTime);
+      return;
+    }
+
     // OrbitControls.update() applies damping and updates camera position
     this.controls.update();
   }
 
+  /**
+   * Let the camera fall into a black hole from where it is now
+   * The fall starts at rest (radial) or with a small angular momentum that
+   * carries it round the hole (spiral), in the plane of the disk's rotation.
+   * @param {THREE.Vector3} center - Position of the black hole
+   * @param {number} mass - Black hole mass in scene units (horizon at 2M)
+   * @param {'radial'|'spiral'} trajectory - Geodesic to follow
+   */
+  startFallIn(center, mass, trajectory = 'radial') {
+    if (!this.controls) {
+      throw new Error('CameraController not initialized. Call initialize() first.');
+    }
+    if (!FALL_TRAJECTORIES.includes(trajectory)) {
+      console.warn(`Invalid fall trajectory: ${trajectory}. Using 'radial'.`);
+      trajectory = 'radial';
+    }
+
+    const offset = this.camera.position.clone().sub(center);
+    const r = offset.length() / mass;
+    if (mass <= 0 || r <= 2) {
+      return;
+    }
+
+    // Orbital plane: the radial direction and the direction of rotation
+    const radial = offset.normalize();
+    const tangential = new THREE.Vector3().crossVectors(ORBIT_AXIS, radial);
+    if (tangential.lengthSq() < 1e-8) {
+      tangential.set(1, 0, 0);
+    }
+    tangential.normalize();
+
+    // Conserved energy and angular momentum of a fall starting at rest in r
+    const angularMomentum = trajectory === 'spiral' ? SPIRAL_ANGULAR_MOMENTUM : 0;
+    const energy = Math.sqrt((1 - 2 / r) * (1 + angularMomentum * angularMomentum / (r * r)));
+
+    this.fall = {
+      trajectory,
+      center: center.clone(),
+      mass,
+      energy,
+      angularMomentum,
+      r,
+      radialVelocity: 0,
+      phi: 0,
+      properTime: 0,
+      radial,
+      tangential,
+      savedPosition: this.camera.position.clone(),
+      savedTarget: this.controls.target.clone()
+    };
+
+    this.controls.enabled = false;
+    this.placeFallingCamera();
+  }
+
+  /**
+   * End a fall early and return to orbit mode
+   */
+  stopFallIn() {
+    if (!this.fall) {
+      return;
+    }
+
+    const { savedPosition, savedTarget } = this.fall;
+    this.fall = null;
+    this._observerVelocity.set(0, 0, 0);
+
+    this.camera.position.copy(savedPosition);
+    this.controls.target.copy(savedTarget);
+    this.camera.lookAt(savedTarget);
+    this.controls.enabled = true;
+    this.controls.update();
+
+    if (this.fallCompleteCallback) {
+      this.fallCompleteCallback();
+    }
+  }
+
+  /**
+   * Register a callback for the camera returning to orbit mode after a fall
+   * @param {Function} callback - Called when a fall ends or is stopped
+   */
+  onFallComplete(callback) {
+    this.fallCompleteCallback = callback;
+  }
+
+  /**
+   * Whether the camera is falling into the black hole
+   * @returns {boolean} True during a fall
+   */
+  isFalling() {
+    return this.fall !== null;
+  }
+
+  /**
+   * Get the camera mode
+   * @returns {'orbit'|'fallIn'} The camera mode
+   */
+  getMode() {
+    return this.fall ? 'fallIn' : 'orbit';
+  }
+
+  /**
+   * Get the state of the fall
+   * @returns {{trajectory: string, radius: number, properTime: number, insideHorizon: boolean}|null} Radius in units of the Schwarzschild radius and proper time in seconds since the fall began, or null in orbit mode
+   */
+  getFallStatus() {
+    if (!this.fall) {
+      return null;
+    }
+    const { trajectory, r, properTime, mass } = this.fall;
+    return {
+      trajectory,
+      radius: r / 2,
+      properTime: properTime * mass / SPEED_OF_LIGHT,
+      insideHorizon: r < 2
+    };
+  }
+
+  /**
+   * Velocity of the camera relative to a static observer at its position
+   * Zero in orbit mode. Inside the horizon there are no static observers, so
+   * the velocity is the one the fall would have just outside it.
+   * @returns {THREE.Vector3} World-space velocity in units of c
+   */
+  getObserverVelocity() {
+    return this._observerVelocity;
+  }
+
+  /**
+   * Advance the falling camera along its geodesic
+   * Proper time is integrated in units of M with RK4, slowed down near the
+   * hole so the horizon crossing can be watched.
+   * @param {number} deltaTime - Time elapsed since last frame in seconds
+   * @private
+   */
+  updateFall(deltaTime) {
+    const fall = this.fall;
+    const playback = Math.min(1, Math.pow(fall.r / FALL_SLOWDOWN_RADIUS, 1.5));
+    let remaining = deltaTime * SPEED_OF_LIGHT / fall.mass * playback;
+
+    while (remaining > 0 && fall.r > FALL_END_RADIUS) {
+      const step = Math.min(remaining, FALL_MAX_STEP, FALL_STEP_FRACTION * Math.pow(fall.r, 1.5));
+      this.stepFall(step);
+      remaining -= step;
+    }
+
+    // Steps near the singularity may overshoot it
+    if (!(fall.r > FALL_END_RADIUS)) {
+      this.stopFallIn();
+      return;
+    }
+
+    this.placeFallingCamera();
+  }
+
+  /**
+   * One RK4 step of the timelike geodesic in the orbital plane
+   * r'' = −M/r² + L²/r³ − 3ML²/r⁴ and φ' = L/r², with G = c = M = 1
+   * @param {number} h - Proper-time step in units of M
+   * @private
+   */
+  stepFall(h) {
+    const fall = this.fall;
+    const L = fall.angularMomentum;
+    const acceleration = (r) => -1 / (r * r) + L * L / (r * r * r) - 3 * L * L / (r * r * r * r);
+    const angularVelocity = (r) => L / (r * r);
+
+    const r = fall.r;
+    const v = fall.radialVelocity;
+    const k1r = v;
+    const k1v = acceleration(r);
+    const k2r = v + 0.5 * h * k1v;
+    const k2v = acceleration(r + 0.5 * h * k1r);
+    const k3r = v + 0.5 * h * k2v;
+    const k3v = acceleration(r + 0.5 * h * k2r);
+    const k4r = v + h * k3v;
+    const k4v = acceleration(r + h * k3r);
+
+    fall.phi += h / 6 * (
+      angularVelocity(r) +
+      2 * angularVelocity(r + 0.5 * h * k1r) +
+      2 * angularVelocity(r + 0.5 * h * k2r) +
+      angularVelocity(r + h * k3r)
+    );
+    fall.r = r + h / 6 * (k1r + 2 * k2r + 2 * k3r + k4r);
+    fall.radialVelocity = v + h / 6 * (k1v + 2 * k2v + 2 * k3v + k4v);
+    fall.properTime += h;
+  }
+
+  /**
+   * Put the camera at the fall's position looking at the hole, and measure
+   * its velocity against the local static observer
+   * @private
+   */
+  placeFallingCamera() {
+    const { center, mass, energy, angularMomentum, r, phi, radial, tangential } = this.fall;
+    const cosPhi = Math.cos(phi);
+    const sinPhi = Math.sin(phi);
+
+    const direction = this._offset.copy(radial).multiplyScalar(cosPhi).addScaledVector(tangential, sinPhi);
+    this.camera.position.copy(center).addScaledVector(direction, r * mass);
+    this.camera.lookAt(center);
+
+    // A static observer sees γ = E/α, radial speed (dr/dτ)/E and tangential
+    // speed αL/(rE), with lapse α = √(1 − 2M/r)
+    const frameRadius = Math.max(r, STATIC_FRAME_MIN_RADIUS);
+    const lapse2 = 1 - 2 / frameRadius;
+    const radial2 = energy * energy - lapse2 * (1 + angularMomentum * angularMomentum / (frameRadius * frameRadius));
+    const radialSpeed = -Math.sqrt(Math.max(radial2, 0)) / energy;
+    const tangentialSpeed = Math.sqrt(lapse2) * angularMomentum / (frameRadius * energy);
+
+    this._observerVelocity
+      .copy(direction)
+      .multiplyScalar(radialSpeed)
+      .addScaledVector(tangential, tangentialSpeed * cosPhi)
+      .addScaledVector(radial, -tangentialSpeed * sinPhi);
+  }
+
   /**
    * Get the camera instance
    * @returns {THREE.PerspectiveCamera} The camera
@@ -138,6 +419,9 @@ export class CameraController {
    * Dispose of all resources
    */
   dispose() {
+    this.fall = null;
+    this.fallCompleteCallback = null;
+
     if (this.controls) {
       this.controls.dispose();
       this.controls = null;
@@ -1,3 +1,6 @@
+import { DEFAULT_SEED, MAX_SEED } from '../utils/Random.js';
+import { MAX_TIME_SCALE, MIN_TIME_SCALE } from './SimulationClock.js';
+
 /**
  * ConfigurationManager handles simulation parameters and runtime configuration.
  * Manages configuration validation, clamping, and performance optimizations.
@@ -5,9 +8,29 @@
  * Requirements addressed:
  * - 9.1: Particle count configuration (100-5000 range)
  * - 9.2: Accretion disk rotation speed configuration
- * - 9.3: Gravitational lensing intensity configuration
+ * - 9.3: Gravitational lensing intensity configuration and mode selection
+ * - Resolution of the environment cubemap traced by the lensing pass
  * - 9.4: Camera movement sensitivity configuration
  * - 9.5: Configuration updates without reload
+ * - Black hole mass and spin (Kerr parameter) configuration
+ * - Toggles for relativistic Doppler beaming and gravitational redshift
+ * - Accretion disk peak temperature configuration
+ * - Volumetric disk scale height, density, emission and quality
+ * - Relativistic jet length, opening angle, Lorentz factor and precession
+ * - Tidal disruption scenario stellar mass and pericentre distance
+ * - Binary black hole mode with mass ratio, initial separation and inspiral speed
+ * - Gravitational-wave strain grid toggle and polarisation
+ * - Particle integrator, substep limit and physics diagnostics toggle
+ * - Particle gravity model (Newtonian or Paczyński–Wiita)
+ * - Particle compute path (main thread, Web Worker or GPU) and GPU particle count
+ * - Particle trail toggle, length and sample interval
+ * - Spaghettification probe length and drop radius
+ * - Time dilation clocks toggle, probe clock mode and radius
+ * - Infalling observer trajectory (radial or spiral)
+ * - Starfield source (random stars or the bright-star catalogue)
+ * - Sky background image, its brightness and the starfield overlay toggle
+ * - Random seed shared by every component that scatters stars or particles
+ * - Simulation time scale
  * - 8.4: Performance-based particle scaling for small viewports
  */
 export class ConfigurationManager {
@@ -21,7 +44,33 @@ export class ConfigurationManager {
       diskRotationSpeed: { min: 0.1, max: 5.0 },
       lensingIntensity: { min: 0.0, max: 2.0 },
       cameraSensitivity: { min: 0.1, max: 2.0 },
-      bloomStrength: { min: 0.0, max: 3.0 }
+      bloomStrength: { min: 0.0, max: 3.0 },
+      mass: { min: 0.1, max: 2.0 },
+      spin: { min: 0.0, max: 0.998 },
+      diskPeakTemperature: { min: 1000, max: 10000000 },
+      diskScaleHeight: { min: 0.01, max: 0.3 },
+      diskDensity: { min: 0.1, max: 5.0 },
+      diskEmission: { min: 0.1, max: 5.0 },
+      jetLength: { min: 5.0, max: 50.0 },
+      jetOpeningAngle: { min: 1.0, max: 30.0 },
+      jetLorentzFactor: { min: 1.1, max: 20.0 },
+      jetPrecessionAngle: { min: 0.0, max: 45.0 },
+      jetPrecessionPeriod: { min: 2.0, max: 120.0 },
+      tdeStellarMass: { min: 0.1, max: 5.0 },
+      tdePericentre: { min: 2.0, max: 30.0 },
+      binaryMassRatio: { min: 0.1, max: 1.0 },
+      binarySeparation: { min: 4.0, max: 20.0 },
+      binaryInspiralSpeed: { min: 1.0, max: 100.0 },
+      maxSubsteps: { min: 1, max: 16 },
+      gpuParticleCount: { min: 1000, max: 1000000 },
+      trailLength: { min: 4, max: 128 },
+      trailSampleInterval: { min: 0.01, max: 0.5 },
+      probeLength: { min: 0.2, max: 3.0 },
+      probeDropRadius: { min: 4.0, max: 40.0 },
+      clockRadius: { min: 1.1, max: 30.0 },
+      backgroundIntensity: { min: 0.0, max: 3.0 },
+      seed: { min: 0, max: MAX_SEED },
+      timeScale: { min: MIN_TIME_SCALE, max: MAX_TIME_SCALE }
     };
 
     // Performance thresholds for viewport-based optimization
@@ -43,6 +92,52 @@ export class ConfigurationManager {
       lensingIntensity: 1.0,
       cameraSensitivity: 1.0,
       bloomStrength: 1.5,
+      lensingMode: 'fast',
+      environmentSize: 512,
+      mass: 0.5,
+      spin: 0.0,
+      dopplerBeaming: true,
+      gravitationalRedshift: true,
+      diskPeakTemperature: 10000,
+      diskScaleHeight: 0.05,
+      diskDensity: 1.0,
+      diskEmission: 2.0,
+      diskQuality: 'medium',
+      jetsEnabled: false,
+      jetLength: 20.0,
+      jetOpeningAngle: 5.0,
+      jetLorentzFactor: 5.0,
+      jetPrecessionAngle: 0.0,
+      jetPrecessionPeriod: 20.0,
+      tdeStellarMass: 1.0,
+      tdePericentre: 5.0,
+      binaryMode: false,
+      binaryMassRatio: 1.0,
+      binarySeparation: 8.0,
+      binaryInspiralSpeed: 20.0,
+      gravitationalWaves: false,
+      gwPolarization: 'plus',
+      particleIntegrator: 'verlet',
+      maxSubsteps: 8,
+      physicsDiagnostics: false,
+      gravityModel: 'newtonian',
+      particleCompute: 'cpu',
+      gpuParticleCount: 262144,
+      particleTrails: false,
+      trailLength: 32,
+      trailSampleInterval: 0.05,
+      probeLength: 1.0,
+      probeDropRadius: 12.0,
+      timeDilationClocks: false,
+      clockMode: 'static',
+      clockRadius: 3.0,
+      fallTrajectory: 'radial',
+      starfieldSource: 'random',
+      starfieldOverlay: true,
+      background: 'none',
+      backgroundIntensity: 1.0,
+      seed: DEFAULT_SEED,
+      timeScale: 1.0,
       performanceMode: 'high'
     };
 
@@ -206,6 +301,232 @@ export class ConfigurationManager {
       );
     }
 
+    if (validated.mass !== undefined) {
+      validated.mass = this._clampValue(
+        validated.mass,
+        this.bounds.mass.min,
+        this.bounds.mass.max
+      );
+    }
+
+    if (validated.spin !== undefined) {
+      validated.spin = this._clampValue(
+        validated.spin,
+        this.bounds.spin.min,
+        this.bounds.spin.max
+      );
+    }
+
+    if (validated.diskPeakTemperature !== undefined) {
+      validated.diskPeakTemperature = this._clampValue(
+        validated.diskPeakTemperature,
+        this.bounds.diskPeakTemperature.min,
+        this.bounds.diskPeakTemperature.max
+      );
+    }
+
+    for (const key of ['diskScaleHeight', 'diskDensity', 'diskEmission']) {
+      if (validated[key] !== undefined) {
+        validated[key] = this._clampValue(
+          validated[key],
+          this.bounds[key].min,
+          this.bounds[key].max
+        );
+      }
+    }
+
+    for (const key of [
+      'jetLength',
+      'jetOpeningAngle',
+      'jetLorentzFactor',
+      'jetPrecessionAngle',
+      'jetPrecessionPeriod',
+      'tdeStellarMass',
+      'tdePericentre',
+      'binaryMassRatio',
+      'binarySeparation',
+      'binaryInspiralSpeed',
+      'probeLength',
+      'probeDropRadius',
+      'clockRadius',
+      'backgroundIntensity',
+      'timeScale'
+    ]) {
+      if (validated[key] !== undefined) {
+        validated[key] = this._clampValue(
+          validated[key],
+          this.bounds[key].min,
+          this.bounds[key].max
+        );
+      }
+    }
+
+    for (const key of ['maxSubsteps', 'gpuParticleCount', 'trailLength', 'seed']) {
+      if (validated[key] !== undefined) {
+        validated[key] = Math.round(this._clampValue(
+          validated[key],
+          this.bounds[key].min,
+          this.bounds[key].max
+        ));
+      }
+    }
+
+    if (validated.trailSampleInterval !== undefined) {
+      validated.trailSampleInterval = this._clampValue(
+        validated.trailSampleInterval,
+        this.bounds.trailSampleInterval.min,
+        this.bounds.trailSampleInterval.max
+      );
+    }
+
+    // Validate disk quality
+    if (validated.diskQuality !== undefined) {
+      const validQualities = ['low', 'medium', 'high'];
+      if (!validQualities.includes(validated.diskQuality)) {
+        console.warn(
+          `Invalid disk quality: ${validated.diskQuality}. Using 'medium'.`
+        );
+        validated.diskQuality = 'medium';
+      }
+    }
+
+    // Validate relativistic effect and starfield overlay toggles
+    for (const key of ['dopplerBeaming', 'gravitationalRedshift', 'starfieldOverlay']) {
+      if (validated[key] !== undefined && typeof validated[key] !== 'boolean') {
+        console.warn(`Invalid value for ${key}: ${validated[key]}. Using true.`);
+        validated[key] = true;
+      }
+    }
+
+    // Validate jets, binary, gravitational-wave, diagnostics, trail and clock toggles
+    for (const key of [
+      'jetsEnabled',
+      'binaryMode',
+      'gravitationalWaves',
+      'physicsDiagnostics',
+      'particleTrails',
+      'timeDilationClocks'
+    ]) {
+      if (validated[key] !== undefined && typeof validated[key] !== 'boolean') {
+        console.warn(`Invalid value for ${key}: ${validated[key]}. Using false.`);
+        validated[key] = false;
+      }
+    }
+
+    // Validate gravitational-wave polarisation
+    if (validated.gwPolarization !== undefined) {
+      const validPolarizations = ['plus', 'cross'];
+      if (!validPolarizations.includes(validated.gwPolarization)) {
+        console.warn(
+          `Invalid gravitational-wave polarization: ${validated.gwPolarization}. Using 'plus'.`
+        );
+        validated.gwPolarization = 'plus';
+      }
+    }
+
+    // Validate particle integrator
+    if (validated.particleIntegrator !== undefined) {
+      const validIntegrators = ['euler', 'verlet', 'rk4'];
+      if (!validIntegrators.includes(validated.particleIntegrator)) {
+        console.warn(
+          `Invalid particle integrator: ${validated.particleIntegrator}. Using 'verlet'.`
+        );
+        validated.particleIntegrator = 'verlet';
+      }
+    }
+
+    // Validate gravity model
+    if (validated.gravityModel !== undefined) {
+      const validGravityModels = ['newtonian', 'paczynski-wiita'];
+      if (!validGravityModels.includes(validated.gravityModel)) {
+        console.warn(
+          `Invalid gravity model: ${validated.gravityModel}. Using 'newtonian'.`
+        );
+        validated.gravityModel = 'newtonian';
+      }
+    }
+
+    // Validate particle compute path
+    if (validated.particleCompute !== undefined) {
+      const validComputePaths = ['cpu', 'worker', 'gpu'];
+      if (!validComputePaths.includes(validated.particleCompute)) {
+        console.warn(
+          `Invalid particle compute: ${validated.particleCompute}. Using 'cpu'.`
+        );
+        validated.particleCompute = 'cpu';
+      }
+    }
+
+    // Validate probe clock mode
+    if (validated.clockMode !== undefined) {
+      const validClockModes = ['static', 'freefall'];
+      if (!validClockModes.includes(validated.clockMode)) {
+        console.warn(
+          `Invalid clock mode: ${validated.clockMode}. Using 'static'.`
+        );
+        validated.clockMode = 'static';
+      }
+    }
+
+    // Validate fall-in trajectory
+    if (validated.fallTrajectory !== undefined) {
+      const validFallTrajectories = ['radial', 'spiral'];
+      if (!validFallTrajectories.includes(validated.fallTrajectory)) {
+        console.warn(
+          `Invalid fall trajectory: ${validated.fallTrajectory}. Using 'radial'.`
+        );
+        validated.fallTrajectory = 'radial';
+      }
+    }
+
+    // Validate starfield source
+    if (validated.starfieldSource !== undefined) {
+      const validStarfieldSources = ['random', 'catalogue'];
+      if (!validStarfieldSources.includes(validated.starfieldSource)) {
+        console.warn(
+          `Invalid starfield source: ${validated.starfieldSource}. Using 'random'.`
+        );
+        validated.starfieldSource = 'random';
+      }
+    }
+
+    // Validate sky background: 'none', a bundled background name, an image
+    // URL, or six cubemap face URLs
+    if (validated.background !== undefined) {
+      const isUrl = (value) => typeof value === 'string' && value.length > 0;
+      const isCubemap = Array.isArray(validated.background) &&
+        validated.background.length === 6 &&
+        validated.background.every(isUrl);
+      if (!isUrl(validated.background) && !isCubemap) {
+        console.warn(
+          `Invalid background: ${validated.background}. Using 'none'.`
+        );
+        validated.background = 'none';
+      }
+    }
+
+    // Validate lensing mode
+    if (validated.lensingMode !== undefined) {
+      const validLensingModes = ['fast', 'geodesic'];
+      if (!validLensingModes.includes(validated.lensingMode)) {
+        console.warn(
+          `Invalid lensing mode: ${validated.lensingMode}. Using 'fast'.`
+        );
+        validated.lensingMode = 'fast';
+      }
+    }
+
+    // Validate environment cubemap face size
+    if (validated.environmentSize !== undefined) {
+      const validEnvironmentSizes = [256, 512, 1024];
+      if (!validEnvironmentSizes.includes(validated.environmentSize)) {
+        console.warn(
+          `Invalid environment size: ${validated.environmentSize}. Using 512.`
+        );
+        validated.environmentSize = 512;
+      }
+    }
+
     // Validate performance mode
     if (validated.performanceMode !== undefined) {
       const validModes = ['high', 'medium', 'low'];
@@ -253,6 +574,37 @@ export class ConfigurationManager {
     }
   }
 
+  /**
+   * Check a configuration from outside the app, e.g. a snapshot file, without
+   * applying it
+   * updateConfig corrects what it is given; this rejects keys it does not
+   * know and values of the wrong type instead. Missing keys are allowed.
+   * @param {Partial<SimulationConfig>} config - Configuration to check
+   * @throws {Error} If the configuration is not an object, or names the first offending key
+   */
+  checkConfig(config) {
+    if (!this.config) {
+      throw new Error('ConfigurationManager not initialized. Call initialize() first.');
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('Configuration must be an object');
+    }
+
+    for (const [key, value] of Object.entries(config)) {
+      if (!(key in this.config)) {
+        throw new Error(`Unknown configuration key: ${key}`);
+      }
+
+      // A background is a URL or the six URLs of a cubemap
+      const valid = key === 'background'
+        ? typeof value === 'string' || (Array.isArray(value) && value.every((url) => typeof url === 'string'))
+        : typeof value === typeof this.config[key] && (typeof value !== 'number' || Number.isFinite(value));
+      if (!valid) {
+        throw new Error(`Invalid value for ${key}: ${value}`);
+      }
+    }
+  }
+
   /**
    * Reset configuration to default values
    */
@@ -278,5 +630,51 @@ export class ConfigurationManager {
  * @property {number} lensingIntensity - Gravitational lensing intensity (0.0-2.0)
  * @property {number} cameraSensitivity - Camera movement sensitivity (0.1-2.0)
  * @property {number} bloomStrength - Bloom post-processing strength (0.0-3.0)
+ * @property {number} mass - Black hole mass in scene units; Schwarzschild radius is 2 × mass (0.1-2.0)
+ * @property {number} spin - Dimensionless black hole spin a/M (0.0-0.998)
+ * @property {number} diskPeakTemperature - Peak accretion disk temperature in kelvin (1e3-1e7)
+ * @property {number} diskScaleHeight - Disk scale height as a fraction of radius, H/r (0.01-0.3)
+ * @property {number} diskDensity - Disk gas density multiplier (0.1-5.0)
+ * @property {number} diskEmission - Disk emission strength (0.1-5.0)
+ * @property {'low'|'medium'|'high'} diskQuality - Disk ray-march step count
+ * @property {boolean} dopplerBeaming - Apply relativistic Doppler beaming to the disk
+ * @property {boolean} gravitationalRedshift - Apply gravitational redshift to the disk
+ * @property {boolean} jetsEnabled - Render relativistic jets along the spin axis
+ * @property {number} jetLength - Jet length in Schwarzschild radii (5-50)
+ * @property {number} jetOpeningAngle - Jet half opening angle in degrees (1-30)
+ * @property {number} jetLorentzFactor - Bulk Lorentz factor of the jet plasma (1.1-20)
+ * @property {number} jetPrecessionAngle - Half angle of the jet precession cone in degrees (0-45)
+ * @property {number} jetPrecessionPeriod - Jet precession period in seconds (2-120)
+ * @property {number} tdeStellarMass - Tidal disruption stellar mass as a percentage of the black hole mass (0.1-5)
+ * @property {number} tdePericentre - Tidal disruption pericentre distance in Schwarzschild radii (2-30)
+ * @property {boolean} binaryMode - Replace the black hole with an inspiralling binary of the same total mass
+ * @property {number} binaryMassRatio - Binary mass ratio, lighter over heavier hole (0.1-1)
+ * @property {number} binarySeparation - Initial binary separation in Schwarzschild radii of the total mass (4-20)
+ * @property {number} binaryInspiralSpeed - Factor by which the gravitational-wave inspiral is sped up (1-100)
+ * @property {boolean} gravitationalWaves - Show the gravitational-wave strain grid and chirp plot
+ * @property {'plus'|'cross'} gwPolarization - Polarisation displayed by the strain grid
+ * @property {'euler'|'verlet'|'rk4'} particleIntegrator - Integrator advancing particle orbits
+ * @property {number} maxSubsteps - Most substeps a long frame is split into (1-16)
+ * @property {boolean} physicsDiagnostics - Compute particle energy and angular momentum and show the overlay
+ * @property {'newtonian'|'paczynski-wiita'} gravityModel - Force law acting on the particles
+ * @property {'cpu'|'worker'|'gpu'} particleCompute - Integrate particles on the main thread, in a Web Worker or in GPU fragment shaders
+ * @property {number} gpuParticleCount - Number of particles on the GPU path (1000-1000000)
+ * @property {boolean} particleTrails - Draw fading orbit trails behind the particles
+ * @property {number} trailLength - Positions kept per trail (4-128)
+ * @property {number} trailSampleInterval - Time between trail positions in seconds (0.01-0.5)
+ * @property {number} probeLength - Rest length of the spaghettification probe in Schwarzschild radii (0.2-3)
+ * @property {number} probeDropRadius - Distance from which the probe is dropped in Schwarzschild radii (4-40)
+ * @property {boolean} timeDilationClocks - Show the distant observer and probe clocks
+ * @property {'static'|'freefall'} clockMode - Probe clock hovering at clockRadius or riding the falling probe
+ * @property {number} clockRadius - Radius of the static probe clock in Schwarzschild radii (1.1-30)
+ * @property {'radial'|'spiral'} fallTrajectory - Geodesic the camera follows when it falls into the black hole
+ * @property {'random'|'catalogue'} starfieldSource - Random background stars or the bundled bright-star catalogue
+ * @property {boolean} starfieldOverlay - Draw the starfield over the sky background
+ * @property {string|string[]} background - Sky background: 'none', 'milkyWay', an equirectangular image URL (.hdr, .exr, .jpg, ...) or six cubemap face URLs
+ * @property {number} backgroundIntensity - Brightness multiplier of the sky background (0-3)
+ * @property {number} timeScale - Simulation seconds per real second (0.01-100)
+ * @property {number} seed - Seed of the random numbers behind stars, particles, jets and tidal disruptions (0-4294967295); the same seed reproduces a run
+ * @property {'fast'|'geodesic'} lensingMode - Heuristic screen-space lensing or Schwarzschild ray tracing
+ * @property {256|512|1024} environmentSize - Face size in pixels of the starfield and sky background cubemap sampled along bent rays
  * @property {'high'|'medium'|'low'} performanceMode - Current performance mode
  */
@@ -12,6 +12,7 @@ export class RendererManager {
     this.renderer = null;
     this.composer = null;
     this.renderPass = null;
+    this.lensingPass = null;
     this.bloomPass = null;
     this.canvas = null;
     
@@ -232,6 +233,32 @@ export class RendererManager {
     this.composer.addPass(pass);
   }
 
+  /**
+   * Enable the gravitational lensing pass
+   * The pass is placed after the RenderPass and before the bloom pass so it
+   * distorts the rendered scene before highlights are bloomed.
+   * @param {Pass} pass - The lensing pass (see GravitationalLensing.getPass())
+   */
+  enableLensing(pass) {
+    if (!this.composer) {
+      throw new Error('Composer not initialized. Call initialize() first.');
+    }
+
+    // Remove existing lensing pass if present
+    if (this.lensingPass) {
+      this.composer.removePass(this.lensingPass);
+    }
+
+    this.lensingPass = pass;
+
+    const bloomIndex = this.bloomPass ? this.composer.passes.indexOf(this.bloomPass) : -1;
+    if (bloomIndex >= 0) {
+      this.composer.insertPass(pass, bloomIndex);
+    } else {
+      this.composer.addPass(pass);
+    }
+  }
+
   /**
    * Enable bloom post-processing effect
    * @param {number} strength - Bloom strength (0.0-3.0, default 1.5)
@@ -373,7 +400,12 @@ export class RendererManager {
         lines: this.renderer.info.render.lines,
         frame: this.renderer.info.render.frame
       },
-      programs: this.renderer.info.programs?.length || 0
+      programs: this.renderer.info.programs?.length || 0,
+      postProcessing: {
+        passes: this.composer ? this.composer.passes.length : 0,
+        lensing: this.lensingPass ? this.lensingPass.enabled : false,
+        bloom: this.bloomPass ? this.bloomPass.enabled : false
+      }
     };
   }
 
@@ -402,6 +434,7 @@ export class RendererManager {
     }
 
     this.renderPass = null;
+    this.lensingPass = null;
     this.bloomPass = null;
     this.canvas = null;
     this.contextLostHandler = null;
@@ -59,6 +59,8 @@ export class SceneManager {
 
   /**
    * Get the current delta time from the clock
+   * This is real time; it drives the camera and is turned into fixed physics
+   * steps by the SimulationClock.
    * @returns {number} Delta time in seconds
    */
   getDeltaTime() {
@@ -0,0 +1,153 @@
+/**
+ * Duration of one physics step in simulation seconds
+ */
+export const SIMULATION_TIMESTEP = 1 / 60;
+
+/**
+ * Slowest and fastest playback, as multiples of real time
+ */
+export const MIN_TIME_SCALE = 0.01;
+export const MAX_TIME_SCALE = 100;
+
+// Longest real frame that is fed to the accumulator; a tab that was in the
+// background resumes where it left off instead of catching up
+const MAX_FRAME_TIME = 0.25;
+
+// Most steps run in one frame; time beyond that is dropped so a slow machine
+// plays back slower rather than falling ever further behind
+const MAX_STEPS_PER_FRAME = 120;
+
+/**
+ * SimulationClock turns the render loop's real frame times into fixed
+ * physics steps, separately from the camera and rendering.
+ *
+ * Real time, multiplied by the time scale, is collected in an accumulator
+ * and paid out in whole steps of SIMULATION_TIMESTEP, so the physics is the
+ * same whatever the frame rate. While paused nothing accumulates, but single
+ * steps can still be requested. In reverse the steps have negative duration
+ * and the simulation time runs backwards.
+ *
+ * elapsedTime reads like THREE.Clock's, so the clock can stand in for it as
+ * the simulation's coordinate time.
+ */
+export class SimulationClock {
+  /**
+   * @param {number} timestep - Duration of one step in simulation seconds
+   */
+  constructor(timestep = SIMULATION_TIMESTEP) {
+    this.timestep = timestep;
+    this.timeScale = 1.0;
+    this.paused = false;
+    this.reversed = false;
+
+    // Scaled real time not yet paid out as steps, and single steps requested
+    // while paused
+    this.accumulator = 0;
+    this.pendingSteps = 0;
+
+    // Simulation time in seconds; decreases in reverse
+    this.elapsedTime = 0;
+  }
+
+  /**
+   * Collect a frame's real time and count the steps it pays for
+   * @param {number} frameTime - Real time elapsed since the last frame in seconds
+   * @returns {number} Number of steps of getStepDuration() to run this frame
+   */
+  advance(frameTime) {
+    let steps = this.pendingSteps;
+    this.pendingSteps = 0;
+
+    if (!this.paused) {
+      this.accumulator += Math.min(Math.max(frameTime, 0), MAX_FRAME_TIME) * this.timeScale;
+      const due = Math.floor(this.accumulator / this.timestep);
+      this.accumulator -= due * this.timestep;
+      steps += due;
+    }
+
+    if (steps > MAX_STEPS_PER_FRAME) {
+      steps = MAX_STEPS_PER_FRAME;
+      this.accumulator = 0;
+    }
+
+    this.elapsedTime += steps * this.getStepDuration();
+    return steps;
+  }
+
+  /**
+   * Jump to a simulation time, e.g. when a snapshot is restored
+   * Time collected towards the next step and requested single steps are
+   * dropped, so the jump is not followed by steps from before it.
+   * @param {number} time - Simulation time in seconds
+   */
+  setElapsedTime(time) {
+    this.elapsedTime = time;
+    this.accumulator = 0;
+    this.pendingSteps = 0;
+  }
+
+  /**
+   * Duration of each step, negative in reverse
+   * @returns {number} Step duration in simulation seconds
+   */
+  getStepDuration() {
+    return this.reversed ? -this.timestep : this.timestep;
+  }
+
+  /**
+   * Set how fast simulation time runs compared with real time
+   * @param {number} scale - Multiple of real time (0.01-100)
+   */
+  setTimeScale(scale) {
+    this.timeScale = Math.max(MIN_TIME_SCALE, Math.min(MAX_TIME_SCALE, scale));
+  }
+
+  /**
+   * Get how fast simulation time runs compared with real time
+   * @returns {number} Multiple of real time
+   */
+  getTimeScale() {
+    return this.timeScale;
+  }
+
+  /**
+   * Stop or resume simulation time; rendering is not affected
+   * @param {boolean} paused - Whether simulation time stands still
+   */
+  setPaused(paused) {
+    this.paused = paused;
+    this.accumulator = 0;
+  }
+
+  /**
+   * Check whether simulation time stands still
+   * @returns {boolean} True if paused
+   */
+  isPaused() {
+    return this.paused;
+  }
+
+  /**
+   * Request single steps, run on the next frame even while paused
+   * @param {number} count - Number of steps
+   */
+  step(count = 1) {
+    this.pendingSteps += count;
+  }
+
+  /**
+   * Run simulation time forwards or backwards
+   * @param {boolean} reversed - Whether steps have negative duration
+   */
+  setReversed(reversed) {
+    this.reversed = reversed;
+  }
+
+  /**
+   * Check whether simulation time runs backwards
+   * @returns {boolean} True in reverse
+   */
+  isReversed() {
+    return this.reversed;
+  }
+}
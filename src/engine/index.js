@@ -6,9 +6,11 @@
  * - RendererManager: Handles WebGL rendering and post-processing
  * - CameraController: Manages camera positioning and user interaction
  * - ConfigurationManager: Manages simulation parameters and runtime configuration
+ * - SimulationClock: Fixed physics steps with time scale, pause, single-step and reverse
  */
 
 export { SceneManager } from './SceneManager.js';
 export { RendererManager } from './RendererManager.js';
 export { CameraController } from './CameraController.js';
 export { ConfigurationManager } from './ConfigurationManager.js';
+export { SimulationClock } from './SimulationClock.js';
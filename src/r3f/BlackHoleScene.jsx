@@ -6,6 +6,9 @@ import { BlackHoleSimulationR3F } from './BlackHoleSimulationR3F';
  * and provides the entry point for the React Three Fiber implementation.
  * 
  * Implements Requirement 7.1: React Three Fiber component architecture
+ *
+ * The sky is chosen with config.background ('none', 'milkyWay', an image
+ * URL or six cubemap face URLs) and config.starfieldOverlay.
  */
 export function BlackHoleScene({ config = {} }) {
   return (
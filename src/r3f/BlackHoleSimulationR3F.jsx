@@ -2,10 +2,13 @@ import { useEffect, useRef, useState } from 'react';
 import { useThree, useFrame } from '@react-three/fiber';
 import { OrbitControls, EffectComposer, Bloom } from '@react-three/drei';
 import * as THREE from 'three';
+import { DEFAULT_SEED } from '../utils/Random.js';
 import { BlackHoleCoreR3F } from './components/BlackHoleCoreR3F';
 import { AccretionDiskR3F } from './components/AccretionDiskR3F';
 import { ParticleSystemR3F } from './components/ParticleSystemR3F';
+import { JetsR3F } from './components/JetsR3F';
 import { StarfieldR3F } from './components/StarfieldR3F';
+import { SkyBackgroundR3F } from './components/SkyBackgroundR3F';
 import { GravitationalLensingR3F } from './components/GravitationalLensingR3F';
 
 /**
@@ -15,20 +18,34 @@ import { GravitationalLensingR3F } from './components/GravitationalLensingR3F';
  * Implements Requirements:
  * - 7.1: React component architecture
  * - 1.1, 1.2, 1.5: Core rendering
+ * - Relativistic jets for active galactic nucleus scenes (enable with jetsEnabled)
+ * - Sky background image with an optional starfield overlay (background, starfieldOverlay)
  * - 9.1-9.5: Configuration system
  */
-export function BlackHoleSimulationR3F({ config: initialConfig = {}, isPaused = false }) {
+export function BlackHoleSimulationR3F({ config: liveConfig = {}, isPaused = false }) {
   const { camera, gl } = useThree();
-  
-  // Configuration state with defaults
-  const [config, setConfig] = useState({
-    particleCount: 1000,
+
+  // Particle count scaled to the viewport; everything else follows the live props
+  const [particleCount, setParticleCount] = useState(liveConfig.particleCount || 1000);
+
+  const config = {
     diskRotationSpeed: 1.0,
     lensingIntensity: 1.0,
     cameraSensitivity: 1.0,
     bloomStrength: 1.5,
-    ...initialConfig
-  });
+    jetsEnabled: false,
+    jetLength: 20.0,
+    jetOpeningAngle: 5.0,
+    jetLorentzFactor: 5.0,
+    jetPrecessionAngle: 0.0,
+    jetPrecessionPeriod: 20.0,
+    background: 'none',
+    backgroundIntensity: 1.0,
+    starfieldOverlay: true,
+    seed: DEFAULT_SEED,
+    ...liveConfig,
+    particleCount
+  };
 
   // Black hole parameters
   const blackHolePosition = useRef(new THREE.Vector3(0, 0, 0));
@@ -48,20 +65,17 @@ export function BlackHoleSimulationR3F({ config: initialConfig = {}, isPaused =
       }
       
       const optimizedCount = Math.floor(
-        (initialConfig.particleCount || 1000) * particleCountMultiplier
+        (liveConfig.particleCount || 1000) * particleCountMultiplier
       );
       
-      setConfig(prev => ({
-        ...prev,
-        particleCount: Math.max(100, Math.min(5000, optimizedCount))
-      }));
+      setParticleCount(Math.max(100, Math.min(5000, optimizedCount)));
     };
 
     window.addEventListener('resize', handleResize);
     handleResize(); // Initial call
 
     return () => window.removeEventListener('resize', handleResize);
-  }, [gl, initialConfig.particleCount]);
+  }, [gl, liveConfig.particleCount]);
 
   return (
     <>
@@ -100,10 +114,24 @@ export function BlackHoleSimulationR3F({ config: initialConfig = {}, isPaused =
         spawnRadius={8.0}
         eventHorizonRadius={eventHorizonRadius}
         blackHolePosition={blackHolePosition.current}
+        seed={config.seed}
+      />
+
+      {/* Relativistic Jets (jet length is in Schwarzschild radii, equal to the horizon radius here) */}
+      <JetsR3F
+        enabled={config.jetsEnabled}
+        launchRadius={eventHorizonRadius}
+        length={config.jetLength * eventHorizonRadius}
+        openingAngle={config.jetOpeningAngle}
+        lorentzFactor={config.jetLorentzFactor}
+        precessionAngle={config.jetPrecessionAngle}
+        precessionPeriod={config.jetPrecessionPeriod}
+        seed={config.seed}
       />
 
-      {/* Starfield Background */}
-      <StarfieldR3F starCount={2000} radius={100} />
+      {/* Sky Background with the Starfield as an Optional Overlay (switchable at runtime) */}
+      <SkyBackgroundR3F source={config.background} intensity={config.backgroundIntensity} />
+      {config.starfieldOverlay && <StarfieldR3F starCount={2000} radius={100} seed={config.seed} />}
 
       {/* Gravitational Lensing Effect */}
       <GravitationalLensingR3F
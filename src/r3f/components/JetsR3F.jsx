@@ -0,0 +1,71 @@
+import { useEffect, useRef } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import { RelativisticJets } from '../../components/RelativisticJets.js';
+import { DEFAULT_SEED, Random } from '../../utils/Random.js';
+
+/**
+ * JetsR3F renders Doppler-beamed bipolar jets along the spin axis using R3F.
+ * Wraps the vanilla RelativisticJets component so both implementations share
+ * the same shader and physics.
+ */
+export function JetsR3F({
+  enabled = true,
+  launchRadius = 1.0,
+  length = 20.0,
+  openingAngle = 5.0,
+  lorentzFactor = 5.0,
+  precessionAngle = 0.0,
+  precessionPeriod = 20.0,
+  seed = DEFAULT_SEED
+}) {
+  const { scene } = useThree();
+  const jetsRef = useRef(null);
+
+  // Build the jets and release their GPU resources in the same effect, so a
+  // remount always starts from a fresh instance; props are applied below
+  useEffect(() => {
+    const jets = new RelativisticJets();
+    jets.initialize();
+    scene.add(jets.points);
+    jetsRef.current = jets;
+
+    return () => {
+      scene.remove(jets.points);
+      jets.dispose();
+      jetsRef.current = null;
+    };
+  }, [scene]);
+
+  useEffect(() => {
+    jetsRef.current.setRandom(new Random(seed).stream('jets'));
+  }, [seed]);
+
+  useEffect(() => {
+    jetsRef.current.setEnabled(enabled);
+  }, [enabled]);
+
+  useEffect(() => {
+    jetsRef.current.setRadii(launchRadius, length);
+  }, [launchRadius, length]);
+
+  useEffect(() => {
+    jetsRef.current.setOpeningAngle(openingAngle);
+  }, [openingAngle]);
+
+  useEffect(() => {
+    jetsRef.current.setLorentzFactor(lorentzFactor);
+  }, [lorentzFactor]);
+
+  useEffect(() => {
+    jetsRef.current.setPrecession(precessionAngle, precessionPeriod);
+  }, [precessionAngle, precessionPeriod]);
+
+  // Update animation
+  useFrame((state, delta) => {
+    if (jetsRef.current) {
+      jetsRef.current.update(delta);
+    }
+  });
+
+  return null;
+}
@@ -1,22 +1,27 @@
 import { useRef, useMemo, useEffect } from 'react';
 import { useFrame } from '@react-three/fiber';
 import * as THREE from 'three';
+import { DEFAULT_SEED, Random } from '../../utils/Random.js';
 
 /**
  * ParticleSystemR3F manages particle physics and rendering using R3F.
  * Implements Requirements 3.1, 3.2, 3.3, 3.4, 3.5, 6.2
+ * Spawns and respawns are drawn from the seed's 'particles' stream.
  */
 export function ParticleSystemR3F({ 
   count = 1000, 
   spawnRadius = 8.0, 
   eventHorizonRadius = 1.0,
-  blackHolePosition = new THREE.Vector3(0, 0, 0)
+  blackHolePosition = new THREE.Vector3(0, 0, 0),
+  seed = DEFAULT_SEED
 }) {
   const pointsRef = useRef();
   const velocitiesRef = useRef();
+  const randomRef = useRef();
 
   // Initialize particle data
-  const { positions, velocities, colors, sizes } = useMemo(() => {
+  const { positions, velocities, colors, sizes, random } = useMemo(() => {
+    const random = new Random(seed).stream('particles');
     const positions = new Float32Array(count * 3);
     const velocities = new Float32Array(count * 3);
     const colors = new Float32Array(count * 3);
@@ -24,33 +29,34 @@ export function ParticleSystemR3F({
 
     const resetParticle = (index) => {
       const i3 = index * 3;
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.acos(2 * Math.random() - 1);
-      const radius = spawnRadius + Math.random() * 2.0;
+      const theta = random.next() * Math.PI * 2;
+      const phi = Math.acos(2 * random.next() - 1);
+      const radius = spawnRadius + random.next() * 2.0;
 
       positions[i3] = radius * Math.sin(phi) * Math.cos(theta);
       positions[i3 + 1] = radius * Math.sin(phi) * Math.sin(theta);
       positions[i3 + 2] = radius * Math.cos(phi);
 
-      velocities[i3] = (Math.random() - 0.5) * 0.1;
-      velocities[i3 + 1] = (Math.random() - 0.5) * 0.1;
-      velocities[i3 + 2] = (Math.random() - 0.5) * 0.1;
+      velocities[i3] = (random.next() - 0.5) * 0.1;
+      velocities[i3 + 1] = (random.next() - 0.5) * 0.1;
+      velocities[i3 + 2] = (random.next() - 0.5) * 0.1;
 
       colors[i3] = 0.8;
       colors[i3 + 1] = 0.6;
       colors[i3 + 2] = 0.4;
 
-      sizes[index] = 2.0 + Math.random() * 2.0;
+      sizes[index] = 2.0 + random.next() * 2.0;
     };
 
     for (let i = 0; i < count; i++) {
       resetParticle(i);
     }
 
-    return { positions, velocities, colors, sizes };
-  }, [count, spawnRadius]);
+    return { positions, velocities, colors, sizes, random };
+  }, [count, spawnRadius, seed]);
 
   velocitiesRef.current = velocities;
+  randomRef.current = random;
 
   // Shader uniforms
   const uniforms = useRef({
@@ -99,23 +105,24 @@ export function ParticleSystemR3F({
     const positions = geometry.attributes.position.array;
     const colors = geometry.attributes.color.array;
     const velocities = velocitiesRef.current;
+    const random = randomRef.current;
 
     const G = 5.0;
     const blackHoleMass = 10.0;
 
     const resetParticle = (index) => {
       const i3 = index * 3;
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.acos(2 * Math.random() - 1);
-      const radius = spawnRadius + Math.random() * 2.0;
+      const theta = random.next() * Math.PI * 2;
+      const phi = Math.acos(2 * random.next() - 1);
+      const radius = spawnRadius + random.next() * 2.0;
 
       positions[i3] = radius * Math.sin(phi) * Math.cos(theta);
       positions[i3 + 1] = radius * Math.sin(phi) * Math.sin(theta);
       positions[i3 + 2] = radius * Math.cos(phi);
 
-      velocities[i3] = (Math.random() - 0.5) * 0.1;
-      velocities[i3 + 1] = (Math.random() - 0.5) * 0.1;
-      velocities[i3 + 2] = (Math.random() - 0.5) * 0.1;
+      velocities[i3] = (random.next() - 0.5) * 0.1;
+      velocities[i3 + 1] = (random.next() - 0.5) * 0.1;
+      velocities[i3 + 2] = (random.next() - 0.5) * 0.1;
 
       colors[i3] = 0.8;
       colors[i3 + 1] = 0.6;
@@ -0,0 +1,45 @@
+import { useEffect } from 'react';
+import { useThree } from '@react-three/fiber';
+import { SkyBackground } from '../../components/SkyBackground.js';
+
+/**
+ * Set the brightness of a scene's background
+ * @param {THREE.Scene} scene - The R3F scene
+ * @param {number} intensity - Multiplier on the background's radiance
+ */
+function setBackgroundIntensity(scene, intensity) {
+  scene.backgroundIntensity = intensity;
+}
+
+/**
+ * SkyBackgroundR3F sets an HDR panorama or cubemap as the scene background
+ * using the vanilla SkyBackground loader.
+ *
+ * Note: the R3F scene has no lensing pass, so the background is drawn
+ * unlensed. Accepts the same sources as the `background` config option.
+ */
+export function SkyBackgroundR3F({ source = 'none', intensity = 1.0 }) {
+  const { scene } = useThree();
+
+  // Cubemap face lists are compared by content, not identity
+  const sourceKey = Array.isArray(source) ? source.join('\n') : source;
+
+  useEffect(() => {
+    const sky = new SkyBackground();
+    sky.onLoad((texture) => {
+      scene.background = texture;
+    });
+    sky.load(sourceKey.includes('\n') ? sourceKey.split('\n') : sourceKey);
+
+    return () => {
+      scene.background = null;
+      sky.dispose();
+    };
+  }, [scene, sourceKey]);
+
+  useEffect(() => {
+    setBackgroundIntensity(scene, intensity);
+  }, [scene, intensity]);
+
+  return null;
+}
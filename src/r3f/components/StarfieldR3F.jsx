@@ -1,13 +1,16 @@
-import { useRef, useMemo } from 'react';
+import { useRef, useMemo, useState } from 'react';
 import { useFrame } from '@react-three/fiber';
 import * as THREE from 'three';
+import { DEFAULT_SEED, Random } from '../../utils/Random.js';
 
 /**
  * StarfieldR3F creates a background of stars using R3F.
  * Implements Requirement 6.3
+ * Stars are drawn from the seed's 'starfield' stream, like the vanilla Starfield.
  */
-export function StarfieldR3F({ starCount = 2000, radius = 100 }) {
+export function StarfieldR3F({ starCount = 2000, radius = 100, seed = DEFAULT_SEED }) {
   const pointsRef = useRef();
+  const materialRef = useRef();
 
   // Generate star data
   const { positions, colors, sizes, twinklePhases } = useMemo(() => {
@@ -15,10 +18,11 @@ export function StarfieldR3F({ starCount = 2000, radius = 100 }) {
     const colors = new Float32Array(starCount * 3);
     const sizes = new Float32Array(starCount);
     const twinklePhases = new Float32Array(starCount);
+    const random = new Random(seed).stream('starfield');
 
     for (let i = 0; i < starCount; i++) {
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.acos(2 * Math.random() - 1);
+      const theta = random.next() * Math.PI * 2;
+      const phi = Math.acos(2 * random.next() - 1);
       
       const x = radius * Math.sin(phi) * Math.cos(theta);
       const y = radius * Math.sin(phi) * Math.sin(theta);
@@ -28,24 +32,24 @@ export function StarfieldR3F({ starCount = 2000, radius = 100 }) {
       positions[i * 3 + 1] = y;
       positions[i * 3 + 2] = z;
 
-      const colorVariation = 0.8 + Math.random() * 0.2;
+      const colorVariation = 0.8 + random.next() * 0.2;
       colors[i * 3] = colorVariation;
       colors[i * 3 + 1] = colorVariation;
       colors[i * 3 + 2] = 1.0;
 
-      sizes[i] = 0.5 + Math.random() * 1.5;
-      twinklePhases[i] = Math.random() * Math.PI * 2;
+      sizes[i] = 0.5 + random.next() * 1.5;
+      twinklePhases[i] = random.next() * Math.PI * 2;
     }
 
     return { positions, colors, sizes, twinklePhases };
-  }, [starCount, radius]);
+  }, [starCount, radius, seed]);
 
-  // Shader uniforms
-  const uniforms = useRef({
+  // Shader uniforms, created once; the frame loop advances them through the material
+  const [uniforms] = useState(() => ({
     time: { value: 0.0 },
     twinkleSpeed: { value: 0.5 },
     twinkleIntensity: { value: 0.3 }
-  });
+  }));
 
   // Vertex shader
   const vertexShader = `
@@ -87,8 +91,8 @@ export function StarfieldR3F({ starCount = 2000, radius = 100 }) {
 
   // Update animation
   useFrame((state, delta) => {
-    if (uniforms.current.time) {
-      uniforms.current.time.value += delta;
+    if (materialRef.current) {
+      materialRef.current.uniforms.time.value += delta;
     }
   });
 
@@ -121,7 +125,8 @@ export function StarfieldR3F({ starCount = 2000, radius = 100 }) {
         />
       </bufferGeometry>
       <shaderMaterial
-        uniforms={uniforms.current}
+        ref={materialRef}
+        uniforms={uniforms}
         vertexShader={vertexShader}
         fragmentShader={fragmentShader}
         transparent
@@ -1,4 +1,5 @@
 import { useState, useCallback } from 'react';
+import { DEFAULT_SEED, MAX_SEED } from '../../utils/Random.js';
 
 /**
  * Hook for managing simulation configuration in R3F implementation
@@ -11,6 +12,16 @@ export function useSimulationConfig(initialConfig = {}) {
     lensingIntensity: 1.0,
     cameraSensitivity: 1.0,
     bloomStrength: 1.5,
+    jetsEnabled: false,
+    jetLength: 20.0,
+    jetOpeningAngle: 5.0,
+    jetLorentzFactor: 5.0,
+    jetPrecessionAngle: 0.0,
+    jetPrecessionPeriod: 20.0,
+    background: 'none',
+    backgroundIntensity: 1.0,
+    starfieldOverlay: true,
+    seed: DEFAULT_SEED,
     ...initialConfig
   });
 
@@ -22,7 +33,14 @@ export function useSimulationConfig(initialConfig = {}) {
     diskRotationSpeed: { min: 0.1, max: 5.0 },
     lensingIntensity: { min: 0.0, max: 2.0 },
     cameraSensitivity: { min: 0.1, max: 2.0 },
-    bloomStrength: { min: 0.0, max: 3.0 }
+    bloomStrength: { min: 0.0, max: 3.0 },
+    jetLength: { min: 5.0, max: 50.0 },
+    jetOpeningAngle: { min: 1.0, max: 30.0 },
+    jetLorentzFactor: { min: 1.1, max: 20.0 },
+    jetPrecessionAngle: { min: 0.0, max: 45.0 },
+    jetPrecessionPeriod: { min: 2.0, max: 120.0 },
+    backgroundIntensity: { min: 0.0, max: 3.0 },
+    seed: { min: 0, max: MAX_SEED }
   };
 
   // Clamp value to bounds
@@ -8,5 +8,7 @@ export { BlackHoleSimulationR3F } from './BlackHoleSimulationR3F';
 export { BlackHoleCoreR3F } from './components/BlackHoleCoreR3F';
 export { AccretionDiskR3F } from './components/AccretionDiskR3F';
 export { ParticleSystemR3F } from './components/ParticleSystemR3F';
+export { JetsR3F } from './components/JetsR3F';
 export { StarfieldR3F } from './components/StarfieldR3F';
+export { SkyBackgroundR3F } from './components/SkyBackgroundR3F';
 export { GravitationalLensingR3F } from './components/GravitationalLensingR3F';
@@ -0,0 +1,528 @@
+/**
+ * Black hole physics helpers shared by the simulation components.
+ *
+ * All lengths are in scene units and use geometric units (G = c = 1) for the
+ * metric, so a mass M corresponds to a Schwarzschild radius of 2M. Spin is the
+ * dimensionless Kerr parameter a/M, with the spin axis along +Y (the disk
+ * rotates counter-clockwise when viewed from above).
+ */
+
+/**
+ * Speed of light in scene units per second
+ * Converts geometric rates (per unit length) into per-second rates.
+ */
+export const SPEED_OF_LIGHT = 10.0;
+
+/**
+ * Default black hole mass; gives the scene's historical event horizon radius of 1.0
+ */
+export const DEFAULT_MASS = 0.5;
+
+/**
+ * Maximum spin (Thorne limit for black holes spun up by accretion)
+ */
+export const MAX_SPIN = 0.998;
+
+/**
+ * Number of samples in the shadow profile handed to the lensing shaders
+ */
+export const SHADOW_PROFILE_SAMPLES = 64;
+
+// Radius of the Schwarzschild shadow in units of M
+const SCHWARZSCHILD_SHADOW_RADIUS = Math.sqrt(27);
+
+// Photon orbit radii sampled when building the shadow outline
+const SHADOW_OUTLINE_SAMPLES = 512;
+
+// Closest inclination to the spin axis used for the shadow outline; the
+// parametrisation degenerates for an observer exactly on the axis
+const MIN_SHADOW_INCLINATION = 0.05;
+
+// Photon orbit integration: PHOTON_ORBIT_STEP * PHOTON_ORBIT_MAX_STEPS covers
+// more than two turns, enough for the primary and secondary images
+const PHOTON_ORBIT_STEP = 0.03;
+const PHOTON_ORBIT_MAX_STEPS = 256;
+
+/**
+ * Clamp spin to the supported range
+ * @param {number} spin - Dimensionless spin parameter
+ * @returns {number} Spin in [0, MAX_SPIN]
+ */
+function clampSpin(spin) {
+  return Math.max(0, Math.min(MAX_SPIN, spin));
+}
+
+/**
+ * Outer event horizon radius r+ = M(1 + √(1 − a²))
+ * @param {number} mass - Black hole mass
+ * @param {number} spin - Dimensionless spin parameter
+ * @returns {number} Horizon radius
+ */
+export function horizonRadius(mass, spin = 0) {
+  const a = clampSpin(spin);
+  return mass * (1 + Math.sqrt(1 - a * a));
+}
+
+/**
+ * Radius of the innermost stable circular orbit (Bardeen, Press & Teukolsky 1972)
+ * @param {number} mass - Black hole mass
+ * @param {number} spin - Dimensionless spin parameter
+ * @param {boolean} prograde - Orbit co-rotating with the hole (default: true)
+ * @returns {number} ISCO radius
+ */
+export function iscoRadius(mass, spin = 0, prograde = true) {
+  const a = clampSpin(spin);
+  const z1 = 1 + Math.cbrt(1 - a * a) * (Math.cbrt(1 + a) + Math.cbrt(1 - a));
+  const z2 = Math.sqrt(3 * a * a + z1 * z1);
+  const offset = Math.sqrt((3 - z1) * (3 + z1 + 2 * z2));
+  return mass * (3 + z2 + (prograde ? -offset : offset));
+}
+
+/**
+ * Radius of the equatorial circular photon orbit
+ * @param {number} mass - Black hole mass
+ * @param {number} spin - Dimensionless spin parameter
+ * @param {boolean} prograde - Orbit co-rotating with the hole (default: true)
+ * @returns {number} Photon orbit radius
+ */
+export function photonOrbitRadius(mass, spin = 0, prograde = true) {
+  const a = clampSpin(spin);
+  const angle = Math.acos(prograde ? -a : a);
+  return 2 * mass * (1 + Math.cos((2 / 3) * angle));
+}
+
+/**
+ * Derive the characteristic radii of a black hole from its mass and spin
+ * Without spin these are rs = 2M, photon sphere 1.5 rs and ISCO 3 rs; with
+ * spin the horizon, photon orbit and ISCO are the prograde Kerr values.
+ * @param {number} mass - Black hole mass
+ * @param {number} spin - Dimensionless spin parameter
+ * @returns {BlackHoleProperties} Derived radii
+ */
+export function deriveBlackHoleProperties(mass, spin = 0) {
+  return {
+    mass,
+    spin: clampSpin(spin),
+    schwarzschildRadius: 2 * mass,
+    horizonRadius: horizonRadius(mass, spin),
+    photonSphereRadius: photonOrbitRadius(mass, spin),
+    iscoRadius: iscoRadius(mass, spin)
+  };
+}
+
+/**
+ * Angular velocity of the local inertial frames (frame dragging)
+ * ω = 2Mar / ((r² + a²)² − a²Δ sin²θ), converted to radians per second.
+ * @param {number} mass - Black hole mass
+ * @param {number} spin - Dimensionless spin parameter
+ * @param {number} r - Distance from the black hole
+ * @param {number} sinTheta - Sine of the angle between position and spin axis
+ * @returns {number} Angular velocity around the spin axis in rad/s
+ */
+export function frameDraggingAngularVelocity(mass, spin, r, sinTheta = 1) {
+  const a = clampSpin(spin) * mass;
+  if (a === 0 || r <= 0) {
+    return 0;
+  }
+
+  const r2a2 = r * r + a * a;
+  const delta = r * r - 2 * mass * r + a * a;
+  const denominator = r2a2 * r2a2 - a * a * delta * sinTheta * sinTheta;
+  return (2 * mass * a * r / denominator) * SPEED_OF_LIGHT;
+}
+
+/**
+ * Tidal radius inside which a star is torn apart, rt = R* (M / m*)^1/3
+ * @param {number} stellarRadius - Radius of the star
+ * @param {number} mass - Black hole mass
+ * @param {number} stellarMass - Mass of the star (same units as mass)
+ * @returns {number} Tidal radius
+ */
+export function tidalRadius(stellarRadius, mass, stellarMass) {
+  return stellarRadius * Math.cbrt(mass / stellarMass);
+}
+
+/**
+ * Tidal acceleration per unit length across a body falling freely at distance r
+ * For the potential Φ = −GM/(r − rp) the body is stretched along the radial
+ * direction by 2GM/(r − rp)³ and squeezed transversely by GM/(r (r − rp)²);
+ * rp = 0 gives the Newtonian 2GM/r³ and GM/r³.
+ * @param {number} mass - Black hole mass
+ * @param {number} r - Distance from the black hole (greater than pseudoRadius)
+ * @param {number} pseudoRadius - Paczyński–Wiita radius rp, or 0 for Newtonian gravity
+ * @returns {{radial: number, transverse: number}} Stretching and squeezing in s⁻²
+ */
+export function tidalGradient(mass, r, pseudoRadius = 0) {
+  const gm = mass * SPEED_OF_LIGHT * SPEED_OF_LIGHT;
+  const d = r - pseudoRadius;
+  return {
+    radial: 2 * gm / (d * d * d),
+    transverse: gm / (r * d * d)
+  };
+}
+
+/**
+ * Rate at which a moving clock ticks relative to coordinate time outside a
+ * Schwarzschild black hole,
+ * dτ/dt = √((1 − rs/r) − (v_r²/(1 − rs/r) + v_t²)/c²)
+ * @param {number} mass - Black hole mass
+ * @param {number} r - Distance from the black hole
+ * @param {number} radialSpeed - Radial velocity in scene units per second
+ * @param {number} tangentialSpeed - Tangential speed in scene units per second
+ * @returns {number} dτ/dt between 0 (at the horizon or at light speed) and 1
+ */
+export function properTimeRate(mass, r, radialSpeed = 0, tangentialSpeed = 0) {
+  const lapse = 1 - (2 * mass) / r;
+  if (lapse <= 0) {
+    return 0;
+  }
+  const c2 = SPEED_OF_LIGHT * SPEED_OF_LIGHT;
+  const rate = lapse - (radialSpeed * radialSpeed / lapse + tangentialSpeed * tangentialSpeed) / c2;
+  return rate > 0 ? Math.sqrt(rate) : 0;
+}
+
+/**
+ * Radius rp of the Paczyński–Wiita potential Φ = −M/(r − rp)
+ * Circular orbits in this potential are stable only outside r = 3rp, so
+ * rp = r_isco/3 places the pseudo-Newtonian ISCO on the Kerr one; without
+ * spin this is the original choice rp = rs.
+ * @param {number} mass - Black hole mass
+ * @param {number} spin - Dimensionless spin parameter
+ * @returns {number} Pseudo-Newtonian radius
+ */
+export function pseudoNewtonianRadius(mass, spin = 0) {
+  return iscoRadius(mass, spin) / 3;
+}
+
+/**
+ * Keplerian angular velocity of a circular binary, ω = √(M / a³) (G = c = 1),
+ * converted to radians per second
+ * @param {number} totalMass - Combined mass of both black holes
+ * @param {number} separation - Distance between the black holes
+ * @returns {number} Orbital angular velocity in rad/s
+ */
+export function binaryOrbitalFrequency(totalMass, separation) {
+  return Math.sqrt(totalMass / (separation * separation * separation)) * SPEED_OF_LIGHT;
+}
+
+/**
+ * Rate at which gravitational-wave emission shrinks a circular binary
+ * (Peters 1964): da/dt = −(64/5) m₁m₂(m₁ + m₂) / a³, converted to scene units
+ * per second
+ * @param {number} primaryMass - Mass of the first black hole
+ * @param {number} secondaryMass - Mass of the second black hole
+ * @param {number} separation - Distance between the black holes
+ * @returns {number} Change in separation per second (negative)
+ */
+export function inspiralRate(primaryMass, secondaryMass, separation) {
+  const totalMass = primaryMass + secondaryMass;
+  return -(64 / 5) * primaryMass * secondaryMass * totalMass /
+    (separation * separation * separation) * SPEED_OF_LIGHT;
+}
+
+/**
+ * Gravitational-wave strain amplitude of a circular binary times the distance
+ * to the observer, r·h = 4 m₁m₂ / a (G = c = 1, observer on the orbital axis)
+ * @param {number} primaryMass - Mass of the first black hole
+ * @param {number} secondaryMass - Mass of the second black hole
+ * @param {number} separation - Distance between the black holes
+ * @returns {number} Distance-scaled strain amplitude in scene units
+ */
+export function strainAmplitude(primaryMass, secondaryMass, separation) {
+  return 4 * primaryMass * secondaryMass / separation;
+}
+
+/**
+ * Fundamental l = m = 2 quasinormal mode that a black hole rings down with,
+ * from the fits of Berti, Cardoso & Will (2006):
+ * Mω = 1.5251 − 1.1568 (1 − a)^0.1292 and Q = 0.7 + 1.4187 (1 − a)^−0.4990
+ * @param {number} mass - Black hole mass
+ * @param {number} spin - Dimensionless spin parameter
+ * @returns {{angularFrequency: number, dampingTime: number}} Wave angular frequency in rad/s and amplitude e-folding time in seconds
+ */
+export function quasinormalMode(mass, spin = 0) {
+  const a = clampSpin(spin);
+  const frequency = (1.5251 - 1.1568 * Math.pow(1 - a, 0.1292)) / mass;
+  const quality = 0.7 + 1.4187 * Math.pow(1 - a, -0.4990);
+
+  return {
+    angularFrequency: frequency * SPEED_OF_LIGHT,
+    dampingTime: 2 * quality / frequency / SPEED_OF_LIGHT
+  };
+}
+
+/**
+ * Mass and spin of the black hole left by merging two non-spinning holes
+ *
+ * With the symmetric mass ratio η = m₁m₂/M², the spin follows the
+ * numerical-relativity fit of Rezzolla et al. (2008),
+ * a = 2√3 η − 3.871 η² + 4.028 η³. The radiated energy is the binding energy
+ * of the test-particle ISCO, (1 − √(8/9)) η M, plus a quadratic term fitted
+ * so that an equal-mass merger radiates 4.8% of its mass.
+ * @param {number} primaryMass - Mass of the first black hole
+ * @param {number} secondaryMass - Mass of the second black hole
+ * @returns {{mass: number, spin: number}} Remnant mass and dimensionless spin
+ */
+export function mergerRemnant(primaryMass, secondaryMass) {
+  const totalMass = primaryMass + secondaryMass;
+  const eta = primaryMass * secondaryMass / (totalMass * totalMass);
+
+  const radiated = (1 - Math.sqrt(8 / 9)) * eta + 0.54 * eta * eta;
+  const spin = 2 * Math.sqrt(3) * eta - 3.871 * eta * eta + 4.028 * eta * eta * eta;
+
+  return {
+    mass: totalMass * (1 - radiated),
+    spin: clampSpin(spin)
+  };
+}
+
+/**
+ * Compute the outline of the black hole shadow as seen by a distant observer
+ *
+ * Uses Bardeen's critical impact parameters of the spherical photon orbits.
+ * The outline is returned as its radius (in units of M) at evenly spaced
+ * angles ψ = 2πk/samples on the observer's sky, where ψ = 0 points along
+ * spinAxis × lineOfSight and ψ = π/2 along the projected spin axis. A
+ * non-rotating hole yields a circle of radius √27; a spinning one is
+ * flattened on the side whose photons co-rotate with the hole.
+ * @param {number} spin - Dimensionless spin parameter
+ * @param {number} inclination - Angle between spin axis and line of sight (radians)
+ * @param {Float32Array} target - Optional array to write into
+ * @returns {Float32Array} Shadow radius per sky angle, in units of M
+ */
+export function shadowProfile(spin, inclination = Math.PI / 2, target = null) {
+  const profile = target || new Float32Array(SHADOW_PROFILE_SAMPLES);
+  const a = clampSpin(spin);
+
+  if (a < 1e-4) {
+    profile.fill(SCHWARZSCHILD_SHADOW_RADIUS);
+    return profile;
+  }
+
+  // The outline is symmetric about the equatorial plane
+  const theta = Math.max(
+    MIN_SHADOW_INCLINATION,
+    Math.min(Math.PI - MIN_SHADOW_INCLINATION, inclination)
+  );
+  const sinTheta = Math.sin(theta);
+  const cosTheta = Math.cos(theta);
+  const cotTheta = cosTheta / sinTheta;
+
+  // Walk the spherical photon orbits from prograde to retrograde radius
+  const rMin = photonOrbitRadius(1, a, true);
+  const rMax = photonOrbitRadius(1, a, false);
+  const upper = [];
+  for (let i = 0; i <= SHADOW_OUTLINE_SAMPLES; i++) {
+    const r = rMin + (rMax - rMin) * (i / SHADOW_OUTLINE_SAMPLES);
+    const xi = (r * r * (3 - r) - a * a * (r + 1)) / (a * (r - 1));
+    const eta = (r * r * r * (4 * a * a - r * (r - 3) * (r - 3))) / (a * a * (r - 1) * (r - 1));
+    const betaSquared = eta + a * a * cosTheta * cosTheta - xi * xi * cotTheta * cotTheta;
+
+    if (betaSquared >= 0) {
+      upper.push([-xi / sinTheta, Math.sqrt(betaSquared)]);
+    }
+  }
+
+  if (upper.length < 2) {
+    profile.fill(SCHWARZSCHILD_SHADOW_RADIUS);
+    return profile;
+  }
+
+  // Close the outline with the mirrored lower half
+  const outline = upper.concat(upper.map(([x, y]) => [x, -y]).reverse());
+
+  // Cast a ray from the origin at each sky angle and keep the farthest hit
+  for (let k = 0; k < profile.length; k++) {
+    const psi = (2 * Math.PI * k) / profile.length;
+    const dx = Math.cos(psi);
+    const dy = Math.sin(psi);
+    let radius = 0;
+
+    for (let i = 0; i < outline.length; i++) {
+      const [px, py] = outline[i];
+      const [qx, qy] = outline[(i + 1) % outline.length];
+      const ex = qx - px;
+      const ey = qy - py;
+      const denominator = dx * ey - dy * ex;
+      if (Math.abs(denominator) < 1e-12) {
+        continue;
+      }
+
+      const t = (px * ey - py * ex) / denominator;
+      const s = (px * dy - py * dx) / denominator;
+      if (t > radius && s >= 0 && s <= 1) {
+        radius = t;
+      }
+    }
+
+    profile[k] = radius > 0 ? radius : SCHWARZSCHILD_SHADOW_RADIUS;
+  }
+
+  return profile;
+}
+
+/**
+ * Angle a photon sweeps around a non-rotating hole before escaping
+ * Integrates the orbit equation d²u/dφ² = 3Mu² − u (u = 1/r) with RK4 in φ
+ * and interpolates where u reaches zero. Photons that reach the horizon, or
+ * are still circling near the photon sphere after two turns, are captured.
+ * @param {number} mass - Black hole mass
+ * @param {number} u - Starting inverse radius
+ * @param {number} du - Starting du/dφ, negative while moving outward
+ * @returns {number} Swept angle in radians, or -1 if the photon is captured
+ */
+export function photonOrbitAngle(mass, u, du) {
+  const h = PHOTON_ORBIT_STEP;
+  const uHorizon = 1 / (2 * mass);
+  const acceleration = (x) => 3 * mass * x * x - x;
+  let phi = 0;
+
+  for (let i = 0; i < PHOTON_ORBIT_MAX_STEPS; i++) {
+    const k1u = du;
+    const k1v = acceleration(u);
+    const k2u = du + 0.5 * h * k1v;
+    const k2v = acceleration(u + 0.5 * h * k1u);
+    const k3u = du + 0.5 * h * k2v;
+    const k3v = acceleration(u + 0.5 * h * k2u);
+    const k4u = du + h * k3v;
+    const k4v = acceleration(u + h * k3u);
+    const nextU = u + h / 6 * (k1u + 2 * k2u + 2 * k3u + k4u);
+    const nextDu = du + h / 6 * (k1v + 2 * k2v + 2 * k3v + k4v);
+
+    if (nextU <= 0) {
+      return phi + h * u / Math.max(u - nextU, 1e-6);
+    }
+    if (nextU >= uHorizon) {
+      return -1;
+    }
+
+    u = nextU;
+    du = nextDu;
+    phi += h;
+  }
+
+  return -1;
+}
+
+/**
+ * GLSL counterpart of photonOrbitAngle()
+ */
+export const PHOTON_ORBIT_GLSL = `
+      /**
+       * Right-hand side of the photon orbit equation as a first-order system
+       * @param state (u, du/dφ)
+       * @param mass Black hole mass in geometric units
+       * @return (du/dφ, d²u/dφ²)
+       */
+      vec2 photonOrbitDerivative(vec2 state, float mass) {
+        return vec2(state.y, 3.0 * mass * state.x * state.x - state.x);
+      }
+
+      /**
+       * Angle a photon sweeps around a non-rotating hole before escaping
+       * @param mass Black hole mass in geometric units (horizon at 2M)
+       * @param state Starting (u, du/dφ)
+       * @return Swept angle, or -1 if the photon is captured
+       */
+      float photonOrbitAngle(float mass, vec2 state) {
+        const float h = ${PHOTON_ORBIT_STEP.toFixed(2)};
+        float uHorizon = 1.0 / (2.0 * mass);
+        float phi = 0.0;
+
+        for (int i = 0; i < ${PHOTON_ORBIT_MAX_STEPS}; i++) {
+          vec2 k1 = photonOrbitDerivative(state, mass);
+          vec2 k2 = photonOrbitDerivative(state + 0.5 * h * k1, mass);
+          vec2 k3 = photonOrbitDerivative(state + 0.5 * h * k2, mass);
+          vec2 k4 = photonOrbitDerivative(state + h * k3, mass);
+          vec2 next = state + h / 6.0 * (k1 + 2.0 * k2 + 2.0 * k3 + k4);
+
+          if (next.x <= 0.0) {
+            return phi + h * state.x / max(state.x - next.x, 1e-6);
+          }
+          if (next.x >= uHorizon) {
+            return -1.0;
+          }
+
+          state = next;
+          phi += h;
+        }
+
+        return -1.0;
+      }
+`;
+
+/**
+ * Ratio of observed to emitted photon energy for light from the accretion disk
+ * The gas orbits counter-clockwise around +Y at the Keplerian speed √(M/r), so
+ * the approaching side is blueshifted and the receding side redshifted; light
+ * climbing out of the potential well is redshifted by √(1 − 2M/r) on top.
+ * Observed intensity scales as the fourth power of the shift.
+ * @param {number} mass - Black hole mass
+ * @param {{x: number, y: number, z: number}} position - Gas position relative to the hole
+ * @param {{x: number, y: number, z: number}} direction - Normalized direction from the observer to the gas
+ * @param {boolean} dopplerBeaming - Apply the Doppler shift of the orbital motion (default: true)
+ * @param {boolean} gravitationalRedshift - Apply the gravitational redshift (default: true)
+ * @returns {number} Frequency shift g = ν_observed / ν_emitted
+ */
+export function diskFrequencyShift(mass, position, direction, dopplerBeaming = true, gravitationalRedshift = true) {
+  let shift = 1;
+
+  if (dopplerBeaming) {
+    const radius = Math.hypot(position.x, position.z);
+    const beta = Math.sqrt(mass / Math.max(radius, mass * 2));
+    const gamma = 1 / Math.sqrt(1 - beta * beta);
+    // Speed of the gas towards the observer, along -direction
+    const approach = (direction.z * position.x - direction.x * position.z) / radius;
+    shift /= gamma * (1 - beta * approach);
+  }
+
+  if (gravitationalRedshift) {
+    const r = Math.hypot(position.x, position.y, position.z);
+    shift *= Math.sqrt(Math.max(1 - 2 * mass / r, 0));
+  }
+
+  return shift;
+}
+
+/**
+ * GLSL counterpart of diskFrequencyShift()
+ */
+export const DISK_FREQUENCY_SHIFT_GLSL = `
+      /**
+       * Observed over emitted frequency for disk gas at p seen along dir
+       * @param mass Black hole mass in geometric units
+       * @param p Gas position relative to the hole
+       * @param dir Normalized direction from the observer to the gas
+       * @param beaming Apply the Doppler shift of the orbital motion
+       * @param redshift Apply the gravitational redshift
+       */
+      float diskFrequencyShift(float mass, vec3 p, vec3 dir, bool beaming, bool redshift) {
+        float shift = 1.0;
+
+        if (beaming) {
+          // Keplerian orbital speed in units of c: beta = sqrt(M / r),
+          // moving counter-clockwise around +Y
+          float beta = sqrt(mass / max(length(p.xz), mass * 2.0));
+          float gamma = 1.0 / sqrt(1.0 - beta * beta);
+          vec3 orbitDirection = normalize(vec3(p.z, 0.0, -p.x));
+          shift *= 1.0 / (gamma * (1.0 - beta * dot(orbitDirection, -dir)));
+        }
+
+        if (redshift) {
+          // Light climbing out of the potential well: sqrt(1 - rs / r)
+          shift *= sqrt(max(1.0 - 2.0 * mass / length(p), 0.0));
+        }
+
+        return shift;
+      }
+`;
+
+/**
+ * @typedef {Object} BlackHoleProperties
+ * @property {number} mass - Black hole mass (half the Schwarzschild radius)
+ * @property {number} spin - Dimensionless spin parameter a/M
+ * @property {number} schwarzschildRadius - Schwarzschild radius 2M
+ * @property {number} horizonRadius - Outer event horizon radius
+ * @property {number} photonSphereRadius - Prograde circular photon orbit radius
+ * @property {number} iscoRadius - Prograde innermost stable circular orbit radius
+ */
@@ -0,0 +1,244 @@
+import * as THREE from 'three';
+
+/**
+ * Blackbody colour and thin-disk temperature helpers
+ *
+ * Colours are computed by integrating Planck's law against the CIE 1931
+ * colour matching functions and converting XYZ to linear sRGB. The result is
+ * normalised to a maximum channel of 1, so it carries hue only; brightness is
+ * left to the caller. The same lookup table backs both the JavaScript
+ * blackbodyColor() function and the texture used by shaders.
+ */
+
+/**
+ * Lowest temperature covered by the lookup table, in kelvin
+ */
+export const MIN_TEMPERATURE = 1000;
+
+/**
+ * Highest temperature covered by the lookup table, in kelvin
+ */
+export const MAX_TEMPERATURE = 1e7;
+
+/**
+ * Radius of peak temperature in a Shakura–Sunyaev disk, relative to the inner radius
+ */
+export const DISK_PEAK_RADIUS_FACTOR = 49 / 36;
+
+// Number of temperatures in the lookup table (log spaced)
+const TABLE_SIZE = 256;
+
+// Second radiation constant hc/k in metre-kelvin
+const SECOND_RADIATION_CONSTANT = 1.4388e-2;
+
+// Visible range integrated for the table, in nanometres
+const WAVELENGTH_MIN = 380;
+const WAVELENGTH_MAX = 780;
+const WAVELENGTH_STEP = 5;
+
+// Normalised temperature profile value at the peak radius
+const DISK_PROFILE_PEAK = diskProfile(DISK_PEAK_RADIUS_FACTOR);
+
+let lookupTable = null;
+
+/**
+ * Piecewise Gaussian used by the CIE matching function fit
+ * @param {number} x - Wavelength in nanometres
+ * @param {number} mean - Lobe centre
+ * @param {number} sigmaLow - Width below the centre
+ * @param {number} sigmaHigh - Width above the centre
+ * @returns {number} Lobe value
+ */
+function lobe(x, mean, sigmaLow, sigmaHigh) {
+  const t = (x - mean) / (x < mean ? sigmaLow : sigmaHigh);
+  return Math.exp(-0.5 * t * t);
+}
+
+/**
+ * CIE 1931 2° colour matching functions (Wyman, Sloan & Shirley 2013 fit)
+ * @param {number} wavelength - Wavelength in nanometres
+ * @returns {number[]} [x̄, ȳ, z̄]
+ */
+function colorMatching(wavelength) {
+  return [
+    1.056 * lobe(wavelength, 599.8, 37.9, 31.0) +
+      0.362 * lobe(wavelength, 442.0, 16.0, 26.7) -
+      0.065 * lobe(wavelength, 501.1, 20.4, 26.2),
+    0.821 * lobe(wavelength, 568.8, 46.9, 40.5) +
+      0.286 * lobe(wavelength, 530.9, 16.3, 31.1),
+    1.217 * lobe(wavelength, 437.0, 11.8, 36.0) +
+      0.681 * lobe(wavelength, 459.0, 26.0, 13.8)
+  ];
+}
+
+/**
+ * Unnormalised Shakura–Sunyaev profile r^-3/4 (1 − √(1/r))^1/4, r in inner radii
+ * @param {number} x - Radius in units of the inner radius
+ * @returns {number} Profile value
+ */
+function diskProfile(x) {
+  if (x <= 1) {
+    return 0;
+  }
+  return Math.pow(x, -0.75) * Math.pow(1 - Math.sqrt(1 / x), 0.25);
+}
+
+/**
+ * Map a temperature onto the [0, 1] lookup coordinate (log scale)
+ * @param {number} temperature - Temperature in kelvin
+ * @returns {number} Lookup coordinate
+ */
+function temperatureToCoordinate(temperature) {
+  const t = Math.log(Math.max(temperature, MIN_TEMPERATURE) / MIN_TEMPERATURE) /
+    Math.log(MAX_TEMPERATURE / MIN_TEMPERATURE);
+  return Math.min(1, t);
+}
+
+/**
+ * Integrate the colour of a blackbody
+ * @param {number} temperature - Temperature in kelvin
+ * @returns {number[]} Linear sRGB colour with a maximum channel of 1
+ */
+function integrateBlackbody(temperature) {
+  let x = 0;
+  let y = 0;
+  let z = 0;
+
+  for (let wavelength = WAVELENGTH_MIN; wavelength <= WAVELENGTH_MAX; wavelength += WAVELENGTH_STEP) {
+    const meters = wavelength * 1e-9;
+    const radiance = 1 / (Math.pow(meters, 5) * (Math.exp(SECOND_RADIATION_CONSTANT / (meters * temperature)) - 1));
+    const [xBar, yBar, zBar] = colorMatching(wavelength);
+    x += radiance * xBar;
+    y += radiance * yBar;
+    z += radiance * zBar;
+  }
+
+  // XYZ to linear sRGB (D65)
+  const r = Math.max(0, 3.2406 * x - 1.5372 * y - 0.4986 * z);
+  const g = Math.max(0, -0.9689 * x + 1.8758 * y + 0.0415 * z);
+  const b = Math.max(0, 0.0557 * x - 0.2040 * y + 1.0570 * z);
+  const max = Math.max(r, g, b) || 1;
+
+  return [r / max, g / max, b / max];
+}
+
+/**
+ * Get the blackbody lookup table, building it on first use
+ * @returns {Float32Array} RGB triplets for log-spaced temperatures
+ */
+function getLookupTable() {
+  if (!lookupTable) {
+    lookupTable = new Float32Array(TABLE_SIZE * 3);
+    for (let i = 0; i < TABLE_SIZE; i++) {
+      const temperature = MIN_TEMPERATURE * Math.pow(MAX_TEMPERATURE / MIN_TEMPERATURE, i / (TABLE_SIZE - 1));
+      lookupTable.set(integrateBlackbody(temperature), i * 3);
+    }
+  }
+  return lookupTable;
+}
+
+/**
+ * Colour of a blackbody at the given temperature, written into r, g and b
+ * Needs no three.js, e.g. for the particle worker. Temperatures outside the
+ * table are clamped to its range.
+ * @param {number} temperature - Temperature in kelvin
+ * @param {{r: number, g: number, b: number}} target - Object to write into, e.g. a THREE.Color
+ * @returns {{r: number, g: number, b: number}} The target, as linear sRGB with a maximum channel of 1
+ */
+export function blackbodyRGB(temperature, target) {
+  const table = getLookupTable();
+  const position = temperatureToCoordinate(temperature) * (TABLE_SIZE - 1);
+  const index = Math.min(Math.floor(position), TABLE_SIZE - 2);
+  const t = position - index;
+  const i0 = index * 3;
+  const i1 = i0 + 3;
+
+  target.r = table[i0] + (table[i1] - table[i0]) * t;
+  target.g = table[i0 + 1] + (table[i1 + 1] - table[i0 + 1]) * t;
+  target.b = table[i0 + 2] + (table[i1 + 2] - table[i0 + 2]) * t;
+  return target;
+}
+
+/**
+ * Colour of a blackbody at the given temperature
+ * Temperatures outside the table are clamped to its range.
+ * @param {number} temperature - Temperature in kelvin
+ * @param {THREE.Color} target - Optional colour to write into
+ * @returns {THREE.Color} Linear sRGB colour with a maximum channel of 1
+ */
+export function blackbodyColor(temperature, target = new THREE.Color()) {
+  return blackbodyRGB(temperature, target);
+}
+
+/**
+ * Temperature of a thin (Shakura–Sunyaev) accretion disk
+ * T(r) ∝ r^-3/4 (1 − √(r_in/r))^1/4, scaled so the maximum equals peakTemperature.
+ * @param {number} radius - Distance from the black hole
+ * @param {number} innerRadius - Inner disk radius (ISCO)
+ * @param {number} peakTemperature - Maximum disk temperature in kelvin
+ * @returns {number} Temperature in kelvin (0 inside the inner radius)
+ */
+export function diskTemperature(radius, innerRadius, peakTemperature) {
+  return peakTemperature * diskProfile(radius / innerRadius) / DISK_PROFILE_PEAK;
+}
+
+/**
+ * Create a 1D texture of blackbody colours for shaders
+ * Sample it with BLACKBODY_GLSL's blackbody() function.
+ * @returns {THREE.DataTexture} RGBA texture, log-spaced from MIN_TEMPERATURE to MAX_TEMPERATURE
+ */
+export function createBlackbodyTexture() {
+  const table = getLookupTable();
+  const data = new Uint8Array(TABLE_SIZE * 4);
+
+  for (let i = 0; i < TABLE_SIZE; i++) {
+    data[i * 4] = Math.round(table[i * 3] * 255);
+    data[i * 4 + 1] = Math.round(table[i * 3 + 1] * 255);
+    data[i * 4 + 2] = Math.round(table[i * 3 + 2] * 255);
+    data[i * 4 + 3] = 255;
+  }
+
+  const texture = new THREE.DataTexture(data, TABLE_SIZE, 1, THREE.RGBAFormat);
+  texture.magFilter = THREE.LinearFilter;
+  texture.minFilter = THREE.LinearFilter;
+  texture.wrapS = THREE.ClampToEdgeWrapping;
+  texture.wrapT = THREE.ClampToEdgeWrapping;
+  texture.needsUpdate = true;
+  return texture;
+}
+
+/**
+ * GLSL counterparts of blackbodyColor() and diskTemperature()
+ * Requires a `blackbodyTexture` sampler created by createBlackbodyTexture().
+ */
+export const BLACKBODY_GLSL = `
+      uniform sampler2D blackbodyTexture;
+
+      /**
+       * Colour of a blackbody (linear sRGB, maximum channel 1)
+       * @param temperature Temperature in kelvin
+       */
+      vec3 blackbody(float temperature) {
+        float t = log(max(temperature, ${MIN_TEMPERATURE.toFixed(1)}) / ${MIN_TEMPERATURE.toFixed(1)}) /
+          log(${(MAX_TEMPERATURE / MIN_TEMPERATURE).toFixed(1)});
+
+        // Sample texel centres so the ends of the table are not blended
+        float u = (clamp(t, 0.0, 1.0) * ${TABLE_SIZE - 1}.0 + 0.5) / ${TABLE_SIZE}.0;
+        return texture2D(blackbodyTexture, vec2(u, 0.5)).rgb;
+      }
+
+      /**
+       * Shakura–Sunyaev disk temperature, normalised to peakTemperature
+       * @param radius Distance from the black hole
+       * @param innerRadius Inner disk radius
+       * @param peakTemperature Maximum disk temperature in kelvin
+       */
+      float diskTemperature(float radius, float innerRadius, float peakTemperature) {
+        float x = radius / innerRadius;
+        if (x <= 1.0) {
+          return 0.0;
+        }
+        float profile = pow(x, -0.75) * pow(1.0 - sqrt(1.0 / x), 0.25);
+        return peakTemperature * profile / ${DISK_PROFILE_PEAK.toFixed(6)};
+      }
+`;
@@ -0,0 +1,89 @@
+/**
+ * Seed used when none is configured
+ */
+export const DEFAULT_SEED = 1;
+
+/**
+ * Largest seed; seeds are unsigned 32-bit integers
+ */
+export const MAX_SEED = 0xffffffff;
+
+/**
+ * Hash a stream name together with a seed (32-bit FNV-1a)
+ * @param {string} name - Stream name
+ * @param {number} seed - Seed of the parent generator
+ * @returns {number} Unsigned 32-bit seed for the stream
+ */
+function hashStream(name, seed) {
+  let hash = (0x811c9dc5 ^ seed) >>> 0;
+  for (let i = 0; i < name.length; i++) {
+    hash ^= name.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Random is a small seedable pseudo-random number generator (mulberry32)
+ * that stands in for Math.random, so a run can be reproduced from its seed.
+ *
+ * Components draw from their own named streams (see stream()), so the stars
+ * do not change when, say, the particle count does. The same seed gives the
+ * same sequence on every run; together with a fixed timestep the particle
+ * states are bit-identical.
+ */
+export class Random {
+  /**
+   * @param {number} seed - Unsigned 32-bit seed (other numbers are truncated)
+   */
+  constructor(seed = DEFAULT_SEED) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Next number in the sequence, a drop-in replacement for Math.random()
+   * @returns {number} Uniformly distributed number in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Create an independent generator for a named stream
+   * The stream depends only on this generator's seed and the name, not on
+   * how many numbers have been drawn.
+   * @param {string} name - Stream name, e.g. 'particles'
+   * @returns {Random} A generator seeded for the stream
+   */
+  stream(name) {
+    return new Random(hashStream(name, this.seed));
+  }
+
+  /**
+   * Restart the sequence from the seed
+   */
+  reset() {
+    this.state = this.seed;
+  }
+
+  /**
+   * Get the position in the sequence, e.g. to hand it to another thread
+   * @returns {number} Internal state
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Continue the sequence from a state returned by getState()
+   * @param {number} state - Internal state
+   */
+  setState(state) {
+    this.state = state >>> 0;
+  }
+}
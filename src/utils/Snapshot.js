@@ -0,0 +1,231 @@
+import {
+  PARTICLE_STATE_STRIDE,
+  packParticleState,
+  unpackParticleState
+} from '../workers/particleWorker.js';
+
+/**
+ * Value of the format field that marks a simulation snapshot
+ */
+export const SNAPSHOT_FORMAT = 'black-hole-snapshot';
+
+/**
+ * Version of the snapshot layout written by getSnapshot; bumped whenever the
+ * layout changes, so older files can be recognised
+ */
+export const SNAPSHOT_VERSION = 1;
+
+// Bytes turned into characters per String.fromCharCode call while encoding;
+// keeps the argument list well below engine limits
+const ENCODE_CHUNK = 0x8000;
+
+/**
+ * Encode floats as base64 of their little-endian bytes
+ * The bytes are written explicitly, so snapshots read back bit for bit on
+ * any machine.
+ * @param {Float32Array} array - Floats to encode
+ * @returns {string} Base64 text
+ */
+export function encodeFloat32Array(array) {
+  const bytes = new Uint8Array(array.length * 4);
+  const view = new DataView(bytes.buffer);
+  for (let i = 0; i < array.length; i++) {
+    view.setFloat32(i * 4, array[i], true);
+  }
+
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += ENCODE_CHUNK) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + ENCODE_CHUNK));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode floats written by encodeFloat32Array
+ * @param {string} text - Base64 text
+ * @param {number} length - Expected number of floats
+ * @returns {Float32Array} The decoded floats
+ * @throws {Error} If the text is not base64 or holds a different number of floats
+ */
+export function decodeFloat32Array(text, length) {
+  let binary;
+  try {
+    binary = atob(text);
+  } catch (error) {
+    throw new Error(`Snapshot buffer is not valid base64: ${error.message}`);
+  }
+  if (binary.length !== length * 4) {
+    throw new Error(`Snapshot buffer holds ${binary.length / 4} floats, expected ${length}`);
+  }
+
+  const view = new DataView(new ArrayBuffer(binary.length));
+  for (let i = 0; i < binary.length; i++) {
+    view.setUint8(i, binary.charCodeAt(i));
+  }
+  const array = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    array[i] = view.getFloat32(i * 4, true);
+  }
+  return array;
+}
+
+/**
+ * Capture a particle system for a snapshot
+ * Positions, velocities, colours, ages and proper times are packed as for
+ * the particle worker; sizes and the spawn stream's position are kept too,
+ * so respawns continue the same sequence.
+ * @param {ParticleSystem} particleSystem - The system to capture
+ * @returns {{count: number, state: string, sizes: string, randomState: number}} Encoded particles
+ */
+export function captureParticles(particleSystem) {
+  const state = new Float32Array(particleSystem.particleCount * PARTICLE_STATE_STRIDE);
+  packParticleState(particleSystem, state);
+  return {
+    count: particleSystem.particleCount,
+    state: encodeFloat32Array(state),
+    sizes: encodeFloat32Array(particleSystem.sizes),
+    randomState: particleSystem.random.getState()
+  };
+}
+
+/**
+ * Put decoded particles back into a particle system
+ * The system is resized if needed. Listeners registered with onParticleReset
+ * hear about every particle, so trails start over.
+ * @param {ParticleSystem} particleSystem - The system to write
+ * @param {{count: number, state: Float32Array, sizes: Float32Array, randomState: number}} particles - Particles from decodeSnapshot
+ */
+export function restoreParticles(particleSystem, particles) {
+  particleSystem.setParticleCount(particles.count);
+  unpackParticleState(particleSystem, particles.state);
+  particleSystem.sizes.set(particles.sizes);
+  particleSystem.random.setState(particles.randomState);
+  if (particleSystem.captured) {
+    particleSystem.captured.fill(0);
+  }
+  particleSystem.diagnostics = null;
+
+  if (particleSystem.particleResetCallback) {
+    for (let i = 0; i < particles.count; i++) {
+      particleSystem.particleResetCallback(i);
+    }
+  }
+
+  if (particleSystem.particles) {
+    const geometry = particleSystem.particles.geometry;
+    geometry.attributes.position.needsUpdate = true;
+    geometry.attributes.color.needsUpdate = true;
+    geometry.attributes.size.needsUpdate = true;
+    geometry.computeBoundingSphere();
+  }
+}
+
+/**
+ * Pick the settings of a snapshot's configuration that differ from the current ones
+ * Restoring then skips the work, such as reloading the sky or reseeding,
+ * that an unchanged setting would trigger.
+ * @param {Object} current - The configuration in use
+ * @param {Object} config - The snapshot's configuration
+ * @returns {Object} The settings to update
+ */
+export function configChanges(current, config) {
+  const changes = {};
+  for (const [key, value] of Object.entries(config)) {
+    // Settings are plain values or lists of them, e.g. cubemap face URLs
+    if (JSON.stringify(value) !== JSON.stringify(current[key])) {
+      changes[key] = value;
+    }
+  }
+  return changes;
+}
+
+/**
+ * Check a vector of three finite numbers
+ * @param {*} value - Value to check
+ * @returns {boolean} True for [x, y, z]
+ * @private
+ */
+function isVector3(value) {
+  return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+}
+
+/**
+ * Check the state of a random stream
+ * @param {*} value - Value to check
+ * @returns {boolean} True for an unsigned 32-bit integer, as Random.getState returns
+ * @private
+ */
+function isRandomState(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 0xffffffff;
+}
+
+/**
+ * Check a snapshot and decode its buffers
+ * Nothing is applied, so a bad file leaves the simulation untouched.
+ * @param {Object} snapshot - A snapshot from getSnapshot, e.g. parsed from a file
+ * @param {ConfigurationManager} configManager - Checks the snapshot's configuration
+ * @returns {Object} The snapshot with camera vectors kept as arrays and the
+ *   particle buffers decoded into Float32Arrays
+ * @throws {Error} If the snapshot is malformed or of an unsupported version
+ */
+export function decodeSnapshot(snapshot, configManager) {
+  if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT) {
+    throw new Error('Not a black hole simulation snapshot');
+  }
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported snapshot version ${snapshot.version}; expected ${SNAPSHOT_VERSION}`);
+  }
+
+  const { config, camera, time, animation, particles, gpuParticles } = snapshot;
+  if (!config) {
+    throw new Error('Snapshot has no configuration');
+  }
+  configManager.checkConfig(config);
+  if (!camera || !isVector3(camera.position) || !isVector3(camera.target)) {
+    throw new Error('Snapshot camera needs a position and a target');
+  }
+  if (!Number.isFinite(time)) {
+    throw new Error('Snapshot time must be a number');
+  }
+  if (!animation || !Number.isFinite(animation.disk) || !Number.isFinite(animation.jets)) {
+    throw new Error('Snapshot needs the disk and jet animation times');
+  }
+  if (!particles || !Number.isInteger(particles.count) || particles.count <= 0) {
+    throw new Error('Snapshot particle count must be a positive integer');
+  }
+  if (!isRandomState(particles.randomState)) {
+    throw new Error('Snapshot particle random state must be an unsigned 32-bit integer');
+  }
+
+  const decoded = {
+    config,
+    camera: { position: camera.position, target: camera.target },
+    time,
+    animation: { disk: animation.disk, jets: animation.jets },
+    particles: {
+      count: particles.count,
+      state: decodeFloat32Array(particles.state, particles.count * PARTICLE_STATE_STRIDE),
+      sizes: decodeFloat32Array(particles.sizes, particles.count),
+      randomState: particles.randomState
+    },
+    gpuParticles: null
+  };
+
+  if (gpuParticles) {
+    if (!Number.isInteger(gpuParticles.textureSize) || gpuParticles.textureSize <= 0) {
+      throw new Error('Snapshot GPU texture size must be a positive integer');
+    }
+    if (!isRandomState(gpuParticles.randomState)) {
+      throw new Error('Snapshot GPU particle random state must be an unsigned 32-bit integer');
+    }
+    const texels = gpuParticles.textureSize * gpuParticles.textureSize;
+    decoded.gpuParticles = {
+      textureSize: gpuParticles.textureSize,
+      positions: decodeFloat32Array(gpuParticles.positions, texels * 4),
+      velocities: decodeFloat32Array(gpuParticles.velocities, texels * 4),
+      randomState: gpuParticles.randomState
+    };
+  }
+
+  return decoded;
+}
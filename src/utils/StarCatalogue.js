@@ -0,0 +1,85 @@
+import * as THREE from 'three';
+import brightStars from '../assets/bright-stars.json';
+
+/**
+ * Bright-star catalogue helpers
+ *
+ * The bundled catalogue (src/assets/bright-stars.json) lists the stars down
+ * to about magnitude 4 with J2000 equatorial coordinates, visual magnitude
+ * and B−V colour index, under the column names of the HYG database (proper,
+ * ra, dec, mag, ci), so a larger HYG extract can be dropped in its place.
+ *
+ * The celestial sphere is laid out with the north celestial pole along +Y,
+ * the scene's up axis, and right ascension 6h along −Z, the direction the
+ * default camera looks in. Orion is therefore seen behind the black hole.
+ */
+
+/**
+ * Direction of a star on the celestial sphere
+ * @param {number} ra - Right ascension in hours
+ * @param {number} dec - Declination in degrees
+ * @param {THREE.Vector3} target - Vector to store the result (optional)
+ * @returns {THREE.Vector3} Unit vector toward the star
+ */
+export function equatorialToDirection(ra, dec, target = new THREE.Vector3()) {
+  const alpha = ra * Math.PI / 12;
+  const delta = THREE.MathUtils.degToRad(dec);
+
+  // Right-handed, so constellations are not mirrored when seen from inside
+  return target.set(
+    Math.cos(delta) * Math.cos(alpha),
+    Math.sin(delta),
+    -Math.cos(delta) * Math.sin(alpha)
+  );
+}
+
+/**
+ * Effective temperature of a star from its B−V colour index
+ * Uses Ballesteros' (2012) blackbody fit.
+ * @param {number} colorIndex - B−V colour index in magnitudes
+ * @returns {number} Temperature in kelvin
+ */
+export function colorIndexToTemperature(colorIndex) {
+  const bv = THREE.MathUtils.clamp(colorIndex, -0.4, 2.0);
+  return 4600 * (1 / (0.92 * bv + 1.7) + 1 / (0.92 * bv + 0.62));
+}
+
+/**
+ * Read a star catalogue in the bundled format
+ * Rows with missing or non-numeric values are skipped.
+ * @param {Object} data - Catalogue with a `fields` header and `stars` rows (default: the bundled catalogue)
+ * @returns {Array<{name: string, ra: number, dec: number, mag: number, ci: number}>} Stars, brightest first as stored
+ */
+export function loadStarCatalogue(data = brightStars) {
+  if (!data || !Array.isArray(data.fields) || !Array.isArray(data.stars)) {
+    return [];
+  }
+
+  const column = (name) => data.fields.indexOf(name);
+  const columns = {
+    name: column('proper'),
+    ra: column('ra'),
+    dec: column('dec'),
+    mag: column('mag'),
+    ci: column('ci')
+  };
+  if (columns.ra < 0 || columns.dec < 0 || columns.mag < 0) {
+    return [];
+  }
+
+  const stars = [];
+  for (const row of data.stars) {
+    const star = {
+      name: columns.name >= 0 ? row[columns.name] || '' : '',
+      ra: row[columns.ra],
+      dec: row[columns.dec],
+      mag: row[columns.mag],
+      // Stars without a colour index are drawn Sun-like
+      ci: columns.ci >= 0 && Number.isFinite(row[columns.ci]) ? row[columns.ci] : 0.65
+    };
+    if (Number.isFinite(star.ra) && Number.isFinite(star.dec) && Number.isFinite(star.mag)) {
+      stars.push(star);
+    }
+  }
+  return stars;
+}
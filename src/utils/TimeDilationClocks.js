@@ -0,0 +1,130 @@
+import { DEFAULT_MASS, properTimeRate } from './BlackHolePhysics.js';
+
+/**
+ * Where the probe clock is: hovering at a fixed radius, or riding the falling
+ * spaghettification probe
+ */
+export const CLOCK_MODES = ['static', 'freefall'];
+
+/**
+ * TimeDilationClocks compares a distant observer's clock with a probe clock
+ * near the black hole. The distant clock is the simulation clock, which
+ * measures coordinate time; both clocks read zero when they are synchronised.
+ * A static probe clock hovers at a chosen radius and ticks at the
+ * Schwarzschild rate √(1 − rs/r). A free-falling one reads the proper time of
+ * the spaghettification probe, which also runs slow by its speed; it is
+ * synchronised whenever the probe is dropped and freezes, for the distant
+ * observer, when the probe reaches the horizon.
+ */
+export class TimeDilationClocks {
+  constructor() {
+    this.clock = null;
+    this.mass = DEFAULT_MASS;
+    this.mode = 'static';
+    this.radius = 3.0;
+
+    // Distant clock reading at the last synchronisation, and the probe
+    // clock's reading since then
+    this.syncTime = 0;
+    this.properTime = 0;
+    this.rate = 1;
+    this.waiting = false;
+  }
+
+  /**
+   * Initialize the clocks and synchronise them
+   * @param {{elapsedTime: number}} clock - The clock measuring coordinate time, e.g. the SimulationClock
+   */
+  initialize(clock) {
+    this.clock = clock;
+    this.synchronise();
+  }
+
+  /**
+   * Time on the coordinate clock
+   * @returns {number} Coordinate time in seconds
+   */
+  getCoordinateTime() {
+    return this.clock ? this.clock.elapsedTime : 0;
+  }
+
+  /**
+   * Set both clocks to zero
+   */
+  synchronise() {
+    this.syncTime = this.getCoordinateTime();
+    this.properTime = 0;
+  }
+
+  /**
+   * Advance the probe clock
+   * @param {number} deltaTime - Coordinate time elapsed since last frame in seconds
+   * @param {Object|null} probeStatus - Status of the spaghettification probe (see TidalProbe.getStatus)
+   */
+  update(deltaTime, probeStatus = null) {
+    if (this.mode === 'static') {
+      this.rate = properTimeRate(this.mass, this.radius);
+      this.properTime += this.rate * deltaTime;
+      this.waiting = false;
+      return;
+    }
+
+    // A free-falling clock needs a probe to ride
+    this.waiting = !probeStatus || probeStatus.state === 'idle';
+    if (this.waiting) {
+      this.rate = 1;
+      return;
+    }
+
+    // Both clocks start at the drop; the probe's fall time is coordinate time
+    if (probeStatus.state === 'falling') {
+      this.syncTime = this.getCoordinateTime() - probeStatus.time;
+    }
+    this.properTime = probeStatus.properTime;
+    this.rate = probeStatus.clockRate;
+  }
+
+  /**
+   * Get both clock readings
+   * @returns {{mode: string, radius: number, distantTime: number, probeTime: number, rate: number, waiting: boolean}} Static clock radius in rs, readings in seconds since synchronisation, the probe clock's current rate dτ/dt, and whether a free-falling clock is waiting for a probe
+   */
+  getReadings() {
+    return {
+      mode: this.mode,
+      radius: this.radius / (2 * this.mass),
+      distantTime: this.waiting ? 0 : this.getCoordinateTime() - this.syncTime,
+      probeTime: this.waiting ? 0 : this.properTime,
+      rate: this.rate,
+      waiting: this.waiting
+    };
+  }
+
+  /**
+   * Set the black hole mass
+   * @param {number} mass - Black hole mass (half the Schwarzschild radius)
+   */
+  setMass(mass) {
+    this.mass = mass;
+  }
+
+  /**
+   * Choose where the probe clock is, synchronising the clocks
+   * @param {'static'|'freefall'} mode - Hovering at the clock radius or riding the falling probe
+   */
+  setMode(mode) {
+    if (!CLOCK_MODES.includes(mode)) {
+      console.warn(`Invalid clock mode: ${mode}. Using 'static'.`);
+      mode = 'static';
+    }
+    this.mode = mode;
+    this.synchronise();
+  }
+
+  /**
+   * Set the radius at which the static probe clock hovers
+   * @param {number} radius - Distance from the black hole in scene units
+   */
+  setRadius(radius) {
+    this.radius = radius;
+  }
+}
@@ -0,0 +1,225 @@
+import { ParticleDynamics } from '../components/ParticleDynamics.js';
+import { Random } from '../utils/Random.js';
+
+/**
+ * Floats per particle in a state buffer: position (3), velocity (3),
+ * colour (3), age and proper time
+ */
+export const PARTICLE_STATE_STRIDE = 11;
+
+/**
+ * ParticleSystem fields the main thread sends with every step, so the
+ * worker's copy follows config changes made through the usual setters
+ */
+export const PARTICLE_WORKER_SETTINGS = [
+  'mass',
+  'spin',
+  'eventHorizonRadius',
+  'pseudoNewtonianRadius',
+  'spawnRadius',
+  'integrator',
+  'maxSubsteps',
+  'gravityModel',
+  'diskInnerRadius',
+  'diskOuterRadius',
+  'peakTemperature',
+  'minimumTemperature',
+  'diagnosticsEnabled'
+];
+
+/**
+ * Floats per attractor in an attractor buffer: position (3), mass and
+ * horizon radius
+ */
+export const ATTRACTOR_STRIDE = 5;
+
+/**
+ * Copy a particle system's attractors into a buffer for the worker
+ * @param {Array<{position: THREE.Vector3, mass: number, horizonRadius: number}>|null} attractors - Point masses, or null for the single black hole
+ * @returns {Float64Array|null} ATTRACTOR_STRIDE numbers per attractor, or null
+ */
+export function packAttractors(attractors) {
+  if (!attractors) {
+    return null;
+  }
+
+  const buffer = new Float64Array(attractors.length * ATTRACTOR_STRIDE);
+  attractors.forEach((attractor, i) => {
+    const offset = i * ATTRACTOR_STRIDE;
+    buffer[offset] = attractor.position.x;
+    buffer[offset + 1] = attractor.position.y;
+    buffer[offset + 2] = attractor.position.z;
+    buffer[offset + 3] = attractor.mass;
+    buffer[offset + 4] = attractor.horizonRadius;
+  });
+  return buffer;
+}
+
+/**
+ * Read attractors written by packAttractors
+ * @param {Float64Array|null} buffer - The packed attractors
+ * @param {Array<Object>} attractors - Attractor objects to reuse
+ * @returns {Array<{position: {x: number, y: number, z: number}, mass: number, horizonRadius: number}>|null} The attractors, or null for the single black hole
+ */
+export function unpackAttractors(buffer, attractors = []) {
+  if (!buffer) {
+    return null;
+  }
+
+  attractors.length = buffer.length / ATTRACTOR_STRIDE;
+  for (let i = 0; i < attractors.length; i++) {
+    const offset = i * ATTRACTOR_STRIDE;
+    const attractor = attractors[i] || { position: { x: 0, y: 0, z: 0 }, mass: 0, horizonRadius: 0 };
+    attractor.position.x = buffer[offset];
+    attractor.position.y = buffer[offset + 1];
+    attractor.position.z = buffer[offset + 2];
+    attractor.mass = buffer[offset + 3];
+    attractor.horizonRadius = buffer[offset + 4];
+    attractors[i] = attractor;
+  }
+  return attractors;
+}
+
+/**
+ * Measure the sphere around the particles, as THREE.BufferGeometry does
+ * The centre is the middle of their bounding box.
+ * @param {Float32Array} positions - x, y, z per particle
+ * @returns {number[]} Centre x, y, z and radius
+ * @private
+ */
+function measureBoundingSphere(positions) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < positions.length; i += 3) {
+    for (let axis = 0; axis < 3; axis++) {
+      min[axis] = Math.min(min[axis], positions[i + axis]);
+      max[axis] = Math.max(max[axis], positions[i + axis]);
+    }
+  }
+
+  const center = min.map((value, axis) => (value + max[axis]) / 2);
+  let radiusSq = 0;
+  for (let i = 0; i < positions.length; i += 3) {
+    const dx = positions[i] - center[0];
+    const dy = positions[i + 1] - center[1];
+    const dz = positions[i + 2] - center[2];
+    radiusSq = Math.max(radiusSq, dx * dx + dy * dy + dz * dz);
+  }
+  return [center[0], center[1], center[2], Math.sqrt(radiusSq)];
+}
+
+/**
+ * Copy a particle system's state into a buffer
+ * The buffer holds all positions, then all velocities, colours, ages and
+ * proper times, so each block can be copied in one call.
+ * @param {ParticleSystem} particleSystem - The system to read
+ * @param {Float32Array} buffer - Receives the state (PARTICLE_STATE_STRIDE floats per particle)
+ */
+export function packParticleState(particleSystem, buffer) {
+  const count = particleSystem.particleCount;
+  buffer.set(particleSystem.positions, 0);
+  buffer.set(particleSystem.velocities, count * 3);
+  buffer.set(particleSystem.colors, count * 6);
+  buffer.set(particleSystem.ages, count * 9);
+  buffer.set(particleSystem.properTimes, count * 10);
+}
+
+/**
+ * Copy a state buffer written by packParticleState into a particle system
+ * @param {ParticleSystem} particleSystem - The system to write; must have the same particle count
+ * @param {Float32Array} buffer - The packed state
+ */
+export function unpackParticleState(particleSystem, buffer) {
+  const count = particleSystem.particleCount;
+  particleSystem.positions.set(buffer.subarray(0, count * 3));
+  particleSystem.velocities.set(buffer.subarray(count * 3, count * 6));
+  particleSystem.colors.set(buffer.subarray(count * 6, count * 9));
+  particleSystem.ages.set(buffer.subarray(count * 9, count * 10));
+  particleSystem.properTimes.set(buffer.subarray(count * 10, count * 11));
+}
+
+/**
+ * Create the message handler that runs inside the particle worker
+ * The worker keeps its own ParticleDynamics, which needs no three.js, and
+ * integrates it on request; attractors arrive packed by packAttractors:
+ * - init: { count, spawnRadius, eventHorizonRadius, settings, attractors,
+ *   state, random } adopts the main thread's particles and its spawn random
+ *   stream ({ seed, state }), so respawns continue the same sequence
+ * - step: { steps, blackHolePosition, settings, attractors, buffer } advances
+ *   them by each of the step durations in turn and
+ *   posts { type: 'state', count, buffer, resets, boundingSphere, diagnostics,
+ *   randomState }, transferring the buffer back
+ * - setParticleCount: { count } resizes the swarm
+ * @param {Function} post - postMessage of the worker scope
+ * @returns {Function} Handler for the data of incoming messages
+ */
+export function createParticleWorkerHandler(post) {
+  let particleSystem = null;
+  let resets = [];
+  const attractors = [];
+  const blackHolePosition = { x: 0, y: 0, z: 0 };
+
+  return (message) => {
+    switch (message.type) {
+      case 'init':
+        particleSystem = new ParticleDynamics();
+        particleSystem.initialize(message.count, message.spawnRadius, message.eventHorizonRadius);
+        Object.assign(particleSystem, message.settings);
+        particleSystem.setAttractors(unpackAttractors(message.attractors, attractors));
+        unpackParticleState(particleSystem, message.state);
+        particleSystem.setRandom(new Random(message.random.seed));
+        particleSystem.random.setState(message.random.state);
+        resets = [];
+        particleSystem.onParticleReset((index) => resets.push(index));
+        break;
+
+      case 'step': {
+        if (!particleSystem) {
+          break;
+        }
+        Object.assign(particleSystem, message.settings);
+        particleSystem.setAttractors(unpackAttractors(message.attractors, attractors));
+        [blackHolePosition.x, blackHolePosition.y, blackHolePosition.z] = message.blackHolePosition;
+        for (const deltaTime of message.steps) {
+          particleSystem.update(deltaTime, blackHolePosition);
+        }
+
+        // A buffer sized for an earlier particle count is replaced
+        const count = particleSystem.particleCount;
+        let buffer = message.buffer;
+        if (buffer.length !== count * PARTICLE_STATE_STRIDE) {
+          buffer = new Float32Array(count * PARTICLE_STATE_STRIDE);
+        }
+        packParticleState(particleSystem, buffer);
+
+        post({
+          type: 'state',
+          count,
+          buffer,
+          resets,
+          boundingSphere: measureBoundingSphere(particleSystem.positions),
+          diagnostics: particleSystem.getDiagnostics(),
+          randomState: particleSystem.random.getState()
+        }, [buffer.buffer]);
+        resets = [];
+        break;
+      }
+
+      case 'setParticleCount':
+        if (particleSystem) {
+          particleSystem.setParticleCount(message.count);
+        }
+        break;
+
+      default:
+        break;
+    }
+  };
+}
+
+// Inside a dedicated worker there is no window; the module is also imported
+// on the main thread for the helpers above
+if (typeof window === 'undefined' && typeof self !== 'undefined') {
+  const handle = createParticleWorkerHandler((message, transfer) => self.postMessage(message, transfer));
+  self.onmessage = (event) => handle(event.data);
+}
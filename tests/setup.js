@@ -19,3 +19,23 @@ HTMLCanvasElement.prototype.getContext = function(contextType) {
   }
   return null;
 };
+
+// jsdom has no real WebGL, so ShaderUtils' shader validation fails and falls
+// back to a basic material. Keep those expected messages out of the test
+// output; everything else still reaches the console (and console spies).
+const WEBGL_FALLBACK_MESSAGES = [
+  /^Shader compilation failed for /,
+  /^Vertex Shader:/,
+  /^Fragment Shader:/,
+  /^Using fallback material for /
+];
+
+for (const method of ['error', 'warn']) {
+  const log = console[method];
+  console[method] = (...args) => {
+    if (typeof args[0] === 'string' && WEBGL_FALLBACK_MESSAGES.some((pattern) => pattern.test(args[0]))) {
+      return;
+    }
+    log(...args);
+  };
+}
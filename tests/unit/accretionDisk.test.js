@@ -0,0 +1,94 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  AccretionDisk,
+  DISK_QUALITY_STEPS,
+  diskAngularVelocity,
+  diskDensityEnvelope
+} from '../../src/components/AccretionDisk.js';
+
+const disk = { innerRadius: 3, outerRadius: 12, scaleHeight: 0.05, density: 1 };
+
+describe('AccretionDisk', () => {
+  describe('density envelope', () => {
+    it('should fall off as a Gaussian of scale height H = h r', () => {
+      for (const radius of [4, 6]) {
+        const H = disk.scaleHeight * radius;
+        const midplane = diskDensityEnvelope(radius, 0, disk);
+        expect(midplane).toBeCloseTo(1);
+        expect(diskDensityEnvelope(radius, H, disk)).toBeCloseTo(midplane * Math.exp(-0.5), 10);
+        expect(diskDensityEnvelope(radius, -2 * H, disk)).toBeCloseTo(midplane * Math.exp(-2), 10);
+      }
+
+      // The same height is thinner gas closer in, where the disk is flatter
+      expect(diskDensityEnvelope(4, 0.3, disk)).toBeLessThan(diskDensityEnvelope(6, 0.3, disk));
+    });
+
+    it('should fade out at the disk edges and scale with density', () => {
+      expect(diskDensityEnvelope(disk.innerRadius, 0, disk)).toBe(0);
+      expect(diskDensityEnvelope(2, 0, disk)).toBe(0);
+      expect(diskDensityEnvelope(disk.outerRadius, 0, disk)).toBe(0);
+      expect(diskDensityEnvelope(3.15, 0, disk)).toBeGreaterThan(0);
+      expect(diskDensityEnvelope(3.15, 0, disk)).toBeLessThan(1);
+
+      expect(diskDensityEnvelope(5, 0.1, { ...disk, density: 2.5 }))
+        .toBeCloseTo(2.5 * diskDensityEnvelope(5, 0.1, disk), 10);
+    });
+
+    it('should have gas along an edge-on line of sight', () => {
+      // March along x through the disk at z = 5, in the midplane and at
+      // increasing heights, as the shader does for an edge-on camera
+      const column = (height) => {
+        let total = 0;
+        for (let x = -12; x <= 12; x += 0.01) {
+          total += diskDensityEnvelope(Math.hypot(x, 5), height, disk) * 0.01;
+        }
+        return total;
+      };
+
+      expect(column(0)).toBeGreaterThan(5);
+      expect(column(0.3)).toBeLessThan(column(0));
+      expect(column(0.3)).toBeGreaterThan(0);
+    });
+  });
+
+  describe('rotation', () => {
+    it('should follow the Keplerian r^-1.5 law', () => {
+      expect(diskAngularVelocity(1, 2)).toBeCloseTo(2);
+      expect(diskAngularVelocity(3, 1) / diskAngularVelocity(12, 1)).toBeCloseTo(8, 10);
+    });
+  });
+
+  describe('volume', () => {
+    it('should enclose three scale heights at the outer edge', () => {
+      const accretionDisk = new AccretionDisk();
+      accretionDisk.initialize(3, 12);
+      const height = () => accretionDisk.mesh.geometry.parameters.height;
+      expect(height()).toBeCloseTo(2 * 3 * 0.05 * 12);
+
+      // The gas at the top of the volume is nearly gone
+      expect(diskDensityEnvelope(12 * 0.7, height() / 2, disk)).toBeLessThan(Math.exp(-4));
+
+      accretionDisk.setScaleHeight(0.1);
+      expect(height()).toBeCloseTo(2 * 3 * 0.1 * 12);
+      accretionDisk.setRadii(3, 6);
+      expect(height()).toBeCloseTo(2 * 3 * 0.1 * 6);
+      expect(accretionDisk.mesh.geometry.parameters.radiusTop).toBe(6);
+
+      accretionDisk.dispose();
+    });
+
+    it('should march more steps at higher quality', () => {
+      expect(DISK_QUALITY_STEPS.low).toBeLessThan(DISK_QUALITY_STEPS.medium);
+      expect(DISK_QUALITY_STEPS.medium).toBeLessThan(DISK_QUALITY_STEPS.high);
+
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const accretionDisk = new AccretionDisk();
+      accretionDisk.setQuality('high');
+      expect(accretionDisk.quality).toBe('high');
+      accretionDisk.setQuality('ultra');
+      expect(accretionDisk.quality).toBe('medium');
+      expect(warn).toHaveBeenCalled();
+      warn.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { BinaryBlackHole } from '../../src/components/BinaryBlackHole.js';
+
+describe('BinaryBlackHole', () => {
+  let binary;
+
+  beforeEach(() => {
+    binary = new BinaryBlackHole();
+    binary.initialize(8.0);
+    binary.setTotalMass(0.5);
+    binary.setInspiralSpeed(20);
+  });
+
+  afterEach(() => {
+    binary.dispose();
+    vi.restoreAllMocks();
+  });
+
+  it('should stay hidden until started', () => {
+    expect(binary.isActive()).toBe(false);
+    expect(binary.group.visible).toBe(false);
+  });
+
+  it('should keep the centre of mass fixed while the orbit shrinks', () => {
+    binary.setMassRatio(0.5);
+    binary.start();
+    const [primary, secondary] = binary.getAttractors();
+    const { primary: m1, secondary: m2 } = binary.getMasses();
+    expect(m1).toBeCloseTo(1 / 3);
+    expect(m2).toBeCloseTo(1 / 6);
+
+    for (let i = 0; i < 60; i++) {
+      binary.update(1 / 60);
+    }
+
+    expect(binary.getSeparation()).toBeLessThan(8.0);
+    expect(primary.position.distanceTo(secondary.position)).toBeCloseTo(binary.getSeparation());
+    const centre = primary.position.clone().multiplyScalar(m1)
+      .addScaledVector(secondary.position, m2)
+      .divideScalar(m1 + m2);
+    expect(centre.length()).toBeLessThan(1e-6);
+  });
+
+  it('should merge when predicted and report the remnant', () => {
+    const onMerger = vi.fn();
+    binary.onMerger(onMerger);
+    binary.start();
+
+    // a⁴ shrinks linearly: (8⁴ − 1⁴) / (4 · 64/5 · c · m₁m₂M · speed) = 12.8 s
+    expect(binary.getTimeToMerger()).toBeCloseTo(12.8, 1);
+
+    for (let i = 0; i < 12.7 * 60; i++) {
+      binary.update(1 / 60);
+    }
+    expect(binary.isActive()).toBe(true);
+
+    for (let i = 0; i < 12; i++) {
+      binary.update(1 / 60);
+    }
+    expect(binary.isActive()).toBe(false);
+    expect(binary.hasMerged()).toBe(true);
+    expect(binary.group.visible).toBe(false);
+    expect(onMerger).toHaveBeenCalledTimes(1);
+
+    const remnant = onMerger.mock.calls[0][0];
+    expect(remnant.mass).toBeCloseTo(0.476, 3);
+    expect(remnant.spin).toBeGreaterThan(0.6);
+  });
+});
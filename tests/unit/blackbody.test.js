@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import {
+  DISK_PEAK_RADIUS_FACTOR,
+  blackbodyColor,
+  diskTemperature,
+  createBlackbodyTexture
+} from '../../src/utils/Blackbody.js';
+
+describe('Blackbody', () => {
+  describe('blackbodyColor', () => {
+    it('should be red for cool bodies', () => {
+      const color = blackbodyColor(1500);
+      expect(color.r).toBeCloseTo(1.0);
+      expect(color.b).toBeLessThan(0.05);
+    });
+
+    it('should be close to white around 6500 K', () => {
+      const color = blackbodyColor(6500);
+      expect(color.r).toBeGreaterThan(0.9);
+      expect(color.g).toBeGreaterThan(0.9);
+      expect(color.b).toBeGreaterThan(0.9);
+    });
+
+    it('should be blue-white for hot bodies', () => {
+      const color = blackbodyColor(1e5);
+      expect(color.b).toBeCloseTo(1.0);
+      expect(color.r).toBeLessThan(color.g);
+    });
+
+    it('should clamp temperatures outside the table', () => {
+      expect(blackbodyColor(0).equals(blackbodyColor(1000))).toBe(true);
+      expect(blackbodyColor(1e9).equals(blackbodyColor(1e7))).toBe(true);
+    });
+
+    it('should write into a provided color', () => {
+      const target = new THREE.Color();
+      expect(blackbodyColor(4000, target)).toBe(target);
+    });
+  });
+
+  describe('diskTemperature', () => {
+    it('should peak at 49/36 of the inner radius', () => {
+      const innerRadius = 3;
+      const peak = diskTemperature(innerRadius * DISK_PEAK_RADIUS_FACTOR, innerRadius, 1e5);
+      expect(peak).toBeCloseTo(1e5);
+      expect(diskTemperature(innerRadius * 1.2, innerRadius, 1e5)).toBeLessThan(peak);
+      expect(diskTemperature(innerRadius * 2, innerRadius, 1e5)).toBeLessThan(peak);
+    });
+
+    it('should vanish at and inside the inner radius', () => {
+      expect(diskTemperature(3, 3, 1e5)).toBe(0);
+      expect(diskTemperature(2, 3, 1e5)).toBe(0);
+    });
+
+    it('should fall off as r^-3/4 far from the hole', () => {
+      const ratio = diskTemperature(2000, 1, 1e5) / diskTemperature(1000, 1, 1e5);
+      expect(ratio).toBeCloseTo(Math.pow(2, -0.75), 2);
+    });
+  });
+
+  describe('createBlackbodyTexture', () => {
+    it('should create a one-pixel-high lookup texture', () => {
+      const texture = createBlackbodyTexture();
+      expect(texture.image.height).toBe(1);
+      expect(texture.image.width).toBeGreaterThan(1);
+      texture.dispose();
+    });
+  });
+});
@@ -4,6 +4,7 @@ import { SceneManager } from '../../src/engine/SceneManager.js';
 import { RendererManager } from '../../src/engine/RendererManager.js';
 import { CameraController } from '../../src/engine/CameraController.js';
 import { ConfigurationManager } from '../../src/engine/ConfigurationManager.js';
+import { SPEED_OF_LIGHT } from '../../src/utils/BlackHolePhysics.js';
 
 describe('SceneManager', () => {
   let sceneManager;
@@ -99,6 +100,14 @@ describe('RendererManager', () => {
     expect(() => rendererManager.enableBloom()).toThrow('Composer not initialized');
   });
 
+  it('should throw error when enabling lensing before initialization', () => {
+    expect(() => rendererManager.enableLensing({})).toThrow('Composer not initialized');
+  });
+
+  it('should return null performance info when not initialized', () => {
+    expect(rendererManager.getPerformanceInfo()).toBeNull();
+  });
+
   it('should throw error when setting exposure before initialization', () => {
     expect(() => rendererManager.setExposure(1.5)).toThrow('RendererManager not initialized');
   });
@@ -188,6 +197,137 @@ describe('CameraController', () => {
     expect(cameraController.camera).toBeNull();
     expect(cameraController.controls).toBeNull();
   });
+
+  it('should fall through the horizon and return to orbit mode', () => {
+    cameraController.initialize(domElement);
+    cameraController.setPosition(0, 0, 15);
+    const onComplete = vi.fn();
+    cameraController.onFallComplete(onComplete);
+
+    cameraController.startFallIn(new THREE.Vector3(0, 0, 0), 0.5, 'spiral');
+    expect(cameraController.getMode()).toBe('fallIn');
+    expect(cameraController.controls.enabled).toBe(false);
+
+    let crossedHorizon = false;
+    let maxSpeed = 0;
+    for (let frame = 0; frame < 3600 && cameraController.isFalling(); frame++) {
+      cameraController.update(1 / 60);
+      const status = cameraController.getFallStatus();
+      if (status) {
+        crossedHorizon = crossedHorizon || status.insideHorizon;
+        maxSpeed = Math.max(maxSpeed, cameraController.getObserverVelocity().length());
+      }
+    }
+
+    // Falling observers move ever closer to c relative to static ones
+    expect(crossedHorizon).toBe(true);
+    expect(maxSpeed).toBeGreaterThan(0.9);
+    expect(maxSpeed).toBeLessThan(1);
+
+    // Back where it started, in orbit mode
+    expect(cameraController.getMode()).toBe('orbit');
+    expect(onComplete).toHaveBeenCalledTimes(1);
+    expect(cameraController.controls.enabled).toBe(true);
+    expect(cameraController.camera.position.z).toBeCloseTo(15);
+    expect(cameraController.getObserverVelocity().length()).toBe(0);
+  });
+
+  it('should keep the proper time of a radial fall on the Schwarzschild cycloid', () => {
+    // From rest at r0 = 30M: r = r0/2 (1 + cos η), τ = √(r0³/8) (η + sin η)
+    const mass = 0.5;
+    const r0 = 30;
+    cameraController.initialize(domElement);
+    cameraController.setPosition(0, 0, r0 * mass);
+    cameraController.startFallIn(new THREE.Vector3(0, 0, 0), mass, 'radial');
+
+    const cycloidTime = (r) => {
+      const eta = Math.acos(2 * r / r0 - 1);
+      return Math.sqrt(r0 * r0 * r0 / 8) * (eta + Math.sin(eta));
+    };
+
+    let horizonTime = null;
+    let last = null;
+    let checked = 0;
+    for (let frame = 0; frame < 3600 && cameraController.isFalling(); frame++) {
+      cameraController.update(1 / 60);
+      const status = cameraController.getFallStatus();
+      if (!status) {
+        break;
+      }
+
+      // Status reports rs units and seconds; the cycloid is in units of M
+      const r = 2 * status.radius;
+      const tau = status.properTime * SPEED_OF_LIGHT / mass;
+      if (r > 0.5) {
+        expect(tau).toBeCloseTo(cycloidTime(r), 2);
+        checked++;
+      }
+
+      // Straight down the radial line, at the speed a static observer measures
+      const position = cameraController.camera.position;
+      expect(Math.hypot(position.x, position.y)).toBeLessThan(1e-9);
+      expect(position.z).toBeCloseTo(r * mass, 10);
+      if (r > 2.05) {
+        const speed = Math.sqrt(1 - (1 - 2 / r) / (1 - 2 / r0));
+        expect(cameraController.getObserverVelocity().z).toBeCloseTo(-speed, 6);
+      }
+
+      if (status.insideHorizon && horizonTime === null) {
+        horizonTime = tau;
+      }
+      last = tau;
+    }
+
+    expect(checked).toBeGreaterThan(100);
+
+    // A finite proper time to the horizon, and π√(r0³/8) M to the singularity
+    expect(horizonTime).toBeGreaterThan(cycloidTime(2));
+    expect(horizonTime).toBeLessThan(cycloidTime(2) + 0.1);
+    expect(last).toBeCloseTo(Math.PI * Math.sqrt(r0 * r0 * r0 / 8), 0);
+    expect(cameraController.getMode()).toBe('orbit');
+  });
+
+  it('should spiral in the direction of the disk rotation', () => {
+    const mass = 0.5;
+    const r0 = 20;
+    cameraController.initialize(domElement);
+    cameraController.setPosition(0, 0, r0 * mass);
+    cameraController.startFallIn(new THREE.Vector3(0, 0, 0), mass, 'spiral');
+
+    // Starting at rest in r with L = 3M: E² = (1 − 2M/r0)(1 + L²/r0²)
+    const energy2 = (1 - 2 / r0) * (1 + 9 / (r0 * r0));
+    let turned = 0;
+    for (let frame = 0; frame < 3600 && cameraController.isFalling(); frame++) {
+      cameraController.update(1 / 60);
+      const status = cameraController.getFallStatus();
+      if (!status) {
+        break;
+      }
+
+      // Static observers measure γ = E/α however the motion is split
+      const r = 2 * status.radius;
+      if (r > 2.05) {
+        const speed = Math.sqrt(1 - (1 - 2 / r) / energy2);
+        expect(cameraController.getObserverVelocity().length()).toBeCloseTo(speed, 6);
+      }
+
+      // Counter-clockwise around +Y, like the disk, and never out of its plane
+      const position = cameraController.camera.position;
+      expect(position.y).toBeCloseTo(0, 10);
+      turned = Math.max(turned, Math.atan2(position.x, position.z));
+    }
+
+    expect(turned).toBeGreaterThan(0.5);
+    expect(cameraController.getMode()).toBe('orbit');
+  });
+
+  it('should not start a fall from inside the horizon', () => {
+    cameraController.initialize(domElement);
+    cameraController.setPosition(0, 0, 0.9);
+    cameraController.startFallIn(new THREE.Vector3(0, 0, 0), 0.5, 'radial');
+    expect(cameraController.isFalling()).toBe(false);
+    expect(cameraController.getFallStatus()).toBeNull();
+  });
 });
 
 describe('ConfigurationManager', () => {
@@ -285,6 +425,242 @@ describe('ConfigurationManager', () => {
       expect(configManager.getConfig().performanceMode).toBe('high');
     });
 
+    it('should clamp mass to valid range', () => {
+      expect(configManager.getConfig().mass).toBe(0.5);
+
+      configManager.updateConfig({ mass: 0.0 });
+      expect(configManager.getConfig().mass).toBe(0.1);
+
+      configManager.updateConfig({ mass: 10.0 });
+      expect(configManager.getConfig().mass).toBe(2.0);
+    });
+
+    it('should clamp disk peak temperature to valid range', () => {
+      configManager.updateConfig({ diskPeakTemperature: 10 });
+      expect(configManager.getConfig().diskPeakTemperature).toBe(1000);
+
+      configManager.updateConfig({ diskPeakTemperature: 1e9 });
+      expect(configManager.getConfig().diskPeakTemperature).toBe(1e7);
+    });
+
+    it('should clamp volumetric disk parameters and validate quality', () => {
+      configManager.updateConfig({ diskScaleHeight: 1.0, diskDensity: 0.0, diskEmission: 9.0 });
+      const config = configManager.getConfig();
+      expect(config.diskScaleHeight).toBe(0.3);
+      expect(config.diskDensity).toBe(0.1);
+      expect(config.diskEmission).toBe(5.0);
+
+      configManager.updateConfig({ diskQuality: 'ultra' });
+      expect(configManager.getConfig().diskQuality).toBe('medium');
+    });
+
+    it('should clamp jet parameters and validate the jets toggle', () => {
+      expect(configManager.getConfig().jetsEnabled).toBe(false);
+
+      configManager.updateConfig({
+        jetLength: 100,
+        jetOpeningAngle: 0,
+        jetLorentzFactor: 1.0,
+        jetPrecessionAngle: 90,
+        jetPrecessionPeriod: 0
+      });
+      const config = configManager.getConfig();
+      expect(config.jetLength).toBe(50.0);
+      expect(config.jetOpeningAngle).toBe(1.0);
+      expect(config.jetLorentzFactor).toBe(1.1);
+      expect(config.jetPrecessionAngle).toBe(45.0);
+      expect(config.jetPrecessionPeriod).toBe(2.0);
+
+      configManager.updateConfig({ jetsEnabled: 'yes' });
+      expect(configManager.getConfig().jetsEnabled).toBe(false);
+    });
+
+    it('should clamp tidal disruption parameters', () => {
+      configManager.updateConfig({ tdeStellarMass: 50, tdePericentre: 0.5 });
+      const config = configManager.getConfig();
+      expect(config.tdeStellarMass).toBe(5.0);
+      expect(config.tdePericentre).toBe(2.0);
+    });
+
+    it('should clamp binary black hole parameters', () => {
+      configManager.updateConfig({
+        binaryMassRatio: 2,
+        binarySeparation: 1,
+        binaryInspiralSpeed: 1000
+      });
+      const config = configManager.getConfig();
+      expect(config.binaryMassRatio).toBe(1.0);
+      expect(config.binarySeparation).toBe(4.0);
+      expect(config.binaryInspiralSpeed).toBe(100.0);
+
+      configManager.updateConfig({ binaryMode: 1 });
+      expect(configManager.getConfig().binaryMode).toBe(false);
+
+      configManager.updateConfig({ gwPolarization: 'circular' });
+      expect(configManager.getConfig().gwPolarization).toBe('plus');
+    });
+
+    it('should validate particle integration settings', () => {
+      configManager.updateConfig({ maxSubsteps: 40 });
+      expect(configManager.getConfig().maxSubsteps).toBe(16);
+
+      configManager.updateConfig({ maxSubsteps: 2.6 });
+      expect(configManager.getConfig().maxSubsteps).toBe(3);
+
+      configManager.updateConfig({ particleIntegrator: 'leapfrog' });
+      expect(configManager.getConfig().particleIntegrator).toBe('verlet');
+
+      configManager.updateConfig({ physicsDiagnostics: 'on' });
+      expect(configManager.getConfig().physicsDiagnostics).toBe(false);
+
+      configManager.updateConfig({ gravityModel: 'schwarzschild' });
+      expect(configManager.getConfig().gravityModel).toBe('newtonian');
+    });
+
+    it('should clamp particle trail settings', () => {
+      configManager.updateConfig({ trailLength: 1000, trailSampleInterval: 0 });
+      const config = configManager.getConfig();
+      expect(config.trailLength).toBe(128);
+      expect(config.trailSampleInterval).toBe(0.01);
+
+      configManager.updateConfig({ particleTrails: 'yes' });
+      expect(configManager.getConfig().particleTrails).toBe(false);
+    });
+
+    it('should clamp spaghettification probe settings', () => {
+      configManager.updateConfig({ probeLength: 10, probeDropRadius: 1 });
+      const config = configManager.getConfig();
+      expect(config.probeLength).toBe(3.0);
+      expect(config.probeDropRadius).toBe(4.0);
+    });
+
+    it('should validate time dilation clock settings', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      configManager.updateConfig({ clockRadius: 0.5, clockMode: 'orbiting' });
+      const config = configManager.getConfig();
+      expect(config.clockRadius).toBe(1.1);
+      expect(config.clockMode).toBe('static');
+      expect(warn).toHaveBeenCalled();
+      warn.mockRestore();
+    });
+
+    it('should validate the fall trajectory', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      configManager.updateConfig({ fallTrajectory: 'spiral' });
+      expect(configManager.getConfig().fallTrajectory).toBe('spiral');
+      configManager.updateConfig({ fallTrajectory: 'hyperbolic' });
+      expect(configManager.getConfig().fallTrajectory).toBe('radial');
+      expect(warn).toHaveBeenCalled();
+      warn.mockRestore();
+    });
+
+    it('should validate the starfield source', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      configManager.updateConfig({ starfieldSource: 'catalogue' });
+      expect(configManager.getConfig().starfieldSource).toBe('catalogue');
+      configManager.updateConfig({ starfieldSource: 'hipparcos' });
+      expect(configManager.getConfig().starfieldSource).toBe('random');
+      warn.mockRestore();
+    });
+
+    it('should validate the sky background', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      expect(configManager.getConfig().background).toBe('none');
+
+      configManager.updateConfig({ background: 'milkyWay', backgroundIntensity: 5 });
+      expect(configManager.getConfig().background).toBe('milkyWay');
+      expect(configManager.getConfig().backgroundIntensity).toBe(3.0);
+
+      const faces = ['px', 'nx', 'py', 'ny', 'pz', 'nz'].map((face) => `sky/${face}.jpg`);
+      configManager.updateConfig({ background: faces });
+      expect(configManager.getConfig().background).toEqual(faces);
+
+      configManager.updateConfig({ background: faces.slice(0, 3) });
+      expect(configManager.getConfig().background).toBe('none');
+      configManager.updateConfig({ starfieldOverlay: 'no' });
+      expect(configManager.getConfig().starfieldOverlay).toBe(true);
+      warn.mockRestore();
+    });
+
+    it('should validate the particle compute path', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      expect(configManager.getConfig().particleCompute).toBe('cpu');
+
+      configManager.updateConfig({ particleCompute: 'gpu', gpuParticleCount: 5e6 });
+      expect(configManager.getConfig().particleCompute).toBe('gpu');
+      expect(configManager.getConfig().gpuParticleCount).toBe(1000000);
+
+      configManager.updateConfig({ particleCompute: 'worker' });
+      expect(configManager.getConfig().particleCompute).toBe('worker');
+
+      configManager.updateConfig({ particleCompute: 'webgpu', gpuParticleCount: 12345.6 });
+      expect(configManager.getConfig().particleCompute).toBe('cpu');
+      expect(configManager.getConfig().gpuParticleCount).toBe(12346);
+      warn.mockRestore();
+    });
+
+    it('should clamp the time scale', () => {
+      expect(configManager.getConfig().timeScale).toBe(1.0);
+
+      configManager.updateConfig({ timeScale: 0.001 });
+      expect(configManager.getConfig().timeScale).toBe(0.01);
+
+      configManager.updateConfig({ timeScale: 250 });
+      expect(configManager.getConfig().timeScale).toBe(100);
+    });
+
+    it('should round and clamp the random seed', () => {
+      expect(configManager.getConfig().seed).toBe(1);
+
+      configManager.updateConfig({ seed: 1234.4 });
+      expect(configManager.getConfig().seed).toBe(1234);
+
+      configManager.updateConfig({ seed: -5 });
+      expect(configManager.getConfig().seed).toBe(0);
+
+      configManager.updateConfig({ seed: 2 ** 40 });
+      expect(configManager.getConfig().seed).toBe(4294967295);
+    });
+
+    it('should clamp spin to valid range', () => {
+      configManager.updateConfig({ spin: -0.5 });
+      expect(configManager.getConfig().spin).toBe(0.0);
+
+      configManager.updateConfig({ spin: 1.0 });
+      expect(configManager.getConfig().spin).toBe(0.998);
+    });
+
+    it('should validate relativistic effect toggles', () => {
+      expect(configManager.getConfig().dopplerBeaming).toBe(true);
+      expect(configManager.getConfig().gravitationalRedshift).toBe(true);
+
+      configManager.updateConfig({ dopplerBeaming: false });
+      expect(configManager.getConfig().dopplerBeaming).toBe(false);
+
+      configManager.updateConfig({ gravitationalRedshift: 'off' });
+      expect(configManager.getConfig().gravitationalRedshift).toBe(true);
+    });
+
+    it('should validate lensing mode', () => {
+      expect(configManager.getConfig().lensingMode).toBe('fast');
+
+      configManager.updateConfig({ lensingMode: 'geodesic' });
+      expect(configManager.getConfig().lensingMode).toBe('geodesic');
+
+      configManager.updateConfig({ lensingMode: 'invalid' });
+      expect(configManager.getConfig().lensingMode).toBe('fast');
+    });
+
+    it('should validate environment cubemap size', () => {
+      expect(configManager.getConfig().environmentSize).toBe(512);
+
+      configManager.updateConfig({ environmentSize: 1024 });
+      expect(configManager.getConfig().environmentSize).toBe(1024);
+
+      configManager.updateConfig({ environmentSize: 300 });
+      expect(configManager.getConfig().environmentSize).toBe(512);
+    });
+
     it('should handle invalid numeric values', () => {
       configManager.updateConfig({ particleCount: 'not a number' });
       expect(configManager.getConfig().particleCount).toBe(100); // Falls back to minimum
@@ -0,0 +1,111 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import * as THREE from 'three';
+import { GPUParticleSystem } from '../../src/components/GPUParticleSystem.js';
+import { ParticleSystem } from '../../src/components/ParticleSystem.js';
+
+// Just enough of a WebGL2 renderer to set up and run the compute passes
+function createRenderer() {
+  return {
+    capabilities: { isWebGL2: true, maxVertexTextures: 16 },
+    extensions: { has: (name) => name === 'EXT_color_buffer_float' },
+    xr: { enabled: false },
+    shadowMap: { autoUpdate: true },
+    properties: { get: () => ({}) },
+    compile: vi.fn(),
+    getRenderTarget: () => null,
+    setRenderTarget: vi.fn(),
+    render: vi.fn()
+  };
+}
+
+describe('GPUParticleSystem', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should need float render targets and vertex texture reads', () => {
+    expect(GPUParticleSystem.isSupported(createRenderer())).toBe(true);
+    expect(GPUParticleSystem.isSupported(null)).toBe(false);
+
+    const noFloatTargets = createRenderer();
+    noFloatTargets.extensions.has = () => false;
+    expect(GPUParticleSystem.isSupported(noFloatTargets)).toBe(false);
+
+    const noVertexTextures = createRenderer();
+    noVertexTextures.capabilities.maxVertexTextures = 0;
+    expect(GPUParticleSystem.isSupported(noVertexTextures)).toBe(false);
+  });
+
+  it('should spawn the particles into square state textures', () => {
+    const fillInitialState = vi.spyOn(GPUParticleSystem.prototype, 'fillInitialState');
+    const particles = new GPUParticleSystem();
+    particles.initialize(createRenderer(), 10000, 8, 1);
+    expect(particles.textureSize).toBe(100);
+    expect(particles.getStateTarget().textures).toHaveLength(2);
+
+    const positions = fillInitialState.mock.calls[0][0];
+    expect(positions).toHaveLength(100 * 100 * 4);
+    for (let i4 = 0; i4 < positions.length; i4 += 4) {
+      const radius = Math.hypot(positions[i4], positions[i4 + 1], positions[i4 + 2]);
+      expect(radius).toBeGreaterThanOrEqual(8);
+      expect(radius).toBeLessThanOrEqual(10);
+    }
+
+    // Each sprite reads the texel at the centre of its own cell
+    const geometry = particles.particles.geometry;
+    expect(geometry.drawRange.count).toBe(10000);
+    expect(geometry.attributes.reference.getX(101)).toBeCloseTo(0.015);
+    expect(geometry.attributes.reference.getY(101)).toBeCloseTo(0.015);
+
+    particles.setParticleCount(1000);
+    expect(particles.textureSize).toBe(32);
+    expect(particles.particles.geometry.drawRange.count).toBe(1000);
+    particles.dispose();
+  });
+
+  it('should integrate with the settings of the CPU particles', () => {
+    const renderer = createRenderer();
+    const cpuParticles = new ParticleSystem();
+    cpuParticles.initialize(100, 8, 1);
+    cpuParticles.setIntegrator('rk4');
+    cpuParticles.setGravityModel('paczynski-wiita');
+    cpuParticles.setMaxSubsteps(4);
+
+    const particles = new GPUParticleSystem();
+    particles.initialize(renderer, 4096, 8, 1);
+    particles.copySettings(cpuParticles);
+    renderer.render.mockClear();
+    particles.update(0.1, new THREE.Vector3(1, 0, 0));
+
+    // A long frame is split into substeps, up to the CPU system's limit
+    const uniforms = particles.computeUniforms;
+    expect(uniforms.integrator.value).toBe(2);
+    expect(uniforms.pseudoNewtonian.value).toBe(true);
+    expect(uniforms.substeps.value).toBe(4);
+    expect(uniforms.timeStep.value).toBeCloseTo(0.025);
+    expect(uniforms.blackHolePosition.value.x).toBe(1);
+    expect(uniforms.attractorCount.value).toBe(0);
+
+    // One pass advanced the particles from the previous state into the other target
+    expect(renderer.render).toHaveBeenCalledTimes(1);
+    expect(renderer.setRenderTarget).toHaveBeenCalledWith(particles.getStateTarget());
+    expect(uniforms.texturePosition.value).toBe(particles.stateTargets[0].textures[0]);
+    expect(uniforms.textureVelocity.value).toBe(particles.stateTargets[0].textures[1]);
+    expect(particles.material.uniforms.texturePosition.value).toBe(particles.stateTargets[1].textures[0]);
+
+    cpuParticles.dispose();
+    particles.dispose();
+  });
+
+  it('should refuse to start when the renderer cannot link its shaders', () => {
+    const renderer = createRenderer();
+    const program = { getUniforms: vi.fn(), diagnostics: { runnable: false } };
+    renderer.properties.get = () => ({ currentProgram: program });
+
+    const particles = new GPUParticleSystem();
+    expect(() => particles.initialize(renderer, 1000, 8, 1)).toThrow(/compile/);
+    expect(renderer.compile).toHaveBeenCalled();
+    expect(renderer.render).not.toHaveBeenCalled();
+    particles.dispose();
+  });
+});
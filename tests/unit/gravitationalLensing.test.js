@@ -0,0 +1,154 @@
+import { describe, it, expect, vi } from 'vitest';
+import * as THREE from 'three';
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { RendererManager } from '../../src/engine/RendererManager.js';
+import { GravitationalLensing } from '../../src/components/GravitationalLensing.js';
+
+// jsdom cannot compile shaders; hand back the materials unvalidated so the
+// lensing pass is built the way it is in a browser
+vi.mock('../../src/utils/ShaderUtils.js', async () => {
+  const { ShaderMaterial } = await import('three');
+  return { createShaderMaterial: (config) => new ShaderMaterial(config) };
+});
+
+/**
+ * Stand-in for a WebGL renderer that records which render target each draw
+ * call went to
+ */
+function createRenderer() {
+  let target = null;
+  const size = new THREE.Vector2(800, 600);
+  return {
+    draws: [],
+    autoClear: true,
+    info: {
+      memory: { geometries: 0, textures: 0 },
+      render: { calls: 0, triangles: 0, points: 0, lines: 0, frame: 0 },
+      programs: []
+    },
+    getPixelRatio: () => 1,
+    getSize: (result) => result.copy(size),
+    setSize(width, height) {
+      size.set(width, height);
+    },
+    getRenderTarget: () => target,
+    setRenderTarget(renderTarget) {
+      target = renderTarget;
+    },
+    clear() {},
+    clearDepth() {},
+    render(object) {
+      this.draws.push({ object, target });
+    },
+    dispose() {}
+  };
+}
+
+/**
+ * Renderer manager with a composer around the stand-in renderer, as
+ * initialize() would build it around a real one
+ */
+function createRendererManager() {
+  const rendererManager = new RendererManager();
+  rendererManager.canvas = { clientWidth: 800, clientHeight: 600, removeEventListener() {} };
+  rendererManager.renderer = createRenderer();
+  rendererManager.composer = new EffectComposer(rendererManager.renderer);
+  return rendererManager;
+}
+
+describe('GravitationalLensing pass', () => {
+  it('should distort the rendered scene before it is bloomed', () => {
+    const rendererManager = createRendererManager();
+    const renderer = rendererManager.renderer;
+    const scene = new THREE.Scene();
+    const camera = new THREE.PerspectiveCamera();
+
+    const lensing = new GravitationalLensing();
+    lensing.initialize(scene);
+    lensing.setIntensity(1);
+    const pass = lensing.getPass();
+    expect(pass).not.toBeNull();
+
+    // Bloom is set up first; lensing still slots in ahead of it
+    rendererManager.enablePostProcessing(scene, camera);
+    rendererManager.enableBloom();
+    rendererManager.enableLensing(pass);
+    const { renderPass, bloomPass } = rendererManager;
+    expect(rendererManager.composer.passes).toEqual([renderPass, pass, bloomPass]);
+
+    let bloomInput = null;
+    vi.spyOn(bloomPass, 'render').mockImplementation((_renderer, _writeBuffer, readBuffer) => {
+      bloomInput = readBuffer.texture;
+    });
+
+    rendererManager.render(scene, camera);
+
+    // The scene lands in one buffer, the lensing shader reads it and writes
+    // the other, and bloom picks up the distorted image
+    const sceneDraw = renderer.draws.find((draw) => draw.object === scene);
+    const lensingDraw = renderer.draws.find((draw) => draw.object.material === lensing.getMaterial());
+    expect(sceneDraw.target).not.toBeNull();
+    expect(lensing.uniforms.tDiffuse.value).toBe(sceneDraw.target.texture);
+    expect(lensingDraw.target).not.toBe(sceneDraw.target);
+    expect(bloomInput).toBe(lensingDraw.target.texture);
+
+    const info = rendererManager.getPerformanceInfo();
+    expect(info.postProcessing).toEqual({ passes: 3, lensing: true, bloom: true });
+
+    lensing.dispose();
+    rendererManager.dispose();
+  });
+
+  it('should hand the scene straight to bloom when lensing is off', () => {
+    const rendererManager = createRendererManager();
+    const renderer = rendererManager.renderer;
+    const scene = new THREE.Scene();
+    const camera = new THREE.PerspectiveCamera();
+
+    const lensing = new GravitationalLensing();
+    lensing.initialize(scene);
+    rendererManager.enablePostProcessing(scene, camera);
+    rendererManager.enableLensing(lensing.getPass());
+    rendererManager.enableBloom();
+
+    let bloomInput = null;
+    vi.spyOn(rendererManager.bloomPass, 'render').mockImplementation((_renderer, _writeBuffer, readBuffer) => {
+      bloomInput = readBuffer.texture;
+    });
+
+    lensing.setIntensity(0);
+    rendererManager.render(scene, camera);
+
+    const sceneDraw = renderer.draws.find((draw) => draw.object === scene);
+    expect(renderer.draws.some((draw) => draw.object.material === lensing.getMaterial())).toBe(false);
+    expect(bloomInput).toBe(sceneDraw.target.texture);
+    expect(rendererManager.getPerformanceInfo().postProcessing.lensing).toBe(false);
+
+    lensing.dispose();
+    rendererManager.dispose();
+  });
+
+  it('should read the resized composer buffer after a resize', () => {
+    const rendererManager = createRendererManager();
+    const scene = new THREE.Scene();
+    const camera = new THREE.PerspectiveCamera();
+
+    const lensing = new GravitationalLensing();
+    lensing.initialize(scene);
+    lensing.setIntensity(1);
+    rendererManager.enablePostProcessing(scene, camera);
+    rendererManager.enableLensing(lensing.getPass());
+
+    rendererManager.setSize(1024, 512);
+    lensing.resize(1024, 512);
+    rendererManager.render(scene, camera);
+
+    const input = lensing.uniforms.tDiffuse.value;
+    expect(input.image.width).toBe(1024);
+    expect(input.image.height).toBe(512);
+    expect(lensing.uniforms.resolution.value.toArray()).toEqual([1024, 512]);
+
+    lensing.dispose();
+    rendererManager.dispose();
+  });
+});
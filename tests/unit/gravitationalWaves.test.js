@@ -0,0 +1,84 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { BinaryBlackHole } from '../../src/components/BinaryBlackHole.js';
+import {
+  GravitationalWaves,
+  HISTORY_LENGTH,
+  SAMPLE_INTERVAL
+} from '../../src/components/GravitationalWaves.js';
+
+describe('GravitationalWaves', () => {
+  let binary;
+  let waves;
+
+  beforeEach(() => {
+    binary = new BinaryBlackHole();
+    binary.initialize(8.0);
+    binary.setInspiralSpeed(20);
+    waves = new GravitationalWaves();
+    waves.initialize(2.0, 30.0);
+    waves.setSource(binary);
+  });
+
+  afterEach(() => {
+    waves.dispose();
+    binary.dispose();
+  });
+
+  it('should stay flat without an active source', () => {
+    for (let i = 0; i < 30; i++) {
+      waves.update(1 / 60);
+    }
+    const series = waves.getStrainSeries();
+    expect(series.plus).toHaveLength(HISTORY_LENGTH);
+    expect(series.plus.every((h) => h === 0)).toBe(true);
+  });
+
+  it('should record one sample per interval regardless of frame rate', () => {
+    binary.start();
+
+    // Two frames of very different length cover the same time as 30 samples
+    binary.update(0.1);
+    waves.update(0.1);
+    binary.update(0.4 + 1e-6);
+    waves.update(0.4 + 1e-6);
+
+    const series = waves.getStrainSeries();
+    const recorded = series.plus.filter((h) => h !== 0).length;
+    expect(recorded).toBe(Math.round(0.5 / SAMPLE_INTERVAL));
+  });
+
+  it('should chirp: the newest strain is louder and faster than the oldest', () => {
+    binary.start();
+    const frames = Math.round(12.7 / SAMPLE_INTERVAL);
+    for (let i = 0; i < frames; i++) {
+      binary.update(SAMPLE_INTERVAL);
+      waves.update(SAMPLE_INTERVAL);
+    }
+
+    const { plus, cross } = waves.getStrainSeries(0);
+    const amplitude = (i) => Math.hypot(plus[i], cross[i]);
+    const first = HISTORY_LENGTH - frames;
+    expect(amplitude(HISTORY_LENGTH - 1)).toBeGreaterThan(3 * amplitude(first));
+
+    // Face-on, h+ and h× have equal amplitude
+    expect(amplitude(first)).toBeCloseTo(4 * 0.25 * 0.25 / 8, 2);
+  });
+
+  it('should ring down after the merger', () => {
+    binary.start();
+    const step = SAMPLE_INTERVAL;
+    for (let i = 0; i < 13 / step; i++) {
+      binary.update(step);
+      waves.update(step);
+    }
+    expect(binary.hasMerged()).toBe(true);
+
+    const afterMerger = waves.amplitude;
+    for (let i = 0; i < 60; i++) {
+      binary.update(step);
+      waves.update(step);
+    }
+    expect(afterMerger).toBeGreaterThan(0);
+    expect(waves.amplitude).toBeLessThan(afterMerger * 0.5);
+  });
+});
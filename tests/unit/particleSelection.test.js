@@ -0,0 +1,63 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import * as THREE from 'three';
+import { ParticleSystem } from '../../src/components/ParticleSystem.js';
+import { ParticleSelection } from '../../src/components/ParticleSelection.js';
+
+describe('ParticleSelection', () => {
+  let system;
+  let selection;
+  let camera;
+
+  beforeEach(() => {
+    system = new ParticleSystem();
+    system.initialize(2, 8.0, 1.0);
+    system.setParticle(0, 4, 0, 0, 0, 0, -5);
+    system.setParticle(1, -4, 0, 0, 0, 0, 5);
+
+    selection = new ParticleSelection();
+    selection.initialize(system);
+
+    camera = new THREE.PerspectiveCamera(75, 1, 0.1, 1000);
+    camera.position.set(0, 0, 20);
+    camera.lookAt(0, 0, 0);
+    camera.updateMatrixWorld();
+  });
+
+  afterEach(() => {
+    selection.dispose();
+    system.dispose();
+  });
+
+  /**
+   * Screen position of a particle in normalized device coordinates, shifted by some pixels
+   */
+  function pointerAt(index, offsetPixels = 0, height = 600) {
+    const projected = new THREE.Vector3().fromArray(system.positions, index * 3).project(camera);
+    return new THREE.Vector2(projected.x + (2 * offsetPixels) / height, projected.y);
+  }
+
+  it('should pick the particle under the pointer within the pick radius', () => {
+    expect(selection.pick(pointerAt(1), camera, 600)).toBe(1);
+    expect(selection.pick(pointerAt(0, 5), camera, 600)).toBe(0);
+    expect(selection.pick(pointerAt(0, 40), camera, 600)).toBe(-1);
+  });
+
+  it('should follow the selected particle and drop it when it respawns', () => {
+    const changes = [];
+    selection.onSelectionChange((index) => changes.push(index));
+
+    selection.select(0);
+    expect(selection.marker.visible).toBe(true);
+    system.update(1 / 60);
+    selection.update();
+    const marker = selection.marker.geometry.attributes.position;
+    expect(marker.getX(0)).toBeCloseTo(system.positions[0], 5);
+    expect(marker.getZ(0)).toBeCloseTo(system.positions[2], 5);
+
+    system.resetParticle(0);
+    selection.update();
+    expect(selection.getSelectedIndex()).toBe(-1);
+    expect(selection.marker.visible).toBe(false);
+    expect(changes).toEqual([0, -1]);
+  });
+});
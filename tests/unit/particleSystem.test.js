@@ -0,0 +1,208 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ParticleSystem, PARTICLE_INTEGRATORS } from '../../src/components/ParticleSystem.js';
+import { SPEED_OF_LIGHT } from '../../src/utils/BlackHolePhysics.js';
+
+/**
+ * Put particle 0 on a circular orbit of the given radius in the disk plane,
+ * optionally slowed down by a fraction of its speed
+ */
+function placeOnCircularOrbit(system, radius, slowdown = 0) {
+  const gm = system.mass * SPEED_OF_LIGHT * SPEED_OF_LIGHT;
+  const speed = system.gravityModel === 'paczynski-wiita'
+    ? Math.sqrt(gm * radius) / (radius - system.pseudoNewtonianRadius)
+    : Math.sqrt(gm / radius);
+  system.setParticle(0, radius, 0, 0, 0, 0, -speed * (1 - slowdown));
+}
+
+describe('ParticleSystem', () => {
+  let system;
+
+  beforeEach(() => {
+    system = new ParticleSystem();
+    system.initialize(1, 8.0, 1.0);
+    system.setDiagnosticsEnabled(true);
+  });
+
+  afterEach(() => {
+    system.dispose();
+    vi.restoreAllMocks();
+  });
+
+  it('should keep circular orbits on their radius with every integrator', () => {
+    for (const integrator of PARTICLE_INTEGRATORS) {
+      system.setIntegrator(integrator);
+      placeOnCircularOrbit(system, 4.0);
+
+      system.update(1 / 60);
+      const initialEnergy = system.getDiagnostics().totalEnergy;
+
+      // About five orbits at 30 fps
+      for (let i = 0; i < 300; i++) {
+        system.update(1 / 30);
+      }
+
+      const positions = system.positions;
+      expect(Math.hypot(positions[0], positions[1], positions[2])).toBeCloseTo(4.0, 1);
+      const energy = system.getDiagnostics().totalEnergy;
+      expect(Math.abs((energy - initialEnergy) / initialEnergy)).toBeLessThan(1e-3);
+    }
+  });
+
+  it('should split long frames into substeps up to the limit', () => {
+    system.update(1 / 60);
+    expect(system.getDiagnostics().substeps).toBe(2);
+
+    system.update(0.5);
+    expect(system.getDiagnostics().substeps).toBe(8);
+
+    system.setMaxSubsteps(1);
+    system.update(0.5);
+    expect(system.getDiagnostics().substeps).toBe(1);
+  });
+
+  it('should retrace an orbit when velocity Verlet runs backwards', () => {
+    system.setIntegrator('verlet');
+    system.setParticle(0, 6, 0.5, 0, 0, 0, -10);
+    const start = Array.from(system.positions);
+
+    for (let i = 0; i < 120; i++) {
+      system.update(1 / 60);
+    }
+    expect(system.positions[0]).not.toBeCloseTo(start[0], 1);
+    for (let i = 0; i < 120; i++) {
+      system.update(-1 / 60);
+    }
+    expect(system.getDiagnostics().substeps).toBe(2);
+    system.positions.forEach((value, i) => expect(value).toBeCloseTo(start[i], 3));
+    expect(system.ages[0]).toBeCloseTo(0, 6);
+  });
+
+  it('should retrace a frame-dragged orbit when velocity Verlet runs backwards', () => {
+    system.setIntegrator('verlet');
+    system.setSpin(0.9);
+    system.setParticle(0, 3, 0.5, 0, 0, 0, -15);
+    const start = Array.from(system.positions);
+
+    for (let i = 0; i < 120; i++) {
+      system.update(1 / 60);
+    }
+    expect(system.positions[0]).not.toBeCloseTo(start[0], 1);
+    for (let i = 0; i < 120; i++) {
+      system.update(-1 / 60);
+    }
+    system.positions.forEach((value, i) => expect(value).toBeCloseTo(start[i], 4));
+  });
+
+  it('should report energy and angular momentum of the particles in flight', () => {
+    placeOnCircularOrbit(system, 4.0);
+    system.update(1 / 120);
+
+    const diagnostics = system.getDiagnostics();
+    const gm = system.mass * SPEED_OF_LIGHT * SPEED_OF_LIGHT;
+    expect(diagnostics.particles).toBe(1);
+    // Circular orbit: E = −GM/2r, L = √(GM r) along +Y
+    expect(diagnostics.totalEnergy).toBeCloseTo(-gm / 8, 2);
+    expect(diagnostics.angularMomentum.y).toBeCloseTo(Math.sqrt(gm * 4), 2);
+    expect(Math.abs(diagnostics.energyDrift)).toBeLessThan(1e-5);
+    expect(diagnostics.angularMomentumDrift).toBeLessThan(1e-5);
+
+    system.setDiagnosticsEnabled(false);
+    expect(system.getDiagnostics()).toBeNull();
+  });
+
+  it('should launch new particles on prograde orbits that survive', () => {
+    system.setParticleCount(200);
+    let respawns = 0;
+    system.onParticleReset(() => respawns++);
+
+    system.update(1 / 30);
+    const initialAngularMomentum = system.getDiagnostics().angularMomentum.y;
+    expect(initialAngularMomentum).toBeGreaterThan(0);
+
+    // Three orbital periods at the outer edge of the spawn shell
+    const gm = system.mass * SPEED_OF_LIGHT * SPEED_OF_LIGHT;
+    const period = 2 * Math.PI * Math.sqrt(Math.pow(10, 3) / gm);
+    for (let t = 0; t < 3 * period; t += 1 / 30) {
+      system.update(1 / 30);
+    }
+
+    expect(respawns).toBeLessThan(20);
+    expect(system.getDiagnostics().angularMomentum.y).toBeGreaterThan(0.9 * initialAngularMomentum);
+  });
+
+  it('should make orbits inside the ISCO plunge under Paczyński–Wiita gravity', () => {
+    system.setRecycling(false);
+
+    // ISCO at 3 rs for the default non-spinning hole (rs = 1)
+    system.setGravityModel('paczynski-wiita');
+    placeOnCircularOrbit(system, 2.5, 0.01);
+    for (let i = 0; i < 600 && !system.isCaptured(0); i++) {
+      system.update(1 / 60);
+    }
+    expect(system.isCaptured(0)).toBe(true);
+
+    // Just outside the ISCO the same nudge only makes the orbit slightly eccentric
+    placeOnCircularOrbit(system, 4.0, 0.01);
+    let innermost = Infinity;
+    for (let i = 0; i < 600; i++) {
+      system.update(1 / 60);
+      innermost = Math.min(innermost, Math.hypot(system.positions[0], system.positions[2]));
+    }
+    expect(system.isCaptured(0)).toBe(false);
+    expect(innermost).toBeGreaterThan(3.5);
+
+    // Newtonian gravity keeps the inner orbit stable
+    system.setGravityModel('newtonian');
+    placeOnCircularOrbit(system, 2.5, 0.01);
+    for (let i = 0; i < 600; i++) {
+      system.update(1 / 60);
+    }
+    expect(system.isCaptured(0)).toBe(false);
+  });
+
+  it('should predict escape, bound orbit and plunge', () => {
+    placeOnCircularOrbit(system, 4.0);
+    expect(system.getParticleState(0).fate).toBe('orbit');
+
+    // Escape speed at 4 rs is √(2GM/r) = 5
+    system.setParticle(0, 4, 0, 0, 6, 0, 0);
+    expect(system.getParticleState(0).fate).toBe('escape');
+    // Bound and without angular momentum, it turns around and falls in
+    system.setParticle(0, 4, 0, 0, 4, 0, 0);
+    expect(system.getParticleState(0).fate).toBe('plunge');
+    system.setParticle(0, 4, 0, 0, 3, 0, -3);
+    expect(system.getParticleState(0).fate).toBe('orbit');
+
+    // Falling straight in, or too slowly sideways to be held by the barrier
+    system.setParticle(0, 4, 0, 0, -1, 0, 0);
+    expect(system.getParticleState(0).fate).toBe('plunge');
+    system.setParticle(0, 4, 0, 0, -1, 0, -0.5);
+    expect(system.getParticleState(0).fate).toBe('plunge');
+  });
+
+  it('should report the state of one particle with its own clock', () => {
+    placeOnCircularOrbit(system, 4.0);
+    for (let i = 0; i < 60; i++) {
+      system.update(1 / 60);
+    }
+
+    const state = system.getParticleState(0);
+    expect(state.distance).toBeCloseTo(4.0, 2);
+    expect(state.distanceToHorizon).toBeCloseTo(3.0, 2);
+    expect(state.speed).toBeCloseTo(Math.sqrt(12.5), 2);
+    expect(state.coordinateTime).toBeCloseTo(1.0, 4);
+    // Circular orbit: dτ/dt = √(1 − 3rs/2r)
+    expect(state.properTime).toBeCloseTo(Math.sqrt(1 - 3 / 8), 3);
+    expect(system.getParticleState(1)).toBeNull();
+
+    system.setParticle(0, 4, 0, 0, 0, 0, 0);
+    expect(system.getParticleState(0).coordinateTime).toBe(0);
+  });
+
+  it('should fall back to velocity Verlet for unknown integrators', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    system.setIntegrator('leapfrog');
+    expect(system.integrator).toBe('verlet');
+    expect(warn).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { ParticleSystem } from '../../src/components/ParticleSystem.js';
+import { ParticleTrails } from '../../src/components/ParticleTrails.js';
+
+describe('ParticleTrails', () => {
+  let particles;
+  let trails;
+
+  beforeEach(() => {
+    particles = new ParticleSystem();
+    particles.initialize(10, 8.0, 1.0);
+    trails = new ParticleTrails();
+    trails.initialize(particles, 16, 0.05);
+    trails.setEnabled(true);
+  });
+
+  afterEach(() => {
+    trails.dispose();
+    particles.dispose();
+  });
+
+  it('should record one sample per interval regardless of frame rate', () => {
+    for (let i = 0; i < 60; i++) {
+      trails.update(1 / 60);
+    }
+    const atSixtyFps = trails.sampleIndex;
+
+    trails.setEnabled(false);
+    trails.setEnabled(true);
+    for (let i = 0; i < 30; i++) {
+      trails.update(1 / 30);
+    }
+
+    // One second at 0.05 s per sample, give or take rounding at the last frame
+    for (const samples of [atSixtyFps, trails.sampleIndex]) {
+      expect(samples).toBeGreaterThanOrEqual(19);
+      expect(samples).toBeLessThanOrEqual(20);
+    }
+    expect(trails.head).toBe(trails.sampleIndex % 16);
+  });
+
+  it('should keep the head of each trail on its particle', () => {
+    for (let i = 0; i < 10; i++) {
+      particles.update(1 / 60);
+      trails.update(1 / 60);
+    }
+
+    const head = (trails.head * trails.count + 3) * 6;
+    expect(trails.positions[head]).toBe(particles.positions[9]);
+    expect(trails.positions[head + 1]).toBe(particles.positions[10]);
+    expect(trails.positions[head + 2]).toBe(particles.positions[11]);
+  });
+
+  it('should restart the trail of a respawned particle', () => {
+    for (let i = 0; i < 10; i++) {
+      trails.update(0.05);
+    }
+    expect(trails.births[4]).toBe(0);
+
+    particles.resetParticle(4);
+    expect(trails.births[4]).toBe(trails.sampleIndex);
+    expect(trails.births[5]).toBe(0);
+  });
+
+  it('should halve the trails while performance is degraded', () => {
+    trails.setDegraded(true);
+    expect(trails.getEffectiveLength()).toBe(8);
+    expect(trails.positions.length).toBe(8 * 10 * 2 * 3);
+
+    trails.setDegraded(false);
+    expect(trails.getEffectiveLength()).toBe(16);
+  });
+
+  it('should follow changes of the particle count', () => {
+    particles.setParticleCount(20);
+    trails.update(1 / 60);
+    expect(trails.count).toBe(20);
+    expect(trails.positions.length).toBe(16 * 20 * 2 * 3);
+  });
+});
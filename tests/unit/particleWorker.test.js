@@ -0,0 +1,154 @@
+import { describe, it, expect, vi } from 'vitest';
+import * as THREE from 'three';
+import { ParticleSystem } from '../../src/components/ParticleSystem.js';
+import { ParticleWorker } from '../../src/components/ParticleWorker.js';
+import {
+  PARTICLE_STATE_STRIDE,
+  createParticleWorkerHandler,
+  packParticleState,
+  unpackParticleState
+} from '../../src/workers/particleWorker.js';
+
+// A worker that runs the real message handler on the test's thread; messages
+// are delivered when flush() is called, as if the worker ran between frames
+function createFakeWorker() {
+  const toWorker = [];
+  const toMain = [];
+  const worker = {
+    onmessage: null,
+    onerror: null,
+    terminate: vi.fn(),
+    postMessage: (data) => toWorker.push(data),
+    flush() {
+      toWorker.splice(0).forEach((data) => handle(data));
+      toMain.splice(0).forEach((data) => worker.onmessage({ data }));
+    }
+  };
+  const handle = createParticleWorkerHandler((data) => toMain.push(data));
+  return worker;
+}
+
+// Two particle systems with the same particles
+function createTwins(count) {
+  const main = new ParticleSystem();
+  main.initialize(count, 8, 1);
+  const twin = new ParticleSystem();
+  twin.initialize(count, 8, 1);
+
+  const state = new Float32Array(count * PARTICLE_STATE_STRIDE);
+  packParticleState(main, state);
+  unpackParticleState(twin, state);
+  return [main, twin];
+}
+
+describe('ParticleWorker', () => {
+  it('should integrate the particles like the main thread', () => {
+    const [particles, reference] = createTwins(200);
+    particles.setIntegrator('rk4');
+    reference.setIntegrator('rk4');
+
+    const fakeWorker = createFakeWorker();
+    const particleWorker = new ParticleWorker(() => fakeWorker);
+    particleWorker.initialize(particles);
+    const blackHolePosition = new THREE.Vector3();
+
+    // The first frame only starts the step; its result shows a frame later
+    particleWorker.step(1 / 60, blackHolePosition);
+    fakeWorker.flush();
+    particleWorker.step(0, blackHolePosition);
+
+    reference.update(1 / 60, blackHolePosition);
+    reference.update(0, blackHolePosition);
+    fakeWorker.flush();
+    particleWorker.step(0, blackHolePosition);
+
+    expect(Array.from(particles.positions)).toEqual(Array.from(reference.positions));
+    expect(Array.from(particles.velocities)).toEqual(Array.from(reference.velocities));
+    expect(particles.ages[0]).toBeCloseTo(1 / 60);
+    expect(particles.properTimes[0]).toBeGreaterThan(0);
+
+    particleWorker.dispose();
+    expect(fakeWorker.terminate).toHaveBeenCalled();
+    particles.dispose();
+    reference.dispose();
+  });
+
+  it('should send the attractors as plain numbers', () => {
+    const [particles, reference] = createTwins(100);
+    const attractors = [
+      { position: new THREE.Vector3(-3, 0, 0), mass: 0.25, horizonRadius: 0.5 },
+      { position: new THREE.Vector3(3, 0, 0), mass: 0.25, horizonRadius: 0.5 }
+    ];
+    particles.setAttractors(attractors);
+    reference.setAttractors(attractors);
+
+    const fakeWorker = createFakeWorker();
+    const sent = [];
+    const postMessage = fakeWorker.postMessage;
+    fakeWorker.postMessage = (data) => {
+      sent.push(data);
+      postMessage(data);
+    };
+    const particleWorker = new ParticleWorker(() => fakeWorker);
+    particleWorker.initialize(particles);
+    const blackHolePosition = new THREE.Vector3();
+
+    particleWorker.step(1 / 60, blackHolePosition);
+    fakeWorker.flush();
+    particleWorker.step(0, blackHolePosition);
+    reference.update(1 / 60, blackHolePosition);
+
+    const step = sent.find((data) => data.type === 'step');
+    expect(step.attractors).toBeInstanceOf(Float64Array);
+    expect(Array.from(step.attractors)).toEqual([-3, 0, 0, 0.25, 0.5, 3, 0, 0, 0.25, 0.5]);
+    expect(step.settings.attractors).toBeUndefined();
+    expect(Array.from(particles.positions)).toEqual(Array.from(reference.positions));
+
+    particleWorker.dispose();
+    particles.dispose();
+    reference.dispose();
+  });
+
+  it('should follow particle count changes and drop stale states', () => {
+    const particles = new ParticleSystem();
+    particles.initialize(100, 8, 1);
+    const fakeWorker = createFakeWorker();
+    const particleWorker = new ParticleWorker(() => fakeWorker);
+    particleWorker.initialize(particles);
+    const blackHolePosition = new THREE.Vector3();
+
+    particleWorker.step(1 / 60, blackHolePosition);
+    particles.setParticleCount(40);
+    particleWorker.setParticleCount(40);
+    fakeWorker.flush();
+    expect(particleWorker.latestState).toBeNull();
+
+    particleWorker.step(1 / 60, blackHolePosition);
+    fakeWorker.flush();
+    expect(particleWorker.latestState.buffer.length).toBe(40 * PARTICLE_STATE_STRIDE);
+    particleWorker.step(1 / 60, blackHolePosition);
+    expect(particles.positions.length).toBe(120);
+
+    particleWorker.dispose();
+    particles.dispose();
+  });
+
+  it('should stop and report a worker that fails', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const particles = new ParticleSystem();
+    particles.initialize(10, 8, 1);
+    const fakeWorker = createFakeWorker();
+    const particleWorker = new ParticleWorker(() => fakeWorker);
+    const failed = vi.fn();
+    particleWorker.onError(failed);
+    particleWorker.initialize(particles);
+
+    fakeWorker.onerror({ message: 'Module workers are not supported' });
+    expect(failed).toHaveBeenCalled();
+    expect(fakeWorker.terminate).toHaveBeenCalled();
+    expect(particleWorker.worker).toBeNull();
+
+    particles.dispose();
+    warn.mockRestore();
+  });
+});
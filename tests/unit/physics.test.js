@@ -0,0 +1,308 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MAX_SPIN,
+  SHADOW_PROFILE_SAMPLES,
+  deriveBlackHoleProperties,
+  diskFrequencyShift,
+  horizonRadius,
+  iscoRadius,
+  photonOrbitAngle,
+  photonOrbitRadius,
+  pseudoNewtonianRadius,
+  properTimeRate,
+  frameDraggingAngularVelocity,
+  shadowProfile,
+  tidalRadius,
+  tidalGradient,
+  inspiralRate,
+  mergerRemnant,
+  quasinormalMode
+} from '../../src/utils/BlackHolePhysics.js';
+
+/**
+ * Starting state of a photon sent inward from radius r0 with impact parameter
+ * b, from the first integral (du/dφ)² = 1/b² − u² + 2Mu³
+ */
+function inboundPhoton(mass, r0, b) {
+  const u = 1 / r0;
+  return [u, Math.sqrt(1 / (b * b) - u * u + 2 * mass * u * u * u)];
+}
+
+/**
+ * Angle swept by that photon on its way back out to infinity, from the exact
+ * orbit integral φ = ∫ du / √(1/b² − u² + 2Mu³) by Simpson's rule
+ */
+function exactOrbitAngle(mass, r0, b) {
+  const P = (u) => 1 / (b * b) - u * u + 2 * mass * u * u * u;
+  const simpson = (f, a, c, n = 2000) => {
+    const h = (c - a) / n;
+    let sum = f(a) + f(c);
+    for (let i = 1; i < n; i++) {
+      sum += (i % 2 ? 4 : 2) * f(a + i * h);
+    }
+    return sum * h / 3;
+  };
+
+  // Turning point: the root of P below the photon sphere
+  let low = 0;
+  let high = 1 / (3 * mass);
+  for (let i = 0; i < 100; i++) {
+    const mid = 0.5 * (low + high);
+    if (P(mid) > 0) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  const turn = low;
+
+  // u = turn (1 − t²) removes the square-root singularity at the turning
+  // point, where the integrand tends to 2√(turn / −P′(turn))
+  const slope = 2 * turn - 6 * mass * turn * turn;
+  const toTurn = simpson((t) => {
+    if (t === 0) {
+      return 2 * Math.sqrt(turn / slope);
+    }
+    return 2 * turn * t / Math.sqrt(P(turn * (1 - t * t)));
+  }, 0, 1);
+  const toObserver = simpson((u) => 1 / Math.sqrt(P(u)), 0, 1 / r0);
+  return 2 * toTurn - toObserver;
+}
+
+describe('BlackHolePhysics', () => {
+  describe('horizon and orbits', () => {
+    it('should reduce to Schwarzschild values without spin', () => {
+      expect(horizonRadius(1, 0)).toBeCloseTo(2);
+      expect(iscoRadius(1, 0)).toBeCloseTo(6);
+      expect(photonOrbitRadius(1, 0)).toBeCloseTo(3);
+    });
+
+    it('should shrink the horizon and prograde ISCO with spin', () => {
+      expect(horizonRadius(1, MAX_SPIN)).toBeCloseTo(1.063, 2);
+      expect(iscoRadius(1, MAX_SPIN)).toBeCloseTo(1.237, 2);
+      expect(iscoRadius(1, 0.5)).toBeLessThan(iscoRadius(1, 0));
+    });
+
+    it('should push the retrograde ISCO outward with spin', () => {
+      expect(iscoRadius(1, MAX_SPIN, false)).toBeCloseTo(8.99, 1);
+    });
+
+    it('should place the Paczyński–Wiita ISCO on the Kerr ISCO', () => {
+      // The original potential uses rp = rs without spin
+      expect(pseudoNewtonianRadius(1, 0)).toBeCloseTo(2);
+      expect(3 * pseudoNewtonianRadius(1, 0.9)).toBeCloseTo(iscoRadius(1, 0.9));
+    });
+
+    it('should clamp spin to the supported range', () => {
+      expect(horizonRadius(1, 2)).toBeCloseTo(horizonRadius(1, MAX_SPIN));
+      expect(iscoRadius(1, -1)).toBeCloseTo(6);
+    });
+  });
+
+  describe('derived properties', () => {
+    it('should derive all radii from the mass', () => {
+      const properties = deriveBlackHoleProperties(1.5);
+      const rs = properties.schwarzschildRadius;
+      expect(rs).toBe(3);
+      expect(properties.horizonRadius).toBeCloseTo(rs);
+      expect(properties.photonSphereRadius).toBeCloseTo(1.5 * rs);
+      expect(properties.iscoRadius).toBeCloseTo(3 * rs);
+    });
+
+    it('should scale linearly with mass at fixed spin', () => {
+      const small = deriveBlackHoleProperties(0.5, 0.7);
+      const large = deriveBlackHoleProperties(1.0, 0.7);
+      expect(large.horizonRadius).toBeCloseTo(2 * small.horizonRadius);
+      expect(large.iscoRadius).toBeCloseTo(2 * small.iscoRadius);
+    });
+  });
+
+  describe('frame dragging', () => {
+    it('should vanish without spin', () => {
+      expect(frameDraggingAngularVelocity(1, 0, 5)).toBe(0);
+    });
+
+    it('should be strongest close to the hole', () => {
+      const near = frameDraggingAngularVelocity(0.5, 0.9, 2);
+      const far = frameDraggingAngularVelocity(0.5, 0.9, 10);
+      expect(near).toBeGreaterThan(far);
+      expect(far).toBeGreaterThan(0);
+    });
+  });
+
+  describe('tidal radius', () => {
+    it('should grow with the cube root of the mass ratio', () => {
+      expect(tidalRadius(1, 1000, 1)).toBeCloseTo(10);
+      expect(tidalRadius(2, 8, 1)).toBeCloseTo(4);
+    });
+  });
+
+  describe('proper time', () => {
+    it('should follow gravitational and kinematic time dilation', () => {
+      // Static clock at 4 rs: √(1 − rs/r)
+      expect(properTimeRate(0.5, 4)).toBeCloseTo(Math.sqrt(0.75), 10);
+      expect(properTimeRate(0.5, 4, 0, 5)).toBeLessThan(properTimeRate(0.5, 4));
+      expect(properTimeRate(0.5, 1e9)).toBeCloseTo(1, 6);
+    });
+
+    it('should stop at the horizon and at light speed', () => {
+      expect(properTimeRate(0.5, 1)).toBe(0);
+      expect(properTimeRate(0.5, 1e9, 0, 10)).toBe(0);
+    });
+  });
+
+  describe('tidal gradient', () => {
+    it('should stretch twice as hard as it squeezes in Newtonian gravity', () => {
+      const { radial, transverse } = tidalGradient(0.5, 4);
+      // 2GM/r³ with GM = 50
+      expect(radial).toBeCloseTo(100 / 64, 10);
+      expect(transverse).toBeCloseTo(radial / 2, 10);
+    });
+
+    it('should be stronger in the pseudo-Newtonian potential', () => {
+      const newtonian = tidalGradient(0.5, 4);
+      const pseudo = tidalGradient(0.5, 4, 1);
+      expect(pseudo.radial).toBeGreaterThan(newtonian.radial);
+      expect(pseudo.transverse).toBeGreaterThan(newtonian.transverse);
+    });
+  });
+
+  describe('binary inspiral', () => {
+    it('should shrink faster as the holes approach', () => {
+      const far = inspiralRate(0.25, 0.25, 8);
+      const near = inspiralRate(0.25, 0.25, 4);
+      expect(far).toBeLessThan(0);
+      expect(near / far).toBeCloseTo(8);
+    });
+
+    it('should leave a lighter, spinning remnant', () => {
+      const equal = mergerRemnant(0.5, 0.5);
+      expect(equal.mass).toBeCloseTo(0.952, 3);
+      expect(equal.spin).toBeCloseTo(0.69, 2);
+
+      // A small companion barely changes the larger hole
+      const extreme = mergerRemnant(1, 0.001);
+      expect(extreme.mass).toBeGreaterThan(0.99);
+      expect(extreme.spin).toBeLessThan(0.01);
+    });
+
+    it('should ring down at the Schwarzschild quasinormal frequency', () => {
+      // Mω ≈ 0.3737 and damping time ≈ 11.2 M for a non-spinning hole
+      const mode = quasinormalMode(1, 0);
+      expect(mode.angularFrequency / 10).toBeCloseTo(0.368, 2);
+      expect(mode.dampingTime * 10).toBeCloseTo(11.5, 0);
+
+      // Spinning remnants ring faster and longer
+      const spinning = quasinormalMode(1, 0.7);
+      expect(spinning.angularFrequency).toBeGreaterThan(mode.angularFrequency);
+      expect(spinning.dampingTime).toBeGreaterThan(mode.dampingTime);
+    });
+  });
+
+  describe('shadow profile', () => {
+    it('should be a circle of radius √27 without spin', () => {
+      const profile = shadowProfile(0);
+      expect(profile).toHaveLength(SHADOW_PROFILE_SAMPLES);
+      for (const radius of profile) {
+        expect(radius).toBeCloseTo(Math.sqrt(27));
+      }
+    });
+
+    it('should flatten the co-rotating side for an edge-on observer', () => {
+      const profile = shadowProfile(MAX_SPIN, Math.PI / 2);
+      const retrograde = profile[0];
+      const prograde = profile[SHADOW_PROFILE_SAMPLES / 2];
+      expect(prograde).toBeCloseTo(2.1, 1);
+      expect(retrograde).toBeCloseTo(7.0, 1);
+    });
+
+    it('should be symmetric about the equatorial plane', () => {
+      const profile = shadowProfile(0.7, 1.0);
+      const quarter = SHADOW_PROFILE_SAMPLES / 4;
+      expect(profile[quarter]).toBeCloseTo(profile[3 * quarter], 3);
+    });
+
+    it('should write into a provided array', () => {
+      const target = new Float32Array(SHADOW_PROFILE_SAMPLES);
+      expect(shadowProfile(0.5, 1.2, target)).toBe(target);
+    });
+  });
+
+  describe('photon orbits', () => {
+    const r0 = 1000;
+
+    it('should capture photons inside the √27 M shadow', () => {
+      const critical = Math.sqrt(27);
+      expect(photonOrbitAngle(1, ...inboundPhoton(1, r0, 0.98 * critical))).toBe(-1);
+      expect(photonOrbitAngle(1, ...inboundPhoton(1, r0, 1.02 * critical))).toBeGreaterThan(0);
+
+      // Twice the mass, twice the shadow
+      expect(photonOrbitAngle(2, ...inboundPhoton(2, r0, 1.96 * critical))).toBe(-1);
+      expect(photonOrbitAngle(2, ...inboundPhoton(2, r0, 2.04 * critical))).toBeGreaterThan(0);
+    });
+
+    it('should follow the exact Schwarzschild orbit integral', () => {
+      for (const b of [5.5, 6, 8, 20, 100]) {
+        const angle = photonOrbitAngle(1, ...inboundPhoton(1, r0, b));
+        expect(angle).toBeCloseTo(exactOrbitAngle(1, r0, b), 3);
+      }
+    });
+
+    it('should bend distant rays by 4M/b', () => {
+      const b = 200;
+      // A straight line from r0 sweeps π minus its angle to the inward radial
+      const straight = Math.PI - Math.asin(b / r0);
+      const deflection = photonOrbitAngle(1, ...inboundPhoton(1, r0, b)) - straight;
+      expect(deflection).toBeCloseTo(4 / b, 2);
+    });
+
+    it('should wrap rays near the photon sphere round into secondary images', () => {
+      const deflection = (b) => photonOrbitAngle(1, ...inboundPhoton(1, r0, b)) - Math.PI;
+      expect(deflection(5.3)).toBeGreaterThan(Math.PI);
+      expect(deflection(5.3)).toBeGreaterThan(deflection(6));
+      expect(deflection(6)).toBeGreaterThan(deflection(10));
+    });
+  });
+
+  describe('disk frequency shift', () => {
+    // Edge-on observer far out on +Z; the disk turns counter-clockwise
+    // around +Y, so gas on -X comes towards it
+    const lineOfSight = { x: 0, y: 0, z: -1 };
+    const r = 6;
+    const beta = Math.sqrt(1 / r);
+
+    it('should beam the approaching side and dim the receding side', () => {
+      const approaching = diskFrequencyShift(1, { x: -r, y: 0, z: 0 }, lineOfSight, true, false);
+      const receding = diskFrequencyShift(1, { x: r, y: 0, z: 0 }, lineOfSight, true, false);
+
+      expect(approaching).toBeCloseTo(Math.sqrt((1 + beta) / (1 - beta)), 10);
+      expect(receding).toBeCloseTo(Math.sqrt((1 - beta) / (1 + beta)), 10);
+
+      // Intensity goes as g⁴: about 30 times brighter at 3 rs
+      const contrast = Math.pow(approaching / receding, 4);
+      expect(contrast).toBeCloseTo(Math.pow((1 + beta) / (1 - beta), 4), 8);
+      expect(contrast).toBeGreaterThan(30);
+    });
+
+    it('should leave only the transverse Doppler shift across the line of sight', () => {
+      const near = diskFrequencyShift(1, { x: 0, y: 0, z: r }, lineOfSight, true, false);
+      expect(near).toBeCloseTo(Math.sqrt(1 - beta * beta), 10);
+
+      // Seen face-on every side is alike
+      const faceOn = { x: 0, y: -1, z: 0 };
+      expect(diskFrequencyShift(1, { x: -r, y: 0, z: 0 }, faceOn, true, false))
+        .toBeCloseTo(diskFrequencyShift(1, { x: r, y: 0, z: 0 }, faceOn, true, false), 10);
+    });
+
+    it('should redshift light climbing out of the potential by √(1 − rs/r)', () => {
+      const redshift = diskFrequencyShift(1, { x: r, y: 0, z: 0 }, lineOfSight, false, true);
+      expect(redshift).toBeCloseTo(Math.sqrt(1 - 2 / r), 10);
+      expect(diskFrequencyShift(1, { x: -r, y: 0, z: 0 }, lineOfSight, false, true)).toBeCloseTo(redshift, 10);
+
+      // Both effects multiply, and switching both off leaves the light alone
+      const both = diskFrequencyShift(1, { x: -r, y: 0, z: 0 }, lineOfSight);
+      expect(both).toBeCloseTo(redshift * Math.sqrt((1 + beta) / (1 - beta)), 10);
+      expect(diskFrequencyShift(1, { x: -r, y: 0, z: 0 }, lineOfSight, false, false)).toBe(1);
+    });
+  });
+});
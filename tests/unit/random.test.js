@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { Random } from '../../src/utils/Random.js';
+import { ParticleSystem } from '../../src/components/ParticleSystem.js';
+import { Starfield } from '../../src/components/Starfield.js';
+
+/**
+ * Run a seeded particle system for a number of fixed steps
+ */
+function runParticles(seed, steps) {
+  const system = new ParticleSystem();
+  system.setRandom(new Random(seed).stream('particles'));
+  system.initialize(200, 8.0, 1.0);
+  const origin = new THREE.Vector3();
+  for (let i = 0; i < steps; i++) {
+    system.update(1 / 60, origin);
+  }
+  const state = {
+    positions: Float32Array.from(system.positions),
+    velocities: Float32Array.from(system.velocities)
+  };
+  system.dispose();
+  return state;
+}
+
+describe('Random', () => {
+  it('should reproduce the mulberry32 sequence of a seed', () => {
+    const random = new Random(1);
+    expect(random.next()).toBe(0.6270739405881613);
+    expect(random.next()).toBe(0.002735721180215478);
+
+    random.reset();
+    expect(random.next()).toBe(0.6270739405881613);
+    expect(new Random(2).next()).not.toBe(0.6270739405881613);
+  });
+
+  it('should derive independent streams and resume from a saved state', () => {
+    const random = new Random(42);
+    const first = random.stream('particles').next();
+    random.next();
+    expect(random.stream('particles').next()).toBe(first);
+    expect(random.stream('starfield').next()).not.toBe(first);
+
+    const stream = random.stream('jets');
+    stream.next();
+    const state = stream.getState();
+    const expected = [stream.next(), stream.next()];
+    const copy = new Random(0);
+    copy.setState(state);
+    expect([copy.next(), copy.next()]).toEqual(expected);
+  });
+
+  it('should produce bit-identical particle states for the same seed', () => {
+    const a = runParticles(7, 120);
+    const b = runParticles(7, 120);
+    expect(b.positions).toEqual(a.positions);
+    expect(b.velocities).toEqual(a.velocities);
+
+    const other = runParticles(8, 120);
+    expect(other.positions).not.toEqual(a.positions);
+  });
+
+  it('should rebuild the same stars for the same seed', () => {
+    const starfield = new Starfield();
+    starfield.setRandom(new Random(3).stream('starfield'));
+    starfield.initialize(100, 50);
+    const positions = Float32Array.from(starfield.geometry.attributes.position.array);
+
+    starfield.setRandom(new Random(4).stream('starfield'));
+    expect(starfield.geometry.attributes.position.array).not.toEqual(positions);
+
+    starfield.setRandom(new Random(3).stream('starfield'));
+    expect(starfield.geometry.attributes.position.array).toEqual(positions);
+    starfield.dispose();
+  });
+});
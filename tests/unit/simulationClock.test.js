@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MAX_TIME_SCALE,
+  SIMULATION_TIMESTEP,
+  SimulationClock
+} from '../../src/engine/SimulationClock.js';
+
+describe('SimulationClock', () => {
+  it('should pay out fixed steps whatever the frame rate', () => {
+    const clock = new SimulationClock();
+    const steps = [0.01, 0.01, 0.01, 0.02].map((frameTime) => clock.advance(frameTime));
+    expect(steps).toEqual([0, 1, 0, 2]);
+    expect(clock.elapsedTime).toBeCloseTo(3 * SIMULATION_TIMESTEP);
+
+    // A long stall is clamped instead of being caught up
+    expect(clock.advance(10)).toBe(15);
+  });
+
+  it('should scale time, pause and single-step', () => {
+    const clock = new SimulationClock();
+    clock.setTimeScale(10);
+    expect(clock.advance(1 / 60)).toBe(10);
+
+    clock.setTimeScale(1e6);
+    expect(clock.getTimeScale()).toBe(MAX_TIME_SCALE);
+    clock.setTimeScale(0.1);
+
+    clock.setPaused(true);
+    expect(clock.advance(1)).toBe(0);
+    clock.step();
+    clock.step(2);
+    expect(clock.advance(1 / 60)).toBe(3);
+    expect(clock.advance(1 / 60)).toBe(0);
+    expect(clock.isPaused()).toBe(true);
+  });
+
+  it('should run simulation time backwards in reverse', () => {
+    const clock = new SimulationClock();
+    clock.advance(0.1);
+    const time = clock.elapsedTime;
+
+    clock.setReversed(true);
+    expect(clock.getStepDuration()).toBe(-SIMULATION_TIMESTEP);
+    const steps = clock.advance(0.1);
+    expect(steps).toBe(6);
+    expect(clock.elapsedTime).toBeCloseTo(time - 6 * SIMULATION_TIMESTEP);
+  });
+
+  it('should jump to a time without stepping for time collected before', () => {
+    const clock = new SimulationClock();
+    clock.advance(0.5 * SIMULATION_TIMESTEP);
+    clock.step(3);
+
+    clock.setElapsedTime(42);
+    expect(clock.elapsedTime).toBe(42);
+    expect(clock.advance(0.6 * SIMULATION_TIMESTEP)).toBe(0);
+    expect(clock.elapsedTime).toBe(42);
+  });
+});
@@ -0,0 +1,176 @@
+import { describe, it, expect, vi } from 'vitest';
+import { readFileSync } from 'node:fs';
+import * as THREE from 'three';
+import { HDRLoader } from 'three/examples/jsm/loaders/HDRLoader.js';
+import {
+  SkyBackground,
+  resolveBackgroundSource
+} from '../../src/components/SkyBackground.js';
+import {
+  GravitationalLensing,
+  DEFAULT_ENVIRONMENT_SIZE
+} from '../../src/components/GravitationalLensing.js';
+import { equatorialToDirection } from '../../src/utils/StarCatalogue.js';
+
+describe('SkyBackground', () => {
+  it('should resolve bundled names, URLs and cubemap faces', () => {
+    expect(resolveBackgroundSource('none')).toBeNull();
+    expect(resolveBackgroundSource('milkyWay')).toBe('/backgrounds/milky-way.hdr');
+    expect(resolveBackgroundSource('https://example.com/sky.jpg')).toBe('https://example.com/sky.jpg');
+
+    const faces = ['px', 'nx', 'py', 'ny', 'pz', 'nz'].map((face) => `${face}.png`);
+    expect(resolveBackgroundSource(faces)).toBe(faces);
+    expect(resolveBackgroundSource(faces.slice(1))).toBeNull();
+  });
+
+  it('should align the bundled Milky Way with the star catalogue', () => {
+    const file = readFileSync('public/backgrounds/milky-way.hdr');
+    const loader = new HDRLoader().setDataType(THREE.FloatType);
+    const { width, height, data } = loader.parse(
+      file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength)
+    );
+    expect(width).toBe(2 * height);
+
+    // Radiance of the panorama along a direction, using three.js's
+    // equirectangular lookup (first row at the top)
+    const radiance = (direction) => {
+      const u = Math.atan2(direction.z, direction.x) / (2 * Math.PI) + 0.5;
+      const v = Math.asin(direction.y) / Math.PI + 0.5;
+      const x = Math.min(width - 1, Math.floor(u * width));
+      const y = Math.min(height - 1, Math.floor((1 - v) * height));
+      const index = (y * width + x) * 4;
+      return data[index] + data[index + 1] + data[index + 2];
+    };
+
+    // The galactic centre in Sagittarius outshines the galactic poles
+    const galacticCentre = radiance(equatorialToDirection(17.76, -28.94));
+    expect(galacticCentre).toBeGreaterThan(10 * radiance(equatorialToDirection(12.86, 27.13)));
+    expect(galacticCentre).toBeGreaterThan(10 * radiance(equatorialToDirection(0.86, -27.13)));
+  });
+
+  it('should keep the most recently requested background', async () => {
+    const sky = new SkyBackground();
+    const callback = vi.fn();
+    sky.onLoad(callback);
+
+    const first = new THREE.Texture();
+    const second = new THREE.Texture();
+    const firstDisposed = vi.spyOn(first, 'dispose');
+    let finishFirst;
+    vi.spyOn(sky, 'loadTexture')
+      .mockImplementationOnce(() => new Promise((resolve) => { finishFirst = resolve; }))
+      .mockImplementationOnce(() => Promise.resolve(second));
+
+    const slow = sky.load('first.hdr');
+    await sky.load('second.hdr');
+    finishFirst(first);
+    expect(await slow).toBeNull();
+
+    expect(sky.getTexture()).toBe(second);
+    expect(sky.getSource()).toBe('second.hdr');
+    expect(firstDisposed).toHaveBeenCalled();
+    expect(callback).toHaveBeenCalledTimes(1);
+
+    await sky.load('none');
+    expect(sky.getTexture()).toBeNull();
+    expect(callback).toHaveBeenLastCalledWith(null);
+    sky.dispose();
+  });
+
+  it('should fall back to no background when an image fails to load', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const sky = new SkyBackground();
+    vi.spyOn(sky, 'loadTexture').mockImplementation(() => Promise.reject(new Error('404')));
+
+    expect(await sky.load('missing.hdr')).toBeNull();
+    expect(sky.getSource()).toBe('none');
+    expect(warn).toHaveBeenCalled();
+
+    sky.dispose();
+    warn.mockRestore();
+  });
+});
+
+describe('GravitationalLensing sky background', () => {
+  it('should leave the sky to the camera when the lensing shader is unavailable', () => {
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    // Shaders cannot compile without WebGL, so there is no lensing pass
+    const lensing = new GravitationalLensing();
+    lensing.initialize(new THREE.Scene());
+    expect(lensing.getPass()).toBeNull();
+
+    const texture = new THREE.Texture();
+    lensing.setBackground(texture);
+    expect(lensing.uniforms.backgroundEnabled.value).toBe(true);
+    expect(lensing.drawsEnvironment()).toBe(false);
+
+    // Nothing is captured into the environment either
+    const scene = new THREE.Scene();
+    const renderer = { setRenderTarget: vi.fn(), render: vi.fn() };
+    lensing.updateEnvironment(renderer, scene);
+    expect(renderer.render).not.toHaveBeenCalled();
+    expect(scene.background).toBeNull();
+
+    lensing.dispose();
+    log.mockRestore();
+    warn.mockRestore();
+    error.mockRestore();
+  });
+
+  it('should capture the environment only when it is stale', () => {
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const lensing = new GravitationalLensing();
+    lensing.initialize(new THREE.Scene());
+    expect(lensing.getEnvironmentSize()).toBe(DEFAULT_ENVIRONMENT_SIZE);
+    // Stand in for the pass that a WebGL context would have compiled
+    lensing.pass = { enabled: true };
+    lensing.setBackground(new THREE.Texture());
+
+    const scene = new THREE.Scene();
+    const update = vi.spyOn(lensing.cubeCamera, 'update').mockImplementation(() => {});
+    const captures = () => {
+      let count = 0;
+      for (let frame = 0; frame < 30; frame++) {
+        if (lensing.updateEnvironment({}, scene)) {
+          count++;
+        }
+      }
+      return count;
+    };
+
+    // Once when stale, then at the refresh interval
+    expect(captures()).toBe(2);
+    expect(update).toHaveBeenCalledTimes(2);
+
+    // A moving black hole is captured every frame
+    lensing.setBackgroundIntensity(2);
+    lensing.blackHolePosition.x = 1;
+    expect(lensing.updateEnvironment({}, scene)).toBe(true);
+    lensing.blackHolePosition.x = 2;
+    expect(lensing.updateEnvironment({}, scene)).toBe(true);
+    expect(lensing.updateEnvironment({}, scene)).toBe(false);
+
+    // A new size rebuilds the cubemap and captures it again
+    const target = lensing.cubeRenderTarget;
+    lensing.setEnvironmentSize(256);
+    expect(lensing.cubeRenderTarget).not.toBe(target);
+    expect(lensing.uniforms.environmentMap.value).toBe(lensing.cubeRenderTarget.texture);
+    vi.spyOn(lensing.cubeCamera, 'update').mockImplementation(() => {});
+    expect(lensing.updateEnvironment({}, scene)).toBe(true);
+
+    lensing.setEnvironmentSize(300);
+    expect(lensing.getEnvironmentSize()).toBe(DEFAULT_ENVIRONMENT_SIZE);
+
+    lensing.pass = null;
+    lensing.dispose();
+    log.mockRestore();
+    warn.mockRestore();
+    error.mockRestore();
+  });
+});
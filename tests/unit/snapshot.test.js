@@ -0,0 +1,165 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as THREE from 'three';
+import { Random } from '../../src/utils/Random.js';
+import { ParticleSystem } from '../../src/components/ParticleSystem.js';
+import { ConfigurationManager } from '../../src/engine/ConfigurationManager.js';
+import { AccretionDisk } from '../../src/components/AccretionDisk.js';
+import { RelativisticJets } from '../../src/components/RelativisticJets.js';
+import {
+  SNAPSHOT_FORMAT,
+  SNAPSHOT_VERSION,
+  encodeFloat32Array,
+  decodeFloat32Array,
+  captureParticles,
+  restoreParticles,
+  configChanges,
+  decodeSnapshot
+} from '../../src/utils/Snapshot.js';
+
+/**
+ * Create a seeded particle system
+ */
+function createParticles(seed, count) {
+  const system = new ParticleSystem();
+  system.setRandom(new Random(seed).stream('particles'));
+  system.initialize(count, 8.0, 1.0);
+  return system;
+}
+
+/**
+ * Run a particle system for a number of fixed steps
+ */
+function run(system, steps) {
+  const origin = new THREE.Vector3();
+  for (let i = 0; i < steps; i++) {
+    system.update(1 / 60, origin);
+  }
+}
+
+describe('Snapshot', () => {
+  let configManager;
+
+  beforeEach(() => {
+    configManager = new ConfigurationManager();
+    configManager.initialize();
+  });
+
+  it('should encode floats to base64 and back bit for bit', () => {
+    const values = Float32Array.from([0, -0, 1.5, -3.25e-8, 6.02e23, Math.PI]);
+    const decoded = decodeFloat32Array(encodeFloat32Array(values), values.length);
+    expect(decoded).toEqual(values);
+    expect(Object.is(decoded[1], -0)).toBe(true);
+
+    expect(() => decodeFloat32Array(encodeFloat32Array(values), 5)).toThrow(/expected 5/);
+    expect(() => decodeFloat32Array('not base64!', 1)).toThrow(/base64/);
+  });
+
+  it('should continue a restored swarm exactly like the original', () => {
+    const original = createParticles(5, 300);
+    run(original, 90);
+
+    const snapshot = JSON.parse(JSON.stringify({
+      format: SNAPSHOT_FORMAT,
+      version: SNAPSHOT_VERSION,
+      config: {},
+      camera: { position: [0, 5, 20], target: [0, 0, 0] },
+      time: 1.5,
+      animation: { disk: 1.5, jets: 1.5 },
+      particles: captureParticles(original),
+      gpuParticles: null
+    }));
+
+    // A different seed and count, as on another machine with other settings
+    const restored = createParticles(9, 100);
+    const resets = [];
+    restored.onParticleReset((index) => resets.push(index));
+    restoreParticles(restored, decodeSnapshot(snapshot, configManager).particles);
+    expect(restored.particleCount).toBe(300);
+    expect(new Set(resets).size).toBe(300);
+    expect(restored.positions).toEqual(original.positions);
+
+    // Respawns draw the same random numbers after the restore
+    run(original, 240);
+    run(restored, 240);
+    expect(restored.positions).toEqual(original.positions);
+    expect(restored.velocities).toEqual(original.velocities);
+    expect(restored.properTimes).toEqual(original.properTimes);
+
+    original.dispose();
+    restored.dispose();
+  });
+
+  it('should reject files that are not snapshots of this version', () => {
+    const system = createParticles(1, 10);
+    const snapshot = {
+      format: SNAPSHOT_FORMAT,
+      version: SNAPSHOT_VERSION,
+      config: {},
+      camera: { position: [0, 5, 20], target: [0, 0, 0] },
+      time: 0,
+      animation: { disk: 0, jets: 0 },
+      particles: captureParticles(system),
+      gpuParticles: null
+    };
+    system.dispose();
+
+    const decode = (changes) => () => decodeSnapshot({ ...snapshot, ...changes }, configManager);
+    expect(decode({})).not.toThrow();
+    expect(decode({ format: 'other' })).toThrow(/Not a black hole/);
+    expect(decode({ version: SNAPSHOT_VERSION + 1 })).toThrow(/version/);
+    expect(decode({ camera: { position: [0, 0], target: [0, 0, 0] } })).toThrow(/camera/);
+    expect(decode({ particles: { ...snapshot.particles, count: 11 } })).toThrow(/expected/);
+    expect(decode({ particles: { ...snapshot.particles, randomState: undefined } })).toThrow(/random state/);
+    expect(decode({ particles: { ...snapshot.particles, randomState: -1 } })).toThrow(/random state/);
+    expect(decode({ animation: undefined })).toThrow(/animation/);
+    expect(decode({ animation: { disk: 0, jets: NaN } })).toThrow(/animation/);
+    expect(decode({ config: { mass: 'heavy' } })).toThrow(/mass/);
+    expect(decode({ config: { wormholes: true } })).toThrow(/Unknown/);
+  });
+
+  it('should bring the disk and jet animations back to their captured times', () => {
+    const disk = new AccretionDisk();
+    disk.initialize(3.0, 12.0);
+    const jets = new RelativisticJets();
+    jets.initialize();
+    jets.setEnabled(true);
+    disk.update(2.25);
+    jets.update(7.5);
+
+    const system = createParticles(1, 10);
+    const snapshot = JSON.parse(JSON.stringify({
+      format: SNAPSHOT_FORMAT,
+      version: SNAPSHOT_VERSION,
+      config: {},
+      camera: { position: [0, 5, 20], target: [0, 0, 0] },
+      time: 7.5,
+      animation: { disk: disk.getAnimationTime(), jets: jets.getAnimationTime() },
+      particles: captureParticles(system),
+      gpuParticles: null
+    }));
+    system.dispose();
+
+    disk.update(4.0);
+    jets.update(-3.0);
+    const { animation } = decodeSnapshot(snapshot, configManager);
+    disk.setAnimationTime(animation.disk);
+    jets.setAnimationTime(animation.jets);
+    expect(disk.getAnimationTime()).toBe(2.25);
+    expect(jets.getAnimationTime()).toBe(7.5);
+
+    disk.dispose();
+    jets.dispose();
+  });
+
+  it('should only restore the settings that differ from the current ones', () => {
+    const current = {
+      ...configManager.getConfig(),
+      background: ['px.png', 'nx.png', 'py.png', 'ny.png', 'pz.png', 'nz.png']
+    };
+    const saved = { ...current, background: [...current.background], mass: 1.25, particleCompute: 'gpu' };
+
+    expect(configChanges(current, saved)).toEqual({ mass: 1.25, particleCompute: 'gpu' });
+    expect(configChanges(current, { ...current })).toEqual({});
+    expect(configChanges(current, { ...current, background: 'milkyWay' })).toEqual({ background: 'milkyWay' });
+  });
+});
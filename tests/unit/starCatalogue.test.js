@@ -0,0 +1,109 @@
+import { describe, it, expect, vi } from 'vitest';
+import * as THREE from 'three';
+import {
+  colorIndexToTemperature,
+  equatorialToDirection,
+  loadStarCatalogue
+} from '../../src/utils/StarCatalogue.js';
+import { Starfield } from '../../src/components/Starfield.js';
+
+describe('StarCatalogue', () => {
+  it('should read the bundled bright stars', () => {
+    const stars = loadStarCatalogue();
+    expect(stars.length).toBeGreaterThan(300);
+
+    const betelgeuse = stars.find((star) => star.name === 'Betelgeuse');
+    expect(betelgeuse.ra).toBeCloseTo(5.92, 1);
+    expect(betelgeuse.dec).toBeCloseTo(7.4, 0);
+    expect(stars[0].name).toBe('Sirius');
+  });
+
+  it('should skip malformed rows and reject unknown formats', () => {
+    const stars = loadStarCatalogue({
+      fields: ['proper', 'ra', 'dec', 'mag'],
+      stars: [['Vega', 18.6, 38.8, 0.03], ['Broken', null, 10, 2]]
+    });
+    expect(stars).toHaveLength(1);
+    expect(stars[0].ci).toBeCloseTo(0.65);
+
+    expect(loadStarCatalogue({ rows: [] })).toEqual([]);
+  });
+
+  it('should put the north celestial pole up and Orion in front of the default camera', () => {
+    expect(equatorialToDirection(0, 90).y).toBeCloseTo(1);
+
+    // Right ascension 6h lies along -Z; east (higher right ascension) is to the left
+    const orion = equatorialToDirection(6, 0);
+    expect(orion.z).toBeCloseTo(-1);
+    expect(equatorialToDirection(7, 0).x).toBeLessThan(0);
+  });
+
+  it('should map B-V colour index to stellar temperature', () => {
+    expect(colorIndexToTemperature(0.65)).toBeGreaterThan(5500);
+    expect(colorIndexToTemperature(0.65)).toBeLessThan(6000);
+    expect(colorIndexToTemperature(-0.2)).toBeGreaterThan(12000);
+    expect(colorIndexToTemperature(1.85)).toBeLessThan(3800);
+  });
+});
+
+describe('Starfield', () => {
+  it('should place and colour catalogue stars', () => {
+    const starfield = new Starfield();
+    starfield.initialize(2000, 100, 'catalogue');
+    expect(starfield.getSource()).toBe('catalogue');
+
+    const stars = loadStarCatalogue();
+    const positions = starfield.geometry.attributes.position;
+    const colors = starfield.geometry.attributes.color;
+    const sizes = starfield.geometry.attributes.size;
+    expect(positions.count).toBe(stars.length);
+
+    const index = (name) => stars.findIndex((star) => star.name === name);
+    const rigel = index('Rigel');
+    const betelgeuse = index('Betelgeuse');
+    const expected = equatorialToDirection(stars[rigel].ra, stars[rigel].dec).multiplyScalar(100);
+    expect(new THREE.Vector3().fromBufferAttribute(positions, rigel).distanceTo(expected)).toBeLessThan(1e-3);
+
+    // Rigel is blue-white, Betelgeuse red; brighter stars are drawn larger
+    expect(colors.getZ(rigel)).toBeGreaterThan(colors.getX(rigel));
+    expect(colors.getX(betelgeuse)).toBeGreaterThan(colors.getZ(betelgeuse));
+    expect(sizes.getX(index('Sirius'))).toBeGreaterThan(sizes.getX(index('Alcor')));
+
+    starfield.dispose();
+  });
+
+  it('should switch sources and fall back to random stars', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const starfield = new Starfield();
+    starfield.initialize(500, 100);
+    expect(starfield.geometry.attributes.position.count).toBe(500);
+
+    starfield.setSource('catalogue');
+    expect(starfield.points.geometry).toBe(starfield.geometry);
+    expect(starfield.geometry.attributes.position.count).toBeGreaterThan(300);
+
+    starfield.setSource('hipparcos');
+    expect(starfield.getSource()).toBe('random');
+    expect(starfield.geometry.attributes.position.count).toBe(500);
+    expect(warn).toHaveBeenCalled();
+
+    starfield.dispose();
+    warn.mockRestore();
+  });
+
+  it('should move the same stars onto a larger sphere', () => {
+    const starfield = new Starfield();
+    starfield.initialize(200, 100);
+    const positions = Float32Array.from(starfield.geometry.attributes.position.array);
+
+    starfield.setRadius(400);
+    const scaled = starfield.points.geometry.attributes.position.array;
+    expect(starfield.points.geometry).toBe(starfield.geometry);
+    for (let i = 0; i < positions.length; i++) {
+      expect(scaled[i]).toBeCloseTo(positions[i] * 4, 3);
+    }
+    expect(Math.hypot(scaled[0], scaled[1], scaled[2])).toBeCloseTo(400, 2);
+
+    starfield.dispose();
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import {
+  TidalDisruptionEvent,
+  STAR_PARTICLE_COUNT
+} from '../../src/components/TidalDisruptionEvent.js';
+
+/**
+ * Distance range of the star's uncaptured particles from the black hole
+ */
+function radialExtent(event) {
+  const positions = event.particleSystem.positions;
+  let min = Infinity;
+  let max = 0;
+  for (let i = 0; i < STAR_PARTICLE_COUNT; i++) {
+    if (event.particleSystem.isCaptured(i)) continue;
+    const r = Math.hypot(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+    min = Math.min(min, r);
+    max = Math.max(max, r);
+  }
+  return max - min;
+}
+
+describe('TidalDisruptionEvent', () => {
+  let event;
+
+  beforeEach(() => {
+    event = new TidalDisruptionEvent();
+    event.initialize(5.0);
+  });
+
+  afterEach(() => {
+    event.dispose();
+  });
+
+  it('should stay hidden until started', () => {
+    expect(event.isActive()).toBe(false);
+    expect(event.points.visible).toBe(false);
+
+    event.start();
+    expect(event.isActive()).toBe(true);
+    expect(event.points.visible).toBe(true);
+
+    event.stop();
+    expect(event.isActive()).toBe(false);
+    expect(event.points.visible).toBe(false);
+  });
+
+  it('should derive a tidal radius that grows with stellar mass', () => {
+    const light = event.getTidalRadius();
+    event.setStellarMass(0.04);
+    expect(event.getTidalRadius()).toBeGreaterThan(light);
+    expect(event.getTidalRadius()).toBeGreaterThan(event.getStellarRadius());
+  });
+
+  it('should stretch the star into a stream with about half the debris bound', () => {
+    event.start();
+    const initialExtent = radialExtent(event);
+
+    // Long enough to pass pericentre and separate the bound and unbound halves
+    for (let frame = 0; frame < 600; frame++) {
+      event.update(1 / 60);
+    }
+
+    expect(radialExtent(event)).toBeGreaterThan(3 * initialExtent);
+
+    const { bound, unbound, captured } = event.getDebrisStatistics();
+    expect(bound + unbound + captured).toBe(STAR_PARTICLE_COUNT);
+    expect(bound / STAR_PARTICLE_COUNT).toBeGreaterThan(0.3);
+    expect(bound / STAR_PARTICLE_COUNT).toBeLessThan(0.7);
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { TidalProbe } from '../../src/components/TidalProbe.js';
+
+/**
+ * Advance the probe at 60 fps until it crosses the horizon, recording its status each frame
+ */
+function fallIn(probe) {
+  const history = [];
+  for (let i = 0; i < 1200 && probe.isActive(); i++) {
+    probe.update(1 / 60);
+    history.push(probe.getStatus());
+  }
+  return history;
+}
+
+describe('TidalProbe', () => {
+  let probe;
+
+  beforeEach(() => {
+    probe = new TidalProbe();
+    probe.initialize(1.0, 12.0);
+  });
+
+  afterEach(() => {
+    probe.dispose();
+  });
+
+  it('should stay hidden until dropped', () => {
+    expect(probe.isActive()).toBe(false);
+    expect(probe.mesh.visible).toBe(false);
+    expect(probe.getStatus().state).toBe('idle');
+
+    probe.drop();
+    expect(probe.mesh.visible).toBe(true);
+    expect(probe.getStatus().distance).toBeCloseTo(12.0, 5);
+  });
+
+  it('should stretch radially and squeeze transversely until it crosses the horizon', () => {
+    probe.drop();
+    const history = fallIn(probe);
+    const final = history[history.length - 1];
+
+    expect(final.state).toBe('swallowed');
+    expect(probe.mesh.visible).toBe(false);
+    expect(final.yielded).toBe(true);
+    expect(final.stretch).toBeGreaterThan(2);
+    expect(final.squeeze).toBeLessThan(0.8);
+
+    // Still intact far out, then torn apart past its strength
+    const yieldPoint = history.find((status) => status.stress > 1);
+    expect(yieldPoint.distance).toBeLessThan(6.5);
+    expect(yieldPoint.distance).toBeGreaterThan(4);
+    expect(history[0].stretch).toBeLessThan(1.01);
+
+    // Tidal stress grows as the probe falls
+    const falling = history.filter((status) => status.state === 'falling');
+    for (let i = 1; i < falling.length; i++) {
+      expect(falling[i].radialAcceleration).toBeGreaterThan(falling[i - 1].radialAcceleration);
+    }
+  });
+
+  it('should align the rod with the radial direction', () => {
+    probe.drop();
+    probe.update(1 / 60);
+    const axis = probe.mesh.up.clone().set(0, 1, 0).applyQuaternion(probe.mesh.quaternion);
+    const radial = probe.mesh.position.clone().normalize();
+    expect(Math.abs(axis.dot(radial))).toBeCloseTo(1, 5);
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { TimeDilationClocks } from '../../src/utils/TimeDilationClocks.js';
+
+describe('TimeDilationClocks', () => {
+  let clock;
+  let clocks;
+
+  /**
+   * Advance the scene clock and the probe clock together
+   */
+  function tick(deltaTime, probeStatus = null) {
+    clock.elapsedTime += deltaTime;
+    clocks.update(deltaTime, probeStatus);
+  }
+
+  beforeEach(() => {
+    // Stand-in for THREE.Clock, advanced by hand
+    clock = { elapsedTime: 5.0 };
+    clocks = new TimeDilationClocks();
+    clocks.setMass(0.5);
+    clocks.initialize(clock);
+  });
+
+  it('should run a static clock slow at the Schwarzschild rate', () => {
+    clocks.setRadius(4.0);
+    for (let i = 0; i < 100; i++) {
+      tick(0.01);
+    }
+
+    const readings = clocks.getReadings();
+    expect(readings.distantTime).toBeCloseTo(1.0, 10);
+    expect(readings.rate).toBeCloseTo(Math.sqrt(1 - 1 / 4), 10);
+    expect(readings.probeTime).toBeCloseTo(Math.sqrt(0.75), 10);
+    expect(readings.radius).toBeCloseTo(4.0, 10);
+
+    clocks.synchronise();
+    expect(clocks.getReadings().distantTime).toBe(0);
+    expect(clocks.getReadings().probeTime).toBe(0);
+  });
+
+  it('should ride the falling probe and freeze at the horizon', () => {
+    clocks.setMode('freefall');
+    tick(1.0);
+    expect(clocks.getReadings().waiting).toBe(true);
+    expect(clocks.getReadings().distantTime).toBe(0);
+
+    // Dropped half a frame ago
+    tick(0.5, { state: 'falling', time: 0.5, properTime: 0.45, clockRate: 0.8 });
+    let readings = clocks.getReadings();
+    expect(readings.waiting).toBe(false);
+    expect(readings.distantTime).toBeCloseTo(0.5, 10);
+    expect(readings.probeTime).toBeCloseTo(0.45, 10);
+
+    // Past the horizon the distant clock runs on while the probe clock stops
+    tick(2.0, { state: 'swallowed', time: 1.2, properTime: 0.9, clockRate: 0 });
+    tick(2.0, { state: 'swallowed', time: 1.2, properTime: 0.9, clockRate: 0 });
+    readings = clocks.getReadings();
+    expect(readings.distantTime).toBeCloseTo(4.5, 10);
+    expect(readings.probeTime).toBeCloseTo(0.9, 10);
+    expect(readings.rate).toBe(0);
+  });
+
+  it('should fall back to a static clock for unknown modes', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    clocks.setMode('orbiting');
+    expect(clocks.mode).toBe('static');
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});